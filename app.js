@@ -11,6 +11,11 @@ import favoriteRoutes from "./routes/favoriteRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
 import cartRoutes from "./routes/cartRoutes.js";
 import reviewRoutes from "./routes/reviewRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import taxRuleRoutes from "./routes/taxRuleRoutes.js";
+import shippingZoneRoutes from "./routes/shippingZoneRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import returnRoutes from "./routes/returnRoutes.js";
 
 
 import { errorHandler } from "./middlewares/errorMiddleware.js";
@@ -38,7 +43,14 @@ app.use(
   })
 );
 
-app.use(express.json());
+app.use(
+  express.json({
+    // webhook signatures are computed over the exact bytes received
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhooks")) req.rawBody = buf;
+    },
+  })
+);
 app.set("trust proxy", 1); // trust first proxy if behind a proxy (e.g., Heroku)
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
@@ -61,6 +73,11 @@ app.use("/api/favorites", favoriteRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/reviews", reviewRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/tax-rules", taxRuleRoutes);
+app.use("/api/shipping-zones", shippingZoneRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/returns", returnRoutes);
 
 
 
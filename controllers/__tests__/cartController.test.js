@@ -5,6 +5,8 @@ import {
   updateCartItem,
   removeFromCart,
   clearCart,
+  checkoutCart,
+  applyCouponToCart,
 } from "../cartController.js";
 import { prisma } from "../../lib/prismaClient.js";
 import { AppError } from "../../utils/AppError.js";
@@ -19,13 +21,50 @@ jest.mock("../../lib/prismaClient.js", () => ({
       update: jest.fn(),
     },
     cartItem: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
       upsert: jest.fn(),
-      findUnique: jest.fn(),
+      update: jest.fn(),
       delete: jest.fn(),
       deleteMany: jest.fn(),
     },
     product: {
       findUnique: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    productVariant: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    order: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+    },
+    shippingAddress: {
+      create: jest.fn(),
+    },
+    userAddress: {
+      findFirst: jest.fn(),
+    },
+    payment: {
+      create: jest.fn(),
+    },
+    coupon: {
+      findUnique: jest.fn(),
+    },
+    couponRedemption: {
+      count: jest.fn(),
+    },
+    taxRule: {
+      findMany: jest.fn(),
+    },
+    shippingZone: {
+      findMany: jest.fn(),
     },
     $transaction: jest.fn(),
   },
@@ -86,6 +125,7 @@ describe("Cart Controller", () => {
                   isActive: true,
                 },
               },
+              variant: { select: expect.any(Object) },
             },
           },
         },
@@ -115,6 +155,7 @@ describe("Cart Controller", () => {
           items: {
             include: {
               product: true,
+              variant: true,
             },
           },
         },
@@ -146,36 +187,141 @@ describe("Cart Controller", () => {
 
       prisma.product.findUnique.mockResolvedValue(mockProduct);
       prisma.cart.upsert.mockResolvedValue(mockCart);
-      prisma.cartItem.upsert.mockResolvedValue(mockCartItem);
+      prisma.cartItem.findFirst.mockResolvedValue(null);
+      prisma.cartItem.create.mockResolvedValue(mockCartItem);
+
+      await addToCart(req, res, next);
+
+      expect(prisma.cartItem.findFirst).toHaveBeenCalledWith({
+        where: { cartId: "cart-123", productId: "prod-1", variantId: null },
+      });
+      expect(prisma.cartItem.create).toHaveBeenCalledWith({
+        data: {
+          cartId: "cart-123",
+          productId: "prod-1",
+          quantity: 2,
+        },
+        include: expect.any(Object),
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: "Item added to cart",
+        data: mockCartItem,
+      });
+    });
+
+    it("should increment the quantity of an existing line", async () => {
+      req.body = { productId: "prod-1", quantity: 1 };
+
+      prisma.product.findUnique.mockResolvedValue({
+        id: "prod-1",
+        stock: 10,
+        isActive: true,
+      });
+      prisma.cart.upsert.mockResolvedValue({ id: "cart-123" });
+      prisma.cartItem.findFirst.mockResolvedValue({ id: "item-1" });
+      prisma.cartItem.update.mockResolvedValue({ id: "item-1", quantity: 3 });
 
       await addToCart(req, res, next);
 
+      expect(prisma.cartItem.update).toHaveBeenCalledWith({
+        where: { id: "item-1" },
+        data: { quantity: { increment: 1 } },
+        include: expect.any(Object),
+      });
+      expect(prisma.cartItem.create).not.toHaveBeenCalled();
+    });
+
+    it("should add a variant as its own line", async () => {
+      req.body = { productId: "prod-1", variantId: "var-1", quantity: 1 };
+
+      prisma.product.findUnique.mockResolvedValue({
+        id: "prod-1",
+        stock: 0,
+        isActive: true,
+        _count: { variants: 2 },
+      });
+      prisma.productVariant.findFirst.mockResolvedValue({
+        id: "var-1",
+        stock: 4,
+        isActive: true,
+      });
+      prisma.cart.upsert.mockResolvedValue({ id: "cart-123" });
+      prisma.cartItem.upsert.mockResolvedValue({ id: "item-2" });
+
+      await addToCart(req, res, next);
+
+      expect(prisma.productVariant.findFirst).toHaveBeenCalledWith({
+        where: { id: "var-1", productId: "prod-1" },
+        select: expect.any(Object),
+      });
       expect(prisma.cartItem.upsert).toHaveBeenCalledWith({
         where: {
-          cartId_productId: {
+          cartId_productId_variantId: {
             cartId: "cart-123",
             productId: "prod-1",
+            variantId: "var-1",
           },
         },
-        update: {
-          quantity: {
-            increment: 2,
-          },
-        },
+        update: { quantity: { increment: 1 } },
         create: {
           cartId: "cart-123",
           productId: "prod-1",
-          quantity: 2,
+          variantId: "var-1",
+          quantity: 1,
         },
         include: expect.any(Object),
       });
+      expect(prisma.cartItem.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should increment the line a concurrent request created first", async () => {
+      req.body = { productId: "prod-1", quantity: 2 };
 
+      prisma.product.findUnique.mockResolvedValue({
+        id: "prod-1",
+        stock: 10,
+        isActive: true,
+      });
+      prisma.cart.upsert.mockResolvedValue({ id: "cart-123" });
+      prisma.cartItem.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: "item-1" });
+      prisma.cartItem.create.mockRejectedValue(
+        Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+      );
+      prisma.cartItem.update.mockResolvedValue({ id: "item-1", quantity: 3 });
+
+      await addToCart(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.cartItem.update).toHaveBeenCalledWith({
+        where: { id: "item-1" },
+        data: { quantity: { increment: 2 } },
+        include: expect.any(Object),
+      });
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith({
-        success: true,
-        message: "Item added to cart",
-        data: mockCartItem,
+    });
+
+    it("should require a variant when the product has variants", async () => {
+      req.body = { productId: "prod-1" };
+
+      prisma.product.findUnique.mockResolvedValue({
+        id: "prod-1",
+        isActive: true,
+        _count: { variants: 2 },
       });
+
+      await addToCart(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe(
+        "Choose a variant of this product"
+      );
+      expect(prisma.cartItem.create).not.toHaveBeenCalled();
     });
 
     it("should throw error if product not found", async () => {
@@ -231,7 +377,8 @@ describe("Cart Controller", () => {
 
       prisma.cart.findUnique.mockResolvedValue(mockCart);
       prisma.product.findUnique.mockResolvedValue(mockProduct);
-      prisma.cartItem.upsert.mockResolvedValue(mockUpdatedItem);
+      prisma.cartItem.findFirst.mockResolvedValue({ id: "item-1" });
+      prisma.cartItem.update.mockResolvedValue(mockUpdatedItem);
 
       await updateCartItem(req, res, next);
 
@@ -259,6 +406,28 @@ describe("Cart Controller", () => {
         "Only 10 items available in stock"
       );
     });
+
+    it("should check the variant's stock, not the product's", async () => {
+      req.body = { productId: "prod-1", variantId: "var-1", quantity: 5 };
+
+      prisma.cart.findUnique.mockResolvedValue({ id: "cart-123" });
+      prisma.product.findUnique.mockResolvedValue({
+        id: "prod-1",
+        stock: 100,
+        _count: { variants: 1 },
+      });
+      prisma.productVariant.findFirst.mockResolvedValue({
+        id: "var-1",
+        stock: 3,
+      });
+
+      await updateCartItem(req, res, next);
+
+      expect(next.mock.calls[0][0].message).toBe(
+        "Only 3 items available in stock"
+      );
+      expect(prisma.cartItem.update).not.toHaveBeenCalled();
+    });
   });
 
   describe("removeFromCart", () => {
@@ -269,7 +438,7 @@ describe("Cart Controller", () => {
       const mockCartItem = { id: "item-1" };
 
       prisma.cart.findUnique.mockResolvedValue(mockCart);
-      prisma.cartItem.findUnique.mockResolvedValue(mockCartItem);
+      prisma.cartItem.findFirst.mockResolvedValue(mockCartItem);
       prisma.cartItem.delete.mockResolvedValue(mockCartItem);
 
       await removeFromCart(req, res, next);
@@ -290,7 +459,7 @@ describe("Cart Controller", () => {
       const mockCart = { id: "cart-123" };
 
       prisma.cart.findUnique.mockResolvedValue(mockCart);
-      prisma.cartItem.findUnique.mockResolvedValue(null);
+      prisma.cartItem.findFirst.mockResolvedValue(null);
 
       await removeFromCart(req, res, next);
 
@@ -333,4 +502,274 @@ describe("Cart Controller", () => {
       expect(next.mock.calls[0][0].message).toBe("Cart not found");
     });
   });
+
+  describe("checkoutCart", () => {
+    const mockCart = {
+      id: "cart-123",
+      userId: "user-123",
+      items: [
+        { id: "item-1", productId: "prod-1", quantity: 2 },
+        { id: "item-2", productId: "prod-2", quantity: 1 },
+      ],
+    };
+
+    beforeEach(() => {
+      prisma.$transaction.mockImplementation(async (cb) => cb(prisma));
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "prod-1",
+          name: "Product 1",
+          price: "10.00",
+          stock: 5,
+          isActive: true,
+          image: null,
+        },
+        {
+          id: "prod-2",
+          name: "Product 2",
+          price: "20.00",
+          stock: 5,
+          isActive: true,
+          image: null,
+        },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "order-1" });
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        userId: "user-123",
+        orderItems: [],
+      });
+      prisma.cartItem.deleteMany.mockResolvedValue({ count: 2 });
+      prisma.cart.update.mockResolvedValue(mockCart);
+    });
+
+    it("should create an order from cart items and empty the cart", async () => {
+      prisma.cart.findUnique.mockResolvedValue(mockCart);
+
+      await checkoutCart(req, res, next);
+
+      expect(prisma.order.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ userId: "user-123" }),
+        })
+      );
+      expect(prisma.product.updateMany).toHaveBeenCalledTimes(2);
+      expect(prisma.cartItem.deleteMany).toHaveBeenCalledWith({
+        where: { cartId: "cart-123", id: { in: ["item-1", "item-2"] } },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: "Order placed successfully",
+        data: expect.objectContaining({ id: "order-1" }),
+      });
+    });
+
+    it("should create shipping address and pending payment when provided", async () => {
+      prisma.cart.findUnique.mockResolvedValue(mockCart);
+      req.body = {
+        shippingAddress: {
+          fullName: "John Doe",
+          phone: "9800000000",
+          address: "Thamel",
+          city: "Kathmandu",
+          postalCode: "44600",
+          country: "Nepal",
+        },
+        paymentMethod: "COD",
+      };
+
+      await checkoutCart(req, res, next);
+
+      expect(prisma.shippingAddress.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          orderId: "order-1",
+          city: "Kathmandu",
+        }),
+      });
+      expect(prisma.payment.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          orderId: "order-1",
+          provider: "COD",
+          status: "PENDING",
+        }),
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should order the variant of a variant line", async () => {
+      prisma.cart.findUnique.mockResolvedValue({
+        ...mockCart,
+        items: [
+          {
+            id: "item-1",
+            productId: "prod-1",
+            variantId: "var-1",
+            quantity: 2,
+          },
+        ],
+      });
+      prisma.productVariant.findMany.mockResolvedValue([
+        {
+          id: "var-1",
+          productId: "prod-1",
+          sku: "P1-L",
+          name: "Large",
+          price: "12.50",
+          stock: 5,
+          isActive: true,
+        },
+      ]);
+      prisma.productVariant.updateMany.mockResolvedValue({ count: 1 });
+
+      await checkoutCart(req, res, next);
+
+      expect(prisma.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: "var-1", stock: { gte: 2 } },
+        data: { stock: { decrement: 2 } },
+      });
+      expect(prisma.product.updateMany).not.toHaveBeenCalled();
+      const [line] =
+        prisma.order.create.mock.calls[0][0].data.orderItems.create;
+      expect(line).toMatchObject({
+        variantId: "var-1",
+        variantName: "Large",
+        sku: "P1-L",
+        reservation: {
+          create: { productId: "prod-1", variantId: "var-1", quantity: 2 },
+        },
+      });
+      expect(line.unitPrice.toString()).toBe("12.5");
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should throw error if cart is empty", async () => {
+      prisma.cart.findUnique.mockResolvedValue({ ...mockCart, items: [] });
+
+      await checkoutCart(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].message).toBe("Cart is empty");
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it("should not empty the cart when stock runs out", async () => {
+      prisma.cart.findUnique.mockResolvedValue(mockCart);
+      prisma.product.updateMany.mockResolvedValue({ count: 0 });
+
+      await checkoutCart(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(prisma.cartItem.deleteMany).not.toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("applyCouponToCart", () => {
+    it("should preview the discounted totals without redeeming", async () => {
+      req.body = { couponCode: "FLAT100" };
+      prisma.cart.findUnique.mockResolvedValue({
+        id: "cart-123",
+        items: [{ id: "item-1", productId: "prod-1", quantity: 2 }],
+      });
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        code: "FLAT100",
+        type: "FIXED_AMOUNT",
+        value: "100",
+        isActive: true,
+        timesUsed: 0,
+      });
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "prod-1",
+          name: "Product 1",
+          price: "500.00",
+          stock: 5,
+          isActive: true,
+        },
+      ]);
+
+      await applyCouponToCart(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.coupon.code).toBe("FLAT100");
+      expect(data.discount.toString()).toBe("100");
+      expect(data.total.toString()).toBe("1035");
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    describe("with a free-shipping coupon", () => {
+      beforeEach(() => {
+        req.body = { couponCode: "SHIPFREE" };
+        prisma.cart.findUnique.mockResolvedValue({
+          id: "cart-123",
+          items: [{ id: "item-1", productId: "prod-1", quantity: 1 }],
+        });
+        prisma.coupon.findUnique.mockResolvedValue({
+          id: "cp2",
+          code: "SHIPFREE",
+          type: "FREE_SHIPPING",
+          isActive: true,
+          timesUsed: 0,
+        });
+        prisma.product.findMany.mockResolvedValue([
+          {
+            id: "prod-1",
+            name: "Product 1",
+            price: "500.00",
+            stock: 5,
+            isActive: true,
+          },
+        ]);
+        prisma.shippingZone.findMany.mockResolvedValue([
+          { id: "z1", name: "Nepal", countries: ["Nepal"], baseFee: "150" },
+        ]);
+      });
+
+      it("should price the saving for the default shipping address", async () => {
+        prisma.userAddress.findFirst.mockResolvedValue({
+          id: "addr-1",
+          userId: "user-123",
+          fullName: "Jane Doe",
+          phone: "9800000000",
+          address: "Street 1",
+          city: "Kathmandu",
+          postalCode: "44600",
+          country: "Nepal",
+          isDefaultShipping: true,
+        });
+
+        await applyCouponToCart(req, res, next);
+
+        expect(prisma.userAddress.findFirst).toHaveBeenCalledWith({
+          where: { userId: "user-123", isDefaultShipping: true },
+        });
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.shippingDiscount.toString()).toBe("150");
+        expect(data.shippingDiscountPending).toBe(false);
+        expect(data.shippingFee.toString()).toBe("0");
+      });
+
+      it("should leave the saving to checkout without an address", async () => {
+        prisma.userAddress.findFirst.mockResolvedValue(null);
+
+        await applyCouponToCart(req, res, next);
+
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.shippingDiscount).toBeNull();
+        expect(data.shippingDiscountPending).toBe(true);
+      });
+    });
+
+    it("should require a coupon code", async () => {
+      await applyCouponToCart(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].message).toBe("Coupon code is required");
+    });
+  });
 });
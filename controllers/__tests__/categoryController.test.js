@@ -0,0 +1,384 @@
+import {
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  setProductCategories,
+  assignProductsToCategory,
+} from "../categoryController.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { deleteFile } from "../../utils/uploads.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    category: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    product: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+jest.mock("../../utils/uploads.js", () => ({ deleteFile: jest.fn() }));
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("categoryController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("returns the category tree", async () => {
+    const res = mockRes();
+    prisma.category.findMany.mockResolvedValue([
+      { id: "c2", name: "Audio", parentId: "c1", sortOrder: 0 },
+      { id: "c1", name: "Electronics", parentId: null, sortOrder: 0 },
+    ]);
+
+    await getCategoryTree({}, res, mockNext());
+
+    const { data } = res.json.mock.calls[0][0];
+    expect(data).toHaveLength(1);
+    expect(data[0].id).toBe("c1");
+    expect(data[0].children[0].id).toBe("c2");
+  });
+
+  describe("getCategoryBySlug", () => {
+    it("returns the category with its breadcrumb", async () => {
+      const res = mockRes();
+      prisma.category.findUnique.mockResolvedValue({
+        id: "c2",
+        name: "Audio",
+        slug: "audio",
+        parentId: "c1",
+        children: [],
+        images: [],
+      });
+      prisma.category.findMany.mockResolvedValue([
+        { id: "c1", name: "Electronics", slug: "electronics", parentId: null },
+        { id: "c2", name: "Audio", slug: "audio", parentId: "c1" },
+      ]);
+
+      await getCategoryBySlug({ params: { slug: "audio" } }, res, mockNext());
+
+      expect(prisma.category.findUnique).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { slug: "audio" } })
+      );
+      expect(res.json.mock.calls[0][0].data.breadcrumb).toEqual([
+        { id: "c1", name: "Electronics", slug: "electronics" },
+        { id: "c2", name: "Audio", slug: "audio" },
+      ]);
+    });
+
+    it("returns 404 for an unknown slug", async () => {
+      const next = mockNext();
+      prisma.category.findUnique.mockResolvedValue(null);
+
+      await getCategoryBySlug({ params: { slug: "nope" } }, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe("createCategory", () => {
+    it("stores the uploaded images under a unique slug", async () => {
+      const req = {
+        body: {
+          name: " Gaming Headsets ",
+          description: "Wired and wireless",
+          parentId: "c1",
+          sortOrder: "2",
+        },
+        files: [{ filename: "headsets.jpg" }],
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.category.findUnique.mockResolvedValue({ id: "c1" });
+      prisma.category.findMany.mockResolvedValue([{ slug: "gaming-headsets" }]);
+      prisma.category.create.mockResolvedValue({ id: "c9" });
+
+      await createCategory(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.category.create).toHaveBeenCalledWith({
+        data: {
+          name: "Gaming Headsets",
+          slug: "gaming-headsets-2",
+          description: "Wired and wireless",
+          parentId: "c1",
+          sortOrder: 2,
+          images: { create: [{ url: "/uploads/headsets.jpg" }] },
+        },
+        include: { images: true },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects an unknown parent and drops the uploads", async () => {
+      const req = {
+        body: { name: "Headsets", parentId: "nope" },
+        files: [{ filename: "headsets.jpg" }],
+      };
+      const next = mockNext();
+      prisma.category.findUnique.mockResolvedValue(null);
+
+      await createCategory(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+      expect(prisma.category.create).not.toHaveBeenCalled();
+      expect(deleteFile).toHaveBeenCalledWith("headsets.jpg");
+    });
+
+    it("maps a duplicate name to 409", async () => {
+      const next = mockNext();
+      prisma.category.findMany.mockResolvedValue([]);
+      prisma.category.create.mockRejectedValue(
+        Object.assign(new Error("Unique constraint"), { code: "P2002" })
+      );
+
+      await createCategory({ body: { name: "Audio" } }, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(next.mock.calls[0][0].message).toBe("Category already exists");
+    });
+
+    it.each([
+      [{}, "Missing field: name"],
+      [{ name: "Audio", sortOrder: "1.5" }, "sortOrder must be an integer"],
+      [{ name: "!!!" }, "slug must contain letters or digits"],
+    ])("rejects %o", async (body, message) => {
+      const next = mockNext();
+
+      await createCategory({ body }, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe(message);
+    });
+  });
+
+  describe("updateCategory", () => {
+    const tree = [
+      { id: "c1", parentId: null },
+      { id: "c2", parentId: "c1" },
+      { id: "c3", parentId: "c2" },
+    ];
+
+    it("renames a category and keeps its slug", async () => {
+      const res = mockRes();
+      prisma.category.findUnique.mockResolvedValue({ id: "c2", slug: "audio" });
+      prisma.category.update.mockResolvedValue({ id: "c2" });
+
+      await updateCategory(
+        { params: { id: "c2" }, body: { name: " Sound ", sortOrder: 3 } },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.category.update).toHaveBeenCalledWith({
+        where: { id: "c2" },
+        data: { name: "Sound", sortOrder: 3 },
+        include: { images: true },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("refuses to move a category under its own subcategory", async () => {
+      const next = mockNext();
+      prisma.category.findUnique.mockResolvedValue({ id: "c1", slug: "x" });
+      prisma.category.findMany.mockResolvedValue(tree);
+
+      await updateCategory(
+        { params: { id: "c1" }, body: { parentId: "c3" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.category.update).not.toHaveBeenCalled();
+    });
+
+    it("makes a category top-level", async () => {
+      prisma.category.findUnique.mockResolvedValue({ id: "c3", slug: "x" });
+
+      await updateCategory(
+        { params: { id: "c3" }, body: { parentId: null } },
+        mockRes(),
+        mockNext()
+      );
+
+      expect(prisma.category.update.mock.calls[0][0].data).toEqual({
+        parentId: null,
+      });
+    });
+  });
+
+  describe("deleteCategory", () => {
+    const counts = (overrides = {}) => ({
+      id: "c1",
+      _count: {
+        children: 0,
+        products: 0,
+        coupons: 0,
+        taxRules: 0,
+        ...overrides,
+      },
+    });
+
+    it("moves the products to another category before deleting", async () => {
+      const res = mockRes();
+      prisma.category.findUnique.mockResolvedValue(counts({ products: 2 }));
+      prisma.category.findMany.mockResolvedValue([{ id: "c2" }]);
+      prisma.product.findMany.mockResolvedValue([{ id: "p1" }, { id: "p2" }]);
+
+      await deleteCategory(
+        { params: { id: "c1" }, query: { reassignTo: "c2" } },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.category.update).toHaveBeenCalledWith({
+        where: { id: "c2" },
+        data: { products: { connect: [{ id: "p1" }, { id: "p2" }] } },
+      });
+      expect(prisma.category.delete).toHaveBeenCalledWith({
+        where: { id: "c1" },
+      });
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        reassigned: 2,
+        reassignTo: "c2",
+      });
+    });
+
+    it("removes the uploaded image files with the category", async () => {
+      prisma.category.findUnique.mockResolvedValue({
+        ...counts(),
+        images: [
+          { id: "img-1", url: "/uploads/shoes-123.jpg" },
+          { id: "img-2", url: "https://cdn.example.com/shoes.jpg" },
+        ],
+      });
+
+      await deleteCategory(
+        { params: { id: "c1" }, query: {} },
+        mockRes(),
+        mockNext()
+      );
+
+      expect(prisma.category.delete).toHaveBeenCalled();
+      expect(deleteFile).toHaveBeenCalledTimes(1);
+      expect(deleteFile).toHaveBeenCalledWith("shoes-123.jpg");
+    });
+
+    it.each([
+      [{ products: 2 }, {}, /pass reassignTo/],
+      [{ children: 1 }, { reassignTo: "c2" }, /has subcategories/],
+      [{ taxRules: 1 }, {}, /used by 0 coupon\(s\) and 1 tax rule\(s\)/],
+    ])("keeps a category with %o", async (count, query, message) => {
+      const next = mockNext();
+      prisma.category.findUnique.mockResolvedValue(counts(count));
+
+      await deleteCategory({ params: { id: "c1" }, query }, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(next.mock.calls[0][0].message).toMatch(message);
+      expect(prisma.category.delete).not.toHaveBeenCalled();
+    });
+
+    it("deletes an empty category", async () => {
+      prisma.category.findUnique.mockResolvedValue(counts());
+
+      await deleteCategory(
+        { params: { id: "c1" }, query: {} },
+        mockRes(),
+        mockNext()
+      );
+
+      expect(prisma.category.update).not.toHaveBeenCalled();
+      expect(prisma.category.delete).toHaveBeenCalled();
+    });
+  });
+
+  describe("setProductCategories", () => {
+    it("replaces the product's categories", async () => {
+      const res = mockRes();
+      prisma.category.findMany.mockResolvedValue([{ id: "c1" }, { id: "c2" }]);
+      prisma.product.findUnique.mockResolvedValue({ id: "p1" });
+      prisma.product.update.mockResolvedValue({ id: "p1", categories: [] });
+
+      await setProductCategories(
+        { params: { id: "p1" }, body: { categoryIds: ["c1", "c2", "c1"] } },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { categories: { set: [{ id: "c1" }, { id: "c2" }] } },
+        include: { categories: true },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("reports unknown categories", async () => {
+      const next = mockNext();
+      prisma.category.findMany.mockResolvedValue([{ id: "c1" }]);
+
+      await setProductCategories(
+        { params: { id: "p1" }, body: { categoryIds: ["c1", "c9"] } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+      expect(next.mock.calls[0][0].message).toBe("Category not found: c9");
+    });
+  });
+
+  describe("assignProductsToCategory", () => {
+    it("adds many products to the category", async () => {
+      const res = mockRes();
+      prisma.category.findUnique.mockResolvedValue({ id: "c1" });
+      prisma.product.findMany.mockResolvedValue([{ id: "p1" }, { id: "p2" }]);
+
+      await assignProductsToCategory(
+        { params: { id: "c1" }, body: { productIds: "p1, p2" } },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.category.update).toHaveBeenCalledWith({
+        where: { id: "c1" },
+        data: { products: { connect: [{ id: "p1" }, { id: "p2" }] } },
+      });
+      expect(res.json.mock.calls[0][0].message).toBe("Assigned 2 product(s)");
+    });
+
+    it("rejects unknown products", async () => {
+      const next = mockNext();
+      prisma.category.findUnique.mockResolvedValue({ id: "c1" });
+      prisma.product.findMany.mockResolvedValue([{ id: "p1" }]);
+
+      await assignProductsToCategory(
+        { params: { id: "c1" }, body: { productIds: ["p1", "p2"] } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].message).toBe("Product not found: p2");
+      expect(prisma.category.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,263 @@
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../couponController.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { AppError } from "../../utils/AppError.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    coupon: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("couponController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("getCoupons", () => {
+    it("lists coupons", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.findMany.mockResolvedValue([{ id: "cp1" }]);
+
+      await getCoupons({}, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: "cp1" }],
+      });
+    });
+  });
+
+  describe("getCouponById", () => {
+    it("returns 404 when missing", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.findUnique.mockResolvedValue(null);
+
+      await getCouponById({ params: { id: "nope" } }, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe("createCoupon", () => {
+    it("creates a scoped percentage coupon with an upper-case code", async () => {
+      const req = {
+        body: {
+          code: "tihar15",
+          type: "PERCENTAGE",
+          value: 15,
+          maxDiscount: 500,
+          usageLimitPerUser: 1,
+          categoryIds: ["c1"],
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.create.mockResolvedValue({ id: "cp1", code: "TIHAR15" });
+
+      await createCoupon(req, res, next);
+
+      const { data } = prisma.coupon.create.mock.calls[0][0];
+      expect(data.code).toBe("TIHAR15");
+      expect(data.type).toBe("PERCENTAGE");
+      expect(data.value.toString()).toBe("15");
+      expect(data.usageLimitPerUser).toBe(1);
+      expect(data.categories).toEqual({ connect: [{ id: "c1" }] });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects unknown coupon types", async () => {
+      const req = { body: { code: "X", type: "BOGO", value: 1 } };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createCoupon(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.coupon.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects percentages above 100", async () => {
+      const req = { body: { code: "X", type: "PERCENTAGE", value: 150 } };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createCoupon(req, res, next);
+
+      expect(next.mock.calls[0][0].message).toBe(
+        "Percentage value cannot exceed 100"
+      );
+    });
+
+    it("requires a value for amount coupons", async () => {
+      const req = { body: { code: "X", type: "FIXED_AMOUNT" } };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createCoupon(req, res, next);
+
+      expect(next.mock.calls[0][0].message).toBe("Coupon value is required");
+    });
+
+    it("allows free shipping coupons without a value", async () => {
+      const req = { body: { code: "SHIPFREE", type: "FREE_SHIPPING" } };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.create.mockResolvedValue({ id: "cp2" });
+
+      await createCoupon(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects a validity window that ends before it starts", async () => {
+      const req = {
+        body: {
+          code: "X",
+          type: "FIXED_AMOUNT",
+          value: 100,
+          startsAt: "2026-10-20",
+          expiresAt: "2026-10-10",
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createCoupon(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe("updateCoupon", () => {
+    it("replaces the product scope", async () => {
+      const req = {
+        params: { id: "cp1" },
+        body: { productIds: ["p1", "p2"], isActive: false },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        type: "FIXED_AMOUNT",
+        value: "100",
+      });
+      prisma.coupon.update.mockResolvedValue({ id: "cp1" });
+
+      await updateCoupon(req, res, next);
+
+      expect(prisma.coupon.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: "cp1" },
+          data: expect.objectContaining({
+            isActive: false,
+            products: { set: [{ id: "p1" }, { id: "p2" }] },
+          }),
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("returns 404 when missing", async () => {
+      const req = { params: { id: "nope" }, body: {} };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.findUnique.mockResolvedValue(null);
+
+      await updateCoupon(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+
+    it.each([
+      ["clearing the value", { value: null }, "FIXED_AMOUNT", "100"],
+      [
+        "a value-less type change",
+        { type: "PERCENTAGE" },
+        "FREE_SHIPPING",
+        null,
+      ],
+    ])(
+      "rejects %s when the coupon needs a value",
+      async (_, body, type, value) => {
+        const next = mockNext();
+        prisma.coupon.findUnique.mockResolvedValue({ id: "cp1", type, value });
+
+        await updateCoupon({ params: { id: "cp1" }, body }, mockRes(), next);
+
+        expect(next.mock.calls[0][0].statusCode).toBe(400);
+        expect(next.mock.calls[0][0].message).toBe("Coupon value is required");
+        expect(prisma.coupon.update).not.toHaveBeenCalled();
+      }
+    );
+
+    it("checks a new expiry against the stored start", async () => {
+      const next = mockNext();
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        type: "FIXED_AMOUNT",
+        value: "100",
+        startsAt: new Date("2026-11-01T00:00:00Z"),
+        expiresAt: null,
+      });
+
+      await updateCoupon(
+        { params: { id: "cp1" }, body: { expiresAt: "2026-10-25T00:00:00Z" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].message).toBe(
+        "expiresAt must be after startsAt"
+      );
+      expect(prisma.coupon.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteCoupon", () => {
+    it("deletes unused coupons", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.findUnique.mockResolvedValue({ id: "cp1", timesUsed: 0 });
+      prisma.coupon.delete.mockResolvedValue({});
+
+      await deleteCoupon({ params: { id: "cp1" } }, res, next);
+
+      expect(prisma.coupon.delete).toHaveBeenCalledWith({
+        where: { id: "cp1" },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("refuses to delete redeemed coupons", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.coupon.findUnique.mockResolvedValue({ id: "cp1", timesUsed: 3 });
+
+      await deleteCoupon({ params: { id: "cp1" } }, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.coupon.delete).not.toHaveBeenCalled();
+    });
+  });
+});
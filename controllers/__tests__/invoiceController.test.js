@@ -0,0 +1,221 @@
+import {
+  getOrderInvoice,
+  getOrderCreditNotes,
+  getOrderCreditNote,
+} from "../invoiceController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    order: {
+      findUnique: jest.fn(),
+    },
+  },
+}));
+
+const mockRes = () => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    set: jest.fn().mockReturnThis(),
+    send: jest.fn(),
+  };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+const mockReq = (overrides = {}) => ({
+  user: { id: "user-1" },
+  params: { id: "o1" },
+  query: {},
+  accepts: jest.fn(() => "html"),
+  ...overrides,
+});
+
+const order = (overrides = {}) => ({
+  id: "o1",
+  userId: "user-1",
+  createdAt: new Date("2026-10-18T09:00:00Z"),
+  subtotal: "200.00",
+  discount: "0",
+  tax: "30.00",
+  shippingFee: "0",
+  total: "230.00",
+  invoice: { number: 3, issuedAt: new Date("2026-10-19T10:00:00Z") },
+  user: { firstName: "Hari", lastName: "KC", email: "hari@example.com" },
+  shippingAddress: null,
+  orderItems: [
+    {
+      productName: "Tea",
+      quantity: 2,
+      unitPrice: "100.00",
+      subtotal: "200.00",
+      discount: "0",
+      tax: "30.00",
+      status: "PENDING",
+    },
+  ],
+  ...overrides,
+});
+
+describe("invoiceController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("renders the HTML invoice for the owner", async () => {
+    const res = mockRes();
+    const next = mockNext();
+    prisma.order.findUnique.mockResolvedValue(order());
+
+    await getOrderInvoice(mockReq(), res, next);
+
+    expect(res.set).toHaveBeenCalledWith(
+      "Content-Type",
+      "text/html; charset=utf-8"
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).toContain("INV-000003");
+  });
+
+  it("renders a PDF when asked for", async () => {
+    const res = mockRes();
+    const next = mockNext();
+    prisma.order.findUnique.mockResolvedValue(order());
+
+    await getOrderInvoice(mockReq({ query: { format: "pdf" } }), res, next);
+
+    expect(res.set).toHaveBeenCalledWith("Content-Type", "application/pdf");
+    expect(res.set).toHaveBeenCalledWith(
+      "Content-Disposition",
+      'inline; filename="INV-000003.pdf"'
+    );
+    expect(Buffer.isBuffer(res.send.mock.calls[0][0])).toBe(true);
+  });
+
+  it("has no invoice before the order is paid", async () => {
+    const res = mockRes();
+    const next = mockNext();
+    prisma.order.findUnique.mockResolvedValue(order({ invoice: null }));
+
+    await getOrderInvoice(mockReq(), res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(404);
+  });
+
+  it("forbids other customers", async () => {
+    const res = mockRes();
+    const next = mockNext();
+    prisma.order.findUnique.mockResolvedValue(order({ userId: "user-2" }));
+
+    await getOrderInvoice(mockReq(), res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(403);
+  });
+
+  it("renders the invoice from its snapshot, not the live order", async () => {
+    const res = mockRes();
+    prisma.order.findUnique.mockResolvedValue(
+      order({
+        total: "0",
+        invoice: {
+          number: 3,
+          issuedAt: new Date("2026-10-19T10:00:00Z"),
+          snapshot: {
+            orderId: "o1",
+            orderDate: "2026-10-18",
+            seller: { name: "Hamro Pasal", address: "", taxId: "" },
+            customer: { name: "Hari KC", email: "", phone: "", address: "" },
+            lines: [],
+            totals: [["Total", "NPR 230.00"]],
+          },
+        },
+      })
+    );
+
+    await getOrderInvoice(mockReq(), res, mockNext());
+
+    expect(res.send.mock.calls[0][0]).toContain("NPR 230.00");
+  });
+
+  it("rejects unknown formats", async () => {
+    const res = mockRes();
+    const next = mockNext();
+    prisma.order.findUnique.mockResolvedValue(order());
+
+    await getOrderInvoice(mockReq({ query: { format: "docx" } }), res, next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(400);
+  });
+
+  describe("credit notes", () => {
+    const creditNote = {
+      id: "cn-1",
+      number: 1,
+      refundId: "refund-1",
+      amount: "115.00",
+      issuedAt: new Date("2026-10-21T10:00:00Z"),
+      snapshot: {
+        invoiceNumber: "INV-000003",
+        reason: null,
+        lines: [{ name: "Tea", quantity: 1, amount: "NPR 115.00" }],
+        totals: [["Total credited", "NPR 115.00"]],
+      },
+    };
+    const invoicedOrder = () =>
+      order({
+        invoice: {
+          number: 3,
+          issuedAt: new Date("2026-10-19T10:00:00Z"),
+          creditNotes: [creditNote],
+        },
+      });
+
+    it("lists the order's credit notes", async () => {
+      const res = mockRes();
+      res.json = jest.fn();
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder());
+
+      await getOrderCreditNotes(mockReq(), res, mockNext());
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: [
+          {
+            id: "cn-1",
+            number: "CN-000001",
+            refundId: "refund-1",
+            amount: "115.00",
+            issuedAt: creditNote.issuedAt,
+          },
+        ],
+      });
+    });
+
+    it("renders one credit note", async () => {
+      const res = mockRes();
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder());
+
+      await getOrderCreditNote(
+        mockReq({ params: { id: "o1", creditNoteId: "cn-1" } }),
+        res,
+        mockNext()
+      );
+
+      const html = res.send.mock.calls[0][0];
+      expect(html).toContain("Credit note CN-000001");
+      expect(html).toContain("Credit note for invoice INV-000003");
+    });
+
+    it("returns 404 for a credit note of another order", async () => {
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder());
+
+      await getOrderCreditNote(
+        mockReq({ params: { id: "o1", creditNoteId: "cn-9" } }),
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+});
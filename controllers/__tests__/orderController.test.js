@@ -1,10 +1,13 @@
 import {
   createOrder,
+  quoteOrder,
   getMyOrders,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
   cancelMyOrder,
+  getOrderStatusHistory,
+  updateOrderItemStatus,
 } from "../orderController.js";
 
 import { prisma } from "../../lib/prismaClient.js";
@@ -16,6 +19,11 @@ jest.mock("../../lib/prismaClient.js", () => {
     update: jest.fn(),
     updateMany: jest.fn(),
   };
+  const productVariant = {
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  };
   const order = {
     create: jest.fn(),
     findMany: jest.fn(),
@@ -28,16 +36,69 @@ jest.mock("../../lib/prismaClient.js", () => {
   };
   const payment = {
     create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findMany: jest.fn(),
+  };
+  const orderItem = {
+    updateMany: jest.fn(async () => ({ count: 1 })),
+  };
+  const orderStatusHistory = {
+    findMany: jest.fn(),
+  };
+  const coupon = {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  };
+  const couponRedemption = {
+    count: jest.fn(),
+    create: jest.fn(),
+  };
+  const taxRule = {
+    findMany: jest.fn(),
+  };
+  const shippingZone = {
+    findMany: jest.fn(),
+  };
+  const stockReservation = {
+    updateMany: jest.fn(),
+  };
+  const stockMovement = {
+    create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+  };
+  const userAddress = {
+    findFirst: jest.fn(),
   };
 
   return {
     prisma: {
       product,
+      productVariant,
       order,
       shippingAddress,
       payment,
+      orderItem,
+      orderStatusHistory,
+      coupon,
+      couponRedemption,
+      taxRule,
+      shippingZone,
+      stockReservation,
+      stockMovement,
+      userAddress,
       $transaction: jest.fn(async (cb) =>
-        cb({ product, order, shippingAddress, payment })
+        cb({
+          product,
+          productVariant,
+          order,
+          shippingAddress,
+          payment,
+          orderItem,
+          coupon,
+          couponRedemption,
+          stockReservation,
+          stockMovement,
+        })
       ),
     },
   };
@@ -96,7 +157,7 @@ describe("orderController", () => {
         id: "o1",
         userId: "user-1",
         orderItems: [],
-        payment: null,
+        payments: [],
         shippingAddress: null,
       });
 
@@ -108,6 +169,370 @@ describe("orderController", () => {
       );
     });
 
+    it("reserves stock per line until the payment deadline", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: { items: [{ productId: "p1", quantity: 2 }] },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "P1", price: "10.00", stock: 10, isActive: true },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "o1" });
+      prisma.order.findUnique.mockResolvedValue({ id: "o1" });
+
+      await createOrder(req, res, next);
+
+      const { data } = prisma.order.create.mock.calls[0][0];
+      expect(data.paymentDueAt).toEqual(expect.any(Date));
+      expect(data.paymentDueAt.getTime()).toBeGreaterThan(Date.now());
+      expect(data.orderItems.create[0].reservation).toEqual({
+        create: { productId: "p1", quantity: 2 },
+      });
+    });
+
+    it("ships to a copy of a saved address", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [{ productId: "p1", quantity: 1 }],
+          addressId: "addr-1",
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.userAddress.findFirst.mockResolvedValue({
+        id: "addr-1",
+        userId: "user-1",
+        label: "Home",
+        isDefaultShipping: true,
+        fullName: "Sita Sharma",
+        phone: "9800000000",
+        address: "Baneshwor 10",
+        city: "Kathmandu",
+        postalCode: "44600",
+        country: "Nepal",
+      });
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "P1", price: "10.00", stock: 10, isActive: true },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "o1" });
+      prisma.order.findUnique.mockResolvedValue({ id: "o1" });
+
+      await createOrder(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.userAddress.findFirst).toHaveBeenCalledWith({
+        where: { id: "addr-1", userId: "user-1" },
+      });
+      expect(prisma.shippingAddress.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "o1",
+          fullName: "Sita Sharma",
+          phone: "9800000000",
+          address: "Baneshwor 10",
+          city: "Kathmandu",
+          postalCode: "44600",
+          country: "Nepal",
+        },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects a saved address of another user", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [{ productId: "p1", quantity: 1 }],
+          addressId: "addr-9",
+        },
+      };
+      const next = mockNext();
+      prisma.userAddress.findFirst.mockResolvedValue(null);
+
+      await createOrder(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it("sets no payment deadline for cash on delivery", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [{ productId: "p1", quantity: 1 }],
+          paymentMethod: "COD",
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "P1", price: "10.00", stock: 10, isActive: true },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "o1" });
+      prisma.payment.create.mockResolvedValue({});
+      prisma.order.findUnique.mockResolvedValue({ id: "o1" });
+
+      await createOrder(req, res, next);
+
+      const { data } = prisma.order.create.mock.calls[0][0];
+      expect(data.paymentDueAt).toBeNull();
+    });
+
+    it("applies a coupon across lines and records the redemption", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [
+            { productId: "p1", quantity: 3 },
+            { productId: "p2", quantity: 1 },
+          ],
+          couponCode: "dashain10",
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        code: "DASHAIN10",
+        type: "PERCENTAGE",
+        value: "10",
+        isActive: true,
+        timesUsed: 0,
+        products: [],
+        categories: [],
+      });
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "P1", price: "20.00", stock: 10, isActive: true },
+        { id: "p2", name: "P2", price: "40.00", stock: 10, isActive: true },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "o1" });
+      prisma.coupon.update.mockResolvedValue({ timesUsed: 1 });
+      prisma.couponRedemption.create.mockResolvedValue({});
+      prisma.order.findUnique.mockResolvedValue({ id: "o1" });
+
+      await createOrder(req, res, next);
+
+      const { data } = prisma.order.create.mock.calls[0][0];
+      expect(data.subtotal.toString()).toBe("100");
+      expect(data.discount.toString()).toBe("10");
+      // 15% tax on the discounted 90
+      expect(data.tax.toString()).toBe("13.5");
+      expect(data.total.toString()).toBe("103.5");
+      expect(data.orderItems.create.map((i) => i.discount.toString())).toEqual(
+        ["6", "4"]
+      );
+      expect(prisma.couponRedemption.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          couponId: "cp1",
+          userId: "user-1",
+          orderId: "o1",
+        }),
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("taxes each line by the matching tax rule", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [
+            { productId: "p1", quantity: 1 },
+            { productId: "p2", quantity: 1 },
+          ],
+          shippingAddress: {
+            fullName: "Ram",
+            phone: "9800000000",
+            address: "Baneshwor",
+            city: "Kathmandu",
+            postalCode: "44600",
+            country: "Nepal",
+          },
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.taxRule.findMany.mockResolvedValue([
+        { id: "t1", country: "nepal", rate: "0.13", priceIncludesTax: true },
+        { id: "t2", categoryId: "books", rate: "0", isExempt: true },
+      ]);
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "P1", price: "113.00", stock: 5, isActive: true },
+        {
+          id: "p2",
+          name: "P2",
+          price: "50.00",
+          stock: 5,
+          isActive: true,
+          categories: [{ id: "books" }],
+        },
+      ]);
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "o1" });
+      prisma.shippingAddress.create.mockResolvedValue({});
+      prisma.order.findUnique.mockResolvedValue({ id: "o1" });
+
+      await createOrder(req, res, next);
+
+      const { data } = prisma.order.create.mock.calls[0][0];
+      const lines = data.orderItems.create;
+      expect(lines[0].tax.toString()).toBe("13");
+      expect(lines[0].taxIncluded).toBe(true);
+      expect(lines[1].tax.toString()).toBe("0");
+      expect(data.tax.toString()).toBe("13");
+      // included tax is not added on top of the prices
+      expect(data.total.toString()).toBe("163");
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("prices and decrements a variant line by the variant", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: { items: [{ productId: "p1", variantId: "v1", quantity: 2 }] },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "p1",
+          name: "T-shirt",
+          price: "10.00",
+          stock: 0,
+          isActive: true,
+          _count: { variants: 2 },
+        },
+      ]);
+      prisma.productVariant.findMany.mockResolvedValue([
+        {
+          id: "v1",
+          productId: "p1",
+          sku: "TS-L",
+          name: "Large",
+          price: "12.00",
+          stock: 3,
+          isActive: true,
+        },
+      ]);
+      prisma.productVariant.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.create.mockResolvedValue({ id: "o1" });
+      prisma.order.findUnique.mockResolvedValue({ id: "o1", userId: "user-1" });
+
+      await createOrder(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: "v1", stock: { gte: 2 } },
+        data: { stock: { decrement: 2 } },
+      });
+      expect(prisma.product.updateMany).not.toHaveBeenCalled();
+      expect(prisma.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          productId: "p1",
+          variantId: "v1",
+          quantity: -2,
+          type: "SALE",
+          referenceType: "ORDER",
+          referenceId: "o1",
+          actorId: "user-1",
+        }),
+      });
+      const { data } = prisma.order.create.mock.calls[0][0];
+      expect(data.subtotal.toString()).toBe("24");
+      expect(data.orderItems.create[0]).toMatchObject({
+        productId: "p1",
+        variantId: "v1",
+        variantName: "Large",
+        sku: "TS-L",
+      });
+    });
+
+    it("requires a variant for a product that has variants", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: { items: [{ productId: "p1", quantity: 1 }] },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "p1",
+          name: "T-shirt",
+          price: "10.00",
+          stock: 5,
+          isActive: true,
+          _count: { variants: 2 },
+        },
+      ]);
+
+      await createOrder(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe(
+        "Choose a variant of product: T-shirt"
+      );
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it("checks stock on the variant", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: { items: [{ productId: "p1", variantId: "v1", quantity: 4 }] },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "T-shirt", price: "10", stock: 50, isActive: true },
+      ]);
+      prisma.productVariant.findMany.mockResolvedValue([
+        {
+          id: "v1",
+          productId: "p1",
+          name: "Large",
+          stock: 3,
+          isActive: true,
+        },
+      ]);
+
+      await createOrder(req, res, next);
+
+      expect(next.mock.calls[0][0].message).toBe(
+        "Not enough stock for product: T-shirt (Large)"
+      );
+    });
+
+    it("rejects a variant of another product", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: { items: [{ productId: "p1", variantId: "v9", quantity: 1 }] },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "T-shirt", price: "10", stock: 5, isActive: true },
+      ]);
+      prisma.productVariant.findMany.mockResolvedValue([
+        { id: "v9", productId: "p2", name: "Blue", stock: 5, isActive: true },
+      ]);
+
+      await createOrder(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+
     it("rejects unauthenticated", async () => {
       const req = { body: { items: [{ productId: "p1", quantity: 1 }] } };
       const res = mockRes();
@@ -163,6 +588,107 @@ describe("orderController", () => {
     });
   });
 
+  // ===========================
+  // QUOTE ORDER
+  // ===========================
+  describe("quoteOrder", () => {
+    const zones = [
+      {
+        id: "z1",
+        name: "Kathmandu Valley",
+        countries: ["Nepal"],
+        cities: ["Kathmandu", "Lalitpur", "Bhaktapur"],
+        baseFee: "100",
+        perKgFee: "20",
+        freeShippingThreshold: "5000",
+      },
+      {
+        id: "z2",
+        name: "Outside Valley",
+        countries: ["Nepal"],
+        cities: [],
+        baseFee: "150",
+        perKgFee: "50",
+      },
+    ];
+
+    it("prices items by zone and weight without creating anything", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [{ productId: "p1", quantity: 2 }],
+          shippingAddress: { country: "Nepal", city: "Pokhara" },
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shippingZone.findMany.mockResolvedValue(zones);
+      prisma.taxRule.findMany.mockResolvedValue([]);
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "p1",
+          name: "Kettle",
+          price: "1000.00",
+          stock: 5,
+          isActive: true,
+          weightGrams: 1200,
+        },
+      ]);
+
+      await quoteOrder(req, res, next);
+
+      const { data } = res.json.mock.calls[0][0];
+      // 2.4 kg -> 3 started kg
+      expect(data.shippingFee.toString()).toBe("300");
+      expect(data.shippingZone).toEqual({ id: "z2", name: "Outside Valley" });
+      expect(data.tax.toString()).toBe("300");
+      expect(data.total.toString()).toBe("2600");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(prisma.order.create).not.toHaveBeenCalled();
+      expect(prisma.product.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("waives shipping above the zone's free-shipping threshold", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [{ productId: "p1", quantity: 6 }],
+          shippingAddress: { country: "nepal", city: "lalitpur" },
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shippingZone.findMany.mockResolvedValue(zones);
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "Kettle", price: "1000.00", stock: 10, isActive: true },
+      ]);
+
+      await quoteOrder(req, res, next);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.shippingZone.name).toBe("Kathmandu Valley");
+      expect(data.shippingFee.toString()).toBe("0");
+    });
+
+    it("requires a country when an address is given", async () => {
+      const req = {
+        user: { id: "user-1" },
+        body: {
+          items: [{ productId: "p1", quantity: 1 }],
+          shippingAddress: { city: "Kathmandu" },
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      await quoteOrder(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
   // ===========================
   // GET MY ORDERS
   // ===========================
@@ -319,6 +845,11 @@ describe("orderController", () => {
       const res = mockRes();
       const next = mockNext();
 
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        status: "PENDING",
+        orderItems: [],
+      });
       prisma.order.update.mockResolvedValue({
         id: "o1",
         status: "PROCESSING",
@@ -326,12 +857,459 @@ describe("orderController", () => {
 
       await updateOrderStatus(req, res, next);
 
+      expect(prisma.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: "o1", status: "PENDING" },
+          data: {
+            status: "PROCESSING",
+            statusHistory: {
+              create: {
+                fromStatus: "PENDING",
+                toStatus: "PROCESSING",
+                changedById: "u1",
+                note: null,
+              },
+            },
+          },
+        })
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         id: "o1",
         status: "PROCESSING",
       });
     });
+
+    it("rejects transitions outside the workflow", async () => {
+      const req = {
+        params: { id: "o1" },
+        body: { status: "PENDING" },
+        user: { id: "u1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        status: "DELIVERED",
+        orderItems: [],
+      });
+
+      await updateOrderStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it("does not reopen a canceled order", async () => {
+      const req = {
+        params: { id: "o1" },
+        body: { status: "SHIPPED" },
+        user: { id: "u1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        status: "CANCELED",
+        orderItems: [],
+      });
+
+      await updateOrderStatus(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it("restores stock when admin cancels", async () => {
+      const req = {
+        params: { id: "o1" },
+        body: { status: "CANCELED", note: "Customer called" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        status: "PROCESSING",
+        orderItems: [
+          { productId: "p1", quantity: 2 },
+          { productId: "p2", quantity: 1 },
+        ],
+      });
+      prisma.product.update.mockResolvedValue({});
+      prisma.order.update.mockResolvedValue({ id: "o1", status: "CANCELED" });
+
+      await updateOrderStatus(req, res, next);
+
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 2 } },
+      });
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p2" },
+        data: { stock: { increment: 1 } },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("returns 409 when the status changed concurrently", async () => {
+      const req = {
+        params: { id: "o1" },
+        body: { status: "PROCESSING" },
+        user: { id: "u1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        status: "PENDING",
+        orderItems: [],
+      });
+      prisma.order.update.mockRejectedValue({ code: "P2025" });
+
+      await updateOrderStatus(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+    });
+  });
+
+  // ===========================
+  // UPDATE ORDER ITEM STATUS (ADMIN)
+  // ===========================
+  describe("updateOrderItemStatus", () => {
+    const orderWithTwoLines = (overrides = {}) => ({
+      id: "o1",
+      status: "PENDING",
+      shippingFee: "0",
+      orderItems: [
+        {
+          id: "i1",
+          productId: "p1",
+          productName: "Product 1",
+          quantity: 2,
+          status: "PENDING",
+          subtotal: "20.00",
+          tax: "3.00",
+          discount: "0",
+        },
+        {
+          id: "i2",
+          productId: "p2",
+          productName: "Product 2",
+          quantity: 1,
+          status: "PENDING",
+          subtotal: "10.00",
+          tax: "1.50",
+          discount: "0",
+        },
+      ],
+      ...overrides,
+    });
+
+    it("requires admin", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "PACKED" },
+        user: { id: "u1", isAdmin: false },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+
+    it("returns 404 for an item outside the order", async () => {
+      const req = {
+        params: { id: "o1", itemId: "nope" },
+        body: { status: "PACKED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(orderWithTwoLines());
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+
+    it("rejects invalid item transitions", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "REFUNDED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(orderWithTwoLines());
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.orderItem.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("returns 409 when the line changed since it was read", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "CANCELLED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(orderWithTwoLines());
+      prisma.orderItem.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(prisma.product.update).not.toHaveBeenCalled();
+      expect(prisma.order.update).not.toHaveBeenCalled();
+    });
+
+    it("moves the order to SHIPPED when the first line ships", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "SHIPPED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(orderWithTwoLines());
+      prisma.order.update.mockImplementation(async ({ data }) => ({
+        ...orderWithTwoLines(),
+        status: data.status,
+      }));
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(prisma.orderItem.updateMany).toHaveBeenCalledWith({
+        where: { id: "i1", status: "PENDING" },
+        data: { status: "SHIPPED" },
+      });
+      // PENDING -> PROCESSING -> SHIPPED, one history entry per step
+      expect(prisma.order.update).toHaveBeenCalledTimes(2);
+      expect(prisma.order.update.mock.calls[1][0].data.status).toBe("SHIPPED");
+      expect(prisma.product.update).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ status: "SHIPPED" })
+      );
+    });
+
+    it("cancels a line, restocks it and recomputes totals", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "CANCELLED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      const order = orderWithTwoLines();
+      prisma.order.findUnique.mockResolvedValue(order);
+      prisma.product.update.mockResolvedValue({});
+      prisma.order.update.mockResolvedValue({
+        ...order,
+        orderItems: [
+          { ...order.orderItems[0], status: "CANCELLED" },
+          order.orderItems[1],
+        ],
+      });
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.payment.findMany.mockResolvedValue([
+        { id: "pay-1", status: "PENDING", amount: "11.50" },
+      ]);
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 2 } },
+      });
+      expect(prisma.stockMovement.create.mock.calls[0][0].data).toMatchObject({
+        productId: "p1",
+        quantity: 2,
+        type: "CANCELLATION",
+        referenceType: "ORDER",
+        referenceId: "o1",
+        actorId: "admin-1",
+      });
+      const totals = prisma.order.update.mock.calls[0][0].data;
+      expect(totals.subtotal.toString()).toBe("10");
+      expect(totals.tax.toString()).toBe("1.5");
+      expect(totals.total.toString()).toBe("11.5");
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { orderId: "o1", status: "PENDING" },
+        data: { amount: totals.total },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("restocks a cancelled variant line on the variant", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "CANCELLED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      const order = orderWithTwoLines();
+      order.orderItems[0].variantId = "v1";
+      prisma.order.findUnique.mockResolvedValue(order);
+      prisma.productVariant.update.mockResolvedValue({});
+      prisma.order.update.mockResolvedValue({ ...order });
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+      prisma.payment.findMany.mockResolvedValue([]);
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(prisma.productVariant.update).toHaveBeenCalledWith({
+        where: { id: "v1" },
+        data: { stock: { increment: 2 } },
+      });
+      expect(prisma.product.update).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("skips restocking a refund when restock is false", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "REFUNDED", restock: false },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      const order = orderWithTwoLines({ status: "DELIVERED" });
+      order.orderItems.forEach((i) => (i.status = "DELIVERED"));
+      prisma.order.findUnique.mockResolvedValue(order);
+      prisma.order.update.mockResolvedValue({ ...order });
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+      prisma.payment.findMany.mockResolvedValue([]);
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(prisma.product.update).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("only restocks the units a refund has not put back yet", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "REFUNDED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      const order = orderWithTwoLines({ status: "DELIVERED" });
+      order.orderItems.forEach((i) => (i.status = "DELIVERED"));
+      order.orderItems[0].restockedQuantity = 1;
+      prisma.order.findUnique.mockResolvedValue(order);
+      prisma.order.update.mockResolvedValue({ ...order });
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+      prisma.payment.findMany.mockResolvedValue([]);
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(prisma.orderItem.updateMany).toHaveBeenCalledWith({
+        where: { id: "i1", restockedQuantity: 1 },
+        data: { restockedQuantity: { increment: 1 } },
+      });
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 1 } },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("does not restock a line whose units are all back in stock", async () => {
+      const req = {
+        params: { id: "o1", itemId: "i1" },
+        body: { status: "REFUNDED" },
+        user: { id: "admin-1", isAdmin: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      const order = orderWithTwoLines({ status: "DELIVERED" });
+      order.orderItems.forEach((i) => (i.status = "DELIVERED"));
+      order.orderItems[0].restockedQuantity = 2;
+      prisma.order.findUnique.mockResolvedValue(order);
+      prisma.order.update.mockResolvedValue({ ...order });
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+      prisma.payment.findMany.mockResolvedValue([]);
+
+      await updateOrderItemStatus(req, res, next);
+
+      expect(prisma.orderItem.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.product.update).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  // ===========================
+  // ORDER STATUS HISTORY
+  // ===========================
+  describe("getOrderStatusHistory", () => {
+    it("returns history for the owner", async () => {
+      const req = { params: { id: "o1" }, user: { id: "u1" } };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        userId: "u1",
+        status: "PROCESSING",
+      });
+      prisma.orderStatusHistory.findMany.mockResolvedValue([
+        { fromStatus: null, toStatus: "PENDING" },
+        { fromStatus: "PENDING", toStatus: "PROCESSING" },
+      ]);
+
+      await getOrderStatusHistory(req, res, next);
+
+      expect(prisma.orderStatusHistory.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { orderId: "o1" },
+          orderBy: { createdAt: "asc" },
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        orderId: "o1",
+        status: "PROCESSING",
+        history: [
+          { fromStatus: null, toStatus: "PENDING" },
+          { fromStatus: "PENDING", toStatus: "PROCESSING" },
+        ],
+      });
+    });
+
+    it("denies non-owner", async () => {
+      const req = { params: { id: "o1" }, user: { id: "u2" } };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({ id: "o1", userId: "u1" });
+
+      await getOrderStatusHistory(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+      expect(prisma.orderStatusHistory.findMany).not.toHaveBeenCalled();
+    });
   });
 
   // ===========================
@@ -359,7 +1337,7 @@ describe("orderController", () => {
         userId: "u1",
         status: "PENDING",
         orderItems: [{ productId: "p1", quantity: 2 }],
-        payment: null,
+        payments: [],
       });
 
       prisma.product.update.mockResolvedValue({});
@@ -370,6 +1348,10 @@ describe("orderController", () => {
 
       await cancelMyOrder(req, res, next);
 
+      expect(prisma.stockReservation.updateMany).toHaveBeenCalledWith({
+        where: { status: "ACTIVE", orderItem: { orderId: "o1" } },
+        data: { status: "RELEASED", settledAt: expect.any(Date) },
+      });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         id: "o1",
@@ -1,8 +1,11 @@
 import {
   createPayment,
+  initiatePayment,
+  verifyPayment,
   updatePaymentStatus,
   getPaymentByOrder,
   refundPayment,
+  getRefunds,
 } from "../paymentController.js";
 import { prisma } from "../../lib/prismaClient.js";
 import { AppError } from "../../utils/AppError.js";
@@ -11,14 +14,60 @@ jest.mock("../../lib/prismaClient.js", () => {
   const payment = {
     create: jest.fn(),
     findUnique: jest.fn(),
+    findFirst: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
   };
   const order = {
     findUnique: jest.fn(),
+    update: jest.fn(),
+  };
+  const stockReservation = {
+    updateMany: jest.fn(),
+  };
+  const invoice = {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+  };
+  const invoiceCounter = {
+    upsert: jest.fn(),
+  };
+  const creditNote = {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+  };
+  const refund = {
+    create: jest.fn(),
+    update: jest.fn(),
+    aggregate: jest.fn(),
+    findMany: jest.fn(),
+  };
+  const refundItem = {
+    findMany: jest.fn(),
+  };
+  const orderItem = {
+    findMany: jest.fn(),
+    updateMany: jest.fn(async () => ({ count: 1 })),
+  };
+  const product = {
+    update: jest.fn(),
+  };
+  const stockMovement = {
+    create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
   };
   const prisma = {
     payment,
     order,
+    stockReservation,
+    invoice,
+    invoiceCounter,
+    creditNote,
+    refund,
+    refundItem,
+    orderItem,
+    product,
+    stockMovement,
+    $transaction: jest.fn(async (cb) => cb(prisma)),
   };
   return { prisma };
 });
@@ -30,6 +79,15 @@ const mockRes = () => {
 
 const mockNext = () => jest.fn();
 
+// what onPaymentPaid and issueInvoice read of the order
+const placedOrder = {
+  id: "order-1",
+  status: "PENDING",
+  total: "100.00",
+  createdAt: new Date("2026-10-19T10:00:00Z"),
+  orderItems: [],
+};
+
 describe("paymentController", () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -52,10 +110,9 @@ describe("paymentController", () => {
         id: "order-1",
         userId: "user-1",
         total: "100.00",
+        payments: [],
       });
 
-      prisma.payment.findUnique.mockResolvedValue(null);
-
       prisma.payment.create.mockResolvedValue({
         id: "payment-1",
         orderId: "order-1",
@@ -67,6 +124,13 @@ describe("paymentController", () => {
 
       await createPayment(req, res, next);
 
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { orderId: "order-1", status: "PENDING" },
+        data: {
+          status: "FAILED",
+          failureReason: "Superseded by a new payment attempt",
+        },
+      });
       expect(prisma.payment.create).toHaveBeenCalledWith({
         data: {
           orderId: "order-1",
@@ -116,7 +180,7 @@ describe("paymentController", () => {
       expect(next.mock.calls[0][0].statusCode).toBe(404);
     });
 
-    it("rejects when payment already exists", async () => {
+    it("rejects when the order is already paid", async () => {
       const req = {
         user: { id: "user-1" },
         params: { orderId: "order-1" },
@@ -129,17 +193,44 @@ describe("paymentController", () => {
         id: "order-1",
         userId: "user-1",
         total: "100.00",
+        payments: [{ id: "payment-1", amount: "100.00", status: "PAID" }],
       });
 
-      prisma.payment.findUnique.mockResolvedValue({
-        id: "payment-1",
+      await createPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.payment.create).not.toHaveBeenCalled();
+    });
+
+    it("records a new attempt after a failed one", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "STRIPE" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        userId: "user-1",
+        total: "100.00",
+        payments: [{ id: "payment-1", amount: "100.00", status: "FAILED" }],
+      });
+      prisma.payment.create.mockResolvedValue({
+        id: "payment-2",
         orderId: "order-1",
+        status: "PENDING",
       });
 
       await createPayment(req, res, next);
 
-      expect(next).toHaveBeenCalledWith(expect.any(AppError));
-      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "payment-2" })
+      );
     });
 
     it("rejects when user does not own order and is not admin", async () => {
@@ -176,10 +267,9 @@ describe("paymentController", () => {
         id: "order-1",
         userId: "user-1",
         total: "100.00",
+        payments: [],
       });
 
-      prisma.payment.findUnique.mockResolvedValue(null);
-
       prisma.payment.create.mockResolvedValue({
         id: "payment-1",
         orderId: "order-1",
@@ -194,9 +284,435 @@ describe("paymentController", () => {
     });
   });
 
+  describe("initiatePayment", () => {
+    const pendingOrder = {
+      id: "order-1",
+      userId: "user-1",
+      status: "PENDING",
+      total: "100.00",
+      paymentDueAt: new Date(),
+      payments: [],
+    };
+
+    // create echoes its data; update merges into the created attempt
+    const mockAttemptWrites = () => {
+      prisma.payment.create.mockImplementation(({ data }) =>
+        Promise.resolve({ id: "payment-1", ...data })
+      );
+      prisma.payment.update.mockImplementation(({ where, data }) =>
+        Promise.resolve({ id: where.id, ...data })
+      );
+    };
+
+    it("starts a provider payment and returns the client action", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "fake" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(pendingOrder);
+      mockAttemptWrites();
+
+      await initiatePayment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          amount: "100.00",
+          provider: "FAKE",
+          status: "PENDING",
+        },
+      });
+      const { where, data: update } = prisma.payment.update.mock.calls[0][0];
+      expect(where).toEqual({ id: "payment-1" });
+      expect(update.providerReference).toMatch(/^fake_/);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data).toMatchObject({
+        paymentId: "payment-1",
+        provider: "FAKE",
+        type: "redirect",
+      });
+      expect(data.url).toContain("orderId=order-1");
+      expect(data.url).toContain("paymentId=payment-1");
+      expect(data.url).toContain(`reference=${update.providerReference}`);
+    });
+
+    it("starts a new attempt after a failed one", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "FAKE" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        ...pendingOrder,
+        payments: [
+          { id: "payment-0", amount: "100.00", status: "FAILED" },
+        ],
+      });
+      mockAttemptWrites();
+
+      await initiatePayment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { orderId: "order-1", status: "PENDING" },
+        data: expect.objectContaining({ status: "FAILED" }),
+      });
+      expect(prisma.payment.create).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("keeps the attempt as FAILED when the provider refuses it", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "KHALTI" },
+      };
+      const next = mockNext();
+
+      // no KHALTI_SECRET_KEY in tests, so the adapter refuses
+      prisma.order.findUnique.mockResolvedValue(pendingOrder);
+      mockAttemptWrites();
+
+      await initiatePayment(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(500);
+      expect(prisma.payment.update).toHaveBeenCalledWith({
+        where: { id: "payment-1" },
+        data: { status: "FAILED", failureReason: "Khalti is not configured" },
+      });
+    });
+
+    it("lifts the payment deadline for cash on delivery", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "COD" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(pendingOrder);
+      mockAttemptWrites();
+
+      await initiatePayment(req, res, next);
+
+      expect(prisma.order.update).toHaveBeenCalledWith({
+        where: { id: "order-1" },
+        data: { paymentDueAt: null },
+      });
+      expect(res.json.mock.calls[0][0].data.type).toBe("none");
+    });
+
+    it("rejects unknown providers", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "STRIPE" },
+      };
+      const next = mockNext();
+
+      await initiatePayment(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.payment.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects orders of other users", async () => {
+      const req = {
+        user: { id: "user-2" },
+        params: { orderId: "order-1" },
+        body: { provider: "FAKE" },
+      };
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(pendingOrder);
+
+      await initiatePayment(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+
+    it("rejects orders that are already paid", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { provider: "FAKE" },
+      };
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        ...pendingOrder,
+        payments: [
+          { id: "payment-0", amount: "100.00", status: "FAILED" },
+          { id: "payment-1", amount: "100.00", status: "PAID" },
+        ],
+      });
+
+      await initiatePayment(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.payment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("verifyPayment", () => {
+    const pendingPayment = {
+      id: "payment-1",
+      orderId: "order-1",
+      amount: "100.00",
+      provider: "FAKE",
+      status: "PENDING",
+      providerReference: "fake_ref",
+    };
+
+    it("marks the payment PAID once the provider confirms it", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        query: { reference: "fake_ref", status: "COMPLETE" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.findUnique.mockResolvedValue({
+        ...pendingPayment,
+        status: "PAID",
+      });
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(placedOrder);
+      prisma.invoice.findUnique.mockResolvedValue(null);
+      prisma.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 7 });
+      prisma.invoice.create.mockResolvedValue({ id: "inv-1", number: 7 });
+
+      await verifyPayment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.findFirst).toHaveBeenCalledWith({
+        where: { orderId: "order-1" },
+        orderBy: { createdAt: "desc" },
+      });
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: "payment-1", status: "PENDING" },
+        data: expect.objectContaining({
+          status: "PAID",
+          transactionId: "fake_txn_payment-1",
+          verifiedAt: expect.any(Date),
+        }),
+      });
+      expect(prisma.stockReservation.updateMany).toHaveBeenCalled();
+      expect(prisma.invoice.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          number: 7,
+          snapshot: expect.objectContaining({ orderId: "order-1" }),
+        },
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ status: "PAID" }),
+      });
+    });
+
+    it("flags a payment confirmed after the order expired for refund", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        query: { reference: "fake_ref", status: "COMPLETE" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      // the reservation sweeper canceled the order and released its stock
+      prisma.order.findUnique.mockResolvedValue({
+        total: "100.00",
+        status: "CANCELED",
+      });
+      prisma.payment.findUnique.mockResolvedValue({
+        ...pendingPayment,
+        status: "PAID",
+        refundRequired: true,
+      });
+
+      await verifyPayment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.updateMany.mock.calls[0][0].data.status).toBe(
+        "PAID"
+      );
+      expect(prisma.payment.update).toHaveBeenCalledWith({
+        where: { id: "payment-1" },
+        data: { refundRequired: true },
+      });
+      expect(prisma.stockReservation.updateMany).not.toHaveBeenCalled();
+      expect(prisma.invoice.create).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.refundRequired).toBe(true);
+    });
+
+    it("marks the payment FAILED without issuing an invoice", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        body: { reference: "fake_ref", status: "FAILED" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+
+      await verifyPayment(req, res, next);
+
+      expect(prisma.payment.updateMany.mock.calls[0][0].data).toMatchObject({
+        status: "FAILED",
+        failureReason: "Declined by fake gateway",
+      });
+      expect(prisma.invoice.create).not.toHaveBeenCalled();
+    });
+
+    it("verifies the attempt named by paymentId", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        query: { paymentId: "payment-1", reference: "fake_ref" },
+      };
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+
+      await verifyPayment(req, mockRes(), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.findFirst).toHaveBeenCalledWith({
+        where: { orderId: "order-1", id: "payment-1" },
+        orderBy: { createdAt: "desc" },
+      });
+    });
+
+    it("does not settle twice when the callback is replayed", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        query: { reference: "fake_ref", status: "COMPLETE" },
+      };
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+
+      await verifyPayment(req, mockRes(), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.stockReservation.updateMany).not.toHaveBeenCalled();
+      expect(prisma.invoice.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects callbacks for a different provider reference", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        query: { reference: "fake_other", status: "COMPLETE" },
+      };
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+
+      await verifyPayment(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("returns settled payments unchanged", async () => {
+      const req = { params: { orderId: "order-1" }, query: {} };
+      const res = mockRes();
+
+      prisma.payment.findFirst.mockResolvedValue({
+        ...pendingPayment,
+        status: "PAID",
+      });
+
+      await verifyPayment(req, res, mockNext());
+
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("confirms a superseded attempt that was paid after all", async () => {
+      const req = {
+        params: { orderId: "order-1" },
+        query: {
+          paymentId: "payment-1",
+          reference: "fake_ref",
+          status: "COMPLETE",
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      const superseded = {
+        ...pendingPayment,
+        status: "FAILED",
+        failureReason: "Superseded by a new payment attempt",
+      };
+
+      prisma.payment.findFirst.mockResolvedValue(superseded);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.payment.findUnique.mockResolvedValue({
+        ...superseded,
+        status: "PAID",
+      });
+      prisma.order.findUnique.mockResolvedValue(placedOrder);
+      prisma.invoice.findUnique.mockResolvedValue(null);
+      prisma.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 8 });
+      prisma.invoice.create.mockResolvedValue({ id: "inv-1", number: 8 });
+
+      await verifyPayment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: "payment-1", status: "FAILED" },
+        data: expect.objectContaining({ status: "PAID" }),
+      });
+      expect(prisma.stockReservation.updateMany).toHaveBeenCalled();
+      expect(prisma.invoice.create).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.status).toBe("PAID");
+    });
+
+    it("returns a failed attempt that never reached the provider", async () => {
+      const req = { params: { orderId: "order-1" }, query: {} };
+      const res = mockRes();
+
+      prisma.payment.findFirst.mockResolvedValue({
+        ...pendingPayment,
+        status: "FAILED",
+        providerReference: null,
+      });
+
+      await verifyPayment(req, res, mockNext());
+
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
   describe("updatePaymentStatus", () => {
+    const pendingPayment = {
+      id: "payment-1",
+      orderId: "order-1",
+      amount: "100.00",
+      status: "PENDING",
+      transactionId: null,
+    };
+
     it("updates payment status successfully", async () => {
       const req = {
+        user: { id: "admin-1", isAdmin: true },
         params: { orderId: "order-1" },
         body: {
           status: "PAID",
@@ -206,29 +722,38 @@ describe("paymentController", () => {
       const res = mockRes();
       const next = mockNext();
 
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
       prisma.payment.findUnique.mockResolvedValue({
-        id: "payment-1",
-        orderId: "order-1",
-        status: "PENDING",
-        transactionId: null,
-      });
-
-      prisma.payment.update.mockResolvedValue({
-        id: "payment-1",
-        orderId: "order-1",
+        ...pendingPayment,
         status: "PAID",
         transactionId: "txn_456",
       });
+      prisma.order.findUnique.mockResolvedValue(placedOrder);
+      prisma.invoice.findUnique.mockResolvedValue(null);
+      prisma.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 42 });
+      prisma.invoice.create.mockResolvedValue({ id: "inv-1", number: 42 });
 
       await updatePaymentStatus(req, res, next);
 
-      expect(prisma.payment.update).toHaveBeenCalledWith({
-        where: { orderId: "order-1" },
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: "payment-1", status: "PENDING" },
         data: {
           status: "PAID",
           transactionId: "txn_456",
         },
       });
+      expect(prisma.stockReservation.updateMany).toHaveBeenCalledWith({
+        where: { status: "ACTIVE", orderItem: { orderId: "order-1" } },
+        data: { status: "CONSUMED", settledAt: expect.any(Date) },
+      });
+      expect(prisma.invoice.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          number: 42,
+          snapshot: expect.objectContaining({ orderId: "order-1" }),
+        },
+      });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -238,30 +763,96 @@ describe("paymentController", () => {
       );
     });
 
-    it("rejects invalid payment status", async () => {
+    it("rejects non-admin users", async () => {
       const req = {
+        user: { id: "user-1" },
         params: { orderId: "order-1" },
-        body: { status: "INVALID_STATUS" },
+        body: { status: "PAID" },
       };
       const res = mockRes();
       const next = mockNext();
 
       await updatePaymentStatus(req, res, next);
 
-      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+      expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    });
+
+    it.each(["INVALID_STATUS", "PENDING", "REFUNDED"])(
+      "rejects %s as a manual payment status",
+      async (status) => {
+        const req = {
+          user: { id: "admin-1", isAdmin: true },
+          params: { orderId: "order-1" },
+          body: { status },
+        };
+        const res = mockRes();
+        const next = mockNext();
+
+        await updatePaymentStatus(req, res, next);
+
+        expect(next).toHaveBeenCalledWith(expect.any(AppError));
+        expect(next.mock.calls[0][0].statusCode).toBe(400);
+        expect(next.mock.calls[0][0].message).toContain(
+          "Invalid payment status"
+        );
+        expect(prisma.payment.findFirst).not.toHaveBeenCalled();
+      }
+    );
+
+    it.each(["REFUNDED", "PARTIALLY_REFUNDED", "PAID"])(
+      "rejects PAID for a %s payment",
+      async (from) => {
+        const req = {
+          user: { id: "admin-1", isAdmin: true },
+          params: { orderId: "order-1" },
+          body: { status: "PAID" },
+        };
+        const next = mockNext();
+
+        prisma.payment.findFirst.mockResolvedValue({
+          ...pendingPayment,
+          status: from,
+        });
+
+        await updatePaymentStatus(req, mockRes(), next);
+
+        expect(next.mock.calls[0][0].statusCode).toBe(400);
+        expect(next.mock.calls[0][0].message).toBe(
+          `Cannot change payment from ${from} to PAID`
+        );
+        expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+        expect(prisma.invoice.create).not.toHaveBeenCalled();
+      }
+    );
+
+    it("rejects a payment that changed while it was updated", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { status: "PAID" },
+      };
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+
+      await updatePaymentStatus(req, mockRes(), next);
+
       expect(next.mock.calls[0][0].statusCode).toBe(400);
-      expect(next.mock.calls[0][0].message).toContain("Invalid payment status");
+      expect(prisma.stockReservation.updateMany).not.toHaveBeenCalled();
     });
 
     it("rejects when payment not found", async () => {
       const req = {
+        user: { id: "admin-1", isAdmin: true },
         params: { orderId: "order-999" },
         body: { status: "PAID" },
       };
       const res = mockRes();
       const next = mockNext();
 
-      prisma.payment.findUnique.mockResolvedValue(null);
+      prisma.payment.findFirst.mockResolvedValue(null);
 
       await updatePaymentStatus(req, res, next);
 
@@ -271,38 +862,94 @@ describe("paymentController", () => {
 
     it("preserves existing transactionId if not provided", async () => {
       const req = {
+        user: { id: "admin-1", isAdmin: true },
         params: { orderId: "order-1" },
         body: { status: "PAID" },
       };
       const res = mockRes();
       const next = mockNext();
 
-      prisma.payment.findUnique.mockResolvedValue({
-        id: "payment-1",
-        orderId: "order-1",
+      prisma.payment.findFirst.mockResolvedValue({
+        ...pendingPayment,
         transactionId: "existing_txn",
       });
-
-      prisma.payment.update.mockResolvedValue({
-        id: "payment-1",
-        orderId: "order-1",
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.payment.findUnique.mockResolvedValue({
+        ...pendingPayment,
         status: "PAID",
         transactionId: "existing_txn",
       });
+      prisma.order.findUnique.mockResolvedValue(placedOrder);
 
       await updatePaymentStatus(req, res, next);
 
-      expect(prisma.payment.update).toHaveBeenCalledWith({
-        where: { orderId: "order-1" },
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: "payment-1", status: "PENDING" },
         data: {
           status: "PAID",
           transactionId: "existing_txn",
         },
       });
     });
+
+    it("does not settle the order when the attempt falls short", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { status: "PAID", paymentId: "payment-1" },
+      };
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue({
+        ...pendingPayment,
+        amount: "60.00",
+      });
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.payment.findUnique.mockResolvedValue({
+        ...pendingPayment,
+        amount: "60.00",
+        status: "PAID",
+      });
+      prisma.order.findUnique.mockResolvedValue(placedOrder);
+
+      await updatePaymentStatus(req, mockRes(), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.findFirst).toHaveBeenCalledWith({
+        where: { orderId: "order-1", id: "payment-1" },
+        orderBy: { createdAt: "desc" },
+      });
+      expect(prisma.stockReservation.updateMany).not.toHaveBeenCalled();
+      expect(prisma.invoice.create).not.toHaveBeenCalled();
+    });
+
+    it("records why an attempt failed", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { status: "FAILED", failureReason: "Card declined" },
+      };
+      const next = mockNext();
+
+      prisma.payment.findFirst.mockResolvedValue(pendingPayment);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.payment.findUnique.mockResolvedValue({ id: "payment-1" });
+
+      await updatePaymentStatus(req, mockRes(), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: "payment-1", status: "PENDING" },
+        data: {
+          status: "FAILED",
+          transactionId: null,
+          failureReason: "Card declined",
+        },
+      });
+    });
   });
 
- it("retrieves payment successfully", async () => {
+ it("retrieves the payment attempt history", async () => {
    const req = {
      user: { id: "user-1", isAdmin: true },
      params: { orderId: "order-1" },
@@ -310,55 +957,411 @@ describe("paymentController", () => {
    const res = mockRes();
    const next = mockNext();
 
-   prisma.payment.findUnique.mockResolvedValue({
-     id: "payment-1",
-     orderId: "order-1",
-     amount: "100.00",
-     status: "PAID",
+   const attempts = [
+     {
+       id: "payment-1",
+       amount: "100.00",
+       status: "FAILED",
+       failureReason: "Card declined",
+     },
+     { id: "payment-2", amount: "100.00", status: "PAID" },
+   ];
+   prisma.order.findUnique.mockResolvedValue({
+     id: "order-1",
+     userId: "user-2",
+     total: "100.00",
+     payments: attempts,
    });
 
    await getPaymentByOrder(req, res, next);
 
-   expect(prisma.payment.findUnique).toHaveBeenCalledWith({
-     where: { orderId: "order-1" },
+   expect(prisma.order.findUnique).toHaveBeenCalledWith({
+     where: { id: "order-1" },
+     include: { payments: { orderBy: { createdAt: "asc" } } },
    });
-
    expect(res.status).toHaveBeenCalledWith(200);
+   expect(res.json).toHaveBeenCalledWith({ paid: true, attempts });
  });
 
  describe("refundPayment", () => {
-   it("refunds payment successfully as admin", async () => {
+   const paidPayment = {
+     id: "payment-1",
+     orderId: "order-1",
+     amount: "100.00",
+     refundedAmount: "0",
+     provider: "FAKE",
+     transactionId: "txn_1",
+     status: "PAID",
+   };
+
+   const paidOrder = {
+     id: "order-1",
+     orderItems: [
+       {
+         id: "item-1",
+         productId: "p1",
+         productName: "Mug",
+         quantity: 2,
+         subtotal: "80.00",
+         discount: "0",
+         tax: "0",
+         taxIncluded: false,
+       },
+     ],
+   };
+
+   // refund.create echoes its data; items are joined with their order line
+   const mockRefundWrites = () => {
+     prisma.refund.create.mockImplementation(({ data }) =>
+       Promise.resolve({
+         id: "refund-1",
+         ...data,
+         items: data.items.create.map((item) => ({
+           ...item,
+           orderItem: paidOrder.orderItems.find(
+             (i) => i.id === item.orderItemId
+           ),
+         })),
+       })
+     );
+     prisma.refund.update.mockImplementation(({ data }) =>
+       Promise.resolve({ id: "refund-1", ...data })
+     );
+     prisma.payment.update.mockImplementation(({ data }) =>
+       Promise.resolve({ ...paidPayment, ...data })
+     );
+   };
+
+   it("refunds the remaining amount in full as admin", async () => {
      const req = {
        user: { id: "admin-1", isAdmin: true },
        params: { orderId: "order-1" },
+       body: { reason: "Customer changed their mind" },
      };
      const res = mockRes();
      const next = mockNext();
 
-     prisma.payment.findUnique.mockResolvedValue({
-       id: "payment-1",
-       orderId: "order-1",
-       status: "PAID",
+     prisma.payment.findFirst.mockResolvedValue(paidPayment);
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({
+       _sum: { amount: "100.00" },
      });
+     mockRefundWrites();
 
-     prisma.payment.update.mockResolvedValue({
-       id: "payment-1",
-       orderId: "order-1",
-       status: "REFUNDED",
+     await refundPayment(req, res, next);
+
+     expect(next).not.toHaveBeenCalled();
+     expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+       where: { id: "payment-1", refundedAmount: expect.anything() },
+       data: { refundedAmount: { increment: expect.anything() } },
+     });
+     const { data } = prisma.refund.create.mock.calls[0][0];
+     expect(data.amount.toString()).toBe("100");
+     expect(data).toMatchObject({
+       reason: "Customer changed their mind",
+       restock: false,
+       createdById: "admin-1",
+     });
+     expect(prisma.refund.update.mock.calls[0][0].data).toMatchObject({
+       status: "SUCCEEDED",
+       providerReference: expect.stringMatching(/^fake_refund_/),
+     });
+     expect(prisma.payment.update).toHaveBeenCalledWith({
+       where: { id: "payment-1" },
+       data: { status: "REFUNDED" },
      });
+     expect(prisma.product.update).not.toHaveBeenCalled();
+     expect(res.status).toHaveBeenCalledWith(201);
+     expect(res.json.mock.calls[0][0].data.payment.status).toBe("REFUNDED");
+   });
+
+   it("clears the refund flag once a canceled order's payment is back", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: {},
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue({
+       ...paidPayment,
+       refundRequired: true,
+     });
+     prisma.order.findUnique.mockResolvedValue({
+       ...paidOrder,
+       status: "CANCELED",
+     });
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({
+       _sum: { amount: "100.00" },
+     });
+     mockRefundWrites();
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next).not.toHaveBeenCalled();
+     expect(prisma.payment.update).toHaveBeenCalledWith({
+       where: { id: "payment-1" },
+       data: { status: "REFUNDED", refundRequired: false },
+     });
+   });
+
+   it("issues a credit note when the order was invoiced", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: {},
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue(paidPayment);
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({
+       _sum: { amount: "100.00" },
+     });
+     prisma.invoice.findUnique.mockResolvedValue({ id: "inv-1", number: 5 });
+     prisma.creditNote.findUnique.mockResolvedValue(null);
+     prisma.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 1 });
+     mockRefundWrites();
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next).not.toHaveBeenCalled();
+     expect(prisma.creditNote.create.mock.calls[0][0].data).toMatchObject({
+       number: 1,
+       invoiceId: "inv-1",
+       refundId: "refund-1",
+       snapshot: { invoiceNumber: "INV-000005" },
+     });
+     expect(prisma.invoice.create).not.toHaveBeenCalled();
+   });
+
+   it("refunds selected units and restocks them", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: {
+         items: [{ orderItemId: "item-1", quantity: 1 }],
+         restock: true,
+       },
+     };
+     const res = mockRes();
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue(paidPayment);
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.refundItem.findMany.mockResolvedValue([]);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({ _sum: { amount: "40.00" } });
+     prisma.orderItem.findMany.mockResolvedValue(paidOrder.orderItems);
+     mockRefundWrites();
 
      await refundPayment(req, res, next);
 
+     expect(next).not.toHaveBeenCalled();
+     const { data } = prisma.refund.create.mock.calls[0][0];
+     expect(data.amount.toString()).toBe("40");
+     expect(data.items.create).toEqual([
+       { orderItemId: "item-1", quantity: 1, amount: expect.anything() },
+     ]);
+     expect(prisma.product.update).toHaveBeenCalledWith({
+       where: { id: "p1" },
+       data: { stock: { increment: 1 } },
+     });
+     expect(prisma.orderItem.updateMany).toHaveBeenCalledWith({
+       where: { id: "item-1", restockedQuantity: 0 },
+       data: { restockedQuantity: { increment: 1 } },
+     });
      expect(prisma.payment.update).toHaveBeenCalledWith({
-       where: { orderId: "order-1" },
-       data: { status: "REFUNDED" },
+       where: { id: "payment-1" },
+       data: { status: "PARTIALLY_REFUNDED" },
+     });
+   });
+
+   it("keeps a paid-out refund when restocking fails afterwards", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: {
+         items: [{ orderItemId: "item-1", quantity: 1 }],
+         restock: true,
+       },
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue(paidPayment);
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.refundItem.findMany.mockResolvedValue([]);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({ _sum: { amount: "40.00" } });
+     prisma.orderItem.findMany.mockResolvedValue(paidOrder.orderItems);
+     // the line was restocked concurrently
+     prisma.orderItem.updateMany.mockResolvedValueOnce({ count: 0 });
+     mockRefundWrites();
+
+     await refundPayment(req, mockRes(), next);
+
+     const error = next.mock.calls[0][0];
+     expect(error.statusCode).toBe(500);
+     expect(error.refund).toMatchObject({ id: "refund-1", status: "SUCCEEDED" });
+     const { data } = prisma.refund.update.mock.calls.at(-1)[0];
+     expect(data).toMatchObject({
+       status: "SUCCEEDED",
+       restock: false,
+       providerReference: expect.stringMatching(/^fake_refund_/),
+       failureReason: expect.stringContaining("not restocked"),
      });
-     expect(res.status).toHaveBeenCalledWith(200);
-     expect(res.json).toHaveBeenCalledWith(
+     expect(prisma.refund.update).not.toHaveBeenCalledWith(
        expect.objectContaining({
-         status: "REFUNDED",
+         data: expect.objectContaining({ status: "FAILED" }),
        })
      );
+     expect(prisma.payment.update).toHaveBeenLastCalledWith({
+       where: { id: "payment-1" },
+       data: { status: "PARTIALLY_REFUNDED" },
+     });
+   });
+
+   it("does not restock units that are already back in stock", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: {
+         items: [{ orderItemId: "item-1", quantity: 2 }],
+         restock: true,
+       },
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue(paidPayment);
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.refundItem.findMany.mockResolvedValue([]);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({ _sum: { amount: "80.00" } });
+     // one unit went back when the line was cancelled meanwhile
+     prisma.orderItem.findMany.mockResolvedValue([
+       { ...paidOrder.orderItems[0], restockedQuantity: 1 },
+     ]);
+     mockRefundWrites();
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next).not.toHaveBeenCalled();
+     expect(prisma.product.update).toHaveBeenCalledTimes(1);
+     expect(prisma.product.update).toHaveBeenCalledWith({
+       where: { id: "p1" },
+       data: { stock: { increment: 1 } },
+     });
+   });
+
+   it("rejects refunds above what is left", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: { amount: 30 },
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue({
+       ...paidPayment,
+       status: "PARTIALLY_REFUNDED",
+       refundedAmount: "80.00",
+     });
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next.mock.calls[0][0].statusCode).toBe(400);
+     expect(next.mock.calls[0][0].message).toContain("20.00");
+     expect(prisma.refund.create).not.toHaveBeenCalled();
+   });
+
+   it("returns 409 when another refund changed the payment", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: { amount: 10 },
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue(paidPayment);
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next.mock.calls[0][0].statusCode).toBe(409);
+     expect(prisma.refund.create).not.toHaveBeenCalled();
+   });
+
+   it("releases the reserved amount when the provider refund fails", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: { amount: 10 },
+     };
+     const next = mockNext();
+
+     // no KHALTI_SECRET_KEY in tests, so the adapter refuses
+     prisma.payment.findFirst.mockResolvedValue({
+       ...paidPayment,
+       provider: "KHALTI",
+     });
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     mockRefundWrites();
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next).toHaveBeenCalledWith(expect.any(AppError));
+     expect(prisma.refund.update.mock.calls[0][0].data).toMatchObject({
+       status: "FAILED",
+       failureReason: "Khalti is not configured",
+     });
+     const { data } = prisma.payment.update.mock.calls[0][0];
+     expect(data.refundedAmount.decrement.toString()).toBe("10");
+   });
+
+   it("records refunds of legacy providers without calling a gateway", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: { amount: 10 },
+     };
+     const next = mockNext();
+
+     prisma.payment.findFirst.mockResolvedValue({
+       ...paidPayment,
+       provider: "STRIPE",
+     });
+     prisma.order.findUnique.mockResolvedValue(paidOrder);
+     prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+     prisma.refund.aggregate.mockResolvedValue({ _sum: { amount: "10.00" } });
+     mockRefundWrites();
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next).not.toHaveBeenCalled();
+     expect(prisma.refund.update.mock.calls[0][0].data).toMatchObject({
+       status: "SUCCEEDED",
+       providerReference: null,
+     });
+   });
+
+   it("rejects restock without items", async () => {
+     const req = {
+       user: { id: "admin-1", isAdmin: true },
+       params: { orderId: "order-1" },
+       body: { restock: true },
+     };
+     const next = mockNext();
+
+     await refundPayment(req, mockRes(), next);
+
+     expect(next.mock.calls[0][0].statusCode).toBe(400);
+     expect(prisma.payment.findFirst).not.toHaveBeenCalled();
    });
 
    it("rejects when user is not admin", async () => {
@@ -383,7 +1386,11 @@ describe("paymentController", () => {
      const res = mockRes();
      const next = mockNext();
 
-     prisma.payment.findUnique.mockResolvedValue(null);
+     prisma.order.findUnique.mockResolvedValue({
+       id: "order-1",
+       userId: "user-1",
+       payments: [],
+     });
 
      await getPaymentByOrder(req, res, next);
 
@@ -399,7 +1406,7 @@ describe("paymentController", () => {
      const res = mockRes();
      const next = mockNext();
 
-     prisma.payment.findUnique.mockResolvedValue({
+     prisma.payment.findFirst.mockResolvedValue({
        id: "payment-1",
        orderId: "order-1",
        status: "PENDING",
@@ -412,4 +1419,44 @@ describe("paymentController", () => {
      expect(next.mock.calls[0][0].message).toContain("Only paid payments");
    });
  });
+
+ describe("getRefunds", () => {
+   it("lists the refunds of the owner's order", async () => {
+     const req = { user: { id: "user-1" }, params: { orderId: "order-1" } };
+     const res = mockRes();
+     const next = mockNext();
+
+     prisma.order.findUnique.mockResolvedValue({
+       id: "order-1",
+       userId: "user-1",
+     });
+     prisma.refund.findMany.mockResolvedValue([{ id: "refund-1" }]);
+
+     await getRefunds(req, res, next);
+
+     expect(prisma.refund.findMany).toHaveBeenCalledWith({
+       where: { payment: { orderId: "order-1" } },
+       include: { items: true },
+       orderBy: { createdAt: "asc" },
+     });
+     expect(res.json).toHaveBeenCalledWith({
+       success: true,
+       data: [{ id: "refund-1" }],
+     });
+   });
+
+   it("rejects other users", async () => {
+     const req = { user: { id: "user-2" }, params: { orderId: "order-1" } };
+     const next = mockNext();
+
+     prisma.order.findUnique.mockResolvedValue({
+       id: "order-1",
+       userId: "user-1",
+     });
+
+     await getRefunds(req, mockRes(), next);
+
+     expect(next.mock.calls[0][0].statusCode).toBe(403);
+   });
+ });
 });
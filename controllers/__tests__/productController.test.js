@@ -0,0 +1,78 @@
+import { updateProduct } from "../productController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    product: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("productController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("updateProduct", () => {
+    const admin = { id: "admin-1", isAdmin: true };
+
+    it("books a new stock level as an adjustment", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({
+        stock: 3,
+        _count: { variants: 0 },
+      });
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+      prisma.product.update.mockResolvedValue({ id: "p1", stock: 5 });
+
+      await updateProduct(
+        { params: { id: "p1" }, user: admin, body: { stock: 5 } },
+        res,
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.stockMovement.create.mock.calls[0][0].data).toMatchObject({
+        productId: "p1",
+        quantity: 2,
+        type: "ADJUSTMENT",
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("rejects stock on a product sold through its variants", async () => {
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({
+        stock: 0,
+        _count: { variants: 2 },
+      });
+
+      await updateProduct(
+        { params: { id: "p1" }, user: admin, body: { stock: 10 } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toContain(
+        "/api/products/:id/variants/:variantId"
+      );
+      expect(prisma.stockMovement.create).not.toHaveBeenCalled();
+      expect(prisma.product.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import {
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+} from "../productVariantController.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { deleteFile } from "../../utils/uploads.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    product: { findUnique: jest.fn() },
+    productVariant: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn(),
+    },
+    orderItem: { count: jest.fn() },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+jest.mock("../../utils/uploads.js", () => ({ deleteFile: jest.fn() }));
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("productVariantController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("lists a product's active variants", async () => {
+    const res = mockRes();
+    prisma.productVariant.findMany.mockResolvedValue([{ id: "v1" }]);
+
+    await getProductVariants({ params: { id: "p1" } }, res, mockNext());
+
+    expect(prisma.productVariant.findMany).toHaveBeenCalledWith({
+      where: { productId: "p1", isActive: true },
+      include: { images: true },
+      orderBy: { createdAt: "asc" },
+    });
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: [{ id: "v1" }],
+    });
+  });
+
+  describe("createProductVariant", () => {
+    it("creates a variant with options, price override, images and opening stock", async () => {
+      const req = {
+        params: { id: "p1" },
+        user: { id: "admin-1" },
+        body: {
+          sku: " TS-L-RED ",
+          name: "Large / Red",
+          options: '{"size":"L","color":"Red"}',
+          price: "1250",
+          stock: "8",
+          images: ["https://cdn.example.com/red.jpg"],
+        },
+        files: [{ filename: "red-back.jpg" }],
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1" });
+      prisma.productVariant.create.mockResolvedValue({ id: "v1" });
+
+      await createProductVariant(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      const { data } = prisma.productVariant.create.mock.calls[0][0];
+      expect(data).toMatchObject({
+        productId: "p1",
+        sku: "TS-L-RED",
+        name: "Large / Red",
+        options: { size: "L", color: "Red" },
+        images: {
+          create: [
+            { url: "https://cdn.example.com/red.jpg" },
+            { url: "/uploads/red-back.jpg" },
+          ],
+        },
+      });
+      expect(data).not.toHaveProperty("stock");
+      expect(data.price.toString()).toBe("1250");
+      // opening stock is booked in the ledger
+      expect(prisma.productVariant.update).toHaveBeenCalledWith({
+        where: { id: "v1" },
+        data: { stock: { increment: 8 } },
+      });
+      expect(prisma.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          productId: "p1",
+          variantId: "v1",
+          quantity: 8,
+          type: "RESTOCK",
+          actorId: "admin-1",
+        }),
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("maps a duplicate SKU to 409 and drops the uploads", async () => {
+      const req = {
+        params: { id: "p1" },
+        body: { sku: "TS-L-RED", name: "Large / Red" },
+        files: [{ filename: "red.jpg" }],
+      };
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1" });
+      prisma.productVariant.create.mockRejectedValue(
+        Object.assign(new Error("Unique constraint"), { code: "P2002" })
+      );
+
+      await createProductVariant(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(next.mock.calls[0][0].message).toBe("SKU already exists");
+      expect(deleteFile).toHaveBeenCalledWith("red.jpg");
+    });
+
+    it("rejects options that are not an object", async () => {
+      const req = {
+        params: { id: "p1" },
+        body: { sku: "TS-L", name: "Large", options: ["L"] },
+      };
+      const next = mockNext();
+
+      await createProductVariant(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.productVariant.create).not.toHaveBeenCalled();
+    });
+
+    it("returns 404 for an unknown product", async () => {
+      const req = { params: { id: "nope" }, body: { sku: "X", name: "X" } };
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue(null);
+
+      await createProductVariant(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  it("updates only the fields sent; null price falls back to the product", async () => {
+    const req = {
+      params: { id: "p1", variantId: "v1" },
+      user: { id: "admin-1" },
+      body: { price: null, stock: 3, isActive: "false" },
+    };
+    const res = mockRes();
+    const next = mockNext();
+    prisma.productVariant.findFirst.mockResolvedValue({
+      id: "v1",
+      productId: "p1",
+      stock: 5,
+    });
+    prisma.productVariant.updateMany.mockResolvedValue({ count: 1 });
+    prisma.productVariant.update.mockResolvedValue({ id: "v1" });
+
+    await updateProductVariant(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(prisma.productVariant.findFirst).toHaveBeenCalledWith({
+      where: { id: "v1", productId: "p1" },
+    });
+    expect(prisma.productVariant.update).toHaveBeenCalledWith({
+      where: { id: "v1" },
+      data: { price: null, isActive: false },
+      include: { images: true },
+    });
+    // 5 -> 3 is booked as an adjustment of -2
+    expect(prisma.productVariant.updateMany).toHaveBeenCalledWith({
+      where: { id: "v1", stock: { gte: 2 } },
+      data: { stock: { decrement: 2 } },
+    });
+    expect(prisma.stockMovement.create.mock.calls[0][0].data).toMatchObject({
+      quantity: -2,
+      type: "ADJUSTMENT",
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  describe("deleteProductVariant", () => {
+    const req = { params: { id: "p1", variantId: "v1" } };
+
+    it("deletes a variant that was never ordered", async () => {
+      const res = mockRes();
+      prisma.productVariant.findFirst.mockResolvedValue({ id: "v1" });
+      prisma.orderItem.count.mockResolvedValue(0);
+
+      await deleteProductVariant(req, res, mockNext());
+
+      expect(prisma.productVariant.delete).toHaveBeenCalledWith({
+        where: { id: "v1" },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("keeps an ordered variant", async () => {
+      const next = mockNext();
+      prisma.productVariant.findFirst.mockResolvedValue({ id: "v1" });
+      prisma.orderItem.count.mockResolvedValue(2);
+
+      await deleteProductVariant(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(prisma.productVariant.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,495 @@
+import {
+  createReturnRequest,
+  getOrderReturns,
+  getReturnRequests,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../returnController.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { deleteFile } from "../../utils/uploads.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    order: { findUnique: jest.fn() },
+    returnRequest: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    returnItem: { findMany: jest.fn() },
+    payment: { updateMany: jest.fn(), update: jest.fn() },
+    refund: { create: jest.fn(), update: jest.fn(), aggregate: jest.fn() },
+    refundItem: { findMany: jest.fn() },
+    invoice: { findUnique: jest.fn() },
+    orderItem: {
+      findMany: jest.fn(),
+      updateMany: jest.fn(async () => ({ count: 1 })),
+    },
+    product: { update: jest.fn() },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+jest.mock("../../utils/uploads.js", () => ({
+  upload: {},
+  deleteFile: jest.fn(),
+}));
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const deliveredOrder = {
+  id: "order-1",
+  userId: "user-1",
+  status: "DELIVERED",
+  total: "80.00",
+  statusHistory: [{ toStatus: "DELIVERED", createdAt: new Date() }],
+  orderItems: [
+    {
+      id: "item-1",
+      productId: "p1",
+      productName: "Mug",
+      quantity: 2,
+      status: "DELIVERED",
+      subtotal: "80.00",
+      discount: "0",
+      tax: "0",
+      product: { returnWindowDays: null },
+    },
+  ],
+};
+
+describe("returnController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.returnItem.findMany.mockResolvedValue([]);
+    prisma.refundItem.findMany.mockResolvedValue([]);
+  });
+
+  describe("createReturnRequest", () => {
+    it("creates a request with the uploaded photos", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { id: "order-1" },
+        body: {
+          items: JSON.stringify([{ orderItemId: "item-1", quantity: "1" }]),
+          reason: " Arrived cracked ",
+        },
+        files: [{ filename: "123-crack.jpg" }],
+      };
+      const res = mockRes();
+      const next = jest.fn();
+
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.returnRequest.create.mockImplementation(({ data }) =>
+        Promise.resolve({ id: "ret-1", status: "REQUESTED", ...data })
+      );
+
+      await createReturnRequest(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.returnRequest.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          userId: "user-1",
+          reason: "Arrived cracked",
+          items: { create: [{ orderItemId: "item-1", quantity: 1 }] },
+          photos: { create: [{ url: "/uploads/123-crack.jpg" }] },
+        },
+        include: expect.any(Object),
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(deleteFile).not.toHaveBeenCalled();
+    });
+
+    it("rejects other users' orders and drops the photos", async () => {
+      const req = {
+        user: { id: "user-2" },
+        params: { id: "order-1" },
+        body: {
+          items: [{ orderItemId: "item-1", quantity: 1 }],
+          reason: "Wrong size",
+        },
+        files: [{ filename: "123-photo.jpg" }],
+      };
+      const next = jest.fn();
+
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+
+      await createReturnRequest(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+      expect(deleteFile).toHaveBeenCalledWith("123-photo.jpg");
+      expect(prisma.returnRequest.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects orders that are not delivered", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { id: "order-1" },
+        body: {
+          items: [{ orderItemId: "item-1", quantity: 1 }],
+          reason: "Changed my mind",
+        },
+      };
+      const next = jest.fn();
+
+      prisma.order.findUnique.mockResolvedValue({
+        ...deliveredOrder,
+        status: "SHIPPED",
+        statusHistory: [],
+      });
+
+      await createReturnRequest(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it.each([
+      ["no items", { reason: "x" }],
+      ["invalid items JSON", { items: "[oops", reason: "x" }],
+      [
+        "zero quantity",
+        { items: [{ orderItemId: "i", quantity: 0 }], reason: "x" },
+      ],
+      ["no reason", { items: [{ orderItemId: "i", quantity: 1 }] }],
+    ])("rejects a payload with %s", async (_label, body) => {
+      const next = jest.fn();
+
+      await createReturnRequest(
+        { user: { id: "user-1" }, params: { id: "order-1" }, body },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.order.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getOrderReturns", () => {
+    it("lists the order's returns for its owner", async () => {
+      const res = mockRes();
+
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.returnRequest.findMany.mockResolvedValue([{ id: "ret-1" }]);
+
+      await getOrderReturns(
+        { user: { id: "user-1" }, params: { id: "order-1" } },
+        res,
+        jest.fn()
+      );
+
+      expect(prisma.returnRequest.findMany.mock.calls[0][0].where).toEqual({
+        orderId: "order-1",
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: "ret-1" }],
+      });
+    });
+  });
+
+  describe("getReturnRequests", () => {
+    it("shows open requests by default", async () => {
+      prisma.returnRequest.findMany.mockResolvedValue([]);
+
+      await getReturnRequests({ query: {} }, mockRes(), jest.fn());
+
+      expect(prisma.returnRequest.findMany.mock.calls[0][0]).toMatchObject({
+        where: { status: { in: ["REQUESTED", "APPROVED"] } },
+        orderBy: { createdAt: "asc" },
+      });
+    });
+
+    it("rejects unknown statuses", async () => {
+      const next = jest.fn();
+
+      await getReturnRequests({ query: { status: "LOST" } }, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe("review", () => {
+    const admin = { id: "admin-1", isAdmin: true };
+
+    it("approves a requested return", async () => {
+      const res = mockRes();
+
+      prisma.returnRequest.findUnique
+        .mockResolvedValueOnce({ id: "ret-1", status: "REQUESTED" })
+        .mockResolvedValueOnce({ id: "ret-1", status: "APPROVED" });
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+
+      await approveReturn(
+        { user: admin, params: { id: "ret-1" }, body: {} },
+        res,
+        jest.fn()
+      );
+
+      expect(prisma.returnRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: "ret-1", status: "REQUESTED" },
+        data: expect.objectContaining({
+          status: "APPROVED",
+          reviewedById: "admin-1",
+        }),
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("requires a note to reject", async () => {
+      const next = jest.fn();
+
+      await rejectReturn(
+        { user: admin, params: { id: "ret-1" }, body: {} },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it("cannot receive a return that was not approved", async () => {
+      const next = jest.fn();
+
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: "ret-1",
+        status: "REQUESTED",
+      });
+
+      await receiveReturn(
+        { user: admin, params: { id: "ret-1" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.returnRequest.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("returns 409 when another admin acted first", async () => {
+      const next = jest.fn();
+
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: "ret-1",
+        status: "APPROVED",
+      });
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await receiveReturn(
+        { user: admin, params: { id: "ret-1" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+    });
+
+    const receivedReturn = (...payments) => ({
+      id: "ret-1",
+      status: "RECEIVED",
+      reason: "Arrived cracked",
+      items: [
+        {
+          orderItemId: "item-1",
+          quantity: 1,
+          orderItem: deliveredOrder.orderItems[0],
+        },
+      ],
+      order: { ...deliveredOrder, payments },
+    });
+
+    it("refunds and restocks the returned units on receipt", async () => {
+      const res = mockRes();
+      const next = jest.fn();
+      const payment = {
+        id: "payment-1",
+        orderId: "order-1",
+        amount: "80.00",
+        refundedAmount: "0",
+        provider: "FAKE",
+        status: "PAID",
+      };
+
+      prisma.returnRequest.findUnique
+        .mockResolvedValueOnce({ id: "ret-1", status: "APPROVED" })
+        .mockResolvedValueOnce(
+          receivedReturn(
+            { id: "payment-0", amount: "80.00", status: "FAILED" },
+            payment
+          )
+        );
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.refund.create.mockImplementation(({ data }) =>
+        Promise.resolve({
+          id: "refund-1",
+          ...data,
+          items: data.items.create.map((i) => ({
+            ...i,
+            orderItem: deliveredOrder.orderItems[0],
+          })),
+        })
+      );
+      prisma.refund.update.mockResolvedValue({ id: "refund-1" });
+      prisma.refund.aggregate.mockResolvedValue({ _sum: { amount: "40.00" } });
+      prisma.orderItem.findMany.mockResolvedValue(deliveredOrder.orderItems);
+      prisma.payment.update.mockResolvedValue({
+        ...payment,
+        status: "PARTIALLY_REFUNDED",
+      });
+      prisma.returnRequest.update.mockResolvedValue({
+        id: "ret-1",
+        status: "RECEIVED",
+        refundId: "refund-1",
+      });
+
+      await receiveReturn({ user: admin, params: { id: "ret-1" } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      const { data } = prisma.refund.create.mock.calls[0][0];
+      expect(data.amount.toString()).toBe("40");
+      expect(data).toMatchObject({
+        restock: true,
+        reason: "Return ret-1: Arrived cracked",
+      });
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 1 } },
+      });
+      expect(prisma.returnRequest.update).toHaveBeenCalledWith({
+        where: { id: "ret-1" },
+        data: { refundId: "refund-1" },
+        include: expect.any(Object),
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("only restocks when nothing was paid", async () => {
+      const next = jest.fn();
+
+      prisma.returnRequest.findUnique
+        .mockResolvedValueOnce({ id: "ret-1", status: "APPROVED" })
+        .mockResolvedValueOnce(receivedReturn({ status: "PENDING" }));
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+      prisma.returnRequest.update.mockResolvedValue({ id: "ret-1" });
+
+      await receiveReturn(
+        { user: admin, params: { id: "ret-1" } },
+        mockRes(),
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.refund.create).not.toHaveBeenCalled();
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 1 } },
+      });
+      expect(prisma.returnRequest.update.mock.calls[0][0].data).toEqual({
+        refundId: null,
+      });
+    });
+
+    it("puts the return back to APPROVED when the refund fails", async () => {
+      const next = jest.fn();
+
+      // no KHALTI_SECRET_KEY in tests, so the adapter refuses
+      prisma.returnRequest.findUnique
+        .mockResolvedValueOnce({ id: "ret-1", status: "APPROVED" })
+        .mockResolvedValueOnce(
+          receivedReturn({
+            id: "payment-1",
+            orderId: "order-1",
+            amount: "80.00",
+            refundedAmount: "0",
+            provider: "KHALTI",
+            status: "PAID",
+          })
+        );
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.refund.create.mockResolvedValue({
+        id: "refund-1",
+        amount: "40.00",
+        items: [],
+      });
+
+      await receiveReturn(
+        { user: admin, params: { id: "ret-1" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].message).toBe("Khalti is not configured");
+      expect(prisma.returnRequest.update).toHaveBeenCalledWith({
+        where: { id: "ret-1" },
+        data: { status: "APPROVED", receivedAt: null },
+      });
+      expect(prisma.product.update).not.toHaveBeenCalled();
+    });
+
+    it("keeps the return received when the refund was paid out", async () => {
+      const next = jest.fn();
+      const payment = {
+        id: "payment-1",
+        orderId: "order-1",
+        amount: "80.00",
+        refundedAmount: "0",
+        provider: "FAKE",
+        status: "PAID",
+      };
+
+      prisma.returnRequest.findUnique
+        .mockResolvedValueOnce({ id: "ret-1", status: "APPROVED" })
+        .mockResolvedValueOnce(receivedReturn(payment));
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.refund.create.mockImplementation(({ data }) =>
+        Promise.resolve({
+          id: "refund-1",
+          ...data,
+          items: data.items.create,
+        })
+      );
+      prisma.refund.update.mockResolvedValue({
+        id: "refund-1",
+        status: "SUCCEEDED",
+      });
+      prisma.refund.aggregate.mockResolvedValue({ _sum: { amount: "40.00" } });
+      prisma.orderItem.findMany.mockResolvedValue(deliveredOrder.orderItems);
+      // the line was restocked concurrently, after the provider paid out
+      prisma.orderItem.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await receiveReturn(
+        { user: admin, params: { id: "ret-1" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(500);
+      expect(prisma.returnRequest.update).toHaveBeenCalledWith({
+        where: { id: "ret-1" },
+        data: { refundId: "refund-1" },
+      });
+      expect(prisma.returnRequest.update).not.toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ status: "APPROVED" }),
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,396 @@
+import {
+  createShipment,
+  addShipmentEvent,
+  getOrderTracking,
+} from "../shipmentController.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { AppError } from "../../utils/AppError.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const order = {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  };
+  const orderItem = {
+    updateMany: jest.fn(),
+  };
+  const shipment = {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  };
+  const stockReservation = {
+    updateMany: jest.fn(),
+  };
+  const prisma = {
+    order,
+    orderItem,
+    shipment,
+    stockReservation,
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+const admin = { id: "admin-1", isAdmin: true };
+
+const orderWithLines = (statuses, overrides = {}) => ({
+  id: "order-1",
+  userId: "user-1",
+  status: "PENDING",
+  orderItems: statuses.map((status, idx) => ({
+    id: `item-${idx + 1}`,
+    productId: `p${idx + 1}`,
+    quantity: 1,
+    status,
+    shipmentId: null,
+  })),
+  ...overrides,
+});
+
+describe("shipmentController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.order.update.mockImplementation(async ({ data }) => ({
+      id: "order-1",
+      status: data.status,
+      orderItems: [],
+    }));
+  });
+
+  describe("createShipment", () => {
+    it("requires admin", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: { carrier: "Pathao" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createShipment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+
+    it("requires a carrier", async () => {
+      const req = { user: admin, params: { orderId: "order-1" }, body: {} };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createShipment(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it("ships the chosen lines and moves the order to PROCESSING", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1" },
+        body: {
+          carrier: "Pathao",
+          trackingNumber: "PTH-1",
+          orderItemIds: ["item-1"],
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(
+        orderWithLines(["PENDING", "PENDING"])
+      );
+      prisma.shipment.create.mockResolvedValue({ id: "ship-1" });
+      prisma.orderItem.updateMany.mockResolvedValue({ count: 1 });
+      prisma.shipment.findUnique.mockResolvedValue({ id: "ship-1" });
+
+      await createShipment(req, res, next);
+
+      expect(prisma.shipment.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          orderId: "order-1",
+          carrier: "Pathao",
+          trackingNumber: "PTH-1",
+        }),
+      });
+      expect(prisma.orderItem.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: { in: ["item-1"] },
+          shipmentId: null,
+          status: { in: ["PENDING", "PACKED"] },
+        },
+        data: { shipmentId: "ship-1" },
+      });
+      expect(prisma.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ status: "PROCESSING" }),
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects lines that are already in a shipment", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1" },
+        body: { carrier: "Pathao", orderItemIds: ["item-1"] },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      const order = orderWithLines(["PACKED"]);
+      order.orderItems[0].shipmentId = "ship-0";
+      prisma.order.findUnique.mockResolvedValue(order);
+
+      await createShipment(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.shipment.create).not.toHaveBeenCalled();
+    });
+
+    it("returns 409 when a concurrent shipment claimed a line", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1" },
+        body: { carrier: "Pathao" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(
+        orderWithLines(["PENDING", "PENDING"])
+      );
+      prisma.shipment.create.mockResolvedValue({ id: "ship-2" });
+      prisma.orderItem.updateMany.mockResolvedValue({ count: 1 });
+
+      await createShipment(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+      expect(prisma.order.update).not.toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it("rejects canceled orders", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1" },
+        body: { carrier: "Pathao" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue(
+        orderWithLines(["CANCELLED"], { status: "CANCELED" })
+      );
+
+      await createShipment(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe("addShipmentEvent", () => {
+    it("rejects unknown statuses", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1", shipmentId: "ship-1" },
+        body: { status: "LOST_IN_SPACE" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      await addShipmentEvent(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+
+    it("returns 404 for a shipment of another order", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1", shipmentId: "ship-1" },
+        body: { status: "IN_TRANSIT" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shipment.findUnique.mockResolvedValue({
+        id: "ship-1",
+        orderId: "order-2",
+        status: "PENDING",
+      });
+
+      await addShipmentEvent(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+
+    it("marks lines SHIPPED and the order SHIPPED when in transit", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1", shipmentId: "ship-1" },
+        body: { status: "IN_TRANSIT", location: "Kathmandu hub" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shipment.findUnique.mockResolvedValue({
+        id: "ship-1",
+        orderId: "order-1",
+        status: "PENDING",
+        shippedAt: null,
+      });
+      prisma.shipment.update.mockResolvedValue({});
+      prisma.orderItem.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(
+        orderWithLines(["SHIPPED", "PENDING"], { status: "PROCESSING" })
+      );
+
+      await addShipmentEvent(req, res, next);
+
+      expect(prisma.shipment.update).toHaveBeenCalledWith({
+        where: { id: "ship-1" },
+        data: expect.objectContaining({
+          status: "IN_TRANSIT",
+          shippedAt: expect.any(Date),
+        }),
+      });
+      expect(prisma.orderItem.updateMany).toHaveBeenCalledWith({
+        where: { shipmentId: "ship-1", status: { in: ["PENDING", "PACKED"] } },
+        data: { status: "SHIPPED" },
+      });
+      expect(prisma.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ status: "SHIPPED" }),
+        })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("delivers the order once the last shipment is delivered", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1", shipmentId: "ship-2" },
+        body: { status: "DELIVERED" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shipment.findUnique.mockResolvedValue({
+        id: "ship-2",
+        orderId: "order-1",
+        status: "OUT_FOR_DELIVERY",
+        shippedAt: new Date(),
+      });
+      prisma.shipment.update.mockResolvedValue({});
+      prisma.orderItem.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(
+        orderWithLines(["DELIVERED", "DELIVERED"], { status: "SHIPPED" })
+      );
+
+      await addShipmentEvent(req, res, next);
+
+      expect(prisma.order.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({ status: "DELIVERED" }),
+        })
+      );
+    });
+
+    it("keeps the order SHIPPED while another shipment is pending", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1", shipmentId: "ship-1" },
+        body: { status: "DELIVERED" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shipment.findUnique.mockResolvedValue({
+        id: "ship-1",
+        orderId: "order-1",
+        status: "IN_TRANSIT",
+        shippedAt: new Date(),
+      });
+      prisma.shipment.update.mockResolvedValue({});
+      prisma.orderItem.updateMany.mockResolvedValue({ count: 1 });
+      prisma.order.findUnique.mockResolvedValue(
+        orderWithLines(["DELIVERED", "SHIPPED"], { status: "SHIPPED" })
+      );
+
+      await addShipmentEvent(req, res, next);
+
+      expect(prisma.order.update).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects events on a delivered shipment", async () => {
+      const req = {
+        user: admin,
+        params: { orderId: "order-1", shipmentId: "ship-1" },
+        body: { status: "IN_TRANSIT" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.shipment.findUnique.mockResolvedValue({
+        id: "ship-1",
+        orderId: "order-1",
+        status: "DELIVERED",
+      });
+
+      await addShipmentEvent(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+
+  describe("getOrderTracking", () => {
+    it("returns shipments for the owner", async () => {
+      const req = { user: { id: "user-1" }, params: { orderId: "order-1" } };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        userId: "user-1",
+        status: "SHIPPED",
+      });
+      prisma.shipment.findMany.mockResolvedValue([{ id: "ship-1" }]);
+
+      await getOrderTracking(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          orderId: "order-1",
+          status: "SHIPPED",
+          shipments: [{ id: "ship-1" }],
+        },
+      });
+    });
+
+    it("denies other users", async () => {
+      const req = { user: { id: "user-2" }, params: { orderId: "order-1" } };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        userId: "user-1",
+      });
+
+      await getOrderTracking(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+  });
+});
@@ -3,9 +3,15 @@ import {
   updateShippingAddress,
   getShippingAddress,
   deleteShippingAddress,
+  getShippingAddressChanges,
 } from "../shippingAddressController.js";
 import { prisma } from "../../lib/prismaClient.js";
 import { AppError } from "../../utils/AppError.js";
+import { sendShippingAddressChangedEmail } from "../../utils/emailService.js";
+
+jest.mock("../../utils/emailService.js", () => ({
+  sendShippingAddressChangedEmail: jest.fn(),
+}));
 
 jest.mock("../../lib/prismaClient.js", () => {
   const shippingAddress = {
@@ -17,9 +23,15 @@ jest.mock("../../lib/prismaClient.js", () => {
   const order = {
     findUnique: jest.fn(),
   };
+  const shippingAddressChange = {
+    create: jest.fn(),
+    findMany: jest.fn(),
+  };
   const prisma = {
     shippingAddress,
     order,
+    shippingAddressChange,
+    $transaction: jest.fn(async (cb) => cb(prisma)),
   };
   return { prisma };
 });
@@ -58,6 +70,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue(null);
@@ -76,6 +89,15 @@ describe("shippingAddressController", () => {
           ...validAddressData,
         },
       });
+      expect(prisma.shippingAddressChange.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          action: "CREATED",
+          current: validAddressData,
+          reason: null,
+          changedById: "user-1",
+        },
+      });
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -115,6 +137,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       await createShippingAddress(req, res, next);
@@ -135,6 +158,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue({
@@ -165,6 +189,75 @@ describe("shippingAddressController", () => {
       expect(next.mock.calls[0][0].statusCode).toBe(400);
       expect(next.mock.calls[0][0].message).toContain("Missing field");
     });
+
+    it("rejects an address on an order that is no longer pending", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: validAddressData,
+      };
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        userId: "user-1",
+        status: "SHIPPED",
+      });
+
+      await createShippingAddress(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe(
+        "Shipping address can only be changed while the order is pending"
+      );
+      expect(prisma.shippingAddress.create).not.toHaveBeenCalled();
+      expect(prisma.shippingAddressChange.create).not.toHaveBeenCalled();
+    });
+
+    it("lets an admin add the address of a processed order with a reason", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { ...validAddressData, reason: "Customer phoned it in" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        userId: "user-1",
+        status: "PROCESSING",
+        user: { email: "john@example.com" },
+      });
+      prisma.shippingAddress.findUnique.mockResolvedValue(null);
+      prisma.shippingAddress.create.mockResolvedValue({
+        id: "address-1",
+        orderId: "order-1",
+        ...validAddressData,
+      });
+
+      await createShippingAddress(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.shippingAddressChange.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          action: "CREATED",
+          current: validAddressData,
+          reason: "Customer phoned it in",
+          changedById: "admin-1",
+        },
+      });
+      expect(sendShippingAddressChangedEmail).toHaveBeenCalledWith(
+        "john@example.com",
+        {
+          orderId: "order-1",
+          address: validAddressData,
+          reason: "Customer phoned it in",
+        }
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
   });
 
   describe("updateShippingAddress", () => {
@@ -184,6 +277,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue({
@@ -224,6 +318,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue({
@@ -254,6 +349,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue(null);
@@ -277,6 +373,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       await updateShippingAddress(req, res, next);
@@ -395,6 +492,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue({
@@ -445,6 +543,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       await deleteShippingAddress(req, res, next);
@@ -464,6 +563,7 @@ describe("shippingAddressController", () => {
       prisma.order.findUnique.mockResolvedValue({
         id: "order-1",
         userId: "user-1",
+        status: "PENDING",
       });
 
       prisma.shippingAddress.findUnique.mockResolvedValue(null);
@@ -475,4 +575,178 @@ describe("shippingAddressController", () => {
       expect(next.mock.calls[0][0].message).toContain("not found");
     });
   });
+
+  describe("address locking and change log", () => {
+    const savedAddress = {
+      id: "address-1",
+      orderId: "order-1",
+      ...validAddressData,
+    };
+    const newAddress = { ...validAddressData, address: "456 New St" };
+
+    const orderIn = (status) => ({
+      id: "order-1",
+      userId: "user-1",
+      status,
+      user: { email: "john@example.com" },
+    });
+
+    beforeEach(() => {
+      prisma.shippingAddress.findUnique.mockResolvedValue(savedAddress);
+      prisma.shippingAddress.update.mockImplementation(({ data }) =>
+        Promise.resolve({ ...savedAddress, ...data })
+      );
+    });
+
+    it("logs the owner's change of a pending order without emailing", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: newAddress,
+      };
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(orderIn("PENDING"));
+
+      await updateShippingAddress(req, mockRes(), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.shippingAddressChange.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          action: "UPDATED",
+          previous: validAddressData,
+          current: newAddress,
+          reason: null,
+          changedById: "user-1",
+        },
+      });
+      expect(sendShippingAddressChangedEmail).not.toHaveBeenCalled();
+    });
+
+    it("rejects customer changes once the order is processing", async () => {
+      const req = {
+        user: { id: "user-1" },
+        params: { orderId: "order-1" },
+        body: newAddress,
+      };
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(orderIn("PROCESSING"));
+
+      await updateShippingAddress(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toContain("pending");
+      expect(prisma.shippingAddress.update).not.toHaveBeenCalled();
+    });
+
+    it("requires a reason from admins after the order left PENDING", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { ...newAddress, reason: "  " },
+      };
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(orderIn("SHIPPED"));
+
+      await updateShippingAddress(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toContain("reason");
+      expect(prisma.shippingAddress.update).not.toHaveBeenCalled();
+    });
+
+    it("lets an admin change a shipped order's address and tells the customer", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { ...newAddress, reason: "Courier reported wrong street" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(orderIn("SHIPPED"));
+
+      await updateShippingAddress(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(
+        prisma.shippingAddressChange.create.mock.calls[0][0].data
+      ).toMatchObject({
+        action: "UPDATED",
+        reason: "Courier reported wrong street",
+        changedById: "admin-1",
+      });
+      expect(sendShippingAddressChangedEmail).toHaveBeenCalledWith(
+        "john@example.com",
+        {
+          orderId: "order-1",
+          address: newAddress,
+          reason: "Courier reported wrong street",
+        }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("keeps the address of delivered orders", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { reason: "Typo" },
+      };
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(orderIn("DELIVERED"));
+
+      await deleteShippingAddress(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.shippingAddress.delete).not.toHaveBeenCalled();
+    });
+
+    it("logs deletions with the previous address", async () => {
+      const req = {
+        user: { id: "admin-1", isAdmin: true },
+        params: { orderId: "order-1" },
+        body: { reason: "Customer will collect in store" },
+      };
+      const next = mockNext();
+      prisma.order.findUnique.mockResolvedValue(orderIn("PROCESSING"));
+
+      await deleteShippingAddress(req, mockRes(), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.shippingAddressChange.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "order-1",
+          action: "DELETED",
+          previous: validAddressData,
+          reason: "Customer will collect in store",
+          changedById: "admin-1",
+        },
+      });
+      expect(sendShippingAddressChangedEmail).toHaveBeenCalledWith(
+        "john@example.com",
+        expect.objectContaining({ address: null })
+      );
+    });
+
+    it("lists the change log for the owner", async () => {
+      const res = mockRes();
+      prisma.order.findUnique.mockResolvedValue(orderIn("SHIPPED"));
+      prisma.shippingAddressChange.findMany.mockResolvedValue([{ id: "c1" }]);
+
+      await getShippingAddressChanges(
+        { user: { id: "user-1" }, params: { orderId: "order-1" } },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.shippingAddressChange.findMany).toHaveBeenCalledWith({
+        where: { orderId: "order-1" },
+        orderBy: { createdAt: "asc" },
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: "c1" }],
+      });
+    });
+  });
 });
@@ -0,0 +1,107 @@
+import {
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../shippingZoneController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    shippingZone: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("shippingZoneController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("createShippingZone", () => {
+    it("creates a zone with fees and a free-shipping threshold", async () => {
+      const req = {
+        body: {
+          name: "Kathmandu Valley",
+          countries: ["Nepal"],
+          cities: ["Kathmandu ", "Lalitpur", ""],
+          baseFee: 100,
+          perKgFee: 20,
+          freeShippingThreshold: 5000,
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.shippingZone.create.mockResolvedValue({ id: "z1" });
+
+      await createShippingZone(req, res, next);
+
+      const { data } = prisma.shippingZone.create.mock.calls[0][0];
+      expect(data.cities).toEqual(["Kathmandu", "Lalitpur"]);
+      expect(data.baseFee.toString()).toBe("100");
+      expect(data.freeShippingThreshold.toString()).toBe("5000");
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects negative fees", async () => {
+      const req = { body: { name: "Bad", baseFee: -1 } };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createShippingZone(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.shippingZone.create).not.toHaveBeenCalled();
+    });
+
+    it("returns 409 for duplicate names", async () => {
+      const req = { body: { name: "Kathmandu Valley" } };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.shippingZone.create.mockRejectedValue({ code: "P2002" });
+
+      await createShippingZone(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(409);
+    });
+  });
+
+  describe("updateShippingZone", () => {
+    it("clears the free-shipping threshold", async () => {
+      const req = { params: { id: "z1" }, body: { freeShippingThreshold: null } };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.shippingZone.findUnique.mockResolvedValue({ id: "z1" });
+      prisma.shippingZone.update.mockResolvedValue({ id: "z1" });
+
+      await updateShippingZone(req, res, next);
+
+      expect(prisma.shippingZone.update).toHaveBeenCalledWith({
+        where: { id: "z1" },
+        data: { freeShippingThreshold: null },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("deleteShippingZone", () => {
+    it("returns 404 when missing", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.shippingZone.findUnique.mockResolvedValue(null);
+
+      await deleteShippingZone({ params: { id: "nope" } }, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import {
+  createStockAdjustment,
+  getStockHistory,
+} from "../stockMovementController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    product: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    productVariant: {
+      findFirst: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+      findMany: jest.fn(),
+      count: jest.fn(),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("stockMovementController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("createStockAdjustment", () => {
+    const admin = { id: "admin-1", isAdmin: true };
+
+    it("books a manual adjustment with its reason and actor", async () => {
+      const req = {
+        params: { id: "p1" },
+        user: admin,
+        body: { quantity: -2, reason: " Damaged in storage " },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1", stock: 10 });
+      prisma.product.updateMany.mockResolvedValue({ count: 1 });
+
+      await createStockAdjustment(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({
+        where: { id: "p1", stock: { gte: 2 } },
+        data: { stock: { decrement: 2 } },
+      });
+      expect(prisma.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          productId: "p1",
+          variantId: null,
+          quantity: -2,
+          type: "ADJUSTMENT",
+          reason: "Damaged in storage",
+          actorId: "admin-1",
+        }),
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.stock).toBe(8);
+    });
+
+    it("restocks a variant", async () => {
+      const req = {
+        params: { id: "p1" },
+        user: admin,
+        body: { quantity: "12", type: "RESTOCK", variantId: "v1" },
+      };
+      const res = mockRes();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1", stock: 0 });
+      prisma.productVariant.findFirst.mockResolvedValue({ id: "v1", stock: 3 });
+
+      await createStockAdjustment(req, res, mockNext());
+
+      expect(prisma.productVariant.update).toHaveBeenCalledWith({
+        where: { id: "v1" },
+        data: { stock: { increment: 12 } },
+      });
+      expect(res.json.mock.calls[0][0].data.stock).toBe(15);
+    });
+
+    it("refuses to take stock below zero", async () => {
+      const req = {
+        params: { id: "p1" },
+        user: admin,
+        body: { quantity: -5, reason: "Stock count" },
+      };
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1", stock: 3 });
+      prisma.product.updateMany.mockResolvedValue({ count: 0 });
+
+      await createStockAdjustment(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe(
+        "Stock cannot go below zero (3 in stock)"
+      );
+      expect(prisma.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ quantity: 0, reason: "x" }, "quantity must be a non-zero integer"],
+      [
+        { quantity: 1, type: "SALE" },
+        "type must be one of: ADJUSTMENT, RESTOCK",
+      ],
+      [{ quantity: -1, type: "RESTOCK" }, "A restock must add stock"],
+      [{ quantity: 1 }, "A reason is required for an adjustment"],
+    ])("rejects %o", async (body, message) => {
+      const next = mockNext();
+
+      await createStockAdjustment(
+        { params: { id: "p1" }, user: admin, body },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe(message);
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it("returns 404 for a variant of another product", async () => {
+      const req = {
+        params: { id: "p1" },
+        user: admin,
+        body: { quantity: 1, type: "RESTOCK", variantId: "v9" },
+      };
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1", stock: 0 });
+      prisma.productVariant.findFirst.mockResolvedValue(null);
+
+      await createStockAdjustment(req, mockRes(), next);
+
+      expect(prisma.productVariant.findFirst).toHaveBeenCalledWith({
+        where: { id: "v9", productId: "p1" },
+        select: { id: true, stock: true },
+      });
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe("getStockHistory", () => {
+    it("lists movements newest first with the current stock", async () => {
+      const req = {
+        params: { id: "p1" },
+        query: { type: "SALE", page: "2", limit: "10" },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue({ id: "p1", stock: 7 });
+      prisma.stockMovement.findMany.mockResolvedValue([{ id: "sm-1" }]);
+      prisma.stockMovement.count.mockResolvedValue(11);
+
+      await getStockHistory(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.stockMovement.findMany).toHaveBeenCalledWith({
+        where: { productId: "p1", type: "SALE" },
+        include: expect.any(Object),
+        orderBy: { createdAt: "desc" },
+        skip: 10,
+        take: 10,
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { stock: 7, movements: [{ id: "sm-1" }] },
+        pagination: { page: 2, limit: 10, total: 11, totalPages: 2 },
+      });
+    });
+
+    it("rejects an unknown movement type", async () => {
+      const next = mockNext();
+
+      await getStockHistory(
+        { params: { id: "p1" }, query: { type: "LOST" } },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { subscribeToRestock } from "../stockSubscriptionController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    product: { findUnique: jest.fn() },
+    productVariant: { findFirst: jest.fn() },
+    stockSubscription: {
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+const outOfStock = (overrides = {}) => ({
+  id: "p1",
+  stock: 0,
+  isActive: true,
+  _count: { variants: 0 },
+  ...overrides,
+});
+
+describe("stockSubscriptionController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("subscribeToRestock", () => {
+    const user = { id: "u1" };
+
+    it("subscribes to an out-of-stock product", async () => {
+      const req = { params: { id: "p1" }, user, body: {} };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue(outOfStock());
+      prisma.stockSubscription.findFirst.mockResolvedValue(null);
+      prisma.stockSubscription.create.mockResolvedValue({ id: "s1" });
+
+      await subscribeToRestock(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.stockSubscription.create).toHaveBeenCalledWith({
+        data: { userId: "u1", productId: "p1", variantId: null },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("returns the pending subscription when asked twice", async () => {
+      const res = mockRes();
+      prisma.product.findUnique.mockResolvedValue(outOfStock());
+      prisma.stockSubscription.findFirst.mockResolvedValue({
+        id: "s1",
+        notifiedAt: null,
+      });
+
+      await subscribeToRestock(
+        { params: { id: "p1" }, user, body: {} },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.stockSubscription.create).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.id).toBe("s1");
+    });
+
+    it("re-arms a subscription that was already notified", async () => {
+      const res = mockRes();
+      prisma.product.findUnique.mockResolvedValue(outOfStock());
+      prisma.stockSubscription.findFirst.mockResolvedValue({
+        id: "s1",
+        notifiedAt: new Date("2026-10-01T00:00:00Z"),
+      });
+      prisma.stockSubscription.update.mockResolvedValue({ id: "s1" });
+
+      await subscribeToRestock(
+        { params: { id: "p1" }, user, body: {} },
+        res,
+        mockNext()
+      );
+
+      expect(prisma.stockSubscription.update).toHaveBeenCalledWith({
+        where: { id: "s1" },
+        data: { notifiedAt: null, createdAt: expect.any(Date) },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("subscribes to a sold-out variant", async () => {
+      const req = { params: { id: "p1" }, user, body: { variantId: "v1" } };
+      prisma.product.findUnique.mockResolvedValue(
+        outOfStock({ stock: 5, _count: { variants: 2 } })
+      );
+      prisma.productVariant.findFirst.mockResolvedValue({ id: "v1", stock: 0 });
+      prisma.stockSubscription.findFirst.mockResolvedValue(null);
+
+      await subscribeToRestock(req, mockRes(), mockNext());
+
+      expect(prisma.productVariant.findFirst).toHaveBeenCalledWith({
+        where: { id: "v1", productId: "p1", isActive: true },
+        select: { id: true, stock: true },
+      });
+      expect(prisma.stockSubscription.create).toHaveBeenCalledWith({
+        data: { userId: "u1", productId: "p1", variantId: "v1" },
+      });
+    });
+
+    it.each([
+      [outOfStock({ stock: 3 }), {}, 400, "Product is in stock"],
+      [
+        outOfStock({ _count: { variants: 2 } }),
+        {},
+        400,
+        "Choose a variant of this product",
+      ],
+      [outOfStock({ isActive: false }), {}, 404, "Product not found"],
+      [null, {}, 404, "Product not found"],
+    ])("rejects %o", async (product, body, status, message) => {
+      const next = mockNext();
+      prisma.product.findUnique.mockResolvedValue(product);
+
+      await subscribeToRestock(
+        { params: { id: "p1" }, user, body },
+        mockRes(),
+        next
+      );
+
+      expect(next.mock.calls[0][0].statusCode).toBe(status);
+      expect(next.mock.calls[0][0].message).toBe(message);
+      expect(prisma.stockSubscription.create).not.toHaveBeenCalled();
+    });
+  });
+});
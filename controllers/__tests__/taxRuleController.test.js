@@ -0,0 +1,122 @@
+import {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+} from "../taxRuleController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    taxRule: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+describe("taxRuleController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("getTaxRules", () => {
+    it("lists tax rules", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.taxRule.findMany.mockResolvedValue([{ id: "t1" }]);
+
+      await getTaxRules({}, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: "t1" }],
+      });
+    });
+  });
+
+  describe("createTaxRule", () => {
+    it("creates a city rule", async () => {
+      const req = {
+        body: {
+          name: "Kathmandu VAT",
+          rate: 0.13,
+          country: "Nepal",
+          city: " Kathmandu ",
+          priceIncludesTax: true,
+        },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.taxRule.create.mockResolvedValue({ id: "t1" });
+
+      await createTaxRule(req, res, next);
+
+      const { data } = prisma.taxRule.create.mock.calls[0][0];
+      expect(data.rate.toString()).toBe("0.13");
+      expect(data.city).toBe("Kathmandu");
+      expect(data.priceIncludesTax).toBe(true);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("rejects rates given as percentages", async () => {
+      const req = { body: { name: "VAT", rate: 13 } };
+      const res = mockRes();
+      const next = mockNext();
+
+      await createTaxRule(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(prisma.taxRule.create).not.toHaveBeenCalled();
+    });
+
+    it("allows exempt rules without a rate", async () => {
+      const req = { body: { name: "Books", categoryId: "c1", isExempt: true } };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.taxRule.create.mockResolvedValue({ id: "t2" });
+
+      await createTaxRule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe("updateTaxRule", () => {
+    it("returns 404 when missing", async () => {
+      const req = { params: { id: "nope" }, body: { isActive: false } };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.taxRule.findUnique.mockResolvedValue(null);
+
+      await updateTaxRule(req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe("deleteTaxRule", () => {
+    it("deletes the rule", async () => {
+      const res = mockRes();
+      const next = mockNext();
+      prisma.taxRule.findUnique.mockResolvedValue({ id: "t1" });
+      prisma.taxRule.delete.mockResolvedValue({});
+
+      await deleteTaxRule({ params: { id: "t1" } }, res, next);
+
+      expect(prisma.taxRule.delete).toHaveBeenCalledWith({
+        where: { id: "t1" },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import {
+  getMyAddresses,
+  createMyAddress,
+  updateMyAddress,
+  deleteMyAddress,
+} from "../userAddressController.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    userAddress: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      delete: jest.fn(),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+const mockRes = () => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  return res;
+};
+
+const mockNext = () => jest.fn();
+
+const home = {
+  label: "Home",
+  fullName: "Sita Sharma",
+  phone: "9800000000",
+  address: "Baneshwor 10",
+  city: "Kathmandu",
+  postalCode: "44600",
+  country: "Nepal",
+};
+
+describe("userAddressController", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("createMyAddress", () => {
+    it("makes the first address the default for shipping and billing", async () => {
+      const req = { user: { id: "u1" }, body: home };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.userAddress.count.mockResolvedValue(0);
+      prisma.userAddress.create.mockResolvedValue({ id: "a1" });
+
+      await createMyAddress(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.userAddress.create).toHaveBeenCalledWith({
+        data: {
+          ...home,
+          isDefaultShipping: true,
+          isDefaultBilling: true,
+          userId: "u1",
+        },
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("moves a default flag from the user's other addresses", async () => {
+      const req = {
+        user: { id: "u1" },
+        body: { ...home, isDefaultShipping: true },
+      };
+      const next = mockNext();
+      prisma.userAddress.count.mockResolvedValue(2);
+      prisma.userAddress.create.mockResolvedValue({ id: "a3" });
+
+      await createMyAddress(req, mockRes(), next);
+
+      expect(prisma.userAddress.updateMany).toHaveBeenCalledTimes(1);
+      expect(prisma.userAddress.updateMany).toHaveBeenCalledWith({
+        where: { userId: "u1", isDefaultShipping: true },
+        data: { isDefaultShipping: false },
+      });
+      expect(prisma.userAddress.create.mock.calls[0][0].data).toMatchObject({
+        isDefaultShipping: true,
+        isDefaultBilling: false,
+      });
+    });
+
+    it("rejects a missing address field", async () => {
+      const req = { user: { id: "u1" }, body: { ...home, city: " " } };
+      const next = mockNext();
+
+      await createMyAddress(req, mockRes(), next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(next.mock.calls[0][0].message).toBe("Missing field: city");
+      expect(prisma.userAddress.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateMyAddress", () => {
+    it("updates only the fields sent", async () => {
+      const req = {
+        user: { id: "u1" },
+        params: { addressId: "a1" },
+        body: { phone: " 9811111111 ", isDefaultBilling: true },
+      };
+      const res = mockRes();
+      const next = mockNext();
+      prisma.userAddress.findFirst.mockResolvedValue({
+        id: "a1",
+        userId: "u1",
+      });
+      prisma.userAddress.update.mockResolvedValue({ id: "a1" });
+
+      await updateMyAddress(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(prisma.userAddress.updateMany).toHaveBeenCalledWith({
+        where: { userId: "u1", isDefaultBilling: true, id: { not: "a1" } },
+        data: { isDefaultBilling: false },
+      });
+      expect(prisma.userAddress.update).toHaveBeenCalledWith({
+        where: { id: "a1" },
+        data: { phone: "9811111111", isDefaultBilling: true },
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("returns 404 for another user's address", async () => {
+      const req = {
+        user: { id: "u2" },
+        params: { addressId: "a1" },
+        body: { phone: "9811111111" },
+      };
+      const next = mockNext();
+      prisma.userAddress.findFirst.mockResolvedValue(null);
+
+      await updateMyAddress(req, mockRes(), next);
+
+      expect(prisma.userAddress.findFirst).toHaveBeenCalledWith({
+        where: { id: "a1", userId: "u2" },
+      });
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+      expect(prisma.userAddress.update).not.toHaveBeenCalled();
+    });
+  });
+
+  it("lists the user's addresses with defaults first", async () => {
+    const res = mockRes();
+    prisma.userAddress.findMany.mockResolvedValue([{ id: "a1" }]);
+
+    await getMyAddresses({ user: { id: "u1" } }, res, mockNext());
+
+    expect(prisma.userAddress.findMany).toHaveBeenCalledWith({
+      where: { userId: "u1" },
+      orderBy: [
+        { isDefaultShipping: "desc" },
+        { isDefaultBilling: "desc" },
+        { createdAt: "asc" },
+      ],
+    });
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: [{ id: "a1" }],
+    });
+  });
+
+  it("deletes an own address", async () => {
+    const res = mockRes();
+    const next = mockNext();
+    prisma.userAddress.findFirst.mockResolvedValue({ id: "a1", userId: "u1" });
+
+    await deleteMyAddress(
+      { user: { id: "u1" }, params: { addressId: "a1" } },
+      res,
+      next
+    );
+
+    expect(prisma.userAddress.delete).toHaveBeenCalledWith({
+      where: { id: "a1" },
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
@@ -0,0 +1,336 @@
+import { handlePaymentWebhook } from "../webhookController.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { signWebhookPayload } from "../../utils/payments/webhooks.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    payment: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    paymentEvent: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+    order: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    orderItem: {
+      updateMany: jest.fn(async () => ({ count: 1 })),
+    },
+    refund: {
+      create: jest.fn(async ({ data }) => ({ id: "rf-1", ...data })),
+    },
+    product: {
+      update: jest.fn(),
+    },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    stockReservation: {
+      updateMany: jest.fn(),
+    },
+    invoice: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+    invoiceCounter: {
+      upsert: jest.fn(),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+const SECRET = "whsec_test";
+
+const mockRes = () => ({
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+// Request as express.json() leaves it, with the raw bytes kept for signing
+const signedReq = (
+  body,
+  {
+    provider = "fake",
+    timestamp = Math.floor(Date.now() / 1000),
+    secret = SECRET,
+  } = {}
+) => {
+  const raw = JSON.stringify(body);
+  const headers = {
+    "x-webhook-timestamp": String(timestamp),
+    "x-webhook-signature": signWebhookPayload(secret, timestamp, raw),
+  };
+  return {
+    params: { provider },
+    body,
+    rawBody: Buffer.from(raw),
+    get: (name) => headers[name.toLowerCase()],
+  };
+};
+
+const payment = {
+  id: "pay-1",
+  orderId: "order-1",
+  amount: "100.00",
+  provider: "FAKE",
+  status: "PENDING",
+  providerReference: "fake_ref",
+};
+
+const succeeded = {
+  id: "evt_1",
+  type: "payment.succeeded",
+  data: { reference: "fake_ref", transactionId: "txn_1", amount: "100.00" },
+};
+
+describe("handlePaymentWebhook", () => {
+  const originalSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+    prisma.paymentEvent.findUnique.mockResolvedValue(null);
+    prisma.paymentEvent.create.mockResolvedValue({});
+    prisma.paymentEvent.update.mockImplementation(({ where, data }) =>
+      Promise.resolve({ eventId: where.provider_eventId.eventId, ...data })
+    );
+  });
+
+  afterAll(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = originalSecret;
+  });
+
+  it("stores a verified event and marks the payment PAID", async () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    prisma.payment.findFirst.mockResolvedValue(payment);
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.payment.findUnique.mockResolvedValue({ ...payment, status: "PAID" });
+    prisma.order.findUnique.mockResolvedValue({
+      id: "order-1",
+      total: "100.00",
+      createdAt: new Date("2026-10-19T10:00:00Z"),
+    });
+    prisma.invoice.findUnique.mockResolvedValue(null);
+    prisma.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 3 });
+    prisma.invoice.create.mockResolvedValue({ id: "inv-1", number: 3 });
+
+    await handlePaymentWebhook(signedReq(succeeded), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(prisma.paymentEvent.create).toHaveBeenCalledWith({
+      data: {
+        provider: "FAKE",
+        eventId: "evt_1",
+        type: "payment.succeeded",
+        payload: succeeded,
+      },
+    });
+    expect(prisma.payment.findFirst).toHaveBeenCalledWith({
+      where: { provider: "FAKE", providerReference: "fake_ref" },
+    });
+    expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+      where: { id: "pay-1", status: "PENDING" },
+      data: expect.objectContaining({ status: "PAID", transactionId: "txn_1" }),
+    });
+    expect(prisma.invoice.create).toHaveBeenCalled();
+    expect(prisma.paymentEvent.update.mock.calls[0][0].data).toMatchObject({
+      status: "PROCESSED",
+      paymentId: "pay-1",
+    });
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: { eventId: "evt_1", status: "PROCESSED" },
+    });
+  });
+
+  it("rejects a bad signature without storing anything", async () => {
+    const req = signedReq(succeeded, { secret: "wrong" });
+    const next = jest.fn();
+
+    await handlePaymentWebhook(req, mockRes(), next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(prisma.paymentEvent.create).not.toHaveBeenCalled();
+    expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("rejects a body altered after signing", async () => {
+    const req = signedReq(succeeded);
+    req.rawBody = Buffer.from(
+      JSON.stringify({ ...succeeded, data: { ...succeeded.data, amount: "1" } })
+    );
+    const next = jest.fn();
+
+    await handlePaymentWebhook(req, mockRes(), next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+  });
+
+  it("rejects stale timestamps", async () => {
+    const req = signedReq(succeeded, {
+      timestamp: Math.floor(Date.now() / 1000) - 3600,
+    });
+    const next = jest.fn();
+
+    await handlePaymentWebhook(req, mockRes(), next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(401);
+    expect(next.mock.calls[0][0].message).toMatch(/timestamp/);
+  });
+
+  it("acknowledges redeliveries without applying them again", async () => {
+    const res = mockRes();
+
+    prisma.paymentEvent.findUnique.mockResolvedValue({
+      eventId: "evt_1",
+      status: "PROCESSED",
+    });
+
+    await handlePaymentWebhook(signedReq(succeeded), res, jest.fn());
+
+    expect(prisma.paymentEvent.findUnique).toHaveBeenCalledWith({
+      where: { provider_eventId: { provider: "FAKE", eventId: "evt_1" } },
+    });
+    expect(prisma.paymentEvent.create).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ duplicate: true })
+    );
+  });
+
+  it("treats a concurrent duplicate as already received", async () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    prisma.paymentEvent.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint"), { code: "P2002" })
+    );
+
+    await handlePaymentWebhook(signedReq(succeeded), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ duplicate: true })
+    );
+  });
+
+  it("ignores events that would move the payment backwards", async () => {
+    const res = mockRes();
+
+    prisma.payment.findFirst.mockResolvedValue({ ...payment, status: "PAID" });
+
+    await handlePaymentWebhook(
+      signedReq({ ...succeeded, id: "evt_2", type: "payment.failed" }),
+      res,
+      jest.fn()
+    );
+
+    expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    expect(prisma.paymentEvent.update.mock.calls[0][0].data).toMatchObject({
+      status: "IGNORED",
+      error: "Cannot move payment from PAID to FAILED",
+    });
+  });
+
+  it("ignores a success whose amount does not match", async () => {
+    prisma.payment.findFirst.mockResolvedValue(payment);
+
+    await handlePaymentWebhook(
+      signedReq({ ...succeeded, data: { ...succeeded.data, amount: "1.00" } }),
+      mockRes(),
+      jest.fn()
+    );
+
+    expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    expect(prisma.paymentEvent.update.mock.calls[0][0].data.status).toBe(
+      "IGNORED"
+    );
+  });
+
+  it("cancels an unshipped order when the payment is refunded", async () => {
+    prisma.payment.findFirst.mockResolvedValue({ ...payment, status: "PAID" });
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.payment.findUnique.mockResolvedValue({
+      ...payment,
+      status: "REFUNDED",
+    });
+    prisma.order.findUnique.mockResolvedValue({
+      id: "order-1",
+      status: "PROCESSING",
+      orderItems: [
+        { id: "i1", productId: "p1", quantity: 2, status: "PENDING" },
+      ],
+    });
+    prisma.order.update.mockResolvedValue({ id: "order-1" });
+
+    await handlePaymentWebhook(
+      signedReq({ ...succeeded, id: "evt_3", type: "payment.refunded" }),
+      mockRes(),
+      jest.fn()
+    );
+
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: "p1" },
+      data: { stock: { increment: 2 } },
+    });
+    expect(prisma.order.update.mock.calls[0][0].data).toMatchObject({
+      status: "CANCELED",
+      statusHistory: {
+        create: expect.objectContaining({ note: "Refunded via FAKE" }),
+      },
+    });
+  });
+
+  it("records a provider-side refund as a refund of what was left", async () => {
+    prisma.payment.findFirst.mockResolvedValue({
+      ...payment,
+      status: "PARTIALLY_REFUNDED",
+      refundedAmount: "30.00",
+    });
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+    prisma.payment.findUnique.mockResolvedValue({
+      ...payment,
+      status: "REFUNDED",
+    });
+    prisma.order.findUnique.mockResolvedValue({
+      id: "order-1",
+      status: "DELIVERED",
+      orderItems: [],
+    });
+
+    await handlePaymentWebhook(
+      signedReq({ ...succeeded, id: "evt_4", type: "payment.refunded" }),
+      mockRes(),
+      jest.fn()
+    );
+
+    expect(prisma.payment.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { id: "pay-1", refundedAmount: "30.00" },
+      data: { status: "REFUNDED", refundedAmount: "100.00" },
+    });
+    const { data } = prisma.refund.create.mock.calls[0][0];
+    expect(data).toMatchObject({
+      paymentId: "pay-1",
+      status: "SUCCEEDED",
+      reason: "Refunded via FAKE",
+    });
+    expect(data.amount.toString()).toBe("70");
+  });
+
+  it("returns 404 when the provider has no webhook secret", async () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    const next = jest.fn();
+
+    await handlePaymentWebhook(signedReq(succeeded), mockRes(), next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(404);
+  });
+});
@@ -1,5 +1,114 @@
 import { prisma } from "../lib/prismaClient.js";
 import { AppError } from "../utils/AppError.js";
+import {
+  validateCreateOrderInput,
+  computeOrderTotals,
+  persistOrder,
+} from "./orderController.js";
+import { findApplicableCoupon } from "../utils/coupons.js";
+import {
+  findDefaultShippingAddress,
+  resolveOrderAddress,
+} from "../utils/addresses.js";
+
+const CART_VARIANT_SELECT = {
+  id: true,
+  sku: true,
+  name: true,
+  options: true,
+  price: true,
+  stock: true,
+  isActive: true,
+};
+
+/**
+ * Load the product (and variant) a cart line is for. A product with active
+ * variants can only be added through one of them; the returned stock is the
+ * variant's when there is one.
+ */
+const findCartProduct = async (productId, variantId) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: {
+      id: true,
+      price: true,
+      stock: true,
+      isActive: true,
+      _count: { select: { variants: { where: { isActive: true } } } },
+    },
+  });
+
+  if (!product) {
+    throw new AppError("Product not found", 404);
+  }
+
+  if (!variantId) {
+    if (product._count?.variants > 0) {
+      throw new AppError("Choose a variant of this product", 400);
+    }
+    return { product, variant: null, stock: product.stock };
+  }
+
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, productId },
+    select: CART_VARIANT_SELECT,
+  });
+
+  if (!variant) {
+    throw new AppError("Variant not found", 404);
+  }
+
+  return { product, variant, stock: variant.stock };
+};
+
+/**
+ * The cart's line for a product, or for one variant of it
+ */
+const findCartLine = (cartId, productId, variantId) =>
+  prisma.cartItem.findFirst({
+    where: { cartId, productId, variantId: variantId || null },
+  });
+
+/**
+ * Create a cart line, or update it when the cart already has one.
+ * Variant lines upsert on their (cartId, productId, variantId) key. Prisma
+ * cannot match a null in a compound key, so a line without a variant is
+ * created and, when a concurrent request inserted it first (the partial
+ * unique index on lines without a variant rejects the duplicate), updated.
+ */
+const saveCartLine = async (
+  { cartId, productId, variantId },
+  { create, update },
+  include
+) => {
+  if (variantId) {
+    return prisma.cartItem.upsert({
+      where: { cartId_productId_variantId: { cartId, productId, variantId } },
+      update,
+      create: { cartId, productId, variantId, ...create },
+      include,
+    });
+  }
+
+  let line = await findCartLine(cartId, productId, null);
+  if (!line) {
+    try {
+      return await prisma.cartItem.create({
+        data: { cartId, productId, ...create },
+        include,
+      });
+    } catch (error) {
+      if (error.code !== "P2002") throw error;
+      line = await findCartLine(cartId, productId, null);
+    }
+  }
+
+  return prisma.cartItem.update({
+    where: { id: line.id },
+    data: update,
+    include,
+  });
+};
 
 /**
  * Get user's cart with all items
@@ -24,6 +133,7 @@ export const getCart = async (req, res, next) => {
                 isActive: true,
               },
             },
+            variant: { select: CART_VARIANT_SELECT },
           },
         },
       },
@@ -37,6 +147,7 @@ export const getCart = async (req, res, next) => {
           items: {
             include: {
               product: true,
+              variant: true,
             },
           },
         },
@@ -53,12 +164,13 @@ export const getCart = async (req, res, next) => {
 };
 
 /**
- * Add product to cart (or increment quantity if already exists)
+ * Add product (or one of its variants) to cart, or increment the quantity
+ * if the line already exists
  */
 export const addToCart = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     if (!productId) {
       throw new AppError("Product ID is required", 400);
@@ -68,17 +180,10 @@ export const addToCart = async (req, res, next) => {
       throw new AppError("Quantity must be at least 1", 400);
     }
 
-    // Verify product exists and is active
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: { id: true, price: true, stock: true, isActive: true },
-    });
-
-    if (!product) {
-      throw new AppError("Product not found", 404);
-    }
+    // Verify product (and variant) exists and is active
+    const { product, variant } = await findCartProduct(productId, variantId);
 
-    if (!product.isActive) {
+    if (!product.isActive || (variant && !variant.isActive)) {
       throw new AppError("Product is not available", 400);
     }
 
@@ -89,37 +194,26 @@ export const addToCart = async (req, res, next) => {
       create: { userId },
     });
 
-    // Add item to cart or increment quantity
-    const item = await prisma.cartItem.upsert({
-      where: {
-        cartId_productId: {
-          cartId: cart.id,
-          productId,
-        },
-      },
-      update: {
-        quantity: {
-          increment: quantity,
+    const include = {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          description: true,
+          price: true,
+          image: true,
+          stock: true,
         },
       },
-      create: {
-        cartId: cart.id,
-        productId,
-        quantity,
-      },
-      include: {
-        product: {
-          select: {
-            id: true,
-            name: true,
-            description: true,
-            price: true,
-            image: true,
-            stock: true,
-          },
-        },
-      },
-    });
+      variant: { select: CART_VARIANT_SELECT },
+    };
+
+    // Add item to cart or increment quantity
+    const item = await saveCartLine(
+      { cartId: cart.id, productId, variantId: variant?.id },
+      { create: { quantity }, update: { quantity: { increment: quantity } } },
+      include
+    );
 
     res.status(200).json({
       success: true,
@@ -137,7 +231,7 @@ export const addToCart = async (req, res, next) => {
 export const updateCartItem = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     if (!productId) {
       throw new AppError("Product ID is required", 400);
@@ -156,47 +250,38 @@ export const updateCartItem = async (req, res, next) => {
       throw new AppError("Cart not found", 404);
     }
 
-    // Verify product exists and check stock
-    const product = await prisma.product.findUnique({
-      where: { id: productId },
-      select: { id: true, price: true, stock: true, isActive: true },
-    });
-
-    if (!product) {
-      throw new AppError("Product not found", 404);
-    }
+    // Verify product (and variant) exists and check its stock
+    const { product, variant, stock } = await findCartProduct(
+      productId,
+      variantId
+    );
 
-    if (quantity > product.stock) {
-      throw new AppError(`Only ${product.stock} items available in stock`, 400);
+    if (quantity > stock) {
+      throw new AppError(`Only ${stock} items available in stock`, 400);
     }
 
-    // Update cart item quantity
-    const item = await prisma.cartItem.upsert({
-      where: {
-        cartId_productId: {
-          cartId: cart.id,
-          productId,
+    const include = {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          price: true,
+          image: true,
+          stock: true,
         },
       },
-      update: { quantity },
-      create: {
-        cartId: cart.id,
-        productId,
-        quantity,
-        unitPrice: product.price,
-      },
-      include: {
-        product: {
-          select: {
-            id: true,
-            name: true,
-            price: true,
-            image: true,
-            stock: true,
-          },
-        },
+      variant: { select: CART_VARIANT_SELECT },
+    };
+
+    // Update cart item quantity
+    const item = await saveCartLine(
+      { cartId: cart.id, productId, variantId: variant?.id },
+      {
+        create: { quantity, unitPrice: variant?.price ?? product.price },
+        update: { quantity },
       },
-    });
+      include
+    );
 
     res.status(200).json({
       success: true,
@@ -214,7 +299,7 @@ export const updateCartItem = async (req, res, next) => {
 export const removeFromCart = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
 
     if (!productId) {
       throw new AppError("Product ID is required", 400);
@@ -230,14 +315,7 @@ export const removeFromCart = async (req, res, next) => {
     }
 
     // Find cart item
-    const cartItem = await prisma.cartItem.findUnique({
-      where: {
-        cartId_productId: {
-          cartId: cart.id,
-          productId,
-        },
-      },
-    });
+    const cartItem = await findCartLine(cart.id, productId, variantId);
 
     if (!cartItem) {
       throw new AppError("Item not found in cart", 404);
@@ -292,3 +370,156 @@ export const clearCart = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Checkout: convert the user's cart into an order, shipped to
+ * shippingAddress or a saved address (addressId)
+ * Stock decrement, order creation and cart emptying share one transaction
+ */
+export const checkoutCart = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const {
+      shippingAddress,
+      addressId,
+      paymentMethod,
+      paymentProvider,
+      couponCode,
+    } = req.body || {};
+
+    const cart = await prisma.cart.findUnique({
+      where: { userId },
+      include: { items: true },
+    });
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError("Cart is empty", 400);
+    }
+
+    const items = cart.items.map((item) => ({
+      productId: item.productId,
+      ...(item.variantId && { variantId: item.variantId }),
+      quantity: item.quantity,
+    }));
+
+    validateCreateOrderInput({
+      items,
+      shippingAddress,
+      paymentMethod,
+      couponCode,
+    });
+    const address = await resolveOrderAddress(userId, {
+      shippingAddress,
+      addressId,
+    });
+
+    const coupon = couponCode
+      ? await findApplicableCoupon(couponCode, userId)
+      : undefined;
+    const totals = await computeOrderTotals(items, {
+      coupon,
+      address,
+    });
+
+    const order = await prisma.$transaction(async (tx) => {
+      const createdOrder = await persistOrder(tx, userId, totals, {
+        shippingAddress: address,
+        paymentMethod,
+        paymentProvider,
+      });
+
+      // Only remove the items that were checked out, so anything added
+      // concurrently stays in the cart
+      await tx.cartItem.deleteMany({
+        where: {
+          cartId: cart.id,
+          id: { in: cart.items.map((item) => item.id) },
+        },
+      });
+
+      await tx.cart.update({
+        where: { id: cart.id },
+        data: { updatedAt: new Date() },
+      });
+
+      return createdOrder;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Order placed successfully",
+      data: order,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview a coupon against the current cart
+ * Nothing is reserved or redeemed until checkout. Shipping is priced for
+ * the user's default shipping address; without one, a free-shipping saving
+ * is only known at checkout (shippingDiscountPending).
+ */
+export const applyCouponToCart = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { couponCode } = req.body || {};
+
+    if (!couponCode || typeof couponCode !== "string") {
+      throw new AppError("Coupon code is required", 400);
+    }
+
+    const cart = await prisma.cart.findUnique({
+      where: { userId },
+      include: { items: true },
+    });
+
+    if (!cart || cart.items.length === 0) {
+      throw new AppError("Cart is empty", 400);
+    }
+
+    const coupon = await findApplicableCoupon(couponCode, userId);
+    const address = await findDefaultShippingAddress(userId);
+    const totals = await computeOrderTotals(
+      cart.items.map((item) => ({
+        productId: item.productId,
+        ...(item.variantId && { variantId: item.variantId }),
+        quantity: item.quantity,
+      })),
+      { coupon, address }
+    );
+    const shippingPending = !address && coupon.type === "FREE_SHIPPING";
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupon: {
+          code: coupon.code,
+          type: coupon.type,
+          value: coupon.value,
+          description: coupon.description,
+        },
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        // without an address the free-shipping saving is priced at checkout
+        shippingDiscount: shippingPending ? null : totals.shippingDiscount,
+        shippingDiscountPending: shippingPending,
+        tax: totals.tax,
+        shippingFee: totals.shippingFee,
+        total: totals.total,
+        items: totals.orderItemsData.map((item) => ({
+          productId: item.productId,
+          productName: item.productName,
+          variantId: item.variantId,
+          variantName: item.variantName,
+          quantity: item.quantity,
+          subtotal: item.subtotal,
+          discount: item.discount,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,440 @@
+// controllers/categoryController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import { deleteFile } from "../utils/uploads.js";
+import {
+  slugify,
+  uniqueCategorySlug,
+  buildCategoryTree,
+  categoryPath,
+  collectDescendantIds,
+  parseIdList,
+  resolveCategoryIds,
+} from "../utils/categories.js";
+
+const CATEGORY_ORDER = [{ sortOrder: "asc" }, { name: "asc" }];
+
+// URL prefix of images uploaded here rather than linked
+const UPLOADS_PREFIX = "/uploads/";
+
+// multipart bodies send everything as strings
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Image URLs from the body plus uploaded files (multer)
+ */
+const collectImages = (req) => {
+  let urls = parseJson(req.body?.images);
+  if (typeof urls === "string") urls = [urls];
+  if (!Array.isArray(urls)) urls = [];
+
+  return [
+    ...urls
+      .filter((url) => typeof url === "string" && url)
+      .map((url) => ({ url })),
+    ...(req.files || []).map((file) => ({
+      url: `${UPLOADS_PREFIX}${file.filename}`,
+    })),
+  ];
+};
+
+/**
+ * GET /api/products/categories
+ * Public: every category as a flat list, in menu order
+ */
+export const getAllCategories = async (req, res, next) => {
+  try {
+    const response = await prisma.category.findMany({
+      include: { images: true },
+      orderBy: CATEGORY_ORDER,
+    });
+    res.status(200).json(response);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/products/categories/tree
+ * Public: categories nested under their parents, with active product counts
+ */
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await prisma.category.findMany({
+      include: {
+        images: true,
+        _count: { select: { products: { where: { isActive: true } } } },
+      },
+      orderBy: CATEGORY_ORDER,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: buildCategoryTree(categories),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/products/categories/:slug
+ * Public: a category page - the category with its images, breadcrumb
+ * (top-level category first) and subcategories
+ */
+export const getCategoryBySlug = async (req, res, next) => {
+  try {
+    const category = await prisma.category.findUnique({
+      where: { slug: req.params.slug },
+      include: {
+        images: true,
+        children: { include: { images: true }, orderBy: CATEGORY_ORDER },
+      },
+    });
+    if (!category) throw new AppError("Category not found", 404);
+
+    const all = await prisma.category.findMany({
+      select: { id: true, name: true, slug: true, parentId: true },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...category,
+        breadcrumb: categoryPath(all, category.id).map(
+          ({ id, name, slug }) => ({ id, name, slug })
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/products/categories
+ * Admin: create a category
+ * body (multipart or JSON): { name, slug?, description?, parentId?,
+ *   sortOrder?, images? } plus uploaded "images" files
+ *   slug - defaults to one made from the name; made unique with a suffix
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, description, parentId } = req.body || {};
+
+    if (typeof name !== "string" || !name.trim()) {
+      throw new AppError("Missing field: name", 400);
+    }
+    if (description != null && typeof description !== "string") {
+      throw new AppError("description must be a string", 400);
+    }
+
+    const sortOrder =
+      req.body.sortOrder == null || req.body.sortOrder === ""
+        ? 0
+        : Number(req.body.sortOrder);
+    if (!Number.isInteger(sortOrder)) {
+      throw new AppError("sortOrder must be an integer", 400);
+    }
+
+    const baseSlug = slugify(slug || name);
+    if (!baseSlug) {
+      throw new AppError("slug must contain letters or digits", 400);
+    }
+
+    if (parentId) {
+      const parent = await prisma.category.findUnique({
+        where: { id: parentId },
+        select: { id: true },
+      });
+      if (!parent) throw new AppError("Parent category not found", 404);
+    }
+
+    const response = await prisma.category.create({
+      data: {
+        name: name.trim(),
+        slug: await uniqueCategorySlug(baseSlug),
+        description: description?.trim() || null,
+        parentId: parentId || null,
+        sortOrder,
+        images: { create: collectImages(req) },
+      },
+      include: { images: true },
+    });
+    res.status(201).json(response);
+  } catch (error) {
+    for (const file of req.files || []) deleteFile(file.filename);
+    if (error.code === "P2002") {
+      return next(new AppError("Category already exists", 409));
+    }
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/products/categories/:id
+ * Admin: rename or move a category
+ * body: { name?, slug?, description?, parentId?, sortOrder? }
+ *   slug - kept on rename so links keep working, unless sent
+ *   parentId - null makes it top-level; not itself or a subcategory
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, slug, description, parentId, sortOrder } = req.body || {};
+    const data = {};
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      select: { id: true, slug: true },
+    });
+    if (!category) throw new AppError("Category not found", 404);
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        throw new AppError("name must be a non-empty string", 400);
+      }
+      data.name = name.trim();
+    }
+
+    if (slug !== undefined) {
+      const baseSlug = slugify(slug);
+      if (!baseSlug) {
+        throw new AppError("slug must contain letters or digits", 400);
+      }
+      if (baseSlug !== category.slug) {
+        data.slug = await uniqueCategorySlug(baseSlug);
+      }
+    }
+
+    if (description !== undefined) {
+      if (description !== null && typeof description !== "string") {
+        throw new AppError("description must be a string", 400);
+      }
+      data.description = description?.trim() || null;
+    }
+
+    if (sortOrder !== undefined) {
+      if (!Number.isInteger(Number(sortOrder)) || sortOrder === "") {
+        throw new AppError("sortOrder must be an integer", 400);
+      }
+      data.sortOrder = Number(sortOrder);
+    }
+
+    if (parentId !== undefined) {
+      if (parentId) {
+        const all = await prisma.category.findMany({
+          select: { id: true, parentId: true },
+        });
+        if (!all.some((other) => other.id === parentId)) {
+          throw new AppError("Parent category not found", 404);
+        }
+        if (
+          parentId === id ||
+          collectDescendantIds(all, id).includes(parentId)
+        ) {
+          throw new AppError(
+            "A category cannot move under itself or its subcategories",
+            400
+          );
+        }
+      }
+      data.parentId = parentId || null;
+    }
+
+    const response = await prisma.category.update({
+      where: { id },
+      data,
+      include: { images: true },
+    });
+    res.status(200).json(response);
+  } catch (error) {
+    if (error.code === "P2002") {
+      return next(new AppError("Category already exists", 409));
+    }
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/products/categories/:id?reassignTo=<categoryId>
+ * Admin: delete a category. Its products move to reassignTo; without it a
+ * category that still has products is kept (409). Categories with
+ * subcategories, or used by coupons or tax rules, are always kept.
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reassignTo } = req.query;
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      include: {
+        images: true,
+        _count: {
+          select: {
+            children: true,
+            products: true,
+            coupons: true,
+            taxRules: true,
+          },
+        },
+      },
+    });
+    if (!category) throw new AppError("Category not found", 404);
+
+    const { children, products, coupons, taxRules } = category._count;
+    if (children > 0) {
+      throw new AppError(
+        "Category has subcategories; move or delete them first",
+        409
+      );
+    }
+    // deleting would widen a coupon's scope or drop a tax rule
+    if (coupons > 0 || taxRules > 0) {
+      throw new AppError(
+        `Category is used by ${coupons} coupon(s) and ${taxRules} tax rule(s); update them first`,
+        409
+      );
+    }
+    if (products > 0 && !reassignTo) {
+      throw new AppError(
+        `Category has ${products} product(s); pass reassignTo to move them`,
+        409
+      );
+    }
+    if (reassignTo === id) {
+      throw new AppError("Cannot reassign products to the same category", 400);
+    }
+
+    const moved = await prisma.$transaction(async (tx) => {
+      let productIds = [];
+      if (products > 0) {
+        await resolveCategoryIds([reassignTo], tx);
+        productIds = (
+          await tx.product.findMany({
+            where: { categories: { some: { id } } },
+            select: { id: true },
+          })
+        ).map((product) => product.id);
+
+        await tx.category.update({
+          where: { id: reassignTo },
+          data: {
+            products: { connect: productIds.map((pid) => ({ id: pid })) },
+          },
+        });
+      }
+
+      await tx.category.delete({ where: { id } });
+      return productIds.length;
+    });
+
+    // image rows go with the category; uploaded files are ours to remove
+    for (const { url } of category.images || []) {
+      if (url.startsWith(UPLOADS_PREFIX)) {
+        deleteFile(url.slice(UPLOADS_PREFIX.length));
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Category deleted",
+      data: { reassigned: moved, reassignTo: moved > 0 ? reassignTo : null },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/products/:id/categories
+ * Admin: replace a product's categories
+ * body: { categoryIds } - [] removes the product from every category
+ */
+export const setProductCategories = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (req.body?.categoryIds === undefined) {
+      throw new AppError("Missing field: categoryIds", 400);
+    }
+    const categoryIds = await resolveCategoryIds(req.body.categoryIds);
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+    if (!product) throw new AppError("Product not found", 404);
+
+    const response = await prisma.product.update({
+      where: { id },
+      data: { categories: { set: categoryIds.map((cid) => ({ id: cid })) } },
+      include: { categories: true },
+    });
+    res.status(200).json({ success: true, data: response });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/products/categories/:id/products
+ * Admin: add many products to a category; they keep their other categories
+ * body: { productIds }
+ */
+export const assignProductsToCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const productIds = parseIdList(req.body?.productIds, "productIds");
+    if (productIds.length === 0) {
+      throw new AppError("productIds must not be empty", 400);
+    }
+
+    const category = await prisma.category.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+    if (!category) throw new AppError("Category not found", 404);
+
+    const found = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      select: { id: true },
+    });
+    const known = new Set(found.map((product) => product.id));
+    const missing = productIds.filter((pid) => !known.has(pid));
+    if (missing.length > 0) {
+      throw new AppError(`Product not found: ${missing.join(", ")}`, 404);
+    }
+
+    await prisma.category.update({
+      where: { id },
+      data: { products: { connect: productIds.map((pid) => ({ id: pid })) } },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Assigned ${productIds.length} product(s)`,
+      data: { categoryId: id, productIds },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getAllCategories,
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  setProductCategories,
+  assignProductsToCategory,
+};
@@ -0,0 +1,236 @@
+// controllers/couponController.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+import { AppError } from "../utils/AppError.js";
+import { COUPON_TYPES, normalizeCouponCode } from "../utils/coupons.js";
+
+const COUPON_INCLUDE = {
+  products: { select: { id: true, name: true } },
+  categories: { select: { id: true, name: true } },
+};
+
+/**
+ * Validate and normalize coupon payload
+ * partial: only validate fields that are present (updates)
+ */
+const buildCouponData = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object") {
+    throw new AppError("Invalid request body", 400);
+  }
+
+  const data = {};
+
+  if (!partial || body.code !== undefined) {
+    const code = normalizeCouponCode(body.code);
+    if (!code) throw new AppError("Coupon code is required", 400);
+    data.code = code;
+  }
+
+  if (!partial || body.type !== undefined) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      throw new AppError("Invalid coupon type", 400);
+    }
+    data.type = body.type;
+  }
+
+  const toDecimal = (field) => {
+    const value = body[field];
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    const num = Number(value);
+    if (!Number.isFinite(num) || num < 0) {
+      throw new AppError(`${field} must be a non-negative number`, 400);
+    }
+    return new Prisma.Decimal(String(value));
+  };
+
+  const toLimit = (field) => {
+    const value = body[field];
+    if (value === undefined || value === null) return value;
+    if (!Number.isInteger(value) || value < 1) {
+      throw new AppError(`${field} must be a positive integer`, 400);
+    }
+    return value;
+  };
+
+  const toDate = (field) => {
+    const value = body[field];
+    if (value === undefined || value === null) return value;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`Invalid ${field}`, 400);
+    }
+    return date;
+  };
+
+  data.value = toDecimal("value");
+  data.maxDiscount = toDecimal("maxDiscount");
+  data.minSubtotal = toDecimal("minSubtotal");
+  data.usageLimit = toLimit("usageLimit");
+  data.usageLimitPerUser = toLimit("usageLimitPerUser");
+  data.startsAt = toDate("startsAt");
+  data.expiresAt = toDate("expiresAt");
+
+  if (body.description !== undefined) data.description = body.description;
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  if (data.type === "PERCENTAGE" && data.value?.gt(100)) {
+    throw new AppError("Percentage value cannot exceed 100", 400);
+  }
+  if (!partial && data.type !== "FREE_SHIPPING" && data.value == null) {
+    throw new AppError("Coupon value is required", 400);
+  }
+  if (data.startsAt && data.expiresAt && data.expiresAt <= data.startsAt) {
+    throw new AppError("expiresAt must be after startsAt", 400);
+  }
+
+  for (const field of ["productIds", "categoryIds"]) {
+    if (body[field] !== undefined && !Array.isArray(body[field])) {
+      throw new AppError(`${field} must be an array`, 400);
+    }
+  }
+
+  return data;
+};
+
+/**
+ * GET /api/coupons
+ * Admin: list coupons
+ */
+export const getCoupons = async (req, res, next) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      orderBy: { createdAt: "desc" },
+      include: COUPON_INCLUDE,
+    });
+    res.status(200).json({ success: true, data: coupons });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/coupons/:id
+ * Admin: single coupon
+ */
+export const getCouponById = async (req, res, next) => {
+  try {
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: req.params.id },
+      include: COUPON_INCLUDE,
+    });
+    if (!coupon) throw new AppError("Coupon not found", 404);
+
+    res.status(200).json({ success: true, data: coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/coupons
+ * Admin: create coupon, optionally scoped to productIds / categoryIds
+ */
+export const createCoupon = async (req, res, next) => {
+  try {
+    const data = buildCouponData(req.body);
+    const { productIds = [], categoryIds = [] } = req.body;
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        ...data,
+        products: { connect: productIds.map((id) => ({ id })) },
+        categories: { connect: categoryIds.map((id) => ({ id })) },
+      },
+      include: COUPON_INCLUDE,
+    });
+
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/coupons/:id
+ * Admin: update coupon; productIds / categoryIds replace the scope
+ */
+export const updateCoupon = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const data = buildCouponData(req.body, { partial: true });
+    const { productIds, categoryIds } = req.body;
+
+    const existing = await prisma.coupon.findUnique({ where: { id } });
+    if (!existing) throw new AppError("Coupon not found", 404);
+
+    // validate the coupon as it will be after the update; an explicit
+    // null clears a field
+    const merged = (field) =>
+      data[field] !== undefined ? data[field] : existing[field];
+    const type = merged("type");
+    const value = merged("value");
+    if (type !== "FREE_SHIPPING" && value == null) {
+      throw new AppError("Coupon value is required", 400);
+    }
+    if (type === "PERCENTAGE" && new Prisma.Decimal(value).gt(100)) {
+      throw new AppError("Percentage value cannot exceed 100", 400);
+    }
+    const startsAt = merged("startsAt");
+    const expiresAt = merged("expiresAt");
+    if (startsAt && expiresAt && expiresAt <= startsAt) {
+      throw new AppError("expiresAt must be after startsAt", 400);
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data: {
+        ...data,
+        products: productIds
+          ? { set: productIds.map((pid) => ({ id: pid })) }
+          : undefined,
+        categories: categoryIds
+          ? { set: categoryIds.map((cid) => ({ id: cid })) }
+          : undefined,
+      },
+      include: COUPON_INCLUDE,
+    });
+
+    res.status(200).json({ success: true, data: coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/coupons/:id
+ * Admin: delete an unused coupon; redeemed coupons can only be deactivated
+ */
+export const deleteCoupon = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.coupon.findUnique({ where: { id } });
+    if (!existing) throw new AppError("Coupon not found", 404);
+
+    if (existing.timesUsed > 0) {
+      throw new AppError(
+        "Coupon has been redeemed; deactivate it instead",
+        400
+      );
+    }
+
+    await prisma.coupon.delete({ where: { id } });
+    res.status(200).json({ success: true, message: "Coupon deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -0,0 +1,123 @@
+// controllers/invoiceController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import {
+  buildInvoiceView,
+  buildCreditNoteView,
+  formatCreditNoteNumber,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from "../utils/invoices.js";
+
+/**
+ * The order of the request with its invoice (and credit notes), for its
+ * owner or an admin; 404 until the order is paid and invoiced
+ */
+const findInvoicedOrder = async (req) => {
+  const user = req.user;
+  if (!user?.id) throw new AppError("Unauthorized", 401);
+
+  const order = await prisma.order.findUnique({
+    where: { id: req.params.id },
+    include: {
+      orderItems: true,
+      shippingAddress: true,
+      invoice: { include: { creditNotes: { orderBy: { number: "asc" } } } },
+      user: { select: { firstName: true, lastName: true, email: true } },
+    },
+  });
+  if (!order) throw new AppError("Order not found", 404);
+
+  const isOwner = order.userId === user.id;
+  const isAdmin = !!user.isAdmin;
+  if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
+
+  if (!order.invoice) {
+    throw new AppError("Invoice is issued once the order is paid", 404);
+  }
+  return order;
+};
+
+/**
+ * Send a document view as HTML or PDF. Without ?format the Accept header
+ * decides (HTML default).
+ */
+const sendDocument = async (req, res, view) => {
+  const format = req.query?.format || req.accepts(["html", "pdf"]) || "html";
+  if (!["html", "pdf"].includes(format)) {
+    throw new AppError("format must be html or pdf", 400);
+  }
+
+  if (format === "pdf") {
+    const pdf = await renderInvoicePdf(view);
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `inline; filename="${view.number}.pdf"`);
+    return res.status(200).send(pdf);
+  }
+
+  res.set("Content-Type", "text/html; charset=utf-8");
+  res.status(200).send(renderInvoiceHtml(view));
+};
+
+/**
+ * GET /api/orders/:id/invoice?format=html|pdf
+ * Owner or admin. Without ?format the Accept header decides (HTML default).
+ * Available once the order's payment is PAID. Always the invoice as issued;
+ * refunds since then are credit notes.
+ */
+export const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await findInvoicedOrder(req);
+    await sendDocument(req, res, buildInvoiceView(order));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/orders/:id/credit-notes
+ * Owner or admin: credit notes issued against the order's invoice
+ */
+export const getOrderCreditNotes = async (req, res, next) => {
+  try {
+    const order = await findInvoicedOrder(req);
+
+    res.status(200).json({
+      success: true,
+      data: order.invoice.creditNotes.map((note) => ({
+        id: note.id,
+        number: formatCreditNoteNumber(note.number),
+        refundId: note.refundId,
+        amount: note.amount,
+        issuedAt: note.issuedAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/orders/:id/credit-notes/:creditNoteId?format=html|pdf
+ * Owner or admin, like the invoice
+ */
+export const getOrderCreditNote = async (req, res, next) => {
+  try {
+    const order = await findInvoicedOrder(req);
+
+    const creditNote = order.invoice.creditNotes.find(
+      (note) => note.id === req.params.creditNoteId
+    );
+    if (!creditNote) throw new AppError("Credit note not found", 404);
+
+    await sendDocument(req, res, buildCreditNoteView(creditNote, order));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getOrderInvoice,
+  getOrderCreditNotes,
+  getOrderCreditNote,
+};
@@ -2,18 +2,45 @@
 import { prisma } from "../lib/prismaClient.js";
 import { Prisma } from "@prisma/client";
 import { AppError } from "../utils/AppError.js";
+import {
+  ORDER_STATUSES,
+  ORDER_ITEM_STATUSES,
+  canTransitionOrderItem,
+  isActiveOrderItem,
+  transitionOrderStatus,
+  syncOrderStatusFromItems,
+} from "../utils/orderStatus.js";
+import {
+  applyCouponToLines,
+  findApplicableCoupon,
+  redeemCoupon,
+} from "../utils/coupons.js";
+import {
+  loadTaxRules,
+  resolveTaxRule,
+  computeLineTax,
+} from "../utils/taxRules.js";
+import {
+  loadShippingZones,
+  resolveShippingZone,
+  computeShippingFee,
+} from "../utils/shipping.js";
+import {
+  paymentDeadline,
+  settleReservations,
+} from "../utils/stockReservations.js";
+import { moveStock, restockOrderItem } from "../utils/stockMovements.js";
+import { validateAddress, resolveOrderAddress } from "../utils/addresses.js";
 
 /**
  * CONFIG
  */
-const TAX_RATE = 0.15; // 15%
-const BASE_SHIPPING_FEE = new Prisma.Decimal(0);
 const DEFAULT_DISCOUNT = new Prisma.Decimal(0);
 
 /**
  * Validate create order payload
  */
-const validateCreateOrderInput = (body) => {
+export const validateCreateOrderInput = (body) => {
   if (!body || typeof body !== "object") {
     throw new AppError("Invalid request body", 400);
   }
@@ -28,6 +55,12 @@ const validateCreateOrderInput = (body) => {
     if (!item.productId) {
       throw new AppError("Each item must include productId", 400);
     }
+    if (
+      item.variantId != null &&
+      (typeof item.variantId !== "string" || !item.variantId)
+    ) {
+      throw new AppError("Invalid variantId", 400);
+    }
     const qty = Number(item.quantity);
     if (!Number.isFinite(qty) || qty <= 0) {
       throw new AppError("Each item must have a positive quantity", 400);
@@ -35,30 +68,37 @@ const validateCreateOrderInput = (body) => {
   }
 
   if (shippingAddress) {
-    const requiredAddressFields = [
-      "fullName",
-      "phone",
-      "address",
-      "city",
-      "postalCode",
-      "country",
-    ];
-    for (const field of requiredAddressFields) {
-      if (!shippingAddress[field]) {
-        throw new AppError(`Missing shipping address field: ${field}`, 400);
-      }
-    }
+    validateAddress(shippingAddress, "Missing shipping address field");
   }
 
   if (paymentMethod && typeof paymentMethod !== "string") {
     throw new AppError("Invalid paymentMethod", 400);
   }
+
+  if (body.couponCode != null && typeof body.couponCode !== "string") {
+    throw new AppError("Invalid couponCode", 400);
+  }
 };
 
 /**
  * Compute totals & normalized orderItems array
+ * With a coupon, its discount is spread over the eligible lines before tax.
+ * Each line is taxed by the tax rule matching its categories and the
+ * destination address; shipping comes from the address's shipping zone.
+ * Also backs POST /api/orders/quote, so quotes and orders always agree.
+ * A product with active variants is bought through one of them: the line
+ * takes the variant's price (when it overrides the product's) and stock.
+ *
+ * @param {Array} items - [{ productId, variantId?, quantity }]
+ * @param {{ coupon?: object, address?: object }} [options]
+ *   coupon - from findApplicableCoupon
+ *   address - shipping address ({ country, city }) used to pick tax rules
+ *             and the shipping zone
  */
-const computeOrderTotals = async (items = []) => {
+export const computeOrderTotals = async (
+  items = [],
+  { coupon, address } = {}
+) => {
   const productIds = items.map((it) => it.productId);
 
   const products = await prisma.product.findMany({
@@ -70,48 +110,145 @@ const computeOrderTotals = async (items = []) => {
       price: true,
       stock: true,
       isActive: true,
+      weightGrams: true,
+      lengthCm: true,
+      widthCm: true,
+      heightCm: true,
+      categories: { select: { id: true } },
+      _count: { select: { variants: { where: { isActive: true } } } },
     },
   });
 
+  const variantIds = items
+    .filter((it) => it.variantId)
+    .map((it) => it.variantId);
+  const variants = variantIds.length
+    ? await prisma.productVariant.findMany({
+        where: { id: { in: variantIds } },
+      })
+    : [];
+
   const productMap = new Map(products.map((p) => [p.id, p]));
+  const variantMap = new Map(variants.map((v) => [v.id, v]));
   let subtotal = new Prisma.Decimal(0);
 
-  const orderItemsData = items.map((it) => {
+  const lines = items.map((it) => {
     const product = productMap.get(it.productId);
     if (!product) throw new AppError(`Product not found: ${it.productId}`, 404);
     if (!product.isActive)
       throw new AppError(`Product inactive: ${product.name}`, 400);
 
+    let variant = null;
+    if (it.variantId) {
+      variant = variantMap.get(it.variantId);
+      if (!variant || variant.productId !== product.id) {
+        throw new AppError(`Variant not found: ${it.variantId}`, 404);
+      }
+      if (!variant.isActive) {
+        throw new AppError(
+          `Variant inactive: ${product.name} (${variant.name})`,
+          400
+        );
+      }
+    } else if (product._count?.variants > 0) {
+      throw new AppError(`Choose a variant of product: ${product.name}`, 400);
+    }
+
     const qty = Number(it.quantity);
     if (!Number.isFinite(qty) || qty <= 0) {
       throw new AppError("Invalid quantity", 400);
     }
-    if (qty > product.stock) {
-      throw new AppError(`Not enough stock for product: ${product.name}`, 400);
+    if (qty > (variant ? variant.stock : product.stock)) {
+      throw new AppError(
+        variant
+          ? `Not enough stock for product: ${product.name} (${variant.name})`
+          : `Not enough stock for product: ${product.name}`,
+        400
+      );
     }
 
-    const unitPrice = new Prisma.Decimal(product.price);
+    const unitPrice = new Prisma.Decimal(variant?.price ?? product.price);
     const lineSubtotal = unitPrice.mul(qty);
 
     subtotal = subtotal.add(lineSubtotal);
 
     return {
+      product,
+      variant,
       productId: it.productId,
+      categoryIds: (product.categories || []).map((c) => c.id),
       quantity: qty,
       unitPrice,
-      discount: DEFAULT_DISCOUNT,
-      tax: new Prisma.Decimal(0),
       subtotal: lineSubtotal,
-      productName: product.name,
-      productImage: product.image,
+    };
+  });
+
+  const shippingZone = address
+    ? resolveShippingZone(await loadShippingZones(), address)
+    : null;
+  let { fee: shippingFee } = computeShippingFee(shippingZone, {
+    lines,
+    subtotal,
+  });
+  let lineDiscounts = lines.map(() => DEFAULT_DISCOUNT);
+  let shippingDiscount = new Prisma.Decimal(0);
+
+  if (coupon) {
+    const applied = applyCouponToLines(coupon, lines, {
+      subtotal,
+      shippingFee,
+    });
+    lineDiscounts = applied.lineDiscounts;
+    if (applied.freeShipping) {
+      shippingDiscount = shippingFee;
+      shippingFee = new Prisma.Decimal(0);
+    }
+  }
+
+  const taxRules = await loadTaxRules();
+  let tax = new Prisma.Decimal(0);
+  let addedTax = new Prisma.Decimal(0);
+  let discount = new Prisma.Decimal(0);
+
+  const orderItemsData = lines.map((line, idx) => {
+    const lineDiscount = lineDiscounts[idx];
+    const rule = resolveTaxRule(taxRules, {
+      categoryIds: line.categoryIds,
+      country: address?.country,
+      city: address?.city,
+    });
+    // tax is charged on the discounted price
+    const { tax: lineTax, included } = computeLineTax(
+      rule,
+      line.subtotal.sub(lineDiscount)
+    );
+
+    tax = tax.add(lineTax);
+    if (!included) addedTax = addedTax.add(lineTax);
+    discount = discount.add(lineDiscount);
+
+    return {
+      productId: line.productId,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      discount: lineDiscount,
+      tax: lineTax,
+      taxIncluded: included,
+      subtotal: line.subtotal,
+      productName: line.product.name,
+      productImage: line.product.image,
+      ...(line.variant && {
+        variantId: line.variant.id,
+        variantName: line.variant.name,
+        sku: line.variant.sku,
+      }),
       status: "PENDING",
     };
   });
 
-  const tax = subtotal.mul(TAX_RATE);
-  const shippingFee = BASE_SHIPPING_FEE;
-  const discount = DEFAULT_DISCOUNT;
-  const total = subtotal.add(tax).add(shippingFee).sub(discount);
+  // order tax and discount are the sums of the per-line amounts;
+  // tax already inside tax-inclusive prices is not added again
+  const total = subtotal.add(addedTax).add(shippingFee).sub(discount);
 
   return {
     subtotal,
@@ -120,6 +257,14 @@ const computeOrderTotals = async (items = []) => {
     shippingFee,
     total,
     orderItemsData,
+    shippingZone: shippingZone
+      ? { id: shippingZone.id, name: shippingZone.name }
+      : null,
+    ...(coupon && {
+      coupon,
+      couponDiscount: discount.add(shippingDiscount),
+      shippingDiscount,
+    }),
   };
 };
 
@@ -135,9 +280,184 @@ const assertCanAccessOrder = (order, user) => {
   }
 };
 
+/**
+ * Recompute order totals from its active (not cancelled/refunded) lines.
+ * A still-PENDING payment attempt follows the new total. Must run inside a
+ * transaction.
+ */
+const recomputeOrderTotals = async (tx, order) => {
+  const active = order.orderItems.filter(isActiveOrderItem);
+  const sum = (field) =>
+    active.reduce(
+      (acc, item) => acc.add(new Prisma.Decimal(item[field] ?? 0)),
+      new Prisma.Decimal(0)
+    );
+
+  const subtotal = sum("subtotal");
+  const tax = sum("tax");
+  const discount = sum("discount");
+  // tax inside tax-inclusive prices is already part of the subtotal
+  const addedTax = tax.sub(
+    active
+      .filter((item) => item.taxIncluded)
+      .reduce(
+        (acc, item) => acc.add(new Prisma.Decimal(item.tax ?? 0)),
+        new Prisma.Decimal(0)
+      )
+  );
+  // nothing left to ship
+  const shippingFee = new Prisma.Decimal(
+    active.length > 0 ? order.shippingFee ?? 0 : 0
+  );
+  const total = subtotal.add(addedTax).add(shippingFee).sub(discount);
+
+  const updated = await tx.order.update({
+    where: { id: order.id },
+    data: { subtotal, tax, discount, shippingFee, total },
+    include: { orderItems: true, shippingAddress: true },
+  });
+
+  // an open attempt follows the new total; settled ones keep their amount
+  await tx.payment.updateMany({
+    where: { orderId: order.id, status: "PENDING" },
+    data: { amount: total },
+  });
+  updated.payments = await tx.payment.findMany({
+    where: { orderId: order.id },
+    orderBy: { createdAt: "asc" },
+  });
+
+  return updated;
+};
+
+/**
+ * Create the order with its items, optional shipping address and optional
+ * PENDING payment, and take each line's stock out as a SALE movement. Each
+ * line's stock is held by a reservation until the order is paid or its
+ * payment deadline passes. Must run inside a transaction.
+ */
+export const persistOrder = async (
+  tx,
+  userId,
+  totals,
+  { shippingAddress, paymentMethod, paymentProvider } = {}
+) => {
+  // create order + items
+  const createdOrder = await tx.order.create({
+    data: {
+      userId,
+      subtotal: totals.subtotal,
+      total: totals.total,
+      tax: totals.tax,
+      discount: totals.discount,
+      shippingFee: totals.shippingFee,
+      status: "PENDING",
+      paymentDueAt: paymentDeadline(paymentMethod || paymentProvider),
+      statusHistory: {
+        create: { toStatus: "PENDING", changedById: userId },
+      },
+      orderItems: {
+        create: totals.orderItemsData.map((i) => ({
+          productId: i.productId,
+          quantity: i.quantity,
+          unitPrice: i.unitPrice,
+          discount: i.discount,
+          tax: i.tax,
+          taxIncluded: i.taxIncluded,
+          subtotal: i.subtotal,
+          productName: i.productName,
+          productImage: i.productImage,
+          ...(i.variantId && {
+            variantId: i.variantId,
+            variantName: i.variantName,
+            sku: i.sku,
+          }),
+          status: i.status,
+          // held until paid or canceled, see utils/reservationSweeper.js
+          reservation: {
+            create: {
+              productId: i.productId,
+              ...(i.variantId && { variantId: i.variantId }),
+              quantity: i.quantity,
+            },
+          },
+        })),
+      },
+    },
+  });
+
+  // decrement stock safely, on the variant for variant lines
+  for (const item of totals.orderItemsData) {
+    const movement = await moveStock(tx, {
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: -item.quantity,
+      type: "SALE",
+      referenceType: "ORDER",
+      referenceId: createdOrder.id,
+      actorId: userId,
+    });
+
+    if (!movement) {
+      throw new AppError(
+        "Stock changed while placing order. Please try again.",
+        409
+      );
+    }
+  }
+
+  if (totals.coupon) {
+    await redeemCoupon(tx, totals.coupon, {
+      userId,
+      orderId: createdOrder.id,
+      discount: totals.couponDiscount,
+    });
+  }
+
+  // optional shipping
+  if (shippingAddress) {
+    await tx.shippingAddress.create({
+      data: {
+        orderId: createdOrder.id,
+        fullName: shippingAddress.fullName,
+        phone: shippingAddress.phone,
+        address: shippingAddress.address,
+        city: shippingAddress.city,
+        postalCode: shippingAddress.postalCode,
+        country: shippingAddress.country,
+      },
+    });
+  }
+
+  // optional payment (PENDING)
+  if (paymentMethod || paymentProvider) {
+    await tx.payment.create({
+      data: {
+        orderId: createdOrder.id,
+        amount: totals.total,
+        status: "PENDING",
+        provider: paymentProvider || paymentMethod || "UNKNOWN",
+        transactionId: null,
+      },
+    });
+  }
+
+  const fullOrder = await tx.order.findUnique({
+    where: { id: createdOrder.id },
+    include: {
+      orderItems: true,
+      payments: true,
+      shippingAddress: true,
+    },
+  });
+
+  return fullOrder;
+};
+
 /**
  * POST /api/orders
- * Create a new order
+ * Create a new order; ships to shippingAddress or to a saved address
+ * (addressId) from the user's address book
  */
 export const createOrder = async (req, res, next) => {
   try {
@@ -145,98 +465,89 @@ export const createOrder = async (req, res, next) => {
     if (!userId) throw new AppError("Unauthorized", 401);
 
     validateCreateOrderInput(req.body);
-    const { items, shippingAddress, paymentMethod, paymentProvider } = req.body;
+    const { items, paymentMethod, paymentProvider, couponCode } = req.body;
+    const shippingAddress = await resolveOrderAddress(userId, req.body);
+
+    const coupon = couponCode
+      ? await findApplicableCoupon(couponCode, userId)
+      : undefined;
+    const totals = await computeOrderTotals(items, {
+      coupon,
+      address: shippingAddress,
+    });
 
-    const totals = await computeOrderTotals(items);
+    const order = await prisma.$transaction((tx) =>
+      persistOrder(tx, userId, totals, {
+        shippingAddress,
+        paymentMethod,
+        paymentProvider,
+      })
+    );
 
-    const order = await prisma.$transaction(async (tx) => {
-      // decrement stock safely
-      for (const item of totals.orderItemsData) {
-        const updated = await tx.product.updateMany({
-          where: {
-            id: item.productId,
-            stock: { gte: item.quantity },
-          },
-          data: {
-            stock: { decrement: item.quantity },
-          },
-        });
+    res.status(201).json(order);
+  } catch (error) {
+    next(error);
+  }
+};
 
-        if (updated.count === 0) {
-          throw new AppError(
-            "Stock changed while placing order. Please try again.",
-            409
-          );
-        }
-      }
+/**
+ * POST /api/orders/quote
+ * Price a proposed order (items, address, coupon) without creating anything.
+ * Only country and city of the address are needed; addressId prices against
+ * a saved address instead.
+ */
+export const quoteOrder = async (req, res, next) => {
+  try {
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
 
-      // create order + items
-      const createdOrder = await tx.order.create({
-        data: {
-          userId,
-          subtotal: totals.subtotal,
-          total: totals.total,
-          tax: totals.tax,
-          discount: totals.discount,
-          shippingFee: totals.shippingFee,
-          status: "PENDING",
-          orderItems: {
-            create: totals.orderItemsData.map((i) => ({
-              productId: i.productId,
-              quantity: i.quantity,
-              unitPrice: i.unitPrice,
-              discount: i.discount,
-              tax: i.tax,
-              subtotal: i.subtotal,
-              productName: i.productName,
-              productImage: i.productImage,
-              status: i.status,
-            })),
-          },
-        },
-      });
+    const { items, addressId, couponCode } = req.body || {};
+    validateCreateOrderInput({ items, couponCode });
 
-      // optional shipping
-      if (shippingAddress) {
-        await tx.shippingAddress.create({
-          data: {
-            orderId: createdOrder.id,
-            fullName: shippingAddress.fullName,
-            phone: shippingAddress.phone,
-            address: shippingAddress.address,
-            city: shippingAddress.city,
-            postalCode: shippingAddress.postalCode,
-            country: shippingAddress.country,
-          },
-        });
+    const inlineAddress = req.body?.shippingAddress;
+    if (inlineAddress != null) {
+      if (typeof inlineAddress !== "object") {
+        throw new AppError("Invalid shippingAddress", 400);
       }
-
-      // optional payment (PENDING)
-      if (paymentMethod || paymentProvider) {
-        await tx.payment.create({
-          data: {
-            orderId: createdOrder.id,
-            amount: totals.total,
-            status: "PENDING",
-            provider: paymentProvider || paymentMethod || "UNKNOWN",
-            transactionId: null,
-          },
-        });
+      if (!inlineAddress.country) {
+        throw new AppError("Missing shipping address field: country", 400);
       }
+    }
+    const shippingAddress = await resolveOrderAddress(userId, {
+      shippingAddress: inlineAddress,
+      addressId,
+    });
 
-      const fullOrder = await tx.order.findUnique({
-        where: { id: createdOrder.id },
-        include: {
-          orderItems: true,
-          payment: true,
-          shippingAddress: true,
-        },
-      });
-
-      return fullOrder;
+    const coupon = couponCode
+      ? await findApplicableCoupon(couponCode, userId)
+      : undefined;
+    const totals = await computeOrderTotals(items, {
+      coupon,
+      address: shippingAddress,
     });
 
-    res.status(201).json(order);
+    res.status(200).json({
+      success: true,
+      data: {
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        tax: totals.tax,
+        shippingFee: totals.shippingFee,
+        total: totals.total,
+        shippingZone: totals.shippingZone,
+        ...(coupon && { couponCode: coupon.code }),
+        items: totals.orderItemsData.map((item) => ({
+          productId: item.productId,
+          productName: item.productName,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          subtotal: item.subtotal,
+          discount: item.discount,
+          tax: item.tax,
+          taxIncluded: item.taxIncluded,
+        })),
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -256,7 +567,7 @@ export const getMyOrders = async (req, res, next) => {
       orderBy: { createdAt: "desc" },
       include: {
         orderItems: true,
-        payment: true,
+        payments: true,
         shippingAddress: true,
       },
     });
@@ -295,7 +606,7 @@ export const getAllOrders = async (req, res, next) => {
             },
           },
           orderItems: true,
-          payment: true,
+          payments: true,
           shippingAddress: true,
         },
       }),
@@ -335,7 +646,7 @@ export const getOrderById = async (req, res, next) => {
             product: true, // optional; you can drop this if you rely purely on snapshots
           },
         },
-        payment: true,
+        payments: true,
         shippingAddress: true,
       },
     });
@@ -350,8 +661,8 @@ export const getOrderById = async (req, res, next) => {
 
 /**
  * PATCH /api/orders/:id/status
- * Admin: update order status
- * Status must be one of OrderStatus enum
+ * Admin: move order through the status workflow
+ * PENDING -> PROCESSING -> SHIPPED -> DELIVERED, cancel before shipping
  */
 export const updateOrderStatus = async (req, res, next) => {
   try {
@@ -359,28 +670,106 @@ export const updateOrderStatus = async (req, res, next) => {
     if (!isAdmin) throw new AppError("Forbidden", 403);
 
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    const allowedStatuses = [
-      "PENDING",
-      "PROCESSING",
-      "SHIPPED",
-      "DELIVERED",
-      "CANCELED",
-    ];
-
-    if (!allowedStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       throw new AppError("Invalid order status", 400);
     }
 
-    const updated = await prisma.order.update({
+    const existing = await prisma.order.findUnique({
       where: { id },
-      data: { status },
-      include: {
-        orderItems: true,
-        payment: true,
-        shippingAddress: true,
-      },
+      include: { orderItems: true },
+    });
+    if (!existing) throw new AppError("Order not found", 404);
+
+    const updated = await prisma.$transaction((tx) =>
+      transitionOrderStatus(tx, existing, status, {
+        changedById: req.user.id,
+        note,
+        cascadeItems: true,
+      })
+    );
+
+    res.status(200).json(updated);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/orders/:id/items/:itemId/status
+ * Admin: update a single line (PACKED, SHIPPED, DELIVERED, CANCELLED, REFUNDED)
+ * Cancelling or refunding restocks the line and recomputes the order totals;
+ * the order status follows its lines
+ */
+export const updateOrderItemStatus = async (req, res, next) => {
+  try {
+    const isAdmin = !!req?.user?.isAdmin;
+    if (!isAdmin) throw new AppError("Forbidden", 403);
+
+    const { id, itemId } = req.params;
+    const { status, note, restock = true } = req.body;
+
+    if (!ORDER_ITEM_STATUSES.includes(status)) {
+      throw new AppError("Invalid order item status", 400);
+    }
+
+    const existing = await prisma.order.findUnique({
+      where: { id },
+      include: { orderItems: true },
+    });
+    if (!existing) throw new AppError("Order not found", 404);
+
+    const item = existing.orderItems.find((i) => i.id === itemId);
+    if (!item) throw new AppError("Order item not found", 404);
+
+    if (!canTransitionOrderItem(item.status, status)) {
+      throw new AppError(
+        `Cannot change item status from ${item.status} to ${status}`,
+        400
+      );
+    }
+
+    const removesLine = status === "CANCELLED" || status === "REFUNDED";
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Matching on the status read guards against two concurrent updates
+      const { count } = await tx.orderItem.updateMany({
+        where: { id: itemId, status: item.status },
+        data: { status },
+      });
+      if (count === 0) {
+        throw new AppError(
+          "Order item status changed while updating. Please try again.",
+          409
+        );
+      }
+
+      // cancelled lines never shipped, so they always go back on the shelf;
+      // units a refund already restocked are not counted again
+      if (removesLine && (status === "CANCELLED" || restock !== false)) {
+        await restockOrderItem(tx, item, item.quantity, {
+          type: status === "CANCELLED" ? "CANCELLATION" : "RETURN",
+          referenceType: "ORDER",
+          referenceId: existing.id,
+          actorId: req.user.id,
+        });
+      }
+
+      const orderItems = existing.orderItems.map((i) =>
+        i.id === itemId ? { ...i, status } : i
+      );
+      let order = { ...existing, orderItems };
+
+      if (removesLine) {
+        await settleReservations(tx, { orderItemId: itemId }, "RELEASED");
+        order = await recomputeOrderTotals(tx, order);
+      }
+
+      return syncOrderStatusFromItems(tx, order, {
+        changedById: req.user.id,
+        note: note || `Item ${item.productName} marked ${status}`,
+      });
     });
 
     res.status(200).json(updated);
@@ -401,7 +790,7 @@ export const cancelMyOrder = async (req, res, next) => {
 
     const existing = await prisma.order.findUnique({
       where: { id },
-      include: { orderItems: true, payment: true },
+      include: { orderItems: true, payments: true },
     });
 
     if (!existing) throw new AppError("Order not found", 404);
@@ -411,29 +800,45 @@ export const cancelMyOrder = async (req, res, next) => {
       throw new AppError("Order cannot be canceled at this stage", 400);
     }
 
-    const updatedOrder = await prisma.$transaction(async (tx) => {
-      // restore stock
-      for (const item of existing.orderItems) {
-        await tx.product.update({
-          where: { id: item.productId },
-          data: { stock: { increment: item.quantity } },
-        });
-      }
+    const updatedOrder = await prisma.$transaction((tx) =>
+      transitionOrderStatus(tx, existing, "CANCELED", {
+        changedById: userId,
+        note: req.body?.reason || "Canceled by customer",
+      })
+    );
 
-      const order = await tx.order.update({
-        where: { id },
-        data: { status: "CANCELED" },
-        include: {
-          orderItems: true,
-          payment: true,
-          shippingAddress: true,
-        },
-      });
+    res.status(200).json(updatedOrder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/orders/:id/history
+ * Owner or admin: status changes, oldest first
+ */
+export const getOrderStatusHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
 
-      return order;
+    const order = await prisma.order.findUnique({
+      where: { id },
+      select: { id: true, userId: true, status: true },
     });
 
-    res.status(200).json(updatedOrder);
+    assertCanAccessOrder(order, req.user);
+
+    const history = await prisma.orderStatusHistory.findMany({
+      where: { orderId: id },
+      orderBy: { createdAt: "asc" },
+      include: {
+        changedBy: {
+          select: { id: true, firstName: true, lastName: true },
+        },
+      },
+    });
+
+    res.status(200).json({ orderId: id, status: order.status, history });
   } catch (error) {
     next(error);
   }
@@ -441,9 +846,12 @@ export const cancelMyOrder = async (req, res, next) => {
 
 export default {
   createOrder,
+  quoteOrder,
   getMyOrders,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
   cancelMyOrder,
+  getOrderStatusHistory,
+  updateOrderItemStatus,
 };
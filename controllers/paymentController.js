@@ -1,10 +1,40 @@
 // controllers/paymentController.js
 import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
 import { AppError } from "../utils/AppError.js";
+import {
+  getPaymentProvider,
+  applyPaymentStatus,
+  isOrderPaid,
+  supersedePendingPayments,
+  CAPTURED_PAYMENT_STATUSES,
+} from "../utils/payments/index.js";
+import { issueRefund } from "../utils/refunds.js";
+import { paymentDeadline } from "../utils/stockReservations.js";
+
+// Where providers send the customer back; the page there calls verify
+const paymentReturnUrl = (orderId, paymentId, provider) => {
+  const base =
+    process.env.PAYMENT_RETURN_URL ||
+    `${process.env.FRONTEND_ORIGIN || "http://localhost:3000"}/payment/verify`;
+  const query = new URLSearchParams({ orderId, paymentId, provider });
+  return `${base}${base.includes("?") ? "&" : "?"}${query}`;
+};
+
+/**
+ * The attempt a request is about: the one named by paymentId, otherwise
+ * the order's latest
+ */
+const findPaymentAttempt = (orderId, paymentId) =>
+  prisma.payment.findFirst({
+    where: { orderId, ...(paymentId && { id: String(paymentId) }) },
+    orderBy: { createdAt: "desc" },
+  });
 
 /**
  * POST /api/orders/:orderId/payment
- * Create a payment record (one per order)
+ * Record a new payment attempt; a still-PENDING earlier attempt is
+ * closed as superseded
  */
 export const createPayment = async (req, res, next) => {
   try {
@@ -14,7 +44,10 @@ export const createPayment = async (req, res, next) => {
     const { orderId } = req.params;
     const { provider, method, transactionId } = req.body;
 
-    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { payments: true },
+    });
     if (!order) throw new AppError("Order not found", 404);
 
     const isOwner = order.userId === user.id;
@@ -25,23 +58,150 @@ export const createPayment = async (req, res, next) => {
     if (order.status === "CANCELED") {
       throw new AppError("Cannot create payment for canceled order", 400);
     }
+    if (isOrderPaid(order)) throw new AppError("Order is already paid", 400);
+
+    const payment = await prisma.$transaction(async (tx) => {
+      await supersedePendingPayments(tx, orderId);
+      return tx.payment.create({
+        data: {
+          orderId,
+          amount: order.total,
+          provider: provider || method || "UNKNOWN",
+          transactionId: transactionId || null,
+          status: "PENDING",
+        },
+      });
+    });
+
+    res.status(201).json(payment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/orders/:orderId/payment/initiate
+ * Owner starts a new payment attempt with a provider adapter and gets
+ * back what the client needs to hand the customer over: a form to POST,
+ * a URL to redirect to, or nothing for cash on delivery
+ */
+export const initiatePayment = async (req, res, next) => {
+  try {
+    const user = req?.user;
+    if (!user?.id) throw new AppError("Unauthorized", 401);
+
+    const { orderId } = req.params;
+    const adapter = getPaymentProvider(req.body?.provider);
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { payments: true, user: true },
+    });
+    if (!order) throw new AppError("Order not found", 404);
+    if (order.userId !== user.id) throw new AppError("Forbidden", 403);
+
+    if (order.status !== "PENDING") {
+      throw new AppError("Only pending orders can be paid", 400);
+    }
+    if (isOrderPaid(order)) throw new AppError("Order is already paid", 400);
 
-    const existing = await prisma.payment.findUnique({
-      where: { orderId },
+    const attempt = await prisma.$transaction(async (tx) => {
+      await supersedePendingPayments(tx, orderId);
+      return tx.payment.create({
+        data: {
+          orderId,
+          amount: order.total,
+          provider: adapter.name,
+          status: "PENDING",
+        },
+      });
     });
-    if (existing) throw new AppError("Payment already exists", 400);
 
-    const payment = await prisma.payment.create({
-      data: {
-        orderId,
+    let initiated;
+    try {
+      initiated = await adapter.initiate({
+        order,
         amount: order.total,
-        provider: provider || method || "UNKNOWN",
-        transactionId: transactionId || null,
-        status: "PENDING",
-      },
+        returnUrl: paymentReturnUrl(orderId, attempt.id, adapter.name),
+      });
+    } catch (error) {
+      // keep the attempt, and why it went nowhere, in the history
+      await prisma.payment.update({
+        where: { id: attempt.id },
+        data: { status: "FAILED", failureReason: error.message },
+      });
+      throw error;
+    }
+
+    const { reference, action } = initiated;
+    const payment = await prisma.payment.update({
+      where: { id: attempt.id },
+      data: { providerReference: reference },
     });
 
-    res.status(201).json(payment);
+    // switching to cash on delivery lifts the online payment deadline
+    if (order.paymentDueAt && !paymentDeadline(adapter.name)) {
+      await prisma.order.update({
+        where: { id: orderId },
+        data: { paymentDueAt: null },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { paymentId: payment.id, provider: adapter.name, ...action },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET|POST /api/orders/:orderId/payment/verify
+ * Return leg from the provider. Nothing in the request is trusted: the
+ * adapter confirms the transaction with the provider before the payment
+ * is marked PAID, so no auth is needed here. Pending attempts and failed
+ * ones that reached the provider are verified; others are returned as is.
+ */
+export const verifyPayment = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const params = { ...req.query, ...(req.body || {}) };
+
+    const payment = await findPaymentAttempt(orderId, params.paymentId);
+    if (!payment) throw new AppError("Payment not found", 404);
+
+    // a superseded (FAILED) attempt may still have been paid on the
+    // provider's page, so the provider is asked about it as well
+    const settled =
+      payment.status !== "PENDING" &&
+      !(payment.status === "FAILED" && payment.providerReference);
+    if (settled) {
+      return res.status(200).json({ success: true, data: payment });
+    }
+    if (!payment.providerReference && payment.provider !== "COD") {
+      throw new AppError("Payment was not initiated with a provider", 400);
+    }
+
+    const adapter = getPaymentProvider(payment.provider);
+    const result = await adapter.verify({ payment, params });
+
+    if (result.status === "PENDING") {
+      return res.status(200).json({ success: true, data: payment });
+    }
+
+    // a replayed callback finds the payment settled and changes nothing
+    const updated = await prisma.$transaction(
+      async (tx) =>
+        (await applyPaymentStatus(tx, payment, result.status, {
+          transactionId: result.transactionId,
+          failureReason: result.failureReason || null,
+          providerResponse: result.raw ?? Prisma.DbNull,
+          verifiedAt: new Date(),
+        })) || tx.payment.findUnique({ where: { id: payment.id } })
+    );
+
+    res.status(200).json({ success: true, data: updated });
   } catch (error) {
     next(error);
   }
@@ -49,31 +209,43 @@ export const createPayment = async (req, res, next) => {
 
 /**
  * PATCH /api/orders/:orderId/payment/status
- * Typically called from payment gateway or your server-side callback
- * No auth enforced here by design; add auth if needed.
+ * Admin-only manual override (e.g. cash collected on delivery) of the
+ * attempt named by paymentId, or the latest one. Follows the same
+ * transitions as provider confirmations; refunds go through
+ * PATCH /api/orders/:orderId/payment/refund.
+ * Gateways report through POST /api/webhooks/payments/:provider instead.
  */
 export const updatePaymentStatus = async (req, res, next) => {
   try {
+    const isAdmin = !!req?.user?.isAdmin;
+    if (!isAdmin) throw new AppError("Forbidden", 403);
+
     const { orderId } = req.params;
-    const { status, transactionId } = req.body;
+    const { status, transactionId, failureReason, paymentId } = req.body;
 
-    const allowed = ["PENDING", "PAID", "FAILED", "REFUNDED"];
+    const allowed = ["PAID", "FAILED"];
     if (!allowed.includes(status)) {
       throw new AppError("Invalid payment status", 400);
     }
 
-    const payment = await prisma.payment.findUnique({
-      where: { orderId },
-    });
+    const payment = await findPaymentAttempt(orderId, paymentId);
     if (!payment) throw new AppError("Payment not found", 404);
 
-    const updated = await prisma.payment.update({
-      where: { orderId },
-      data: {
-        status,
+    // paid orders keep their stock and get their invoice number
+    const updated = await prisma.$transaction((tx) =>
+      applyPaymentStatus(tx, payment, status, {
         transactionId: transactionId || payment.transactionId,
-      },
-    });
+        ...(status === "FAILED" && {
+          failureReason: failureReason || payment.failureReason,
+        }),
+      })
+    );
+    if (!updated) {
+      throw new AppError(
+        `Cannot change payment from ${payment.status} to ${status}`,
+        400
+      );
+    }
 
     res.status(200).json(updated);
   } catch (error) {
@@ -83,7 +255,8 @@ export const updatePaymentStatus = async (req, res, next) => {
 
 /**
  * GET /api/orders/:orderId/payment
- * Owner or admin
+ * Owner or admin: every payment attempt, oldest first, and whether one
+ * of them pays for the order
  */
 export const getPaymentByOrder = async (req, res, next) => {
   try {
@@ -92,28 +265,91 @@ export const getPaymentByOrder = async (req, res, next) => {
 
     const { orderId } = req.params;
 
-    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { payments: { orderBy: { createdAt: "asc" } } },
+    });
     if (!order) throw new AppError("Order not found", 404);
 
     const isOwner = order.userId === user.id;
     const isAdmin = !!user.isAdmin;
     if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
 
-    const payment = await prisma.payment.findUnique({
-      where: { orderId },
-    });
-
-    if (!payment) throw new AppError("Payment not found", 404);
+    if (!order.payments.length) throw new AppError("Payment not found", 404);
 
-    res.status(200).json(payment);
+    res.status(200).json({ paid: isOrderPaid(order), attempts: order.payments });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Validate refund payload:
+ * { amount?, reason?, items?: [{ orderItemId, quantity }], restock? }
+ */
+const parseRefundRequest = (body = {}) => {
+  const { amount, reason, items, restock } = body || {};
+  const data = { amount: null, reason: null, items: null, restock: false };
+
+  if (amount !== undefined && amount !== null) {
+    const num = Number(amount);
+    if (!Number.isFinite(num) || num <= 0) {
+      throw new AppError("amount must be a positive number", 400);
+    }
+    data.amount = new Prisma.Decimal(String(amount)).toDecimalPlaces(2);
+  }
+
+  if (reason !== undefined && reason !== null) {
+    if (typeof reason !== "string" || reason.length > 500) {
+      throw new AppError(
+        "reason must be a string of at most 500 characters",
+        400
+      );
+    }
+    data.reason = reason.trim() || null;
+  }
+
+  if (items !== undefined) {
+    if (
+      !Array.isArray(items) ||
+      items.length === 0 ||
+      items.some(
+        (i) =>
+          !i ||
+          typeof i.orderItemId !== "string" ||
+          !Number.isInteger(i.quantity) ||
+          i.quantity <= 0
+      )
+    ) {
+      throw new AppError(
+        "items must be a non-empty array of { orderItemId, quantity }",
+        400
+      );
+    }
+    data.items = items.map(({ orderItemId, quantity }) => ({
+      orderItemId,
+      quantity,
+    }));
+  }
+
+  if (restock !== undefined) {
+    if (typeof restock !== "boolean") {
+      throw new AppError("restock must be a boolean", 400);
+    }
+    if (restock && !data.items) {
+      throw new AppError("restock requires the refunded items", 400);
+    }
+    data.restock = restock;
+  }
+
+  return data;
+};
+
 /**
  * PATCH /api/orders/:orderId/payment/refund
- * Admin-only refund
+ * Admin-only refund, full or partial. Without amount or items the whole
+ * remaining amount is refunded; with items the amount defaults to what
+ * was paid for those units.
  */
 export const refundPayment = async (req, res, next) => {
   try {
@@ -121,20 +357,57 @@ export const refundPayment = async (req, res, next) => {
     if (!isAdmin) throw new AppError("Forbidden", 403);
 
     const { orderId } = req.params;
+    const request = parseRefundRequest(req.body);
 
-    const payment = await prisma.payment.findUnique({ where: { orderId } });
+    // the captured attempt unless the admin names one; falling back to
+    // the latest lets issueRefund explain why it cannot be refunded
+    const paymentId = req.body?.paymentId;
+    const payment =
+      (!paymentId &&
+        (await prisma.payment.findFirst({
+          where: { orderId, status: { in: CAPTURED_PAYMENT_STATUSES } },
+          orderBy: { createdAt: "desc" },
+        }))) ||
+      (await findPaymentAttempt(orderId, paymentId));
     if (!payment) throw new AppError("Payment not found", 404);
 
-    if (payment.status !== "PAID") {
-      throw new AppError("Only paid payments can be refunded", 400);
-    }
+    const result = await issueRefund({
+      payment,
+      ...request,
+      createdById: req.user.id,
+    });
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/orders/:orderId/payment/refunds
+ * Owner or admin
+ */
+export const getRefunds = async (req, res, next) => {
+  try {
+    const user = req.user;
+    if (!user?.id) throw new AppError("Unauthorized", 401);
 
-    const updated = await prisma.payment.update({
-      where: { orderId },
-      data: { status: "REFUNDED" },
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) throw new AppError("Order not found", 404);
+
+    const isOwner = order.userId === user.id;
+    const isAdmin = !!user.isAdmin;
+    if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
+
+    const refunds = await prisma.refund.findMany({
+      where: { payment: { orderId } },
+      include: { items: true },
+      orderBy: { createdAt: "asc" },
     });
 
-    res.status(200).json(updated);
+    res.status(200).json({ success: true, data: refunds });
   } catch (error) {
     next(error);
   }
@@ -142,7 +415,10 @@ export const refundPayment = async (req, res, next) => {
 
 export default {
   createPayment,
+  initiatePayment,
+  verifyPayment,
   updatePaymentStatus,
   getPaymentByOrder,
   refundPayment,
+  getRefunds,
 };
@@ -1,5 +1,21 @@
 import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
 import { AppError } from "../utils/AppError.js";
+import { moveStock } from "../utils/stockMovements.js";
+import {
+  PRODUCT_SORTS,
+  parseProductQuery,
+  listProducts,
+} from "../utils/productQuery.js";
+import {
+  searchCatalog,
+  recordSearchQuery,
+  suggestSearches,
+} from "../utils/productSearch.js";
+import {
+  collectDescendantIds,
+  resolveCategoryIds,
+} from "../utils/categories.js";
 
 
 export const createProduct = async (req, res, next) => {
@@ -13,28 +29,73 @@ export const createProduct = async (req, res, next) => {
       isActive,
       tags,
       image,
-      galleryImages
+      galleryImages,
+      weightGrams,
+      lengthCm,
+      widthCm,
+      heightCm,
+      returnWindowDays,
+      lowStockThreshold,
+      categoryIds,
     } = extractCreateProductData(req);
 
     if (!name || !description || price == null) {
       throw new AppError("name, description and price are required", 400);
     }
 
-    const product = await prisma.product.create({
-      data: {
-        name,
-        description,
-        price: new prisma.Decimal(String(price)),
-        rating: rating || undefined,
-        stock: stock || undefined,
-        isActive,
-        tags,
-        image,
-        images: {
-          create: galleryImages.map((url) => ({ url })),
+    if (stock != null && (!Number.isInteger(stock) || stock < 0)) {
+      throw new AppError("stock must be a non-negative integer", 400);
+    }
+    if (
+      lowStockThreshold != null &&
+      (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0)
+    ) {
+      throw new AppError(
+        "lowStockThreshold must be a non-negative integer",
+        400
+      );
+    }
+
+    // opening stock goes in through the ledger, see utils/stockMovements.js
+    const product = await prisma.$transaction(async (tx) => {
+      const categories =
+        categoryIds === undefined
+          ? []
+          : await resolveCategoryIds(categoryIds, tx);
+
+      const created = await tx.product.create({
+        data: {
+          name,
+          description,
+          price: new Prisma.Decimal(String(price)),
+          rating: rating || undefined,
+          isActive,
+          tags,
+          image,
+          weightGrams,
+          lengthCm,
+          widthCm,
+          heightCm,
+          returnWindowDays,
+          lowStockThreshold,
+          images: {
+            create: galleryImages.map((url) => ({ url })),
+          },
+          categories: { connect: categories.map((id) => ({ id })) },
         },
-      },
-      include: { images: true }
+        include: { images: true, categories: true },
+      });
+
+      if (!stock) return created;
+
+      await moveStock(tx, {
+        productId: created.id,
+        quantity: stock,
+        type: "RESTOCK",
+        reason: "Initial stock",
+        actorId: req.user?.id,
+      });
+      return { ...created, stock };
     });
 
     res.status(201).json(product);
@@ -44,13 +105,18 @@ export const createProduct = async (req, res, next) => {
 };
 
 
+/**
+ * GET /api/products
+ * Public: paginated, filtered and sorted product listing, with facet counts
+ * on ?facets=true; see utils/productQuery.js for the query params
+ */
 export const getProducts = async (req, res, next) => {
   try {
-    const response = await prisma.product.findMany({
-      include: { images: true, categories: true },
-      orderBy: { createdAt: "desc" },
+    const options = parseProductQuery(req.query, {
+      isAdmin: Boolean(req.user?.isAdmin),
     });
-    res.status(200).json(response);
+    const result = await listProducts(options);
+    res.status(200).json({ success: true, ...result });
   } catch (error) {
     next(error);
   }
@@ -62,7 +128,11 @@ export const getProductById = async (req, res, next) => {
   try {
     const response = await prisma.product.findUnique({
       where: { id },
-      include: { images: true, categories: true },
+      include: {
+        images: true,
+        categories: true,
+        variants: { where: { isActive: true }, include: { images: true } },
+      },
     });
     if (!response) {
       throw new AppError("Product not found", 404);
@@ -76,20 +146,97 @@ export const getProductById = async (req, res, next) => {
 export const updateProduct = async (req, res, next) => {
   const { id } = req.params;
   const { name, description, price, stock, tags, isActive, image } = req.body;
+  const { weightGrams, lengthCm, widthCm, heightCm } = req.body;
+  const { returnWindowDays, lowStockThreshold, categoryIds } = req.body;
+  const nullable = (val) =>
+    typeof val === "number" || val === null ? val : undefined;
 
   try {
-    const response = await prisma.product.update({
-      where: { id },
-      data: {
-        name,
-        description,
-        price: price != null ? new Prisma.Decimal(String(price)) : undefined,
-        stock: typeof stock === "number" ? stock : undefined,
-        tags: Array.isArray(tags) ? tags : undefined,
-        isActive: typeof isActive === "boolean" ? isActive : undefined,
-        image: image || undefined,
-      },
-      include: { images: true, categories: true },
+    if (typeof stock === "number" && (!Number.isInteger(stock) || stock < 0)) {
+      throw new AppError("stock must be a non-negative integer", 400);
+    }
+    if (
+      typeof lowStockThreshold === "number" &&
+      (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0)
+    ) {
+      throw new AppError(
+        "lowStockThreshold must be a non-negative integer",
+        400
+      );
+    }
+
+    const response = await prisma.$transaction(async (tx) => {
+      // replaces the product's categories; [] clears them
+      const categories =
+        categoryIds === undefined
+          ? undefined
+          : await resolveCategoryIds(categoryIds, tx);
+
+      // a new stock level is booked as an ADJUSTMENT for the difference
+      if (typeof stock === "number") {
+        const current = await tx.product.findUnique({
+          where: { id },
+          select: {
+            stock: true,
+            _count: { select: { variants: { where: { isActive: true } } } },
+          },
+        });
+        if (!current) throw new AppError("Product not found", 404);
+        // listing and checkout only sell the variants' stock
+        if (current._count?.variants > 0) {
+          throw new AppError(
+            "Stock of a product with variants is set per variant: use PUT /api/products/:id/variants/:variantId",
+            400
+          );
+        }
+
+        if (stock !== current.stock) {
+          const movement = await moveStock(tx, {
+            productId: id,
+            quantity: stock - current.stock,
+            type: "ADJUSTMENT",
+            reason: "Stock set on product update",
+            actorId: req.user?.id,
+          });
+          if (!movement) {
+            throw new AppError(
+              "Stock changed while updating. Please try again.",
+              409
+            );
+          }
+        }
+      }
+
+      return tx.product.update({
+        where: { id },
+        data: {
+          name,
+          description,
+          price: price != null ? new Prisma.Decimal(String(price)) : undefined,
+          tags: Array.isArray(tags) ? tags : undefined,
+          isActive: typeof isActive === "boolean" ? isActive : undefined,
+          image: image || undefined,
+          // shipping weight & dimensions; null clears them
+          weightGrams:
+            typeof weightGrams === "number"
+              ? Math.round(weightGrams)
+              : nullable(weightGrams),
+          lengthCm: nullable(lengthCm),
+          widthCm: nullable(widthCm),
+          heightCm: nullable(heightCm),
+          // days after delivery; null falls back to RETURN_WINDOW_DAYS
+          returnWindowDays:
+            typeof returnWindowDays === "number"
+              ? Math.round(returnWindowDays)
+              : nullable(returnWindowDays),
+          // admins are emailed at or below this stock; null turns it off
+          lowStockThreshold: nullable(lowStockThreshold),
+          categories: categories && {
+            set: categories.map((id) => ({ id })),
+          },
+        },
+        include: { images: true, categories: true },
+      });
     });
     res.status(200).json(response);
   } catch (error) {
@@ -109,96 +256,94 @@ export const deleteProduct = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/products/search/:query (or ?q=)
+ * Public: full-text search ranked by relevance, typo tolerant, with matched
+ * words highlighted. Takes the listing's filters, sorts and pagination;
+ * sort defaults to "relevance".
+ */
 export const searchProducts = async (req, res, next) => {
   // Support both /search?q=query and /search/:query formats
-  const q = req.query.q || req.params.query;
+  const q = String(req.query.q || req.params.query || "").trim();
 
   try {
-    if (!q || String(q).trim().length === 0) {
-      return res.status(200).json([]);
-    }
-    const response = await prisma.product.findMany({
-      where: {
-        OR: [
-          {
-            name: {
-              contains: q,
-              mode: "insensitive",
-            },
-          },
-          {
-            categories: {
-              some: {
-                name: {
-                  contains: q,
-                  mode: "insensitive",
-                },
-              },
-            },
-          },
-          {
-            description: {
-              contains: q,
-              mode: "insensitive",
-            },
-          },
-          {
-            tags: {
-              hasSome: [q],
-            },
-          },
-        ],
-      },
-      include: { images: true, categories: true },
-      orderBy: { createdAt: "desc" },
+    const options = parseProductQuery(req.query, {
+      isAdmin: Boolean(req.user?.isAdmin),
+      sorts: ["relevance", ...Object.keys(PRODUCT_SORTS)],
+      defaultSort: "relevance",
     });
-    res.status(200).json(response);
-  } catch (error) {
-    next(error);
-  }
-};
+    if (!q) {
+      return res.status(200).json({
+        success: true,
+        data: [],
+        pagination: { page: 1, limit: options.limit, total: 0, totalPages: 0 },
+      });
+    }
 
-export const getAllCategories = async (req, res, next) => {
-  try {
-    const response = await prisma.category.findMany({
-      orderBy: { name: "asc" },
-    });
-    res.status(200).json(response);
+    const result = await searchCatalog(q, options);
+
+    // count each search once, on its first page
+    if (!options.cursor && options.page === 1) {
+      await recordSearchQuery(q, result.pagination.total);
+    }
+
+    res.status(200).json({ success: true, ...result });
   } catch (error) {
     next(error);
   }
 };
 
-export const createCategory = async (req, res, next) => {
-  const { name } = req.body;
+/**
+ * GET /api/products/suggest?q=&limit=
+ * Public: search box autocomplete - popular searches, products, categories
+ * and tags starting with the typed text. limit (default 5, max 10) applies
+ * to each list.
+ */
+export const getSearchSuggestions = async (req, res, next) => {
+  const q = String(req.query.q || "").trim();
 
   try {
-    const response = await prisma.category.create({
-      data: {
-        name,
-      },
-    });
-    res.status(201).json(response);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 10);
+    const data = q
+      ? await suggestSearches(q, { limit })
+      : { queries: [], products: [], categories: [], tags: [] };
+
+    res.status(200).json({ success: true, data });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * GET /api/products/category/:categoryId
+ * Public: the category's products, with the same filters, sorting and
+ * pagination as the listing
+ * query: includeDescendants=true also lists products of its subcategories
+ */
 export const getProductsbyCategory = async (req, res, next) => {
   const categoryId = req.params.categoryId;
 
   try {
-    const response = await prisma.product.findMany({
-      where: {
-        categories: {
-          some: {
-            id: categoryId,
-          },
-        },
-      },
-      include: { images: true, categories: true },
+    const options = parseProductQuery(req.query, {
+      isAdmin: Boolean(req.user?.isAdmin),
     });
-    res.status(200).json(response);
+
+    const categories = await prisma.category.findMany({
+      select: { id: true, parentId: true },
+    });
+    if (!categories.some((category) => category.id === categoryId)) {
+      throw new AppError("Category not found", 404);
+    }
+
+    const categoryIds =
+      req.query.includeDescendants === "true"
+        ? [categoryId, ...collectDescendantIds(categories, categoryId)]
+        : [categoryId];
+
+    const result = await listProducts(options, {
+      categories: { some: { id: { in: categoryIds } } },
+    });
+    res.status(200).json({ success: true, ...result });
   } catch (error) {
     next(error);
   }
@@ -273,6 +418,27 @@ export function extractCreateProductData(req) {
     rating: toNumber(body.rating),
     stock: toNumber(body.stock),
 
+    // shipping weight (grams) & dimensions (cm)
+    weightGrams:
+      toNumber(body.weightGrams) != null
+        ? Math.round(toNumber(body.weightGrams))
+        : undefined,
+    lengthCm: toNumber(body.lengthCm),
+    widthCm: toNumber(body.widthCm),
+    heightCm: toNumber(body.heightCm),
+
+    // days after delivery (0 = not returnable); unset uses the store default
+    returnWindowDays:
+      toNumber(body.returnWindowDays) != null
+        ? Math.round(toNumber(body.returnWindowDays))
+        : undefined,
+
+    // low-stock alert level (unset = no alert)
+    lowStockThreshold: toNumber(body.lowStockThreshold),
+
+    // array, JSON array or CSV of category ids
+    categoryIds: body.categoryIds,
+
     isActive: toBoolean(body.isActive),
 
     tags,
@@ -0,0 +1,259 @@
+// controllers/productVariantController.js
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import { deleteFile } from "../utils/uploads.js";
+import { moveStock } from "../utils/stockMovements.js";
+
+const VARIANT_INCLUDE = { images: true };
+
+// multipart bodies send everything as strings
+const parseJson = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const toBoolean = (value) =>
+  value === true || value === "true"
+    ? true
+    : value === false || value === "false"
+      ? false
+      : undefined;
+
+/**
+ * Validate and normalize a variant payload
+ * partial: only the fields that are present (updates)
+ */
+const buildVariantData = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object") {
+    throw new AppError("Invalid request body", 400);
+  }
+
+  const data = {};
+
+  for (const field of ["sku", "name"]) {
+    if (partial && body[field] === undefined) continue;
+    if (typeof body[field] !== "string" || !body[field].trim()) {
+      throw new AppError(`Missing field: ${field}`, 400);
+    }
+    data[field] = body[field].trim();
+  }
+
+  if (body.options !== undefined) {
+    const options = parseJson(body.options);
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+      throw new AppError("options must be an object, e.g. { size: 'L' }", 400);
+    }
+    data.options = options;
+  }
+
+  // null (or "") falls back to the product price
+  if (body.price !== undefined) {
+    if (body.price === null || body.price === "") {
+      data.price = null;
+    } else {
+      const price = Number(body.price);
+      if (!Number.isFinite(price) || price < 0) {
+        throw new AppError("price must be a non-negative number", 400);
+      }
+      data.price = new Prisma.Decimal(String(body.price));
+    }
+  }
+
+  if (body.stock !== undefined) {
+    const stock = Number(body.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw new AppError("stock must be a non-negative integer", 400);
+    }
+    data.stock = stock;
+  }
+
+  if (body.isActive !== undefined) {
+    const isActive = toBoolean(body.isActive);
+    if (isActive === undefined) {
+      throw new AppError("isActive must be a boolean", 400);
+    }
+    data.isActive = isActive;
+  }
+
+  return data;
+};
+
+/**
+ * Image URLs from the body plus uploaded files (multer)
+ */
+const collectImages = (req) => {
+  let urls = parseJson(req.body?.images);
+  if (typeof urls === "string") urls = [urls];
+  if (!Array.isArray(urls)) urls = [];
+
+  return [
+    ...urls
+      .filter((url) => typeof url === "string" && url)
+      .map((url) => ({ url })),
+    ...(req.files || []).map((file) => ({ url: `/uploads/${file.filename}` })),
+  ];
+};
+
+const findVariant = async (productId, variantId, db = prisma) => {
+  const variant = await db.productVariant.findFirst({
+    where: { id: variantId, productId },
+  });
+  if (!variant) throw new AppError("Variant not found", 404);
+  return variant;
+};
+
+/**
+ * GET /api/products/:id/variants
+ * Public: the product's active variants
+ */
+export const getProductVariants = async (req, res, next) => {
+  try {
+    const variants = await prisma.productVariant.findMany({
+      where: { productId: req.params.id, isActive: true },
+      include: VARIANT_INCLUDE,
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.status(200).json({ success: true, data: variants });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/products/:id/variants
+ * Admin: add a variant with its own SKU, option values, stock and
+ * optionally its own price and images
+ */
+export const createProductVariant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { stock, ...data } = buildVariantData(req.body);
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+    if (!product) throw new AppError("Product not found", 404);
+
+    // opening stock goes in through the ledger, see utils/stockMovements.js
+    const variant = await prisma.$transaction(async (tx) => {
+      const created = await tx.productVariant.create({
+        data: {
+          ...data,
+          productId: id,
+          images: { create: collectImages(req) },
+        },
+        include: VARIANT_INCLUDE,
+      });
+
+      if (!stock) return created;
+
+      await moveStock(tx, {
+        productId: id,
+        variantId: created.id,
+        quantity: stock,
+        type: "RESTOCK",
+        reason: "Initial stock",
+        actorId: req.user?.id,
+      });
+      return { ...created, stock };
+    });
+
+    res.status(201).json({ success: true, data: variant });
+  } catch (error) {
+    for (const file of req.files || []) deleteFile(file.filename);
+    if (error.code === "P2002") {
+      return next(new AppError("SKU already exists", 409));
+    }
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/products/:id/variants/:variantId
+ * Admin: update a variant; new images are added to the existing ones
+ */
+export const updateProductVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const { stock, ...data } = buildVariantData(req.body, { partial: true });
+
+    const images = collectImages(req);
+    const variant = await prisma.$transaction(async (tx) => {
+      const current = await findVariant(id, variantId, tx);
+
+      // a new stock level is booked as an ADJUSTMENT for the difference
+      if (stock !== undefined && stock !== current.stock) {
+        const movement = await moveStock(tx, {
+          productId: id,
+          variantId,
+          quantity: stock - current.stock,
+          type: "ADJUSTMENT",
+          reason: "Stock set on variant update",
+          actorId: req.user?.id,
+        });
+        if (!movement) {
+          throw new AppError(
+            "Stock changed while updating. Please try again.",
+            409
+          );
+        }
+      }
+
+      return tx.productVariant.update({
+        where: { id: variantId },
+        data: {
+          ...data,
+          ...(images.length > 0 && { images: { create: images } }),
+        },
+        include: VARIANT_INCLUDE,
+      });
+    });
+
+    res.status(200).json({ success: true, data: variant });
+  } catch (error) {
+    for (const file of req.files || []) deleteFile(file.filename);
+    if (error.code === "P2002") {
+      return next(new AppError("SKU already exists", 409));
+    }
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/products/:id/variants/:variantId
+ * Admin: delete a variant nobody has ordered yet; ordered variants are
+ * deactivated instead so order history keeps pointing at them
+ */
+export const deleteProductVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    await findVariant(id, variantId);
+
+    const ordered = await prisma.orderItem.count({ where: { variantId } });
+    if (ordered > 0) {
+      throw new AppError(
+        "Variant has been ordered; deactivate it instead",
+        409
+      );
+    }
+
+    await prisma.productVariant.delete({ where: { id: variantId } });
+    res.status(200).json({ success: true, message: "Variant deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+};
@@ -0,0 +1,361 @@
+// controllers/returnController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import { deleteFile } from "../utils/uploads.js";
+import {
+  RETURN_STATUSES,
+  buildReturnLines,
+  canTransitionReturn,
+} from "../utils/returns.js";
+import { issueRefund } from "../utils/refunds.js";
+import { findSettlingPayment } from "../utils/payments/index.js";
+import { restockOrderItem } from "../utils/stockMovements.js";
+
+const RETURN_INCLUDE = {
+  items: { include: { orderItem: true } },
+  photos: true,
+};
+
+/**
+ * Validate return payload. Sent as multipart (photos), so items may
+ * arrive as a JSON string.
+ */
+const parseReturnRequest = (body = {}) => {
+  let { items, reason } = body || {};
+
+  if (typeof items === "string") {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      throw new AppError("items must be valid JSON", 400);
+    }
+  }
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    items.some((i) => {
+      const quantity = Number(i?.quantity);
+      return (
+        typeof i?.orderItemId !== "string" ||
+        !Number.isInteger(quantity) ||
+        quantity <= 0
+      );
+    })
+  ) {
+    throw new AppError(
+      "items must be a non-empty array of { orderItemId, quantity }",
+      400
+    );
+  }
+
+  if (typeof reason !== "string" || !reason.trim()) {
+    throw new AppError("reason is required", 400);
+  }
+  if (reason.length > 1000) {
+    throw new AppError("reason must be at most 1000 characters", 400);
+  }
+
+  return {
+    items: items.map((i) => ({
+      orderItemId: i.orderItemId,
+      quantity: Number(i.quantity),
+    })),
+    reason: reason.trim(),
+  };
+};
+
+/**
+ * POST /api/orders/:id/returns
+ * Owner asks to send back delivered lines, with optional photos
+ */
+export const createReturnRequest = async (req, res, next) => {
+  try {
+    const user = req.user;
+    if (!user?.id) throw new AppError("Unauthorized", 401);
+
+    const { id } = req.params;
+    const { items, reason } = parseReturnRequest(req.body);
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: {
+        orderItems: {
+          include: { product: { select: { returnWindowDays: true } } },
+        },
+        statusHistory: { where: { toStatus: "DELIVERED" } },
+      },
+    });
+    if (!order) throw new AppError("Order not found", 404);
+    if (order.userId !== user.id) throw new AppError("Forbidden", 403);
+
+    const returnRequest = await prisma.$transaction(async (tx) => {
+      const lines = await buildReturnLines(tx, order, items);
+
+      return tx.returnRequest.create({
+        data: {
+          orderId: id,
+          userId: user.id,
+          reason,
+          items: { create: lines },
+          photos: {
+            create: (req.files || []).map((file) => ({
+              url: `/uploads/${file.filename}`,
+            })),
+          },
+        },
+        include: RETURN_INCLUDE,
+      });
+    });
+
+    res.status(201).json({ success: true, data: returnRequest });
+  } catch (error) {
+    // photos of a rejected request are not kept
+    for (const file of req.files || []) deleteFile(file.filename);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/orders/:id/returns
+ * Owner or admin
+ */
+export const getOrderReturns = async (req, res, next) => {
+  try {
+    const user = req.user;
+    if (!user?.id) throw new AppError("Unauthorized", 401);
+
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({ where: { id } });
+    if (!order) throw new AppError("Order not found", 404);
+
+    const isOwner = order.userId === user.id;
+    const isAdmin = !!user.isAdmin;
+    if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
+
+    const returns = await prisma.returnRequest.findMany({
+      where: { orderId: id },
+      include: RETURN_INCLUDE,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json({ success: true, data: returns });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/returns?status=REQUESTED
+ * Admin review queue, oldest first; open requests unless a status is given
+ */
+export const getReturnRequests = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status && !RETURN_STATUSES.includes(status)) {
+      throw new AppError("Invalid return status", 400);
+    }
+
+    const returns = await prisma.returnRequest.findMany({
+      where: { status: status || { in: ["REQUESTED", "APPROVED"] } },
+      include: {
+        ...RETURN_INCLUDE,
+        user: {
+          select: { id: true, firstName: true, lastName: true, email: true },
+        },
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.status(200).json({ success: true, data: returns });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/returns/:id
+ * Admin: single return request
+ */
+export const getReturnRequestById = async (req, res, next) => {
+  try {
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id: req.params.id },
+      include: { ...RETURN_INCLUDE, refund: true },
+    });
+    if (!returnRequest) throw new AppError("Return request not found", 404);
+
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a return request along, matching on the status it was read in
+ * so two reviewers cannot both act on it
+ */
+const moveReturn = async (id, toStatus, data) => {
+  const existing = await prisma.returnRequest.findUnique({ where: { id } });
+  if (!existing) throw new AppError("Return request not found", 404);
+
+  if (!canTransitionReturn(existing.status, toStatus)) {
+    throw new AppError(
+      `Cannot change return from ${existing.status} to ${toStatus}`,
+      400
+    );
+  }
+
+  const { count } = await prisma.returnRequest.updateMany({
+    where: { id, status: existing.status },
+    data: { ...data, status: toStatus },
+  });
+  if (!count) {
+    throw new AppError(
+      "Return request changed while updating. Please try again.",
+      409
+    );
+  }
+  return existing;
+};
+
+/**
+ * PATCH /api/returns/:id/approve
+ * Admin: accept the request; the customer can now send the items
+ */
+export const approveReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    await moveReturn(id, "APPROVED", {
+      adminNote: req.body?.note ?? undefined,
+      reviewedById: req.user.id,
+      reviewedAt: new Date(),
+    });
+
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id },
+      include: RETURN_INCLUDE,
+    });
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/returns/:id/reject
+ * Admin: turn the request down, with a note for the customer
+ */
+export const rejectReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const note = req.body?.note;
+    if (typeof note !== "string" || !note.trim()) {
+      throw new AppError("A note explaining the rejection is required", 400);
+    }
+
+    await moveReturn(id, "REJECTED", {
+      adminNote: note.trim(),
+      reviewedById: req.user.id,
+      reviewedAt: new Date(),
+    });
+
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id },
+      include: RETURN_INCLUDE,
+    });
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/returns/:id/receive
+ * Admin: the items arrived. Refunds the returned units and puts them back
+ * in stock; if the order has no captured payment (e.g. unpaid cash on
+ * delivery) only the stock is adjusted.
+ */
+export const receiveReturn = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // claim the request first so it is refunded once
+    await moveReturn(id, "RECEIVED", { receivedAt: new Date() });
+
+    const returnRequest = await prisma.returnRequest.findUnique({
+      where: { id },
+      include: {
+        items: { include: { orderItem: true } },
+        order: { include: { payments: true } },
+      },
+    });
+    const items = returnRequest.items.map(({ orderItemId, quantity }) => ({
+      orderItemId,
+      quantity,
+    }));
+    const { order } = returnRequest;
+    const payment = findSettlingPayment(order.payments, order.total);
+
+    let refundId = null;
+    try {
+      if (payment) {
+        const { refund } = await issueRefund({
+          payment,
+          items,
+          restock: true,
+          reason: `Return ${id}: ${returnRequest.reason}`,
+          createdById: req.user.id,
+        });
+        refundId = refund.id;
+      } else {
+        await prisma.$transaction(async (tx) => {
+          for (const item of returnRequest.items) {
+            await restockOrderItem(tx, item.orderItem, item.quantity, {
+              type: "RETURN",
+              reason: returnRequest.reason,
+              referenceType: "RETURN",
+              referenceId: id,
+              actorId: req.user.id,
+            });
+          }
+        });
+      }
+    } catch (error) {
+      // paid out by the provider but not completed: the customer has the
+      // money, so the return stays received with its refund
+      if (error.refund) {
+        await prisma.returnRequest.update({
+          where: { id },
+          data: { refundId: error.refund.id },
+        });
+        throw error;
+      }
+      // nothing was refunded or restocked; let the admin retry
+      await prisma.returnRequest.update({
+        where: { id },
+        data: { status: "APPROVED", receivedAt: null },
+      });
+      throw error;
+    }
+
+    const updated = await prisma.returnRequest.update({
+      where: { id },
+      data: { refundId },
+      include: { ...RETURN_INCLUDE, refund: true },
+    });
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createReturnRequest,
+  getOrderReturns,
+  getReturnRequests,
+  getReturnRequestById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+};
@@ -0,0 +1,268 @@
+// controllers/shipmentController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import {
+  isActiveOrderItem,
+  syncOrderStatusFromItems,
+} from "../utils/orderStatus.js";
+
+const SHIPMENT_STATUSES = [
+  "PENDING",
+  "IN_TRANSIT",
+  "OUT_FOR_DELIVERY",
+  "FAILED_ATTEMPT",
+  "DELIVERED",
+  "RETURNED",
+];
+
+// No more tracking events once a shipment reaches one of these
+const FINAL_SHIPMENT_STATUSES = ["DELIVERED", "RETURNED"];
+
+// What a shipment status means for the order lines in the box
+const ITEM_STATUS_FOR_SHIPMENT = {
+  IN_TRANSIT: { from: ["PENDING", "PACKED"], to: "SHIPPED" },
+  OUT_FOR_DELIVERY: { from: ["PENDING", "PACKED"], to: "SHIPPED" },
+  FAILED_ATTEMPT: { from: ["PENDING", "PACKED"], to: "SHIPPED" },
+  DELIVERED: { from: ["PENDING", "PACKED", "SHIPPED"], to: "DELIVERED" },
+};
+
+const SHIPMENT_INCLUDE = {
+  orderItems: {
+    select: { id: true, productName: true, quantity: true, status: true },
+  },
+  events: { orderBy: { occurredAt: "asc" } },
+};
+
+/**
+ * POST /api/orders/:orderId/shipments
+ * Admin: create a shipment (box) for some or all unshipped lines
+ */
+export const createShipment = async (req, res, next) => {
+  try {
+    const isAdmin = !!req?.user?.isAdmin;
+    if (!isAdmin) throw new AppError("Forbidden", 403);
+
+    const { orderId } = req.params;
+    const { carrier, trackingNumber, trackingUrl, orderItemIds } = req.body;
+
+    if (!carrier) throw new AppError("Carrier is required", 400);
+    if (orderItemIds !== undefined && !Array.isArray(orderItemIds)) {
+      throw new AppError("orderItemIds must be an array", 400);
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { orderItems: true },
+    });
+    if (!order) throw new AppError("Order not found", 404);
+
+    if (["CANCELED", "DELIVERED"].includes(order.status)) {
+      throw new AppError(`Cannot ship a ${order.status} order`, 400);
+    }
+
+    const shippable = order.orderItems.filter(
+      (i) =>
+        isActiveOrderItem(i) &&
+        !i.shipmentId &&
+        ["PENDING", "PACKED"].includes(i.status)
+    );
+
+    let items = shippable;
+    if (orderItemIds?.length) {
+      items = orderItemIds.map((itemId) => {
+        const item = shippable.find((i) => i.id === itemId);
+        if (!item) {
+          throw new AppError(`Order item cannot be shipped: ${itemId}`, 400);
+        }
+        return item;
+      });
+    }
+
+    if (items.length === 0) {
+      throw new AppError("No unshipped items left on this order", 400);
+    }
+
+    const shipment = await prisma.$transaction(async (tx) => {
+      const created = await tx.shipment.create({
+        data: {
+          orderId,
+          carrier,
+          trackingNumber: trackingNumber || null,
+          trackingUrl: trackingUrl || null,
+          events: {
+            create: { status: "PENDING", description: "Shipment created" },
+          },
+        },
+      });
+
+      const itemIds = items.map((i) => i.id);
+      // claim only lines still unshipped; a concurrent shipment wins
+      const { count } = await tx.orderItem.updateMany({
+        where: {
+          id: { in: itemIds },
+          shipmentId: null,
+          status: { in: ["PENDING", "PACKED"] },
+        },
+        data: { shipmentId: created.id },
+      });
+      if (count !== itemIds.length) {
+        throw new AppError(
+          "Order items changed while creating the shipment. Please try again.",
+          409
+        );
+      }
+      await tx.orderItem.updateMany({
+        where: { id: { in: itemIds }, status: "PENDING" },
+        data: { status: "PACKED" },
+      });
+
+      await syncOrderStatusFromItems(
+        tx,
+        {
+          ...order,
+          orderItems: order.orderItems.map((i) =>
+            itemIds.includes(i.id) && i.status === "PENDING"
+              ? { ...i, status: "PACKED" }
+              : i
+          ),
+        },
+        { changedById: req.user.id, note: `Shipment created (${carrier})` }
+      );
+
+      return tx.shipment.findUnique({
+        where: { id: created.id },
+        include: SHIPMENT_INCLUDE,
+      });
+    });
+
+    res.status(201).json({ success: true, data: shipment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/orders/:orderId/shipments/:shipmentId/events
+ * Admin: append a tracking event; the shipment, its lines and the order
+ * status follow it (first shipment out -> SHIPPED, last delivered -> DELIVERED)
+ */
+export const addShipmentEvent = async (req, res, next) => {
+  try {
+    const isAdmin = !!req?.user?.isAdmin;
+    if (!isAdmin) throw new AppError("Forbidden", 403);
+
+    const { orderId, shipmentId } = req.params;
+    const { status, description, location, occurredAt } = req.body;
+
+    if (!SHIPMENT_STATUSES.includes(status)) {
+      throw new AppError("Invalid shipment status", 400);
+    }
+
+    const eventTime = occurredAt ? new Date(occurredAt) : new Date();
+    if (Number.isNaN(eventTime.getTime())) {
+      throw new AppError("Invalid occurredAt", 400);
+    }
+
+    const shipment = await prisma.shipment.findUnique({
+      where: { id: shipmentId },
+    });
+    if (!shipment || shipment.orderId !== orderId) {
+      throw new AppError("Shipment not found", 404);
+    }
+
+    if (FINAL_SHIPMENT_STATUSES.includes(shipment.status)) {
+      throw new AppError(`Shipment is already ${shipment.status}`, 400);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await tx.shipment.update({
+        where: { id: shipmentId },
+        data: {
+          status,
+          shippedAt:
+            !shipment.shippedAt && ITEM_STATUS_FOR_SHIPMENT[status]
+              ? eventTime
+              : undefined,
+          deliveredAt: status === "DELIVERED" ? eventTime : undefined,
+          events: {
+            create: {
+              status,
+              description: description || null,
+              location: location || null,
+              occurredAt: eventTime,
+            },
+          },
+        },
+      });
+
+      const itemUpdate = ITEM_STATUS_FOR_SHIPMENT[status];
+      if (itemUpdate) {
+        await tx.orderItem.updateMany({
+          where: { shipmentId, status: { in: itemUpdate.from } },
+          data: { status: itemUpdate.to },
+        });
+
+        const order = await tx.order.findUnique({
+          where: { id: orderId },
+          include: { orderItems: true },
+        });
+
+        await syncOrderStatusFromItems(tx, order, {
+          changedById: req.user.id,
+          note: `Shipment ${shipment.trackingNumber || shipment.id} ${status}`,
+        });
+      }
+
+      return tx.shipment.findUnique({
+        where: { id: shipmentId },
+        include: SHIPMENT_INCLUDE,
+      });
+    });
+
+    res.status(201).json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/orders/:orderId/tracking
+ * Owner or admin: shipments with their tracking events
+ */
+export const getOrderTracking = async (req, res, next) => {
+  try {
+    const user = req.user;
+    if (!user?.id) throw new AppError("Unauthorized", 401);
+
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, userId: true, status: true },
+    });
+    if (!order) throw new AppError("Order not found", 404);
+
+    const isOwner = order.userId === user.id;
+    const isAdmin = !!user.isAdmin;
+    if (!isOwner && !isAdmin) throw new AppError("Forbidden", 403);
+
+    const shipments = await prisma.shipment.findMany({
+      where: { orderId },
+      orderBy: { createdAt: "asc" },
+      include: SHIPMENT_INCLUDE,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { orderId, status: order.status, shipments },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createShipment,
+  addShipmentEvent,
+  getOrderTracking,
+};
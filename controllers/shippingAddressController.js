@@ -1,26 +1,61 @@
 import { prisma } from "../lib/prismaClient.js";
 import { AppError } from "../utils/AppError.js";
+import { validateAddress, pickAddress } from "../utils/addresses.js";
+import { sendShippingAddressChangedEmail } from "../utils/emailService.js";
+
+// Nothing left to ship, so the address is part of the record
+const CLOSED_ORDER_STATUSES = ["DELIVERED", "CANCELED"];
 
 /**
- * Validate shipping address input
+ * Who may change an order's shipping address, and when: the owner while
+ * the order is PENDING; after that only an admin, giving a reason.
+ * @returns {string|null} the trimmed reason, for the change log
  */
-const validateAddress = (data) => {
-  const fields = [
-    "fullName",
-    "phone",
-    "address",
-    "city",
-    "postalCode",
-    "country",
-  ];
-  for (const f of fields) {
-    if (!data[f]) throw new AppError(`Missing field: ${f}`, 400);
+const assertAddressEditable = (order, user, reason) => {
+  const isAdmin = !!user?.isAdmin;
+  if (!order || (order.userId !== user.id && !isAdmin)) {
+    throw new AppError("Order not found", 404);
+  }
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    throw new AppError(
+      `Shipping address of a ${order.status.toLowerCase()} order cannot be changed`,
+      400
+    );
+  }
+
+  const note = typeof reason === "string" ? reason.trim() : "";
+  if (order.status === "PENDING") return note || null;
+
+  if (!isAdmin) {
+    throw new AppError(
+      "Shipping address can only be changed while the order is pending",
+      400
+    );
+  }
+  if (!note) {
+    throw new AppError(
+      "A reason is required to change the address of a processed order",
+      400
+    );
   }
+  return note;
+};
+
+/**
+ * Let the customer know when someone else changed their order's address
+ */
+const notifyAddressChange = async (order, user, change) => {
+  if (order.userId === user.id || !order.user?.email) return;
+  await sendShippingAddressChangedEmail(order.user.email, {
+    orderId: order.id,
+    ...change,
+  });
 };
 
 /**
  * POST /api/orders/:orderId/address
- * Create shipping address (once per order)
+ * Create shipping address (once per order), under the same rules as
+ * updates. The creation is logged.
  */
 export const createShippingAddress = async (req, res, next) => {
   try {
@@ -29,13 +64,12 @@ export const createShippingAddress = async (req, res, next) => {
     const data = req.body;
     validateAddress(data);
 
-    // Check if order exists and belongs to user
+    // Check if order exists and the address may still change
     const order = await prisma.order.findUnique({
       where: { id: orderId },
+      include: { user: { select: { email: true } } },
     });
-    if (!order || order.userId !== userId) {
-      throw new AppError("Order not found", 404);
-    }
+    const reason = assertAddressEditable(order, req.user, data.reason);
 
     // Check if shipping address already exists for this order
     const existingAddress = await prisma.shippingAddress.findUnique({
@@ -44,16 +78,33 @@ export const createShippingAddress = async (req, res, next) => {
     if (existingAddress) {
       throw new AppError("Shipping address already exists for this order", 400);
     }
-    const address = await prisma.shippingAddress.create({
-      data: {
-        orderId,
-        fullName: data.fullName,
-        phone: data.phone,
-        address: data.address,
-        city: data.city,
-        postalCode: data.postalCode,
-        country: data.country,
-      },
+    const address = await prisma.$transaction(async (tx) => {
+      const created = await tx.shippingAddress.create({
+        data: {
+          orderId,
+          fullName: data.fullName,
+          phone: data.phone,
+          address: data.address,
+          city: data.city,
+          postalCode: data.postalCode,
+          country: data.country,
+        },
+      });
+      await tx.shippingAddressChange.create({
+        data: {
+          orderId,
+          action: "CREATED",
+          current: pickAddress(created),
+          reason,
+          changedById: userId,
+        },
+      });
+      return created;
+    });
+
+    await notifyAddressChange(order, req.user, {
+      address: pickAddress(address),
+      reason,
     });
     res.status(201).json({ success: true, data: address });
   } catch (error) {
@@ -62,22 +113,21 @@ export const createShippingAddress = async (req, res, next) => {
 };
 
 /** * PATCH /api/orders/:orderId/address
- * Update shipping address
+ * Update shipping address: owner while PENDING, admin afterwards with a
+ * reason. Every change is logged.
  */
 export const updateShippingAddress = async (req, res, next) => {
   try {
     const { orderId } = req.params;
     const userId = req.user.id;
-    const isAdmin = !!req?.user?.isAdmin;
     const data = req.body;
     validateAddress(data);
-    // Check if order exists and belongs to user or is admin
+    // Check if order exists and the address may still change
     const order = await prisma.order.findUnique({
       where: { id: orderId },
+      include: { user: { select: { email: true } } },
     });
-    if (!order || (order.userId !== userId && !isAdmin)) {
-      throw new AppError("Order not found", 404);
-    }
+    const reason = assertAddressEditable(order, req.user, data.reason);
 
     // Check if shipping address exists for this order
     const existingAddress = await prisma.shippingAddress.findUnique({
@@ -87,16 +137,27 @@ export const updateShippingAddress = async (req, res, next) => {
       throw new AppError("Shipping address not found for this order", 404);
     }
 
-    const updatedAddress = await prisma.shippingAddress.update({
-      where: { orderId: orderId },
-      data: {
-        fullName: data.fullName,
-        phone: data.phone,
-        address: data.address,
-        city: data.city,
-        postalCode: data.postalCode,
-        country: data.country,
-      },
+    const updatedAddress = await prisma.$transaction(async (tx) => {
+      const updated = await tx.shippingAddress.update({
+        where: { orderId: orderId },
+        data: pickAddress(data),
+      });
+      await tx.shippingAddressChange.create({
+        data: {
+          orderId,
+          action: "UPDATED",
+          previous: pickAddress(existingAddress),
+          current: pickAddress(updated),
+          reason,
+          changedById: userId,
+        },
+      });
+      return updated;
+    });
+
+    await notifyAddressChange(order, req.user, {
+      address: pickAddress(updatedAddress),
+      reason,
     });
     res.status(200).json({ success: true, data: updatedAddress });
   } catch (error) {
@@ -135,20 +196,19 @@ export const getShippingAddress = async (req, res, next) => {
 };
 
 /** * DELETE /api/orders/:orderId/address
- * Delete shipping address for an order
+ * Delete shipping address for an order, under the same rules as updates
  */
 export const deleteShippingAddress = async (req, res, next) => {
   try {
     const { orderId } = req.params;
     const userId = req.user.id;
 
-    // Check if order exists and belongs to user
+    // Check if order exists and the address may still change
     const order = await prisma.order.findUnique({
       where: { id: orderId },
+      include: { user: { select: { email: true } } },
     });
-    if (!order || order.userId !== userId) {
-      throw new AppError("Order not found", 404);
-    }
+    const reason = assertAddressEditable(order, req.user, req.body?.reason);
 
     // Check if shipping address exists for this order
     const existingAddress = await prisma.shippingAddress.findUnique({
@@ -158,9 +218,22 @@ export const deleteShippingAddress = async (req, res, next) => {
       throw new AppError("Shipping address not found for this order", 404);
     }
 
-    await prisma.shippingAddress.delete({
-      where: { orderId: orderId },
+    await prisma.$transaction(async (tx) => {
+      await tx.shippingAddress.delete({
+        where: { orderId: orderId },
+      });
+      await tx.shippingAddressChange.create({
+        data: {
+          orderId,
+          action: "DELETED",
+          previous: pickAddress(existingAddress),
+          reason,
+          changedById: userId,
+        },
+      });
     });
+
+    await notifyAddressChange(order, req.user, { address: null, reason });
     res
       .status(200)
       .json({ success: true, message: "Shipping address deleted" });
@@ -168,3 +241,29 @@ export const deleteShippingAddress = async (req, res, next) => {
     next(error);
   }
 };
+
+/** * GET /api/orders/:orderId/address/changes
+ * Owner or admin: shipping address change log, oldest first
+ */
+export const getShippingAddressChanges = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+    const isAdmin = !!req?.user?.isAdmin;
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+    });
+    if (!order || (order.userId !== userId && !isAdmin)) {
+      throw new AppError("Order not found", 404);
+    }
+
+    const changes = await prisma.shippingAddressChange.findMany({
+      where: { orderId },
+      orderBy: { createdAt: "asc" },
+    });
+    res.status(200).json({ success: true, data: changes });
+  } catch (error) {
+    next(error);
+  }
+};
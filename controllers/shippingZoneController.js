@@ -0,0 +1,157 @@
+// controllers/shippingZoneController.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+import { AppError } from "../utils/AppError.js";
+
+/**
+ * Validate and normalize shipping zone payload
+ * partial: only validate fields that are present (updates)
+ */
+const buildShippingZoneData = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object") {
+    throw new AppError("Invalid request body", 400);
+  }
+
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || typeof body.name !== "string" || !body.name.trim()) {
+      throw new AppError("Shipping zone name is required", 400);
+    }
+    data.name = body.name.trim();
+  }
+
+  for (const field of ["countries", "cities"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+      throw new AppError(`${field} must be an array of strings`, 400);
+    }
+    data[field] = value.map((v) => v.trim()).filter(Boolean);
+  }
+
+  for (const field of ["baseFee", "perKgFee", "freeShippingThreshold"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null && field === "freeShippingThreshold") {
+      data[field] = null;
+      continue;
+    }
+    const num = Number(value);
+    if (value === null || !Number.isFinite(num) || num < 0) {
+      throw new AppError(`${field} must be a non-negative number`, 400);
+    }
+    data[field] = new Prisma.Decimal(String(value));
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority)) {
+      throw new AppError("priority must be an integer", 400);
+    }
+    data.priority = body.priority;
+  }
+
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return data;
+};
+
+/**
+ * GET /api/shipping-zones
+ * Admin: list shipping zones
+ */
+export const getShippingZones = async (req, res, next) => {
+  try {
+    const zones = await prisma.shippingZone.findMany({
+      orderBy: [{ priority: "desc" }, { name: "asc" }],
+    });
+    res.status(200).json({ success: true, data: zones });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/shipping-zones/:id
+ * Admin: single shipping zone
+ */
+export const getShippingZoneById = async (req, res, next) => {
+  try {
+    const zone = await prisma.shippingZone.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!zone) throw new AppError("Shipping zone not found", 404);
+
+    res.status(200).json({ success: true, data: zone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/shipping-zones
+ * Admin: create shipping zone
+ */
+export const createShippingZone = async (req, res, next) => {
+  try {
+    const data = buildShippingZoneData(req.body);
+
+    const zone = await prisma.shippingZone.create({ data });
+
+    res.status(201).json({ success: true, data: zone });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return next(new AppError("Shipping zone name already exists", 409));
+    }
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/shipping-zones/:id
+ * Admin: update shipping zone; countries / cities replace the lists
+ */
+export const updateShippingZone = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const data = buildShippingZoneData(req.body, { partial: true });
+
+    const existing = await prisma.shippingZone.findUnique({ where: { id } });
+    if (!existing) throw new AppError("Shipping zone not found", 404);
+
+    const zone = await prisma.shippingZone.update({ where: { id }, data });
+
+    res.status(200).json({ success: true, data: zone });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return next(new AppError("Shipping zone name already exists", 409));
+    }
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/shipping-zones/:id
+ * Admin: delete shipping zone; past orders keep the fee they were charged
+ */
+export const deleteShippingZone = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.shippingZone.findUnique({ where: { id } });
+    if (!existing) throw new AppError("Shipping zone not found", 404);
+
+    await prisma.shippingZone.delete({ where: { id } });
+    res.status(200).json({ success: true, message: "Shipping zone deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getShippingZones,
+  getShippingZoneById,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+};
@@ -0,0 +1,143 @@
+// controllers/stockMovementController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import {
+  STOCK_MOVEMENT_TYPES,
+  MANUAL_STOCK_MOVEMENT_TYPES,
+  moveStock,
+} from "../utils/stockMovements.js";
+
+/**
+ * Product (and variant, when given) the stock belongs to, or 404
+ */
+const findStockHolder = async (db, productId, variantId) => {
+  const product = await db.product.findUnique({
+    where: { id: productId },
+    select: { id: true, stock: true },
+  });
+  if (!product) throw new AppError("Product not found", 404);
+  if (!variantId) return product;
+
+  const variant = await db.productVariant.findFirst({
+    where: { id: variantId, productId },
+    select: { id: true, stock: true },
+  });
+  if (!variant) throw new AppError("Variant not found", 404);
+  return variant;
+};
+
+/**
+ * POST /api/products/:id/stock-adjustments
+ * Admin: record a manual stock movement
+ * body: { quantity, type?, reason?, variantId? }
+ *   quantity - signed, non-zero; negative takes stock out
+ *   type - ADJUSTMENT (default, needs a reason) or RESTOCK (positive only)
+ */
+export const createStockAdjustment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { type = "ADJUSTMENT", reason, variantId } = req.body || {};
+    const quantity = Number(req.body?.quantity);
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw new AppError("quantity must be a non-zero integer", 400);
+    }
+    if (!MANUAL_STOCK_MOVEMENT_TYPES.includes(type)) {
+      throw new AppError(
+        `type must be one of: ${MANUAL_STOCK_MOVEMENT_TYPES.join(", ")}`,
+        400
+      );
+    }
+    if (type === "RESTOCK" && quantity < 0) {
+      throw new AppError("A restock must add stock", 400);
+    }
+    if (reason != null && typeof reason !== "string") {
+      throw new AppError("reason must be a string", 400);
+    }
+    if (type === "ADJUSTMENT" && !reason?.trim()) {
+      throw new AppError("A reason is required for an adjustment", 400);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const holder = await findStockHolder(tx, id, variantId);
+
+      const movement = await moveStock(tx, {
+        productId: id,
+        variantId: variantId || null,
+        quantity,
+        type,
+        reason: reason?.trim() || null,
+        actorId: req.user.id,
+      });
+      if (!movement) {
+        throw new AppError(
+          `Stock cannot go below zero (${holder.stock} in stock)`,
+          400
+        );
+      }
+
+      return { movement, stock: holder.stock + quantity };
+    });
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/products/:id/stock-history
+ * Admin: the product's stock movements, newest first
+ * query: variantId, type, page, limit
+ */
+export const getStockHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { variantId, type } = req.query;
+
+    if (type && !STOCK_MOVEMENT_TYPES.includes(type)) {
+      throw new AppError("Invalid stock movement type", 400);
+    }
+
+    const holder = await findStockHolder(prisma, id, variantId);
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const where = {
+      productId: id,
+      ...(variantId && { variantId }),
+      ...(type && { type }),
+    };
+
+    const [movements, total] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        include: {
+          actor: { select: { id: true, firstName: true, lastName: true } },
+        },
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.stockMovement.count({ where }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { stock: holder.stock, movements },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  createStockAdjustment,
+  getStockHistory,
+};
@@ -0,0 +1,79 @@
+// controllers/stockSubscriptionController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+
+/**
+ * POST /api/products/:id/notify-me
+ * Customer: get an email once an out-of-stock product is back
+ * body: { variantId? } - required when the product has active variants
+ * Asking again while a request is pending returns that request.
+ */
+export const subscribeToRestock = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { variantId } = req.body || {};
+    const userId = req.user.id;
+
+    if (variantId != null && typeof variantId !== "string") {
+      throw new AppError("variantId must be a string", 400);
+    }
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        stock: true,
+        isActive: true,
+        _count: { select: { variants: { where: { isActive: true } } } },
+      },
+    });
+    if (!product || !product.isActive) {
+      throw new AppError("Product not found", 404);
+    }
+
+    let stock = product.stock;
+    if (variantId) {
+      const variant = await prisma.productVariant.findFirst({
+        where: { id: variantId, productId: id, isActive: true },
+        select: { id: true, stock: true },
+      });
+      if (!variant) throw new AppError("Variant not found", 404);
+      stock = variant.stock;
+    } else if (product._count?.variants > 0) {
+      throw new AppError("Choose a variant of this product", 400);
+    }
+
+    if (stock > 0) {
+      throw new AppError("Product is in stock", 400);
+    }
+
+    // one row per user and product/variant, re-armed after each email
+    const existing = await prisma.stockSubscription.findFirst({
+      where: { userId, productId: id, variantId: variantId || null },
+    });
+    if (existing && !existing.notifiedAt) {
+      return res.status(200).json({ success: true, data: existing });
+    }
+
+    const subscription = existing
+      ? await prisma.stockSubscription.update({
+          where: { id: existing.id },
+          data: { notifiedAt: null, createdAt: new Date() },
+        })
+      : await prisma.stockSubscription.create({
+          data: { userId, productId: id, variantId: variantId || null },
+        });
+
+    res.status(201).json({
+      success: true,
+      message: "We will email you when this product is back in stock",
+      data: subscription,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  subscribeToRestock,
+};
@@ -0,0 +1,163 @@
+// controllers/taxRuleController.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+import { AppError } from "../utils/AppError.js";
+
+const TAX_RULE_INCLUDE = {
+  category: { select: { id: true, name: true } },
+};
+
+/**
+ * Validate and normalize tax rule payload
+ * partial: only validate fields that are present (updates)
+ */
+const buildTaxRuleData = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object") {
+    throw new AppError("Invalid request body", 400);
+  }
+
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || typeof body.name !== "string" || !body.name.trim()) {
+      throw new AppError("Tax rule name is required", 400);
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.rate !== undefined) {
+    const rate = Number(body.rate);
+    // rates are fractions: 0.13 = 13%
+    if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+      throw new AppError("rate must be a number between 0 and 1", 400);
+    }
+    data.rate = new Prisma.Decimal(String(body.rate));
+  } else if (!partial && !body.isExempt) {
+    throw new AppError("rate is required", 400);
+  }
+
+  for (const field of ["country", "city", "categoryId"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== "string") {
+      throw new AppError(`${field} must be a string`, 400);
+    }
+    data[field] = value ? value.trim() : null;
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority)) {
+      throw new AppError("priority must be an integer", 400);
+    }
+    data.priority = body.priority;
+  }
+
+  for (const field of ["isExempt", "priceIncludesTax", "isActive"]) {
+    if (body[field] !== undefined) data[field] = Boolean(body[field]);
+  }
+
+  return data;
+};
+
+/**
+ * GET /api/tax-rules
+ * Admin: list tax rules
+ */
+export const getTaxRules = async (req, res, next) => {
+  try {
+    const rules = await prisma.taxRule.findMany({
+      orderBy: [{ priority: "desc" }, { createdAt: "desc" }],
+      include: TAX_RULE_INCLUDE,
+    });
+    res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/tax-rules/:id
+ * Admin: single tax rule
+ */
+export const getTaxRuleById = async (req, res, next) => {
+  try {
+    const rule = await prisma.taxRule.findUnique({
+      where: { id: req.params.id },
+      include: TAX_RULE_INCLUDE,
+    });
+    if (!rule) throw new AppError("Tax rule not found", 404);
+
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/tax-rules
+ * Admin: create tax rule for a country / city / category (any may be omitted)
+ */
+export const createTaxRule = async (req, res, next) => {
+  try {
+    const data = buildTaxRuleData(req.body);
+
+    const rule = await prisma.taxRule.create({
+      data,
+      include: TAX_RULE_INCLUDE,
+    });
+
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/tax-rules/:id
+ * Admin: update tax rule
+ */
+export const updateTaxRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const data = buildTaxRuleData(req.body, { partial: true });
+
+    const existing = await prisma.taxRule.findUnique({ where: { id } });
+    if (!existing) throw new AppError("Tax rule not found", 404);
+
+    const rule = await prisma.taxRule.update({
+      where: { id },
+      data,
+      include: TAX_RULE_INCLUDE,
+    });
+
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/tax-rules/:id
+ * Admin: delete tax rule; past orders keep the tax they were charged
+ */
+export const deleteTaxRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.taxRule.findUnique({ where: { id } });
+    if (!existing) throw new AppError("Tax rule not found", 404);
+
+    await prisma.taxRule.delete({ where: { id } });
+    res.status(200).json({ success: true, message: "Tax rule deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getTaxRules,
+  getTaxRuleById,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+};
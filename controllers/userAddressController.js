@@ -0,0 +1,182 @@
+// controllers/userAddressController.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+import { ADDRESS_FIELDS } from "../utils/addresses.js";
+
+const DEFAULT_FLAGS = ["isDefaultShipping", "isDefaultBilling"];
+
+/**
+ * Validate and normalize an address book payload
+ * partial: only the fields that are present (updates)
+ */
+const buildUserAddressData = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== "object") {
+    throw new AppError("Invalid request body", 400);
+  }
+
+  const data = {};
+
+  for (const field of ADDRESS_FIELDS) {
+    if (partial && body[field] === undefined) continue;
+    if (typeof body[field] !== "string" || !body[field].trim()) {
+      throw new AppError(`Missing field: ${field}`, 400);
+    }
+    data[field] = body[field].trim();
+  }
+
+  if (body.label !== undefined) {
+    if (body.label !== null && typeof body.label !== "string") {
+      throw new AppError("label must be a string", 400);
+    }
+    data.label = body.label?.trim() || null;
+  }
+
+  for (const flag of DEFAULT_FLAGS) {
+    if (body[flag] !== undefined) data[flag] = Boolean(body[flag]);
+  }
+
+  return data;
+};
+
+/**
+ * A user has at most one default shipping and one default billing address:
+ * setting a flag takes it off the user's other addresses
+ */
+const clearOtherDefaults = async (tx, userId, data, exceptId) => {
+  for (const flag of DEFAULT_FLAGS) {
+    if (!data[flag]) continue;
+    await tx.userAddress.updateMany({
+      where: {
+        userId,
+        [flag]: true,
+        ...(exceptId && { id: { not: exceptId } }),
+      },
+      data: { [flag]: false },
+    });
+  }
+};
+
+const findOwnAddress = async (userId, id) => {
+  const address = await prisma.userAddress.findFirst({
+    where: { id, userId },
+  });
+  if (!address) throw new AppError("Address not found", 404);
+  return address;
+};
+
+/**
+ * GET /api/users/me/addresses
+ * Current user's saved addresses, defaults first
+ */
+export const getMyAddresses = async (req, res, next) => {
+  try {
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
+
+    const addresses = await prisma.userAddress.findMany({
+      where: { userId },
+      orderBy: [
+        { isDefaultShipping: "desc" },
+        { isDefaultBilling: "desc" },
+        { createdAt: "asc" },
+      ],
+    });
+    res.status(200).json({ success: true, data: addresses });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/users/me/addresses/:addressId
+ */
+export const getMyAddress = async (req, res, next) => {
+  try {
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
+
+    const address = await findOwnAddress(userId, req.params.addressId);
+    res.status(200).json({ success: true, data: address });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/users/me/addresses
+ * Save an address; the first one becomes the default for shipping and
+ * billing unless the flags say otherwise
+ */
+export const createMyAddress = async (req, res, next) => {
+  try {
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
+
+    const data = buildUserAddressData(req.body);
+
+    const address = await prisma.$transaction(async (tx) => {
+      const count = await tx.userAddress.count({ where: { userId } });
+      for (const flag of DEFAULT_FLAGS) {
+        data[flag] = data[flag] ?? count === 0;
+      }
+
+      await clearOtherDefaults(tx, userId, data);
+      return tx.userAddress.create({ data: { ...data, userId } });
+    });
+
+    res.status(201).json({ success: true, data: address });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/users/me/addresses/:addressId
+ * Update a saved address; orders already placed keep their own copy
+ */
+export const updateMyAddress = async (req, res, next) => {
+  try {
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
+
+    const { addressId } = req.params;
+    const data = buildUserAddressData(req.body, { partial: true });
+
+    await findOwnAddress(userId, addressId);
+
+    const address = await prisma.$transaction(async (tx) => {
+      await clearOtherDefaults(tx, userId, data, addressId);
+      return tx.userAddress.update({ where: { id: addressId }, data });
+    });
+
+    res.status(200).json({ success: true, data: address });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/users/me/addresses/:addressId
+ */
+export const deleteMyAddress = async (req, res, next) => {
+  try {
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
+
+    const { addressId } = req.params;
+    await findOwnAddress(userId, addressId);
+
+    await prisma.userAddress.delete({ where: { id: addressId } });
+    res.status(200).json({ success: true, message: "Address deleted" });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getMyAddresses,
+  getMyAddress,
+  createMyAddress,
+  updateMyAddress,
+  deleteMyAddress,
+};
@@ -0,0 +1,147 @@
+// controllers/webhookController.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+import { AppError } from "../utils/AppError.js";
+import {
+  getPaymentProvider,
+  applyPaymentStatus,
+} from "../utils/payments/index.js";
+import {
+  webhookSecret,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+} from "../utils/payments/webhooks.js";
+
+/**
+ * Apply a verified event to its payment
+ * @returns {{ status: "PROCESSED"|"IGNORED", error?: string, paymentId?: string }}
+ */
+const processPaymentEvent = async (tx, provider, event, payload) => {
+  if (!event.status) {
+    return { status: "IGNORED", error: `Unhandled event type ${event.type}` };
+  }
+
+  const payment = event.reference
+    ? await tx.payment.findFirst({
+        where: { provider, providerReference: event.reference },
+      })
+    : await tx.payment.findFirst({
+        where: { provider, orderId: event.orderId },
+        orderBy: { createdAt: "desc" },
+      });
+
+  if (!payment || payment.provider !== provider) {
+    return { status: "IGNORED", error: "Payment not found" };
+  }
+
+  if (
+    event.status === "PAID" &&
+    event.amount != null &&
+    !new Prisma.Decimal(event.amount).eq(payment.amount)
+  ) {
+    return {
+      status: "IGNORED",
+      error: "Amount does not match payment",
+      paymentId: payment.id,
+    };
+  }
+
+  const updated = await applyPaymentStatus(
+    tx,
+    payment,
+    event.status,
+    {
+      ...(event.transactionId && { transactionId: event.transactionId }),
+      providerResponse: payload,
+      verifiedAt: new Date(),
+    },
+    { note: `Refunded via ${provider}` }
+  );
+
+  if (!updated) {
+    return {
+      status: "IGNORED",
+      error: `Cannot move payment from ${payment.status} to ${event.status}`,
+      paymentId: payment.id,
+    };
+  }
+  return { status: "PROCESSED", paymentId: payment.id };
+};
+
+/**
+ * POST /api/webhooks/payments/:provider
+ * Provider-to-server notifications. Only events whose HMAC signature and
+ * timestamp check out are stored and acted on; redeliveries of an event
+ * id are acknowledged without being applied again.
+ */
+export const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider).name;
+
+    const secret = webhookSecret(provider);
+    if (!secret) {
+      throw new AppError(`Webhooks are not configured for ${provider}`, 404);
+    }
+
+    verifyWebhookSignature({
+      secret,
+      signature: req.get("x-webhook-signature"),
+      timestamp: req.get("x-webhook-timestamp"),
+      rawBody: req.rawBody?.toString("utf8"),
+    });
+
+    const event = parseWebhookEvent(req.body);
+    const key = { provider_eventId: { provider, eventId: event.eventId } };
+
+    const seen = await prisma.paymentEvent.findUnique({ where: key });
+    if (seen) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        data: { eventId: seen.eventId, status: seen.status },
+      });
+    }
+
+    const stored = await prisma.$transaction(async (tx) => {
+      // created first, so a concurrent redelivery fails on the unique key
+      await tx.paymentEvent.create({
+        data: {
+          provider,
+          eventId: event.eventId,
+          type: event.type,
+          payload: req.body,
+        },
+      });
+
+      const outcome = await processPaymentEvent(tx, provider, event, req.body);
+
+      return tx.paymentEvent.update({
+        where: key,
+        data: {
+          status: outcome.status,
+          error: outcome.error || null,
+          paymentId: outcome.paymentId || null,
+          processedAt: new Date(),
+        },
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { eventId: stored.eventId, status: stored.status },
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        data: { eventId: req.body?.id },
+      });
+    }
+    next(error);
+  }
+};
+
+export default {
+  handlePaymentWebhook,
+};
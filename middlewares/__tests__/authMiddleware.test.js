@@ -3,6 +3,7 @@ import {
   authenticate,
   authorizeAdmin,
   requireAuth,
+  optionalAuth,
 } from "../authMiddleware.js";
 import { prisma } from "../../lib/prismaClient.js";
 import { AppError } from "../../utils/AppError.js";
@@ -393,4 +394,65 @@ describe("Auth Middleware", () => {
       expect(req.user.isAdmin).toBe(false);
     });
   });
+
+  describe("optionalAuth", () => {
+    it("continues as a guest without a token", async () => {
+      req.originalUrl = "/api/products";
+
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it("authenticates when a token is sent", async () => {
+      req.originalUrl = "/api/products";
+      req.header.mockReturnValue("Bearer admin-token");
+      jwt.verify.mockReturnValue({ id: "admin789", isAdmin: true });
+
+      await optionalAuth(req, res, next);
+
+      expect(req.user.isAdmin).toBe(true);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it("authenticates from the cookie", async () => {
+      req.cookies.token = "cookie-token";
+      jwt.verify.mockReturnValue({ id: "user123", isAdmin: false });
+
+      await optionalAuth(req, res, next);
+
+      expect(jwt.verify).toHaveBeenCalledWith("cookie-token", "test-secret");
+      expect(req.user).toEqual({
+        id: "user123",
+        userId: "user123",
+        isAdmin: false,
+      });
+    });
+
+    it.each([
+      ["TokenExpiredError", "jwt expired"],
+      ["JsonWebTokenError", "invalid signature"],
+    ])("continues as a guest on %s", async (name, message) => {
+      req.header.mockReturnValue("Bearer stale-token");
+      jwt.verify.mockImplementation(() => {
+        throw Object.assign(new Error(message), { name });
+      });
+
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it("ignores a token without a user id", async () => {
+      req.cookies.token = "odd-token";
+      jwt.verify.mockReturnValue({ sub: "x" });
+
+      await optionalAuth(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
 });
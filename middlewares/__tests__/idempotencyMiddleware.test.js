@@ -0,0 +1,195 @@
+import request from "supertest";
+import express from "express";
+import { idempotent, fingerprintRequest } from "../idempotencyMiddleware.js";
+import { errorHandler } from "../errorMiddleware.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    idempotencyKey: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  },
+}));
+
+const createTestApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    req.user = { id: "user-1" };
+    next();
+  });
+  app.post("/api/orders", idempotent, handler);
+  app.use(errorHandler);
+  return app;
+};
+
+const fingerprintFor = (body) =>
+  fingerprintRequest({ method: "POST", originalUrl: "/api/orders", body });
+
+describe("Idempotency Middleware", () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler = jest.fn((_req, res) => res.status(201).json({ id: "order-1" }));
+    prisma.idempotencyKey.create.mockResolvedValue({});
+    prisma.idempotencyKey.update.mockResolvedValue({});
+    prisma.idempotencyKey.delete.mockResolvedValue({});
+  });
+
+  it("should pass through when no key is sent", async () => {
+    const app = createTestApp(handler);
+
+    const response = await request(app).post("/api/orders").send({ a: 1 });
+
+    expect(response.status).toBe(201);
+    expect(prisma.idempotencyKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  it("should reserve the key and store a successful response", async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+    const app = createTestApp(handler);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send({ items: [{ productId: "p1", quantity: 1 }] });
+
+    expect(response.status).toBe(201);
+    expect(prisma.idempotencyKey.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        userId: "user-1",
+        key: "key-1",
+        method: "POST",
+        path: "/api/orders",
+      }),
+    });
+    expect(prisma.idempotencyKey.update).toHaveBeenCalledWith({
+      where: { userId_key: { userId: "user-1", key: "key-1" } },
+      data: expect.objectContaining({
+        statusCode: 201,
+        response: { id: "order-1" },
+      }),
+    });
+  });
+
+  it("should replay the stored response without running the handler", async () => {
+    const body = { items: [{ productId: "p1", quantity: 1 }] };
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      requestHash: fingerprintFor(body),
+      statusCode: 201,
+      response: { id: "order-1" },
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + 60000),
+    });
+    const app = createTestApp(handler);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id: "order-1" });
+    expect(response.headers["idempotent-replayed"]).toBe("true");
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should treat reordered object keys as the same request", () => {
+    expect(fingerprintFor({ a: 1, b: { c: 2, d: 3 } })).toBe(
+      fingerprintFor({ b: { d: 3, c: 2 }, a: 1 })
+    );
+  });
+
+  it("should return 422 when the key is reused with a different body", async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      requestHash: fingerprintFor({ items: [] }),
+      statusCode: 201,
+      response: { id: "order-1" },
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + 60000),
+    });
+    const app = createTestApp(handler);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send({ items: [{ productId: "p2", quantity: 3 }] });
+
+    expect(response.status).toBe(422);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should return 409 while the original request is in progress", async () => {
+    const body = { items: [] };
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      requestHash: fingerprintFor(body),
+      completedAt: null,
+      expiresAt: new Date(Date.now() + 60000),
+    });
+    const app = createTestApp(handler);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send(body);
+
+    expect(response.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should return 409 when a concurrent request reserved the key first", async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+    prisma.idempotencyKey.create.mockRejectedValue({ code: "P2002" });
+    const app = createTestApp(handler);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send({});
+
+    expect(response.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("should release the key when the request fails", async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue(null);
+    const failing = jest.fn((_req, res) =>
+      res.status(400).json({ success: false, error: "Out of stock" })
+    );
+    const app = createTestApp(failing);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(prisma.idempotencyKey.delete).toHaveBeenCalledWith({
+      where: { userId_key: { userId: "user-1", key: "key-1" } },
+    });
+    expect(prisma.idempotencyKey.update).not.toHaveBeenCalled();
+  });
+
+  it("should discard expired keys and process the request again", async () => {
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      requestHash: "stale",
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    const app = createTestApp(handler);
+
+    const response = await request(app)
+      .post("/api/orders")
+      .set("Idempotency-Key", "key-1")
+      .send({});
+
+    expect(response.status).toBe(201);
+    expect(prisma.idempotencyKey.delete).toHaveBeenCalled();
+    expect(handler).toHaveBeenCalled();
+  });
+});
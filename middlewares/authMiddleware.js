@@ -122,3 +122,30 @@ export const authEither = async (req, res, next) => {
   }
 };
 
+
+// Public routes that show more to signed-in users: a valid token (cookie
+// first, like authEither) sets req.user; a missing, expired or invalid one
+// continues as a guest instead of failing with 401
+export const optionalAuth = (req, res, next) => {
+  const header = req.header("Authorization");
+  const token =
+    req.cookies?.token ||
+    (header?.startsWith("Bearer ") ? header.replace("Bearer ", "") : null);
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded?.id) {
+        req.user = {
+          id: decoded.id,
+          userId: decoded.id,
+          isAdmin: decoded.isAdmin,
+        };
+      }
+    } catch {
+      // not signed in after all
+    }
+  }
+
+  next();
+};
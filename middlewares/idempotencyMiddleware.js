@@ -0,0 +1,135 @@
+// middlewares/idempotencyMiddleware.js
+import crypto from "crypto";
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "../utils/AppError.js";
+
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const KEY_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted object keys so { a, b } and { b, a } hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+export const fingerprintRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl.split("?")[0]}\n`)
+    .update(stableStringify(req.body ?? {}))
+    .digest("hex");
+
+/**
+ * Honor the Idempotency-Key header on state-changing routes.
+ * Must run after authentication: keys are scoped per user.
+ *
+ * - First request: the key is reserved, and a 2xx response is stored
+ * - Replay with the same body: the stored response is returned as-is
+ * - Replay with a different body: 422
+ * - Replay while the first request is still running: 409
+ * - Failed requests release the key so the client can retry
+ */
+export const idempotent = async (req, res, next) => {
+  try {
+    const key = req.header(IDEMPOTENCY_HEADER);
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      throw new AppError("Idempotency-Key is too long", 400);
+    }
+
+    const userId = req?.user?.id;
+    if (!userId) throw new AppError("Unauthorized", 401);
+
+    const requestHash = fingerprintRequest(req);
+    const where = { userId_key: { userId, key } };
+
+    let record = await prisma.idempotencyKey.findUnique({ where });
+
+    if (record && record.expiresAt < new Date()) {
+      await prisma.idempotencyKey.delete({ where });
+      record = null;
+    }
+
+    if (record) {
+      if (record.requestHash !== requestHash) {
+        throw new AppError(
+          "Idempotency-Key was already used with a different request",
+          422
+        );
+      }
+      if (!record.completedAt) {
+        throw new AppError(
+          "A request with this Idempotency-Key is still being processed",
+          409
+        );
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.statusCode).json(record.response);
+    }
+
+    try {
+      await prisma.idempotencyKey.create({
+        data: {
+          userId,
+          key,
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          requestHash,
+          expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000),
+        },
+      });
+    } catch (error) {
+      // Another request with the same key won the race
+      if (error.code === "P2002") {
+        throw new AppError(
+          "A request with this Idempotency-Key is still being processed",
+          409
+        );
+      }
+      throw error;
+    }
+
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+
+      const finalize = succeeded
+        ? prisma.idempotencyKey.update({
+            where,
+            data: {
+              statusCode: res.statusCode,
+              response: JSON.parse(JSON.stringify(body ?? null)),
+              completedAt: new Date(),
+            },
+          })
+        : prisma.idempotencyKey.delete({ where });
+
+      // Send the response only once the key is settled, so an immediate
+      // retry sees the stored result instead of an in-progress key
+      Promise.resolve(finalize)
+        .catch((error) =>
+          console.error("Failed to settle idempotency key:", error)
+        )
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default idempotent;
@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "ShipmentStatus" AS ENUM ('PENDING', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'FAILED_ATTEMPT', 'DELIVERED', 'RETURNED');
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "shipmentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "shipments" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "carrier" TEXT NOT NULL,
+    "trackingNumber" TEXT,
+    "trackingUrl" TEXT,
+    "status" "ShipmentStatus" NOT NULL DEFAULT 'PENDING',
+    "shippedAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipment_events" (
+    "id" TEXT NOT NULL,
+    "shipmentId" TEXT NOT NULL,
+    "status" "ShipmentStatus" NOT NULL,
+    "description" TEXT,
+    "location" TEXT,
+    "occurredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipment_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderItem_shipmentId_idx" ON "OrderItem"("shipmentId");
+
+-- CreateIndex
+CREATE INDEX "shipments_orderId_idx" ON "shipments"("orderId");
+
+-- CreateIndex
+CREATE INDEX "shipments_trackingNumber_idx" ON "shipments"("trackingNumber");
+
+-- CreateIndex
+CREATE INDEX "shipment_events_shipmentId_idx" ON "shipment_events"("shipmentId");
+
+-- AddForeignKey
+ALTER TABLE "OrderItem" ADD CONSTRAINT "OrderItem_shipmentId_fkey" FOREIGN KEY ("shipmentId") REFERENCES "shipments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shipments" ADD CONSTRAINT "shipments_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shipment_events" ADD CONSTRAINT "shipment_events_shipmentId_fkey" FOREIGN KEY ("shipmentId") REFERENCES "shipments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "taxIncluded" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "tax_rules" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "rate" DECIMAL(5,4) NOT NULL DEFAULT 0,
+    "country" TEXT,
+    "city" TEXT,
+    "categoryId" TEXT,
+    "isExempt" BOOLEAN NOT NULL DEFAULT false,
+    "priceIncludesTax" BOOLEAN NOT NULL DEFAULT false,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tax_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "tax_rules_country_city_idx" ON "tax_rules"("country", "city");
+
+-- CreateIndex
+CREATE INDEX "tax_rules_categoryId_idx" ON "tax_rules"("categoryId");
+
+-- AddForeignKey
+ALTER TABLE "tax_rules" ADD CONSTRAINT "tax_rules_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "heightCm" DOUBLE PRECISION,
+ADD COLUMN     "lengthCm" DOUBLE PRECISION,
+ADD COLUMN     "weightGrams" INTEGER,
+ADD COLUMN     "widthCm" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "shipping_zones" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "countries" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "cities" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "baseFee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "perKgFee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "freeShippingThreshold" DECIMAL(12,2),
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipping_zones_name_key" ON "shipping_zones"("name");
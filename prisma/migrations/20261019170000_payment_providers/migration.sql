@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "providerReference" TEXT,
+ADD COLUMN     "providerResponse" JSONB,
+ADD COLUMN     "verifiedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "payments_providerReference_idx" ON "payments"("providerReference");
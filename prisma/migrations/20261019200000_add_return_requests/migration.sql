@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED', 'RECEIVED');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "returnWindowDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "returnRequestId" TEXT;
+
+-- CreateTable
+CREATE TABLE "return_requests" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'REQUESTED',
+    "reason" TEXT NOT NULL,
+    "adminNote" TEXT,
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3),
+    "refundId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "return_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" TEXT NOT NULL,
+    "returnRequestId" TEXT NOT NULL,
+    "orderItemId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Image_returnRequestId_idx" ON "Image"("returnRequestId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "return_requests_refundId_key" ON "return_requests"("refundId");
+
+-- CreateIndex
+CREATE INDEX "return_requests_orderId_idx" ON "return_requests"("orderId");
+
+-- CreateIndex
+CREATE INDEX "return_requests_status_idx" ON "return_requests"("status");
+
+-- CreateIndex
+CREATE INDEX "return_items_returnRequestId_idx" ON "return_items"("returnRequestId");
+
+-- CreateIndex
+CREATE INDEX "return_items_orderItemId_idx" ON "return_items"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "Image" ADD CONSTRAINT "Image_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "return_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_requests" ADD CONSTRAINT "return_requests_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "refunds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "return_requests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
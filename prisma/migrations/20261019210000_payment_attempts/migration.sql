@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "payments_orderId_key";
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "failureReason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "payments_orderId_idx" ON "payments"("orderId");
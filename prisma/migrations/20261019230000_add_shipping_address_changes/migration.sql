@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "ShippingAddressChangeAction" AS ENUM ('UPDATED', 'DELETED');
+
+-- CreateTable
+CREATE TABLE "shipping_address_changes" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "action" "ShippingAddressChangeAction" NOT NULL,
+    "previous" JSONB NOT NULL,
+    "current" JSONB,
+    "reason" TEXT,
+    "changedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipping_address_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipping_address_changes_orderId_idx" ON "shipping_address_changes"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "shipping_address_changes" ADD CONSTRAINT "shipping_address_changes_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "shipping_address_changes" ADD CONSTRAINT "shipping_address_changes_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
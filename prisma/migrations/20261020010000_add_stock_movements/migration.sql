@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "StockMovementType" AS ENUM ('SALE', 'CANCELLATION', 'RETURN', 'ADJUSTMENT', 'RESTOCK');
+
+-- CreateTable
+CREATE TABLE "stock_movements" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "type" "StockMovementType" NOT NULL,
+    "reason" TEXT,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_movements_productId_createdAt_idx" ON "stock_movements"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_variantId_idx" ON "stock_movements"("variantId");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_referenceType_referenceId_idx" ON "stock_movements"("referenceType", "referenceId");
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Opening balance, so existing stock equals the ledger sum from here on
+INSERT INTO "stock_movements" ("id", "productId", "quantity", "type", "reason")
+SELECT gen_random_uuid()::text, "id", "stock", 'ADJUSTMENT', 'Opening balance'
+FROM "products"
+WHERE "stock" <> 0;
+
+INSERT INTO "stock_movements" ("id", "productId", "variantId", "quantity", "type", "reason")
+SELECT gen_random_uuid()::text, "productId", "id", "stock", 'ADJUSTMENT', 'Opening balance'
+FROM "product_variants"
+WHERE "stock" <> 0;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "lowStockAlertedAt" TIMESTAMP(3),
+ADD COLUMN     "lowStockThreshold" INTEGER;
+
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN     "lowStockAlertedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "stock_subscriptions" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notifiedAt" TIMESTAMP(3),
+
+    CONSTRAINT "stock_subscriptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_subscriptions_productId_notifiedAt_idx" ON "stock_subscriptions"("productId", "notifiedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_subscriptions_userId_productId_variantId_key" ON "stock_subscriptions"("userId", "productId", "variantId");
+
+-- AddForeignKey
+ALTER TABLE "stock_subscriptions" ADD CONSTRAINT "stock_subscriptions_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_subscriptions" ADD CONSTRAINT "stock_subscriptions_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_subscriptions" ADD CONSTRAINT "stock_subscriptions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted search document: name (A), tags (B), description (C).
+-- array_to_string is only STABLE, so the generated column goes through an
+-- IMMUTABLE wrapper.
+CREATE OR REPLACE FUNCTION products_search_document(name TEXT, tags TEXT[], description TEXT)
+RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$
+  SELECT setweight(to_tsvector('english', coalesce(name, '')), 'A')
+      || setweight(to_tsvector('english', coalesce(array_to_string(tags, ' '), '')), 'B')
+      || setweight(to_tsvector('english', coalesce(description, '')), 'C')
+$$;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "searchVector" tsvector
+  GENERATED ALWAYS AS (products_search_document("name", "tags", "description")) STORED;
+
+-- CreateIndex
+CREATE INDEX "products_searchVector_idx" ON "products" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "products_name_idx" ON "products" USING GIN ("name" gin_trgm_ops);
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "search_queries" (
+    "id" TEXT NOT NULL,
+    "query" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 1,
+    "resultCount" INTEGER NOT NULL DEFAULT 0,
+    "lastSearchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_queries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "search_queries_query_key" ON "search_queries"("query");
+
+-- CreateIndex
+CREATE INDEX "search_queries_query_idx" ON "search_queries" USING GIN ("query" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "search_queries_count_idx" ON "search_queries"("count");
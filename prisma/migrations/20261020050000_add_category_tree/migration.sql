@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "parentId" TEXT,
+ADD COLUMN     "slug" TEXT,
+ADD COLUMN     "sortOrder" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Image" ADD COLUMN     "categoryId" TEXT;
+
+-- Backfill slugs from names; a clash (or a name without letters or digits)
+-- gets part of the id appended
+UPDATE "Category"
+SET "slug" = trim(both '-' from lower(regexp_replace("name", '[^a-zA-Z0-9]+', '-', 'g')));
+
+UPDATE "Category" c
+SET "slug" = concat_ws('-', nullif(c."slug", ''), left(c."id", 8))
+WHERE c."slug" = ''
+   OR EXISTS (
+     SELECT 1 FROM "Category" d
+     WHERE d."slug" = c."slug" AND d."id" < c."id"
+   );
+
+ALTER TABLE "Category" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_slug_key" ON "Category"("slug");
+
+-- CreateIndex
+CREATE INDEX "Category_parentId_sortOrder_idx" ON "Category"("parentId", "sortOrder");
+
+-- CreateIndex
+CREATE INDEX "Image_categoryId_idx" ON "Image"("categoryId");
+
+-- AddForeignKey
+ALTER TABLE "Image" ADD CONSTRAINT "Image_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Category" ADD CONSTRAINT "Category_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Category"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "refundRequired" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "payments_refundRequired_idx" ON "payments"("refundRequired");
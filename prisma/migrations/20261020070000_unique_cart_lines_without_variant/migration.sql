@@ -0,0 +1,25 @@
+-- The (cartId, productId, variantId) key treats NULL variantIds as distinct,
+-- so lines without a variant could be duplicated. Merge such duplicates
+-- into the oldest line before adding the constraint.
+WITH "duplicates" AS (
+    SELECT "cartId", "productId", min("id") AS "keepId", sum("quantity") AS "quantity"
+    FROM "cart_items"
+    WHERE "variantId" IS NULL
+    GROUP BY "cartId", "productId"
+    HAVING count(*) > 1
+)
+UPDATE "cart_items" c
+SET "quantity" = d."quantity"
+FROM "duplicates" d
+WHERE c."id" = d."keepId";
+
+DELETE FROM "cart_items" c
+USING "cart_items" k
+WHERE c."variantId" IS NULL
+  AND k."variantId" IS NULL
+  AND c."cartId" = k."cartId"
+  AND c."productId" = k."productId"
+  AND c."id" > k."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cart_items_cartId_productId_no_variant_key" ON "cart_items"("cartId", "productId") WHERE "variantId" IS NULL;
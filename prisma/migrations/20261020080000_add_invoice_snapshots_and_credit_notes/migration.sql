@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "snapshot" JSONB;
+
+-- CreateTable
+CREATE TABLE "credit_notes" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "refundId" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "credit_notes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_notes_number_key" ON "credit_notes"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "credit_notes_refundId_key" ON "credit_notes"("refundId");
+
+-- CreateIndex
+CREATE INDEX "credit_notes_invoiceId_idx" ON "credit_notes"("invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "credit_notes" ADD CONSTRAINT "credit_notes_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "invoices"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "credit_notes" ADD CONSTRAINT "credit_notes_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "refunds"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "restockedQuantity" INTEGER NOT NULL DEFAULT 0;
+
+-- Lines that already left the order put all of their units back
+UPDATE "OrderItem" SET "restockedQuantity" = "quantity" WHERE "status" = 'CANCELLED';
+
+-- Units restocked by refunds
+UPDATE "OrderItem" oi
+SET "restockedQuantity" = LEAST(oi."quantity", oi."restockedQuantity" + r."quantity")
+FROM (
+    SELECT ri."orderItemId", sum(ri."quantity") AS "quantity"
+    FROM "refund_items" ri
+    JOIN "refunds" rf ON rf."id" = ri."refundId"
+    WHERE rf."restock" AND rf."status" = 'SUCCEEDED'
+    GROUP BY ri."orderItemId"
+) r
+WHERE oi."id" = r."orderItemId";
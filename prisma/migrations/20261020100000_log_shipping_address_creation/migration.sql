@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "ShippingAddressChangeAction" ADD VALUE 'CREATED' BEFORE 'UPDATED';
+
+-- AlterTable
+ALTER TABLE "shipping_address_changes" ALTER COLUMN "previous" DROP NOT NULL;
@@ -3,12 +3,12 @@ import { PrismaClient, Prisma } from "@prisma/client";
 const prisma = new PrismaClient();
 
 const categories = [
-  { name: "Electronics" },
-  { name: "Audio" },
-  { name: "Gaming" },
-  { name: "Accessories" },
-  { name: "Storage" },
-  { name: "Display" },
+  { name: "Electronics", slug: "electronics" },
+  { name: "Audio", slug: "audio", sortOrder: 1 },
+  { name: "Gaming", slug: "gaming", sortOrder: 2 },
+  { name: "Accessories", slug: "accessories", sortOrder: 3 },
+  { name: "Storage", slug: "storage", sortOrder: 4 },
+  { name: "Display", slug: "display", sortOrder: 5 },
 ];
 
 const products = [
@@ -125,6 +125,13 @@ async function main() {
 
   // Fetch created categories to get their IDs
   const allCategories = await prisma.category.findMany();
+
+  // The others are subcategories of Electronics
+  const electronics = allCategories.find((c) => c.name === "Electronics");
+  await prisma.category.updateMany({
+    where: { id: { not: electronics.id } },
+    data: { parentId: electronics.id },
+  });
   const categoryMap = {
     Electronics: allCategories.find((c) => c.name === "Electronics")?.id,
     Audio: allCategories.find((c) => c.name === "Audio")?.id,
@@ -209,6 +216,20 @@ async function main() {
     },
   });
 
+  // opening stock goes into the inventory ledger, so stock = sum of movements
+  const seeded = await prisma.product.findMany({
+    where: { stock: { gt: 0 } },
+    select: { id: true, stock: true },
+  });
+  await prisma.stockMovement.createMany({
+    data: seeded.map((p) => ({
+      productId: p.id,
+      quantity: p.stock,
+      type: "RESTOCK",
+      reason: "Seed data",
+    })),
+  });
+
   const productCount = await prisma.product.count();
   console.log(`Seeded ${productCount} products with categories.`);
 }
@@ -1,5 +1,6 @@
 import { PrismaClient, Prisma } from "@prisma/client";
 import "dotenv/config";
+import { slugify } from "../utils/categories.js";
 
 const prisma = new PrismaClient();
 
@@ -36,7 +37,9 @@ async function ensureCategory(name) {
   if (!name) return null;
   const existing = await prisma.category.findUnique({ where: { name } });
   if (existing) return existing.id;
-  const created = await prisma.category.create({ data: { name } });
+  const created = await prisma.category.create({
+    data: { name, slug: slugify(name) },
+  });
   return created.id;
 }
 
@@ -48,6 +51,7 @@ async function upsertProduct(prod) {
   const categoryId = await ensureCategory(prod.categoryName);
 
   if (existing) {
+    const delta = (prod.stock ?? 0) - existing.stock;
     // Update minimal mutable fields, skip images to avoid duplicates
     return prisma.product.update({
       where: { id: existing.id },
@@ -61,6 +65,16 @@ async function upsertProduct(prod) {
         tags: prod.tags,
         image: prod.image,
         categories: categoryId ? { connect: [{ id: categoryId }] } : undefined,
+        // keep the inventory ledger in step with the new stock level
+        stockMovements: delta
+          ? {
+              create: {
+                quantity: delta,
+                type: "ADJUSTMENT",
+                reason: "Seed data",
+              },
+            }
+          : undefined,
       },
     });
   }
@@ -80,6 +94,15 @@ async function upsertProduct(prod) {
       images: prod.images.length
         ? { create: prod.images.map((url) => ({ url })) }
         : undefined,
+      stockMovements: prod.stock
+        ? {
+            create: {
+              quantity: prod.stock,
+              type: "RESTOCK",
+              reason: "Seed data",
+            },
+          }
+        : undefined,
     },
   });
 }
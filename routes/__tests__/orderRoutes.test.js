@@ -14,6 +14,9 @@ jest.mock("../../lib/prismaClient.js", () => {
       update: jest.fn(),
       count: jest.fn(),
     },
+    orderItem: {
+      updateMany: jest.fn(async () => ({ count: 1 })),
+    },
     product: {
       findMany: jest.fn(),
       updateMany: jest.fn(),
@@ -25,17 +28,47 @@ jest.mock("../../lib/prismaClient.js", () => {
       update: jest.fn(),
       delete: jest.fn(),
     },
+    shippingAddressChange: {
+      create: jest.fn(),
+    },
     payment: {
       create: jest.fn(),
+      findFirst: jest.fn(),
       findUnique: jest.fn(),
       update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    taxRule: {
+      findMany: jest.fn(),
+    },
+    shippingZone: {
+      findMany: jest.fn(),
+    },
+    stockReservation: {
+      updateMany: jest.fn(),
+    },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    invoice: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+    invoiceCounter: {
+      upsert: jest.fn(),
     },
     $transaction: jest.fn(async (cb) => {
       const tx = {
         product: prisma.product,
         order: prisma.order,
+        orderItem: prisma.orderItem,
         shippingAddress: prisma.shippingAddress,
+        shippingAddressChange: prisma.shippingAddressChange,
         payment: prisma.payment,
+        stockReservation: prisma.stockReservation,
+        stockMovement: prisma.stockMovement,
+        invoice: prisma.invoice,
+        invoiceCounter: prisma.invoiceCounter,
       };
       return cb(tx);
     }),
@@ -96,7 +129,7 @@ describe("Order Routes Integration Tests", () => {
         id: "o1",
         userId: "user-1",
         orderItems: [],
-        payment: null,
+        payments: [],
         shippingAddress: null,
       });
 
@@ -112,6 +145,35 @@ describe("Order Routes Integration Tests", () => {
     });
   });
 
+  describe("POST /api/orders/quote", () => {
+    it("returns a price breakdown without creating an order", async () => {
+      const token = generateToken({ id: "user-1" });
+
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "p1",
+          name: "Product 1",
+          price: "10.00",
+          stock: 10,
+          isActive: true,
+        },
+      ]);
+
+      const response = await request(app)
+        .post("/api/orders/quote")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          items: [{ productId: "p1", quantity: 2 }],
+          shippingAddress: { country: "Nepal", city: "Kathmandu" },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveProperty("subtotal", "20");
+      expect(response.body.data).toHaveProperty("shippingFee", "0");
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+  });
+
   describe("GET /api/orders/my", () => {
     it("returns user orders with valid token", async () => {
       const token = generateToken({ id: "user-1" });
@@ -144,7 +206,7 @@ describe("Order Routes Integration Tests", () => {
           email: "john@example.com",
         },
         orderItems: [],
-        payment: null,
+        payments: [],
         shippingAddress: null,
       });
 
@@ -164,7 +226,11 @@ describe("Order Routes Integration Tests", () => {
       // Mock order lookup with implementation
       prisma.order.findUnique.mockImplementation(({ where }) => {
         if (where.id === "o1") {
-          return Promise.resolve({ id: "o1", userId: "user-1" });
+          return Promise.resolve({
+            id: "o1",
+            userId: "user-1",
+            status: "PENDING",
+          });
         }
         return Promise.resolve(null);
       });
@@ -207,10 +273,9 @@ describe("Order Routes Integration Tests", () => {
         id: "o1",
         userId: "user-1",
         total: "100.00",
+        payments: [],
       });
 
-      prisma.payment.findUnique.mockResolvedValue(null);
-
       prisma.payment.create.mockResolvedValue({
         id: "pay-1",
         orderId: "o1",
@@ -234,20 +299,31 @@ describe("Order Routes Integration Tests", () => {
 
   describe("PATCH /api/payments/:paymentId/status", () => {
     it("updates payment status", async () => {
-      const token = generateToken({ id: "user-1" });
+      const token = generateToken({ id: "admin-1", isAdmin: true });
 
-      prisma.payment.findUnique.mockResolvedValue({
+      prisma.payment.findFirst.mockResolvedValue({
         id: "pay-1",
         orderId: "o1",
+        amount: "100.00",
         status: "PENDING",
       });
 
-      prisma.payment.update.mockResolvedValue({
+      prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+      prisma.payment.findUnique.mockResolvedValue({
         id: "pay-1",
         orderId: "o1",
+        amount: "100.00",
         status: "PAID",
         transactionId: "txn_456",
       });
+      prisma.order.findUnique.mockResolvedValue({
+        id: "order-1",
+        total: "100.00",
+        createdAt: new Date("2026-10-19T10:00:00Z"),
+      });
+      prisma.invoice.findUnique.mockResolvedValue(null);
+      prisma.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 1 });
+      prisma.invoice.create.mockResolvedValue({ id: "inv-1", number: 1 });
 
       const response = await request(app)
         .patch("/api/orders/o1/payment/status")
@@ -271,7 +347,7 @@ describe("Order Routes Integration Tests", () => {
         userId: "user-1",
         status: "PENDING",
         orderItems: [{ productId: "p1", quantity: 2 }],
-        payment: null,
+        payments: [],
       });
 
       prisma.product.update.mockResolvedValue({});
@@ -279,7 +355,7 @@ describe("Order Routes Integration Tests", () => {
         id: "o1",
         status: "CANCELED",
         orderItems: [],
-        payment: null,
+        payments: [],
         shippingAddress: null,
       });
 
@@ -296,11 +372,16 @@ describe("Order Routes Integration Tests", () => {
     it("allows admin to update order status", async () => {
       const token = generateToken({ id: "admin-1", isAdmin: true });
 
+      prisma.order.findUnique.mockResolvedValue({
+        id: "o1",
+        status: "PROCESSING",
+        orderItems: [],
+      });
       prisma.order.update.mockResolvedValue({
         id: "o1",
         status: "SHIPPED",
         orderItems: [],
-        payment: null,
+        payments: [],
         shippingAddress: null,
       });
 
@@ -0,0 +1,552 @@
+import request from "supertest";
+import express from "express";
+import productRoutes from "../productRoutes.js";
+import { prisma } from "../../lib/prismaClient.js";
+import jwt from "jsonwebtoken";
+
+// Mock prisma
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    product: {
+      findMany: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(async ({ data }) => ({ id: "p1", ...data })),
+      update: jest.fn(async ({ where, data }) => ({ ...where, ...data })),
+    },
+    category: {
+      findMany: jest.fn(),
+    },
+    searchQuery: {
+      upsert: jest.fn(),
+      findMany: jest.fn(),
+    },
+    $queryRaw: jest.fn(),
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+// Mock error middleware
+const errorMiddleware = (err, req, res, next) => {
+  res.status(err.statusCode || 500).json({
+    success: false,
+    message: err.message || "Internal Server Error",
+  });
+};
+
+// Create test app
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/products", productRoutes);
+  app.use(errorMiddleware);
+  return app;
+};
+
+// Helper to generate JWT token
+const generateToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET || "test-secret", {
+    expiresIn: "1h",
+  });
+};
+
+const product = (id) => ({ id, name: `Product ${id}`, images: [] });
+
+// where of the listing query (the findMany that includes images)
+const listingWhere = () =>
+  prisma.product.findMany.mock.calls.find(([args]) => args.include)[0].where;
+
+describe("Product Routes Integration Tests", () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = createTestApp();
+    // drop raw query results a test queued but did not use
+    prisma.$queryRaw.mockReset();
+    prisma.product.findMany.mockResolvedValue([product("p1")]);
+    prisma.product.count.mockResolvedValue(1);
+  });
+
+  describe("GET /api/products", () => {
+    it("lists only active products to guests", async () => {
+      const res = await request(app).get("/api/products?active=false");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(listingWhere().AND).toContainEqual({ isActive: true });
+    });
+
+    it("ignores the active filter for customers", async () => {
+      const token = generateToken({ id: "user-1" });
+
+      const res = await request(app)
+        .get("/api/products?active=false")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(listingWhere().AND).toContainEqual({ isActive: true });
+    });
+
+    it("lets admins list inactive products", async () => {
+      const token = generateToken({ id: "admin-1", isAdmin: true });
+
+      const res = await request(app)
+        .get("/api/products?active=false")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(listingWhere().AND).toContainEqual({ isActive: false });
+    });
+
+    it("lets admins list active and inactive products with active=all", async () => {
+      const token = generateToken({ id: "admin-1", isAdmin: true });
+
+      const res = await request(app)
+        .get("/api/products?active=all")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(listingWhere()).toEqual({});
+    });
+
+    it("treats an invalid token as a guest", async () => {
+      const res = await request(app)
+        .get("/api/products?active=false")
+        .set("Authorization", "Bearer not-a-token");
+
+      expect(res.status).toBe(200);
+      expect(listingWhere().AND).toContainEqual({ isActive: true });
+    });
+
+    it("returns facets only when asked for", async () => {
+      prisma.product.findMany.mockImplementation(async ({ select }) =>
+        select?.tags
+          ? [{ tags: ["oak", "desk"] }, { tags: ["oak"] }]
+          : [product("p1")]
+      );
+      prisma.category.findMany.mockResolvedValue([
+        { id: "c1", name: "Desks", slug: "desks", _count: { products: 2 } },
+        { id: "c2", name: "Lamps", slug: "lamps", _count: { products: 0 } },
+      ]);
+
+      const plain = await request(app).get("/api/products");
+      expect(plain.body.facets).toBeUndefined();
+      expect(prisma.category.findMany).not.toHaveBeenCalled();
+
+      const res = await request(app).get("/api/products?facets=true");
+
+      expect(res.status).toBe(200);
+      expect(res.body.facets.categories).toEqual([
+        { id: "c1", name: "Desks", slug: "desks", count: 2 },
+      ]);
+      expect(res.body.facets.tags).toEqual([
+        { tag: "oak", count: 2 },
+        { tag: "desk", count: 1 },
+      ]);
+      expect(res.body.facets.price).toHaveLength(6);
+      expect(res.body.facets.price[0]).toEqual({ min: 0, max: 500, count: 1 });
+    });
+
+    it("returns a cursor when another page follows", async () => {
+      prisma.product.findMany.mockResolvedValue([
+        product("p1"),
+        product("p2"),
+        product("p3"),
+      ]);
+      prisma.product.count.mockResolvedValue(5);
+
+      const res = await request(app).get("/api/products?limit=2");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((p) => p.id)).toEqual(["p1", "p2"]);
+      expect(res.body.pagination).toEqual({
+        page: 1,
+        limit: 2,
+        total: 5,
+        totalPages: 3,
+        nextCursor: "p2",
+      });
+      expect(prisma.product.findMany.mock.calls[0][0]).toMatchObject({
+        take: 3,
+        skip: 0,
+      });
+    });
+
+    it("starts after the cursor and ends with a null cursor", async () => {
+      prisma.product.findMany.mockResolvedValue([product("p3")]);
+      prisma.product.count.mockResolvedValue(3);
+
+      const res = await request(app).get("/api/products?limit=2&cursor=p2");
+
+      expect(res.status).toBe(200);
+      expect(res.body.pagination).toEqual({
+        limit: 2,
+        total: 3,
+        nextCursor: null,
+      });
+      expect(prisma.product.findMany.mock.calls[0][0]).toMatchObject({
+        cursor: { id: "p2" },
+        skip: 1,
+        take: 3,
+      });
+    });
+
+    it("returns 400 for an unknown sort", async () => {
+      const res = await request(app).get("/api/products?sort=relevance");
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain("sort must be one of");
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
+    });
+
+    it.each(["0", "101", "ten"])("returns 400 for limit=%s", async (limit) => {
+      const res = await request(app).get(`/api/products?limit=${limit}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("limit must be a number from 1 to 100");
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/products/search", () => {
+    beforeEach(() => {
+      // ranked matches first, then the highlights of the page
+      prisma.$queryRaw
+        .mockResolvedValueOnce([
+          { id: "p2", relevance: 0.9 },
+          { id: "p1", relevance: 0.4 },
+        ])
+        .mockResolvedValueOnce([
+          { id: "p2", name: "<mark>Lamp</mark>", description: null },
+        ]);
+      prisma.product.findMany.mockImplementation(async ({ where, select }) =>
+        select
+          ? [{ id: "p1" }, { id: "p2" }]
+          : where.id.in.map((id) => product(id))
+      );
+    });
+
+    it("pages matches by relevance with a cursor and records the search", async () => {
+      const res = await request(app).get("/api/products/search?q=lamp&limit=1");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([
+        {
+          ...product("p2"),
+          relevance: 0.9,
+          highlight: { name: "<mark>Lamp</mark>", description: null },
+        },
+      ]);
+      expect(res.body.pagination).toMatchObject({ total: 2, nextCursor: "p2" });
+      expect(prisma.searchQuery.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { query: "lamp" } })
+      );
+    });
+
+    it("continues after the cursor without recording the search again", async () => {
+      const res = await request(app).get(
+        "/api/products/search/lamp?limit=1&cursor=p2"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((p) => p.id)).toEqual(["p1"]);
+      expect(res.body.pagination).toEqual({
+        limit: 1,
+        total: 2,
+        nextCursor: null,
+      });
+      expect(prisma.searchQuery.upsert).not.toHaveBeenCalled();
+    });
+
+    it("applies the active filter to the matches for admins only", async () => {
+      await request(app).get("/api/products/search?q=lamp&active=false");
+      expect(prisma.product.findMany.mock.calls[0][0].where.AND).toContainEqual(
+        { isActive: true }
+      );
+
+      jest.clearAllMocks();
+      prisma.$queryRaw.mockResolvedValue([]);
+      const token = generateToken({ id: "admin-1", isAdmin: true });
+
+      await request(app)
+        .get("/api/products/search?q=lamp&active=false")
+        .set("Authorization", `Bearer ${token}`);
+      expect(prisma.product.findMany.mock.calls[0][0].where.AND).toContainEqual(
+        { isActive: false }
+      );
+    });
+
+    it("returns facets of the matches", async () => {
+      prisma.category.findMany.mockResolvedValue([]);
+      prisma.product.count.mockResolvedValue(2);
+
+      const res = await request(app).get(
+        "/api/products/search?q=lamp&facets=true"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.facets).toEqual(
+        expect.objectContaining({ categories: [], price: expect.any(Array) })
+      );
+    });
+
+    it("returns no results for an empty query", async () => {
+      const res = await request(app).get("/api/products/search?q=%20");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+
+    it("returns 400 for an unknown sort", async () => {
+      const res = await request(app).get(
+        "/api/products/search?q=lamp&sort=cheapest"
+      );
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toContain("relevance");
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+
+    it("returns 400 for a bad limit", async () => {
+      const res = await request(app).get("/api/products/search?q=lamp&limit=0");
+
+      expect(res.status).toBe(400);
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/products/suggest", () => {
+    it("caps each list at 10 suggestions", async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+      prisma.category.findMany.mockResolvedValue([]);
+      prisma.$queryRaw.mockResolvedValue([{ tag: "Lamp" }, { tag: "lamp" }]);
+      prisma.searchQuery.findMany.mockResolvedValue([]);
+
+      const res = await request(app).get("/api/products/suggest?q=la&limit=50");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tags).toEqual(["Lamp"]);
+      expect(prisma.product.findMany.mock.calls[0][0].take).toBe(10);
+    });
+
+    it("suggests nothing for an empty query", async () => {
+      const res = await request(app).get("/api/products/suggest");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({
+        queries: [],
+        products: [],
+        categories: [],
+        tags: [],
+      });
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/products/category/:categoryId", () => {
+    beforeEach(() => {
+      prisma.category.findMany.mockResolvedValue([
+        { id: "c1", parentId: null },
+        { id: "c2", parentId: "c1" },
+      ]);
+    });
+
+    it("lists the products of the category", async () => {
+      const res = await request(app).get("/api/products/category/c1");
+
+      expect(res.status).toBe(200);
+      expect(listingWhere().AND).toContainEqual({
+        categories: { some: { id: { in: ["c1"] } } },
+      });
+    });
+
+    it("includes subcategories when asked for", async () => {
+      const res = await request(app).get(
+        "/api/products/category/c1?includeDescendants=true"
+      );
+
+      expect(res.status).toBe(200);
+      expect(listingWhere().AND).toContainEqual({
+        categories: { some: { id: { in: ["c1", "c2"] } } },
+      });
+    });
+
+    it("lets admins list inactive products of the category", async () => {
+      const token = generateToken({ id: "admin-1", isAdmin: true });
+
+      await request(app)
+        .get("/api/products/category/c1?active=false")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(listingWhere().AND).toContainEqual({ isActive: false });
+    });
+
+    it("returns 404 for an unknown category", async () => {
+      const res = await request(app).get("/api/products/category/missing");
+
+      expect(res.status).toBe(404);
+      expect(prisma.product.findMany).not.toHaveBeenCalled();
+    });
+
+    it("returns 400 for a bad sort", async () => {
+      const res = await request(app).get(
+        "/api/products/category/c1?sort=relevance"
+      );
+
+      expect(res.status).toBe(400);
+      expect(prisma.category.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/products", () => {
+    const adminToken = generateToken({ id: "admin-1", isAdmin: true });
+    const body = { name: "Desk", description: "Oak desk", price: 199.5 };
+
+    beforeEach(() => {
+      prisma.category.findMany.mockImplementation(async ({ where }) =>
+        where.id.in.filter((id) => id !== "missing").map((id) => ({ id }))
+      );
+    });
+
+    it("assigns the given categories", async () => {
+      const res = await request(app)
+        .post("/api/products")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...body, categoryIds: ["c1", "c2", "c1"] });
+
+      expect(res.status).toBe(201);
+      const { data } = prisma.product.create.mock.calls[0][0];
+      expect(data.categories).toEqual({
+        connect: [{ id: "c1" }, { id: "c2" }],
+      });
+      expect(data.price.toString()).toBe("199.5");
+    });
+
+    it("takes the category ids as a comma separated list", async () => {
+      const res = await request(app)
+        .post("/api/products")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...body, categoryIds: "c1, c2" });
+
+      expect(res.status).toBe(201);
+      expect(
+        prisma.product.create.mock.calls[0][0].data.categories.connect
+      ).toEqual([{ id: "c1" }, { id: "c2" }]);
+    });
+
+    it("creates a product without categories", async () => {
+      const res = await request(app)
+        .post("/api/products")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.status).toBe(201);
+      expect(prisma.product.create.mock.calls[0][0].data.categories).toEqual({
+        connect: [],
+      });
+      expect(prisma.category.findMany).not.toHaveBeenCalled();
+    });
+
+    it("returns 404 for an unknown category", async () => {
+      const res = await request(app)
+        .post("/api/products")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...body, categoryIds: ["c1", "missing"] });
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe("Category not found: missing");
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+
+    it("returns 400 when categoryIds is not a list of ids", async () => {
+      const res = await request(app)
+        .post("/api/products")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...body, categoryIds: [1, 2] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("categoryIds must be an array of ids");
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+
+    it("returns 403 for customers", async () => {
+      const token = generateToken({ id: "user-1" });
+
+      const res = await request(app)
+        .post("/api/products")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ ...body, categoryIds: ["c1"] });
+
+      expect(res.status).toBe(403);
+      expect(prisma.product.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("PUT /api/products/:id", () => {
+    const adminToken = generateToken({ id: "admin-1", isAdmin: true });
+
+    beforeEach(() => {
+      prisma.category.findMany.mockImplementation(async ({ where }) =>
+        where.id.in.filter((id) => id !== "missing").map((id) => ({ id }))
+      );
+    });
+
+    it("replaces the product's categories", async () => {
+      const res = await request(app)
+        .put("/api/products/p1")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ categoryIds: ["c2"] });
+
+      expect(res.status).toBe(200);
+      expect(prisma.product.update.mock.calls[0][0].data.categories).toEqual({
+        set: [{ id: "c2" }],
+      });
+    });
+
+    it("clears the categories with an empty list", async () => {
+      const res = await request(app)
+        .put("/api/products/p1")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ categoryIds: [] });
+
+      expect(res.status).toBe(200);
+      expect(prisma.product.update.mock.calls[0][0].data.categories).toEqual({
+        set: [],
+      });
+      expect(prisma.category.findMany).not.toHaveBeenCalled();
+    });
+
+    it("keeps the categories when categoryIds is left out", async () => {
+      const res = await request(app)
+        .put("/api/products/p1")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ name: "Standing desk", price: 249 });
+
+      expect(res.status).toBe(200);
+      const { data } = prisma.product.update.mock.calls[0][0];
+      expect(data.categories).toBeUndefined();
+      expect(data.price.toString()).toBe("249");
+    });
+
+    it("returns 404 for an unknown category", async () => {
+      const res = await request(app)
+        .put("/api/products/p1")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ categoryIds: ["missing"] });
+
+      expect(res.status).toBe(404);
+      expect(prisma.product.update).not.toHaveBeenCalled();
+    });
+
+    it("returns 401 without a token", async () => {
+      const res = await request(app)
+        .put("/api/products/p1")
+        .send({ categoryIds: [] });
+
+      expect(res.status).toBe(401);
+      expect(prisma.product.update).not.toHaveBeenCalled();
+    });
+  });
+});
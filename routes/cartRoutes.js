@@ -5,8 +5,11 @@ import {
   updateCartItem,
   removeFromCart,
   clearCart,
+  checkoutCart,
+  applyCouponToCart,
 } from "../controllers/cartController.js";
 import { authEither } from "../middlewares/authMiddleware.js";
+import { idempotent } from "../middlewares/idempotencyMiddleware.js";
 
 const router = express.Router();
 
@@ -28,4 +31,10 @@ router.delete("/item/:itemId", removeFromCart);
 // Clear entire cart
 router.delete("/", clearCart);
 
+// Preview a coupon against the cart
+router.post("/apply-coupon", applyCouponToCart);
+
+// Convert cart into an order
+router.post("/checkout", idempotent, checkoutCart);
+
 export default router;
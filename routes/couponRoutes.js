@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.js";
+import { authEither, authorizeAdmin } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All coupon management routes are admin-only
+router.use(authEither, authorizeAdmin);
+
+router.get("/", getCoupons);
+router.post("/", createCoupon);
+router.get("/:id", getCouponById);
+router.put("/:id", updateCoupon);
+router.delete("/:id", deleteCoupon);
+
+export default router;
@@ -1,11 +1,14 @@
 import express from "express";
 import {
   createOrder,
+  quoteOrder,
   getMyOrders,
   getOrderById,
   getAllOrders,
   updateOrderStatus,
   cancelMyOrder,
+  getOrderStatusHistory,
+  updateOrderItemStatus,
 } from "../controllers/orderController.js";
 
 import {
@@ -13,16 +16,39 @@ import {
   updateShippingAddress,
   getShippingAddress,
   deleteShippingAddress,
+  getShippingAddressChanges,
 } from "../controllers/shippingAddressController.js";
 
 import {
   createPayment,
+  initiatePayment,
+  verifyPayment,
   updatePaymentStatus,
   getPaymentByOrder,
   refundPayment,
+  getRefunds,
 } from "../controllers/paymentController.js";
 
+import {
+  createShipment,
+  addShipmentEvent,
+  getOrderTracking,
+} from "../controllers/shipmentController.js";
+
+import {
+  getOrderInvoice,
+  getOrderCreditNotes,
+  getOrderCreditNote,
+} from "../controllers/invoiceController.js";
+
+import {
+  createReturnRequest,
+  getOrderReturns,
+} from "../controllers/returnController.js";
+
 import { authEither } from "../middlewares/authMiddleware.js";
+import { idempotent } from "../middlewares/idempotencyMiddleware.js";
+import { upload } from "../utils/uploads.js";
 
 const router = express.Router();
 
@@ -31,7 +57,10 @@ const router = express.Router();
 ------------------------------*/
 
 // 1. Create Order
-router.post("/", authEither, createOrder);
+router.post("/", authEither, idempotent, createOrder);
+
+// 1b. Price a proposed order without creating it
+router.post("/quote", authEither, quoteOrder);
 
 // 2. Get all orders (admin only)
 router.get("/", authEither, getAllOrders);  // <-- must be ABOVE /:id
@@ -48,6 +77,26 @@ router.patch("/:id/status", authEither, updateOrderStatus);
 // 6. Cancel order (user)
 router.patch("/:id/cancel", authEither, cancelMyOrder);
 
+// 7. Status history (owner or admin)
+router.get("/:id/history", authEither, getOrderStatusHistory);
+
+// 8. Update a single line: pack, ship, cancel, refund (admin)
+router.patch("/:id/items/:itemId/status", authEither, updateOrderItemStatus);
+
+// 9. Invoice and its credit notes as HTML or PDF (owner or admin)
+router.get("/:id/invoice", authEither, getOrderInvoice);
+router.get("/:id/credit-notes", authEither, getOrderCreditNotes);
+router.get("/:id/credit-notes/:creditNoteId", authEither, getOrderCreditNote);
+
+// 10. Return requests for delivered lines (owner), with up to 5 photos
+router.post(
+  "/:id/returns",
+  authEither,
+  upload.array("photos", 5),
+  createReturnRequest
+);
+router.get("/:id/returns", authEither, getOrderReturns);
+
 
 /* ---------------------------
    SHIPPING ADDRESS ROUTES
@@ -56,14 +105,32 @@ router.post("/:orderId/address", authEither, createShippingAddress);
 router.patch("/:orderId/address", authEither, updateShippingAddress);
 router.get("/:orderId/address", authEither, getShippingAddress);
 router.delete("/:orderId/address", authEither, deleteShippingAddress);
+router.get("/:orderId/address/changes", authEither, getShippingAddressChanges);
 
 
 /* ---------------------------
    PAYMENT ROUTES
 ------------------------------*/
-router.post("/:orderId/payment", authEither, createPayment);
+router.post("/:orderId/payment", authEither, idempotent, createPayment);
+router.post("/:orderId/payment/initiate", authEither, initiatePayment);
+// provider return leg: confirmed server-side, so no auth
+router.get("/:orderId/payment/verify", verifyPayment);
+router.post("/:orderId/payment/verify", verifyPayment);
 router.patch("/:orderId/payment/status", authEither, updatePaymentStatus);
 router.get("/:orderId/payment", authEither, getPaymentByOrder);
 router.patch("/:orderId/payment/refund", authEither, refundPayment);
+router.get("/:orderId/payment/refunds", authEither, getRefunds);
+
+
+/* ---------------------------
+   SHIPMENT & TRACKING ROUTES
+------------------------------*/
+router.post("/:orderId/shipments", authEither, createShipment);
+router.post(
+  "/:orderId/shipments/:shipmentId/events",
+  authEither,
+  addShipmentEvent
+);
+router.get("/:orderId/tracking", authEither, getOrderTracking);
 
 export default router;
@@ -6,21 +6,47 @@ import {
   updateProduct,
   deleteProduct,
   searchProducts,
-  getAllCategories,
+  getSearchSuggestions,
   getProductsbyCategory,
-  createCategory,
 } from "../controllers/productController.js";
+import {
+  getAllCategories,
+  getCategoryTree,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  setProductCategories,
+  assignProductsToCategory,
+} from "../controllers/categoryController.js";
+import {
+  getProductVariants,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+} from "../controllers/productVariantController.js";
+import {
+  createStockAdjustment,
+  getStockHistory,
+} from "../controllers/stockMovementController.js";
+import { subscribeToRestock } from "../controllers/stockSubscriptionController.js";
 import { upload } from "../utils/uploads.js";
 
-import { authEither, authorizeAdmin } from "../middlewares/authMiddleware.js";
+import {
+  authEither,
+  authorizeAdmin,
+  optionalAuth,
+} from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
 
-// Public routes
-router.get("/", getProducts);
+// Public routes (admins also see inactive products with ?active=)
+router.get("/", optionalAuth, getProducts);
 
 // Category routes (MUST come before /:id to avoid conflicts)
 router.get("/categories", getAllCategories);
+router.get("/categories/tree", getCategoryTree);
+router.get("/categories/:slug", getCategoryBySlug);
 router.post(
   "/categories",
   authEither,
@@ -28,17 +54,63 @@ router.post(
   upload.array("images", 10),
   createCategory
 );
-router.get("/category/:categoryId", getProductsbyCategory);
+router.put("/categories/:id", authEither, authorizeAdmin, updateCategory);
+router.delete("/categories/:id", authEither, authorizeAdmin, deleteCategory);
+router.post(
+  "/categories/:id/products",
+  authEither,
+  authorizeAdmin,
+  assignProductsToCategory
+);
+router.get("/category/:categoryId", optionalAuth, getProductsbyCategory);
 
-// Search route (MUST come before /:id)
-router.get("/search/:query", searchProducts);
+// Search routes (MUST come before /:id)
+router.get("/suggest", getSearchSuggestions);
+router.get("/search", optionalAuth, searchProducts);
+router.get("/search/:query", optionalAuth, searchProducts);
 
 // Dynamic routes (MUST come last)
 router.get("/:id", getProductById);
+router.get("/:id/variants", getProductVariants);
+
+// Customer: email me when it is back in stock
+router.post("/:id/notify-me", authEither, subscribeToRestock);
 
 // Admin-only routes
 router.post("/", authEither, authorizeAdmin, createProduct);
 router.put("/:id", authEither, authorizeAdmin, updateProduct);
 router.delete("/:id", authEither, authorizeAdmin, deleteProduct);
+router.put("/:id/categories", authEither, authorizeAdmin, setProductCategories);
+
+// Variants: own SKU, option values, price, stock and images
+router.post(
+  "/:id/variants",
+  authEither,
+  authorizeAdmin,
+  upload.array("images", 10),
+  createProductVariant
+);
+router.put(
+  "/:id/variants/:variantId",
+  authEither,
+  authorizeAdmin,
+  upload.array("images", 10),
+  updateProductVariant
+);
+router.delete(
+  "/:id/variants/:variantId",
+  authEither,
+  authorizeAdmin,
+  deleteProductVariant
+);
+
+// Inventory ledger
+router.post(
+  "/:id/stock-adjustments",
+  authEither,
+  authorizeAdmin,
+  createStockAdjustment
+);
+router.get("/:id/stock-history", authEither, authorizeAdmin, getStockHistory);
 
 export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  getReturnRequests,
+  getReturnRequestById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+} from "../controllers/returnController.js";
+import { authEither, authorizeAdmin } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// Review queue: all routes are admin-only; customers create returns
+// under /api/orders/:id/returns
+router.use(authEither, authorizeAdmin);
+
+router.get("/", getReturnRequests);
+router.get("/:id", getReturnRequestById);
+router.patch("/:id/approve", approveReturn);
+router.patch("/:id/reject", rejectReturn);
+router.patch("/:id/receive", receiveReturn);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getShippingZones,
+  getShippingZoneById,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+} from "../controllers/shippingZoneController.js";
+import { authEither, authorizeAdmin } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All shipping zone management routes are admin-only
+router.use(authEither, authorizeAdmin);
+
+router.get("/", getShippingZones);
+router.post("/", createShippingZone);
+router.get("/:id", getShippingZoneById);
+router.put("/:id", updateShippingZone);
+router.delete("/:id", deleteShippingZone);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getTaxRules,
+  getTaxRuleById,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule,
+} from "../controllers/taxRuleController.js";
+import { authEither, authorizeAdmin } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+// All tax rule management routes are admin-only
+router.use(authEither, authorizeAdmin);
+
+router.get("/", getTaxRules);
+router.post("/", createTaxRule);
+router.get("/:id", getTaxRuleById);
+router.put("/:id", updateTaxRule);
+router.delete("/:id", deleteTaxRule);
+
+export default router;
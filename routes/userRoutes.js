@@ -7,6 +7,13 @@ import {
   uploadUserProfileImage,
   removeUserProfileImage,
 } from "../controllers/usersController.js";
+import {
+  getMyAddresses,
+  getMyAddress,
+  createMyAddress,
+  updateMyAddress,
+  deleteMyAddress,
+} from "../controllers/userAddressController.js";
 
 import { authEither, authorizeAdmin } from "../middlewares/authMiddleware.js";
 import { upload } from "../utils/uploads.js";
@@ -25,6 +32,13 @@ router.post(
 );
 router.delete("/image", authEither, removeUserProfileImage);
 
+// Address book of the signed-in user (before /:id routes)
+router.get("/me/addresses", authEither, getMyAddresses);
+router.post("/me/addresses", authEither, createMyAddress);
+router.get("/me/addresses/:addressId", authEither, getMyAddress);
+router.patch("/me/addresses/:addressId", authEither, updateMyAddress);
+router.delete("/me/addresses/:addressId", authEither, deleteMyAddress);
+
 // Protect user routes: allow auth via cookie or header
 router.get("/:id", authEither, getUserById);
 router.put("/:id", authEither, updateUser);
@@ -0,0 +1,9 @@
+import express from "express";
+import { handlePaymentWebhook } from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+// No auth middleware: requests are authenticated by their HMAC signature
+router.post("/payments/:provider", handlePaymentWebhook);
+
+export default router;
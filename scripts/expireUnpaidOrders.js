@@ -0,0 +1,23 @@
+import "dotenv/config";
+import { prisma } from "../lib/prismaClient.js";
+import { expireUnpaidOrders } from "../utils/reservationSweeper.js";
+
+// One-off sweep of unpaid orders past their payment deadline.
+// Use from cron when the in-process sweeper is disabled
+// (RESERVATION_SWEEP_INTERVAL_MS=0).
+
+async function main() {
+  const { expired, skipped } = await expireUnpaidOrders({
+    limit: Number(process.env.RESERVATION_SWEEP_LIMIT || 500),
+  });
+  console.log(
+    `Expired ${expired.length} unpaid order(s), skipped ${skipped.length}`
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,29 @@
+import "dotenv/config";
+import { prisma } from "../lib/prismaClient.js";
+import {
+  sendLowStockAlerts,
+  sendBackInStockNotifications,
+} from "../utils/stockAlertSweeper.js";
+
+// One-off run of the low-stock alerts and back-in-stock emails.
+// Use from cron when the in-process sweeper is disabled
+// (STOCK_ALERT_INTERVAL_MS=0).
+
+async function main() {
+  const { alerted, cleared } = await sendLowStockAlerts();
+  console.log(`Low stock alert for ${alerted} item(s), ${cleared} restocked`);
+
+  const { notified, failed } = await sendBackInStockNotifications({
+    limit: Number(process.env.STOCK_ALERT_LIMIT || 500),
+  });
+  console.log(
+    `Sent ${notified.length} back in stock email(s), ${failed.length} failed`
+  );
+}
+
+main()
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,6 +1,8 @@
 import app from "./app.js";
 import dotenv from "dotenv";
 import { prisma } from "./lib/prismaClient.js";
+import { startReservationSweeper } from "./utils/reservationSweeper.js";
+import { startStockAlertSweeper } from "./utils/stockAlertSweeper.js";
 
 dotenv.config();
 const PORT = process.env.PORT || 4000;
@@ -21,3 +23,21 @@ const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
 });
+
+// cancel unpaid orders past their payment deadline; 0 disables
+// (then run scripts/expireUnpaidOrders.js from cron instead)
+const SWEEP_INTERVAL_MS = Number(
+  process.env.RESERVATION_SWEEP_INTERVAL_MS ?? 60 * 1000
+);
+if (SWEEP_INTERVAL_MS > 0) {
+  startReservationSweeper({ intervalMs: SWEEP_INTERVAL_MS });
+}
+
+// email low-stock alerts and back-in-stock notifications; 0 disables
+// (then run scripts/sendStockAlerts.js from cron instead)
+const STOCK_ALERT_INTERVAL_MS = Number(
+  process.env.STOCK_ALERT_INTERVAL_MS ?? 5 * 60 * 1000
+);
+if (STOCK_ALERT_INTERVAL_MS > 0) {
+  startStockAlertSweeper({ intervalMs: STOCK_ALERT_INTERVAL_MS });
+}
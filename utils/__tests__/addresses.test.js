@@ -0,0 +1,72 @@
+import { validateAddress, resolveOrderAddress } from "../addresses.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({ prisma: {} }));
+
+const address = {
+  fullName: "Sita Sharma",
+  phone: "9800000000",
+  address: "Baneshwor 10",
+  city: "Kathmandu",
+  postalCode: "44600",
+  country: "Nepal",
+};
+
+describe("validateAddress", () => {
+  it("accepts a complete address", () => {
+    expect(() => validateAddress(address)).not.toThrow();
+  });
+
+  it("names the first missing field", () => {
+    expect(() =>
+      validateAddress(
+        { ...address, postalCode: "" },
+        "Missing shipping address field"
+      )
+    ).toThrow("Missing shipping address field: postalCode");
+  });
+});
+
+describe("resolveOrderAddress", () => {
+  const db = { userAddress: { findFirst: jest.fn() } };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("returns the inline address when no addressId is given", async () => {
+    await expect(
+      resolveOrderAddress("u1", { shippingAddress: address }, db)
+    ).resolves.toBe(address);
+    expect(db.userAddress.findFirst).not.toHaveBeenCalled();
+  });
+
+  it("snapshots only the address fields of a saved address", async () => {
+    db.userAddress.findFirst.mockResolvedValue({
+      id: "a1",
+      userId: "u1",
+      label: "Home",
+      isDefaultShipping: true,
+      ...address,
+    });
+
+    await expect(
+      resolveOrderAddress("u1", { addressId: "a1" }, db)
+    ).resolves.toEqual(address);
+  });
+
+  it("rejects both an addressId and an inline address", async () => {
+    await expect(
+      resolveOrderAddress(
+        "u1",
+        { addressId: "a1", shippingAddress: address },
+        db
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("returns 404 for an address outside the user's book", async () => {
+    db.userAddress.findFirst.mockResolvedValue(null);
+
+    await expect(
+      resolveOrderAddress("u1", { addressId: "a9" }, db)
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
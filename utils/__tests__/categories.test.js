@@ -0,0 +1,120 @@
+import {
+  slugify,
+  uniqueCategorySlug,
+  buildCategoryTree,
+  collectDescendantIds,
+  categoryPath,
+  parseIdList,
+  resolveCategoryIds,
+} from "../categories.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: { category: { findMany: jest.fn() } },
+}));
+
+const categories = [
+  { id: "audio", name: "Audio", parentId: "electronics", sortOrder: 2 },
+  { id: "electronics", name: "Electronics", parentId: null, sortOrder: 0 },
+  { id: "headphones", name: "Headphones", parentId: "audio", sortOrder: 0 },
+  { id: "gaming", name: "Gaming", parentId: "electronics", sortOrder: 1 },
+  { id: "home", name: "Home", parentId: null, sortOrder: 0 },
+];
+
+describe("categories", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it.each([
+    ["Gaming & Headsets", "gaming-headsets"],
+    ["  Café Crème ", "cafe-creme"],
+    ["--TV/Audio--", "tv-audio"],
+    ["!!!", ""],
+  ])("slugifies %p", (text, slug) => {
+    expect(slugify(text)).toBe(slug);
+  });
+
+  it("suffixes a taken slug with the first free number", async () => {
+    prisma.category.findMany.mockResolvedValue([
+      { slug: "audio" },
+      { slug: "audio-2" },
+      { slug: "audio-books" },
+    ]);
+
+    expect(await uniqueCategorySlug("audio")).toBe("audio-3");
+    expect(prisma.category.findMany).toHaveBeenCalledWith({
+      where: { slug: { startsWith: "audio" } },
+      select: { slug: true },
+    });
+  });
+
+  it("nests categories under their parents in sort order", () => {
+    const tree = buildCategoryTree(categories);
+
+    expect(tree.map((node) => node.id)).toEqual(["electronics", "home"]);
+    expect(tree[0].children.map((node) => node.id)).toEqual([
+      "gaming",
+      "audio",
+    ]);
+    expect(tree[0].children[1].children[0]).toMatchObject({
+      id: "headphones",
+      children: [],
+    });
+  });
+
+  it("collects descendants at any depth", () => {
+    expect(collectDescendantIds(categories, "electronics").sort()).toEqual([
+      "audio",
+      "gaming",
+      "headphones",
+    ]);
+    expect(collectDescendantIds(categories, "home")).toEqual([]);
+  });
+
+  it("walks up to the top-level category for breadcrumbs", () => {
+    expect(
+      categoryPath(categories, "headphones").map((node) => node.id)
+    ).toEqual(["electronics", "audio", "headphones"]);
+  });
+
+  it("stops on a cycle in bad data", () => {
+    const cyclic = [
+      { id: "a", parentId: "b" },
+      { id: "b", parentId: "a" },
+    ];
+
+    expect(collectDescendantIds(cyclic, "a")).toEqual(["b"]);
+    expect(categoryPath(cyclic, "a").map((node) => node.id)).toEqual([
+      "b",
+      "a",
+    ]);
+  });
+
+  it.each([
+    [
+      ["c1", "c2", "c1"],
+      ["c1", "c2"],
+    ],
+    ['["c1","c2"]', ["c1", "c2"]],
+    ["c1, c2,", ["c1", "c2"]],
+    [[], []],
+  ])("parses id list %p", (value, ids) => {
+    expect(parseIdList(value, "categoryIds")).toEqual(ids);
+  });
+
+  it("rejects an id list that is not a list of strings", () => {
+    expect(() => parseIdList([1], "categoryIds")).toThrow(
+      "categoryIds must be an array of ids"
+    );
+    expect(() => parseIdList(undefined, "categoryIds")).toThrow();
+  });
+
+  it("checks that every category exists", async () => {
+    prisma.category.findMany.mockResolvedValue([{ id: "c1" }]);
+
+    await expect(resolveCategoryIds(["c1", "c2"])).rejects.toMatchObject({
+      statusCode: 404,
+      message: "Category not found: c2",
+    });
+    await expect(resolveCategoryIds([])).resolves.toEqual([]);
+  });
+});
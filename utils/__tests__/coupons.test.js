@@ -0,0 +1,221 @@
+import { Prisma } from "@prisma/client";
+import {
+  applyCouponToLines,
+  findApplicableCoupon,
+  redeemCoupon,
+} from "../coupons.js";
+import { prisma } from "../../lib/prismaClient.js";
+import { AppError } from "../AppError.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    coupon: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    couponRedemption: {
+      count: jest.fn(),
+      create: jest.fn(),
+    },
+  },
+}));
+
+const D = (value) => new Prisma.Decimal(value);
+
+const lines = [
+  { productId: "p1", categoryIds: ["c1"], subtotal: D("60.00") },
+  { productId: "p2", categoryIds: ["c2"], subtotal: D("40.00") },
+];
+
+const totals = { subtotal: D("100.00"), shippingFee: D("0") };
+
+describe("coupons", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("applyCouponToLines", () => {
+    it("spreads a percentage discount proportionally", () => {
+      const { lineDiscounts } = applyCouponToLines(
+        { type: "PERCENTAGE", value: "10" },
+        lines,
+        totals
+      );
+
+      expect(lineDiscounts.map(String)).toEqual(["6", "4"]);
+    });
+
+    it("caps a percentage discount at maxDiscount", () => {
+      const { lineDiscounts } = applyCouponToLines(
+        { type: "PERCENTAGE", value: "50", maxDiscount: "10" },
+        lines,
+        totals
+      );
+
+      expect(lineDiscounts.map(String)).toEqual(["6", "4"]);
+    });
+
+    it("gives the rounding remainder to the last eligible line", () => {
+      const { lineDiscounts } = applyCouponToLines(
+        { type: "FIXED_AMOUNT", value: "10" },
+        [
+          { productId: "p1", subtotal: D("10.00") },
+          { productId: "p2", subtotal: D("10.00") },
+          { productId: "p3", subtotal: D("10.00") },
+        ],
+        { subtotal: D("30.00"), shippingFee: D("0") }
+      );
+
+      expect(lineDiscounts.map(String)).toEqual(["3.33", "3.33", "3.34"]);
+    });
+
+    it("only discounts lines in the coupon's category scope", () => {
+      const { lineDiscounts } = applyCouponToLines(
+        { type: "FIXED_AMOUNT", value: "5", categories: [{ id: "c2" }] },
+        lines,
+        totals
+      );
+
+      expect(lineDiscounts.map(String)).toEqual(["0", "5"]);
+    });
+
+    it("never discounts more than the eligible subtotal", () => {
+      const { lineDiscounts } = applyCouponToLines(
+        { type: "FIXED_AMOUNT", value: "500", products: [{ id: "p2" }] },
+        lines,
+        totals
+      );
+
+      expect(lineDiscounts.map(String)).toEqual(["0", "40"]);
+    });
+
+    it("rejects orders below the minimum subtotal", () => {
+      expect(() =>
+        applyCouponToLines(
+          { type: "PERCENTAGE", value: "10", minSubtotal: "150" },
+          lines,
+          totals
+        )
+      ).toThrow(AppError);
+    });
+
+    it("rejects coupons that match no line", () => {
+      expect(() =>
+        applyCouponToLines(
+          { type: "PERCENTAGE", value: "10", products: [{ id: "p9" }] },
+          lines,
+          totals
+        )
+      ).toThrow("Coupon does not apply to any item in this order");
+    });
+
+    it("waives shipping for FREE_SHIPPING coupons", () => {
+      const result = applyCouponToLines({ type: "FREE_SHIPPING" }, lines, {
+        subtotal: D("100"),
+        shippingFee: D("150"),
+      });
+
+      expect(result.freeShipping).toBe(true);
+      expect(result.lineDiscounts.map(String)).toEqual(["0", "0"]);
+    });
+  });
+
+  describe("findApplicableCoupon", () => {
+    it("looks the code up case-insensitively", async () => {
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        code: "DASHAIN10",
+        isActive: true,
+        timesUsed: 0,
+      });
+
+      const coupon = await findApplicableCoupon(" dashain10 ", "u1");
+
+      expect(prisma.coupon.findUnique).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { code: "DASHAIN10" } })
+      );
+      expect(coupon.id).toBe("cp1");
+    });
+
+    it("rejects expired coupons", async () => {
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        isActive: true,
+        timesUsed: 0,
+        expiresAt: new Date(Date.now() - 1000),
+      });
+
+      await expect(findApplicableCoupon("OLD", "u1")).rejects.toThrow(
+        "Coupon has expired"
+      );
+    });
+
+    it("rejects coupons that reached their global limit", async () => {
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        isActive: true,
+        timesUsed: 5,
+        usageLimit: 5,
+      });
+
+      await expect(findApplicableCoupon("FULL", "u1")).rejects.toThrow(
+        "Coupon usage limit reached"
+      );
+    });
+
+    it("rejects users who used up their per-user limit", async () => {
+      prisma.coupon.findUnique.mockResolvedValue({
+        id: "cp1",
+        isActive: true,
+        timesUsed: 1,
+        usageLimitPerUser: 1,
+      });
+      prisma.couponRedemption.count.mockResolvedValue(1);
+
+      await expect(findApplicableCoupon("ONCE", "u1")).rejects.toThrow(
+        "You have already used this coupon"
+      );
+    });
+
+    it("treats inactive coupons as missing", async () => {
+      prisma.coupon.findUnique.mockResolvedValue({ id: "cp1", isActive: false });
+
+      await expect(findApplicableCoupon("OFF", "u1")).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("redeemCoupon", () => {
+    it("increments usage and records the redemption", async () => {
+      prisma.coupon.update.mockResolvedValue({ timesUsed: 1, usageLimit: 10 });
+      prisma.couponRedemption.create.mockResolvedValue({ id: "r1" });
+
+      await redeemCoupon(prisma, { id: "cp1" }, {
+        userId: "u1",
+        orderId: "o1",
+        discount: D("10"),
+      });
+
+      expect(prisma.coupon.update).toHaveBeenCalledWith({
+        where: { id: "cp1" },
+        data: { timesUsed: { increment: 1 } },
+      });
+      expect(prisma.couponRedemption.create).toHaveBeenCalledWith({
+        data: {
+          couponId: "cp1",
+          userId: "u1",
+          orderId: "o1",
+          discount: D("10"),
+        },
+      });
+    });
+
+    it("fails when a concurrent order took the last use", async () => {
+      prisma.coupon.update.mockResolvedValue({ timesUsed: 6, usageLimit: 5 });
+
+      await expect(
+        redeemCoupon(prisma, { id: "cp1" }, { userId: "u1", orderId: "o1" })
+      ).rejects.toThrow("Coupon usage limit reached");
+      expect(prisma.couponRedemption.create).not.toHaveBeenCalled();
+    });
+  });
+});
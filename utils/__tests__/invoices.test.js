@@ -0,0 +1,255 @@
+import {
+  formatInvoiceNumber,
+  formatCreditNoteNumber,
+  issueInvoice,
+  issueCreditNote,
+  invoiceSnapshot,
+  buildInvoiceView,
+  buildCreditNoteView,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} from "../invoices.js";
+
+const paidOrder = {
+  id: "o1",
+  createdAt: new Date("2026-10-18T09:00:00Z"),
+  subtotal: "1130.00",
+  discount: "0",
+  tax: "130.00",
+  shippingFee: "100.00",
+  total: "1230.00",
+  invoice: { number: 7, issuedAt: new Date("2026-10-19T10:00:00Z") },
+  user: { firstName: "Sita", lastName: "Rai", email: "sita@example.com" },
+  shippingAddress: {
+    fullName: "Sita Rai",
+    phone: "9800000000",
+    address: "Lakeside",
+    city: "Pokhara",
+    postalCode: "33700",
+    country: "Nepal",
+  },
+  orderItems: [
+    {
+      productName: "Dhaka <Topi>",
+      quantity: 1,
+      unitPrice: "1130.00",
+      subtotal: "1130.00",
+      discount: "0",
+      tax: "130.00",
+      taxIncluded: true,
+      status: "DELIVERED",
+    },
+    {
+      productName: "Cancelled mug",
+      quantity: 1,
+      unitPrice: "500.00",
+      subtotal: "500.00",
+      discount: "0",
+      tax: "65.00",
+      status: "CANCELLED",
+    },
+  ],
+};
+
+describe("invoices", () => {
+  describe("formatInvoiceNumber", () => {
+    it("zero-pads the sequence number", () => {
+      expect(formatInvoiceNumber(42)).toBe("INV-000042");
+    });
+  });
+
+  describe("issueInvoice", () => {
+    const tx = {
+      order: { findUnique: jest.fn() },
+      invoice: { findUnique: jest.fn(), create: jest.fn() },
+      invoiceCounter: { upsert: jest.fn() },
+    };
+
+    beforeEach(() => jest.clearAllMocks());
+
+    it("takes the next number from the counter and freezes the document", async () => {
+      tx.invoice.findUnique.mockResolvedValue(null);
+      tx.order.findUnique.mockResolvedValue(paidOrder);
+      tx.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 8 });
+      tx.invoice.create.mockResolvedValue({ id: "inv-8", number: 8 });
+
+      await issueInvoice(tx, "o1");
+
+      expect(tx.invoiceCounter.upsert).toHaveBeenCalledWith({
+        where: { id: "invoice" },
+        create: { id: "invoice", lastNumber: 1 },
+        update: { lastNumber: { increment: 1 } },
+      });
+      expect(tx.invoice.create).toHaveBeenCalledWith({
+        data: {
+          orderId: "o1",
+          number: 8,
+          snapshot: invoiceSnapshot(paidOrder),
+        },
+      });
+    });
+
+    it("never issues a second invoice for the same order", async () => {
+      tx.invoice.findUnique.mockResolvedValue({ id: "inv-7", number: 7 });
+
+      const invoice = await issueInvoice(tx, "o1");
+
+      expect(invoice.number).toBe(7);
+      expect(tx.invoiceCounter.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("buildInvoiceView", () => {
+    it("lists active lines from the order snapshot", () => {
+      const view = buildInvoiceView(paidOrder);
+
+      expect(view.number).toBe("INV-000007");
+      expect(view.issuedAt).toBe("2026-10-19");
+      expect(view.customer.address).toBe("Lakeside, Pokhara, 33700, Nepal");
+      expect(view.lines).toHaveLength(1);
+      // tax-inclusive line: amount is the price itself
+      expect(view.lines[0]).toMatchObject({
+        tax: "NPR 130.00 incl.",
+        amount: "NPR 1130.00",
+      });
+      expect(view.totals.at(-1)).toEqual(["Total", "NPR 1230.00"]);
+    });
+  });
+
+  describe("snapshots", () => {
+    it("renders an issued invoice the same after its order changes", () => {
+      const issued = {
+        ...paidOrder,
+        invoice: { ...paidOrder.invoice, snapshot: invoiceSnapshot(paidOrder) },
+      };
+      const before = buildInvoiceView(issued);
+
+      // the line is refunded and the order total recomputed later on
+      const changed = {
+        ...issued,
+        total: "100.00",
+        orderItems: paidOrder.orderItems.map((item) => ({
+          ...item,
+          status: "REFUNDED",
+        })),
+      };
+
+      expect(buildInvoiceView(changed)).toEqual(before);
+      expect(before.lines).toHaveLength(1);
+    });
+  });
+
+  describe("issueCreditNote", () => {
+    const tx = {
+      invoice: { findUnique: jest.fn() },
+      creditNote: { findUnique: jest.fn(), create: jest.fn() },
+      invoiceCounter: { upsert: jest.fn() },
+    };
+    const refund = {
+      id: "refund-1",
+      amount: "1130.00",
+      reason: "Damaged",
+      items: [
+        {
+          quantity: 1,
+          amount: "1130.00",
+          orderItem: { productName: "Dhaka Topi", variantName: "Red" },
+        },
+      ],
+    };
+
+    beforeEach(() => jest.clearAllMocks());
+
+    it("numbers the credit note from its own sequence", async () => {
+      tx.invoice.findUnique.mockResolvedValue({ id: "inv-7", number: 7 });
+      tx.creditNote.findUnique.mockResolvedValue(null);
+      tx.invoiceCounter.upsert.mockResolvedValue({ lastNumber: 2 });
+      tx.creditNote.create.mockImplementation(({ data }) => data);
+
+      const note = await issueCreditNote(tx, refund, "o1");
+
+      expect(tx.invoiceCounter.upsert.mock.calls[0][0].where).toEqual({
+        id: "credit_note",
+      });
+      expect(note).toMatchObject({
+        number: 2,
+        invoiceId: "inv-7",
+        refundId: "refund-1",
+        amount: "1130.00",
+        snapshot: {
+          invoiceNumber: "INV-000007",
+          reason: "Damaged",
+          lines: [
+            expect.objectContaining({
+              name: "Dhaka Topi (Red)",
+              amount: "NPR 1130.00",
+            }),
+          ],
+          totals: [["Total credited", "NPR 1130.00"]],
+        },
+      });
+    });
+
+    it("skips orders that were never invoiced", async () => {
+      tx.invoice.findUnique.mockResolvedValue(null);
+
+      expect(await issueCreditNote(tx, refund, "o1")).toBeNull();
+      expect(tx.invoiceCounter.upsert).not.toHaveBeenCalled();
+    });
+
+    it("issues one credit note per refund", async () => {
+      tx.invoice.findUnique.mockResolvedValue({ id: "inv-7", number: 7 });
+      tx.creditNote.findUnique.mockResolvedValue({ id: "cn-1", number: 1 });
+
+      expect((await issueCreditNote(tx, refund, "o1")).id).toBe("cn-1");
+      expect(tx.creditNote.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("buildCreditNoteView", () => {
+    it("refers to the invoice it corrects", () => {
+      const view = buildCreditNoteView(
+        {
+          number: 2,
+          issuedAt: new Date("2026-10-25T10:00:00Z"),
+          snapshot: {
+            invoiceNumber: "INV-000007",
+            reason: "Damaged",
+            lines: [{ name: "Dhaka Topi", quantity: 1, amount: "NPR 1.00" }],
+            totals: [["Total credited", "NPR 1.00"]],
+          },
+        },
+        paidOrder
+      );
+
+      expect(formatCreditNoteNumber(2)).toBe("CN-000002");
+      expect(view).toMatchObject({
+        title: "Credit note",
+        number: "CN-000002",
+        issuedAt: "2026-10-25",
+        orderId: "o1",
+        reference: "Credit note for invoice INV-000007",
+      });
+      const html = renderInvoiceHtml(view);
+      expect(html).toContain("Credit note CN-000002");
+      expect(html).toContain("Reason: Damaged");
+    });
+  });
+
+  describe("renderers", () => {
+    it("escapes order data in the HTML invoice", () => {
+      const html = renderInvoiceHtml(buildInvoiceView(paidOrder));
+
+      expect(html).toContain("Invoice INV-000007");
+      expect(html).toContain("Dhaka &lt;Topi&gt;");
+      expect(html).not.toContain("Cancelled mug");
+    });
+
+    it("renders a PDF document", async () => {
+      const pdf = await renderInvoicePdf(buildInvoiceView(paidOrder));
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  canTransitionOrder,
+  canTransitionOrderItem,
+  deriveOrderStatus,
+} from "../orderStatus.js";
+
+describe("orderStatus", () => {
+  describe("canTransitionOrder", () => {
+    it("allows the forward workflow", () => {
+      expect(canTransitionOrder("PENDING", "PROCESSING")).toBe(true);
+      expect(canTransitionOrder("PROCESSING", "SHIPPED")).toBe(true);
+      expect(canTransitionOrder("SHIPPED", "DELIVERED")).toBe(true);
+    });
+
+    it("blocks moving backwards or out of final states", () => {
+      expect(canTransitionOrder("DELIVERED", "PENDING")).toBe(false);
+      expect(canTransitionOrder("CANCELED", "SHIPPED")).toBe(false);
+      expect(canTransitionOrder("SHIPPED", "CANCELED")).toBe(false);
+    });
+  });
+
+  describe("canTransitionOrderItem", () => {
+    it("only cancels lines that have not shipped", () => {
+      expect(canTransitionOrderItem("PACKED", "CANCELLED")).toBe(true);
+      expect(canTransitionOrderItem("SHIPPED", "CANCELLED")).toBe(false);
+      expect(canTransitionOrderItem("SHIPPED", "REFUNDED")).toBe(true);
+    });
+  });
+
+  describe("deriveOrderStatus", () => {
+    it("returns null while every line is pending", () => {
+      expect(
+        deriveOrderStatus([{ status: "PENDING" }, { status: "PENDING" }])
+      ).toBeNull();
+    });
+
+    it("is PROCESSING once a line is packed", () => {
+      expect(
+        deriveOrderStatus([{ status: "PACKED" }, { status: "PENDING" }])
+      ).toBe("PROCESSING");
+    });
+
+    it("is SHIPPED when part of the order has shipped", () => {
+      expect(
+        deriveOrderStatus([{ status: "SHIPPED" }, { status: "PENDING" }])
+      ).toBe("SHIPPED");
+    });
+
+    it("is DELIVERED when every remaining line is delivered", () => {
+      expect(
+        deriveOrderStatus([{ status: "DELIVERED" }, { status: "CANCELLED" }])
+      ).toBe("DELIVERED");
+    });
+
+    it("is CANCELED when every line is cancelled", () => {
+      expect(
+        deriveOrderStatus([{ status: "CANCELLED" }, { status: "CANCELLED" }])
+      ).toBe("CANCELED");
+    });
+
+    it("leaves fully refunded orders alone", () => {
+      expect(
+        deriveOrderStatus([{ status: "REFUNDED" }, { status: "CANCELLED" }])
+      ).toBeNull();
+    });
+  });
+});
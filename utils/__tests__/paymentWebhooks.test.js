@@ -0,0 +1,111 @@
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  webhookSecret,
+} from "../payments/webhooks.js";
+
+describe("payment webhooks", () => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const timestamp = String(now.getTime() / 1000);
+  const rawBody = '{"id":"evt_1"}';
+
+  describe("verifyWebhookSignature", () => {
+    const signature = signWebhookPayload("secret", timestamp, rawBody);
+
+    it("accepts a matching signature within tolerance", () => {
+      expect(() =>
+        verifyWebhookSignature({
+          secret: "secret",
+          signature,
+          timestamp,
+          rawBody,
+          now: new Date(now.getTime() + 60 * 1000),
+        })
+      ).not.toThrow();
+    });
+
+    it.each([
+      ["missing signature", { signature: undefined }],
+      ["wrong secret", { secret: "other" }],
+      ["altered body", { rawBody: '{"id":"evt_2"}' }],
+      ["short signature", { signature: "abc" }],
+      ["stale timestamp", { now: new Date(now.getTime() + 10 * 60 * 1000) }],
+      ["non-numeric timestamp", { timestamp: "yesterday" }],
+    ])("rejects a %s with 401", (_label, override) => {
+      expect(() =>
+        verifyWebhookSignature({
+          secret: "secret",
+          signature,
+          timestamp,
+          rawBody,
+          now,
+          ...override,
+        })
+      ).toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+
+  describe("parseWebhookEvent", () => {
+    it("maps known event types to payment statuses", () => {
+      expect(
+        parseWebhookEvent({
+          id: "evt_1",
+          type: "payment.refunded",
+          data: { orderId: "o1" },
+        })
+      ).toEqual({
+        eventId: "evt_1",
+        type: "payment.refunded",
+        status: "REFUNDED",
+        reference: null,
+        orderId: "o1",
+        transactionId: null,
+        amount: null,
+      });
+    });
+
+    it("keeps unknown types with no status", () => {
+      expect(
+        parseWebhookEvent({
+          id: "evt_1",
+          type: "payment.disputed",
+          data: { reference: "r" },
+        }).status
+      ).toBeNull();
+    });
+
+    it.each([
+      ["no id", { type: "payment.failed", data: { reference: "r" } }],
+      ["no type", { id: "evt_1", data: { reference: "r" } }],
+      ["no payment reference", { id: "evt_1", type: "payment.failed" }],
+    ])("rejects an event with %s", (_label, body) => {
+      expect(() => parseWebhookEvent(body)).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    });
+  });
+
+  describe("webhookSecret", () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...saved };
+    });
+
+    it("prefers the provider specific secret", () => {
+      process.env.PAYMENT_WEBHOOK_SECRET = "shared";
+      process.env.PAYMENT_WEBHOOK_SECRET_KHALTI = "khalti";
+
+      expect(webhookSecret("KHALTI")).toBe("khalti");
+      expect(webhookSecret("ESEWA")).toBe("shared");
+    });
+
+    it("returns null when nothing is configured", () => {
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+      delete process.env.PAYMENT_WEBHOOK_SECRET_ESEWA;
+
+      expect(webhookSecret("ESEWA")).toBeNull();
+    });
+  });
+});
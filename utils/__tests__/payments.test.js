@@ -0,0 +1,369 @@
+import crypto from "crypto";
+import {
+  getPaymentProvider,
+  PAYMENT_PROVIDERS,
+} from "../payments/index.js";
+import { signEsewaFields } from "../payments/esewa.js";
+
+const jsonResponse = (body, { ok = true, status = 200 } = {}) =>
+  Promise.resolve({ ok, status, json: () => Promise.resolve(body) });
+
+describe("payment providers", () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe("getPaymentProvider", () => {
+    it("looks providers up case-insensitively", () => {
+      expect(getPaymentProvider("esewa").name).toBe("ESEWA");
+      expect(getPaymentProvider("Khalti").name).toBe("KHALTI");
+      expect(getPaymentProvider("cod").name).toBe("COD");
+    });
+
+    it("enables the fake provider under test", () => {
+      expect(getPaymentProvider("FAKE").name).toBe("FAKE");
+      expect(PAYMENT_PROVIDERS).not.toContain("FAKE");
+    });
+
+    it("rejects unknown providers with 400", () => {
+      expect(() => getPaymentProvider("PAYPAL")).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+      expect(() => getPaymentProvider()).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    });
+  });
+
+  describe("eSewa", () => {
+    const esewa = getPaymentProvider("ESEWA");
+    const secret = "8gBm/:&EnhH.1/q";
+    const esewaEnv = {
+      ESEWA_PRODUCT_CODE: "EPAYTEST",
+      ESEWA_SECRET_KEY: secret,
+      ESEWA_FORM_URL: "https://rc-epay.esewa.com.np/api/epay/main/v2/form",
+      ESEWA_STATUS_URL: "https://rc.esewa.com.np/api/epay/transaction/status/",
+    };
+    const originalEnv = Object.fromEntries(
+      Object.keys(esewaEnv).map((name) => [name, process.env[name]])
+    );
+
+    beforeEach(() => {
+      Object.assign(process.env, esewaEnv);
+    });
+
+    afterAll(() => {
+      for (const [name, value] of Object.entries(originalEnv)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    it("signs name=value pairs of the signed fields in order", () => {
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update("total_amount=100,transaction_uuid=11-201-13,product_code=EPAYTEST")
+        .digest("base64");
+
+      expect(
+        signEsewaFields(
+          {
+            product_code: "EPAYTEST",
+            total_amount: "100",
+            transaction_uuid: "11-201-13",
+            amount: "90",
+          },
+          "total_amount,transaction_uuid,product_code",
+          secret
+        )
+      ).toBe(expected);
+    });
+
+    it("builds a signed form payload", async () => {
+      const { reference, action } = await esewa.initiate({
+        amount: "1230.5",
+        returnUrl: "http://shop.test/payment/verify?orderId=o1",
+      });
+
+      expect(action.type).toBe("form");
+      expect(action.method).toBe("POST");
+      expect(action.fields).toMatchObject({
+        amount: "1230.50",
+        total_amount: "1230.50",
+        transaction_uuid: reference,
+        product_code: "EPAYTEST",
+        success_url: "http://shop.test/payment/verify?orderId=o1",
+      });
+      expect(action.fields.signature).toBe(
+        signEsewaFields(action.fields, action.fields.signed_field_names, secret)
+      );
+    });
+
+    const payment = {
+      id: "pay-1",
+      amount: "1230.50",
+      providerReference: "uuid-1",
+    };
+
+    const callbackData = (fields) => {
+      const payload = {
+        ...fields,
+        signed_field_names: "transaction_code,status,total_amount,transaction_uuid",
+      };
+      payload.signature = signEsewaFields(
+        payload,
+        payload.signed_field_names,
+        secret
+      );
+      return Buffer.from(JSON.stringify(payload)).toString("base64");
+    };
+
+    it("confirms the transaction with the status API", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({
+          status: "COMPLETE",
+          ref_id: "000ABC",
+          total_amount: 1230.5,
+          transaction_uuid: "uuid-1",
+        })
+      );
+
+      const result = await esewa.verify({
+        payment,
+        params: {
+          data: callbackData({
+            transaction_code: "000ABC",
+            status: "COMPLETE",
+            total_amount: "1230.50",
+            transaction_uuid: "uuid-1",
+          }),
+        },
+      });
+
+      expect(result).toMatchObject({ status: "PAID", transactionId: "000ABC" });
+      const url = global.fetch.mock.calls[0][0];
+      expect(url).toContain("transaction_uuid=uuid-1");
+      expect(url).toContain("total_amount=1230.50");
+    });
+
+    it("does not trust a callback the status API does not confirm", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({ status: "NOT_FOUND", ref_id: null })
+      );
+
+      const result = await esewa.verify({ payment, params: {} });
+
+      expect(result.status).toBe("FAILED");
+    });
+
+    it("rejects tampered callback data", async () => {
+      const data = JSON.parse(
+        Buffer.from(
+          callbackData({
+            transaction_code: "000ABC",
+            status: "COMPLETE",
+            total_amount: "1230.50",
+            transaction_uuid: "uuid-1",
+          }),
+          "base64"
+        ).toString()
+      );
+      data.total_amount = "1.00";
+
+      await expect(
+        esewa.verify({
+          payment,
+          params: { data: Buffer.from(JSON.stringify(data)).toString("base64") },
+        })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("rejects an amount that does not match the payment", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({ status: "COMPLETE", ref_id: "x", total_amount: 10 })
+      );
+
+      await expect(esewa.verify({ payment, params: {} })).rejects.toMatchObject(
+        { statusCode: 400 }
+      );
+    });
+
+    it.each(["ESEWA_SECRET_KEY", "ESEWA_STATUS_URL"])(
+      "refuses to run without %s instead of using the sandbox",
+      async (name) => {
+        delete process.env[name];
+
+        await expect(
+          esewa.verify({ payment, params: {} })
+        ).rejects.toMatchObject({
+          statusCode: 500,
+          message: "eSewa is not configured",
+        });
+        await expect(
+          esewa.initiate({ amount: "10", returnUrl: "x" })
+        ).rejects.toMatchObject({ statusCode: 500 });
+        expect(global.fetch).not.toHaveBeenCalled();
+      }
+    );
+  });
+
+  describe("Khalti", () => {
+    const khalti = getPaymentProvider("KHALTI");
+    const khaltiEnv = {
+      KHALTI_SECRET_KEY: "test_secret",
+      KHALTI_BASE_URL: "https://dev.khalti.com/api/v2",
+      KHALTI_REFUND_URL: "https://dev.khalti.com/api/merchant-transaction",
+    };
+    const originalEnv = Object.fromEntries(
+      Object.keys(khaltiEnv).map((name) => [name, process.env[name]])
+    );
+
+    beforeEach(() => {
+      Object.assign(process.env, khaltiEnv);
+    });
+
+    afterAll(() => {
+      for (const [name, value] of Object.entries(originalEnv)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+
+    it("initiates in paisa and redirects to the payment url", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({
+          pidx: "pidx-1",
+          payment_url: "https://test-pay.khalti.com/?pidx=pidx-1",
+        })
+      );
+
+      const result = await khalti.initiate({
+        order: { id: "o1" },
+        amount: "1230.50",
+        returnUrl: "http://shop.test/payment/verify",
+      });
+
+      expect(result).toEqual({
+        reference: "pidx-1",
+        action: {
+          type: "redirect",
+          url: "https://test-pay.khalti.com/?pidx=pidx-1",
+        },
+      });
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toMatch(/\/epayment\/initiate\/$/);
+      expect(init.headers.Authorization).toBe("Key test_secret");
+      expect(JSON.parse(init.body)).toMatchObject({
+        amount: 123050,
+        purchase_order_id: "o1",
+      });
+    });
+
+    it("surfaces gateway errors", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({ detail: "Invalid token." }, { ok: false, status: 401 })
+      );
+
+      await expect(
+        khalti.initiate({ order: { id: "o1" }, amount: "10", returnUrl: "x" })
+      ).rejects.toMatchObject({ statusCode: 400, message: "Invalid token." });
+    });
+
+    it("requires a secret key", async () => {
+      delete process.env.KHALTI_SECRET_KEY;
+
+      await expect(
+        khalti.initiate({ order: { id: "o1" }, amount: "10", returnUrl: "x" })
+      ).rejects.toMatchObject({ statusCode: 500 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    const payment = { amount: "1230.50", providerReference: "pidx-1" };
+
+    it("looks the payment up by the stored pidx", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({
+          pidx: "pidx-1",
+          status: "Completed",
+          total_amount: 123050,
+          transaction_id: "txn-1",
+        })
+      );
+
+      const result = await khalti.verify({
+        payment,
+        params: { pidx: "pidx-1", status: "Completed" },
+      });
+
+      expect(result).toMatchObject({ status: "PAID", transactionId: "txn-1" });
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        pidx: "pidx-1",
+      });
+    });
+
+    it("keeps initiated payments pending", async () => {
+      global.fetch.mockReturnValue(
+        jsonResponse({ status: "Initiated", total_amount: 123050 })
+      );
+
+      const result = await khalti.verify({ payment, params: {} });
+
+      expect(result.status).toBe("PENDING");
+    });
+
+    it("rejects a callback for another pidx", async () => {
+      await expect(
+        khalti.verify({ payment, params: { pidx: "pidx-2" } })
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it("refunds part of a transaction", async () => {
+      global.fetch.mockReturnValue(jsonResponse({ refund_id: "r-1" }));
+
+      const result = await khalti.refund({
+        payment: { transactionId: "txn-1" },
+        amount: "100",
+      });
+
+      expect(result.refundId).toBe("r-1");
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toMatch(/\/txn-1\/refund\/$/);
+      expect(JSON.parse(init.body)).toEqual({ amount: 10000 });
+    });
+
+    it.each(["KHALTI_BASE_URL", "KHALTI_REFUND_URL"])(
+      "refuses to run without %s instead of using the sandbox",
+      async (name) => {
+        delete process.env[name];
+
+        await expect(
+          khalti.initiate({ order: { id: "o1" }, amount: "10", returnUrl: "x" })
+        ).rejects.toMatchObject({
+          statusCode: 500,
+          message: "Khalti is not configured",
+        });
+        await expect(
+          khalti.refund({ payment: { transactionId: "txn-1" }, amount: "1" })
+        ).rejects.toMatchObject({ statusCode: 500 });
+        expect(global.fetch).not.toHaveBeenCalled();
+      }
+    );
+  });
+
+  describe("cash on delivery", () => {
+    const cod = getPaymentProvider("COD");
+
+    it("has nothing to hand over and stays pending", async () => {
+      expect((await cod.initiate()).action.type).toBe("none");
+      expect((await cod.verify()).status).toBe("PENDING");
+      expect((await cod.refund()).manual).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+import {
+  PRICE_BUCKETS,
+  parseProductQuery,
+  buildProductWhere,
+  getProductFacets,
+  listProducts,
+} from "../productQuery.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    product: { findMany: jest.fn(), count: jest.fn() },
+    category: { findMany: jest.fn() },
+  },
+}));
+
+describe("productQuery", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("parseProductQuery", () => {
+    it("defaults to the first page of active products, newest first", () => {
+      expect(parseProductQuery({})).toEqual({
+        filters: {
+          categoryIds: [],
+          minPrice: undefined,
+          maxPrice: undefined,
+          minRating: undefined,
+          inStock: undefined,
+          tags: [],
+          featured: undefined,
+          isActive: true,
+        },
+        sort: "newest",
+        page: 1,
+        limit: 20,
+        cursor: undefined,
+        facets: false,
+      });
+    });
+
+    it("reads lists, ranges and flags", () => {
+      const options = parseProductQuery({
+        category: ["c1", "c2,c3"],
+        tags: "red, cotton",
+        minPrice: "100",
+        maxPrice: "900",
+        minRating: "4",
+        inStock: "true",
+        featured: "1",
+        sort: "price_asc",
+        page: "3",
+        limit: "12",
+        facets: "true",
+      });
+
+      expect(options.filters).toMatchObject({
+        categoryIds: ["c1", "c2", "c3"],
+        tags: ["red", "cotton"],
+        minPrice: 100,
+        maxPrice: 900,
+        minRating: 4,
+        inStock: true,
+        featured: true,
+      });
+      expect(options).toMatchObject({
+        sort: "price_asc",
+        page: 3,
+        limit: 12,
+        facets: true,
+      });
+    });
+
+    it("lets only admins list inactive products", () => {
+      expect(parseProductQuery({ active: "all" }).filters.isActive).toBe(true);
+      expect(
+        parseProductQuery({ active: "all" }, { isAdmin: true }).filters.isActive
+      ).toBeUndefined();
+      expect(
+        parseProductQuery({ active: "false" }, { isAdmin: true }).filters
+          .isActive
+      ).toBe(false);
+    });
+
+    it.each([
+      [{ sort: "cheapest" }, /^sort must be one of/],
+      [{ minPrice: "500", maxPrice: "100" }, /minPrice cannot be more/],
+      [{ minPrice: "-1" }, /minPrice must be a number/],
+      [{ limit: "500" }, "limit must be a number from 1 to 100"],
+      [{ minRating: "6" }, "minRating must be a number from 0 to 5"],
+      [{ inStock: "yes" }, "inStock must be true or false"],
+    ])("rejects %o", (query, message) => {
+      expect(() => parseProductQuery(query)).toThrow(message);
+    });
+  });
+
+  describe("buildProductWhere", () => {
+    it("combines the filters with the caller's base condition", () => {
+      const base = { name: { contains: "mug", mode: "insensitive" } };
+
+      expect(
+        buildProductWhere(
+          {
+            isActive: true,
+            categoryIds: ["c1"],
+            minPrice: 100,
+            tags: ["red"],
+            inStock: true,
+          },
+          base
+        )
+      ).toEqual({
+        AND: [
+          base,
+          { isActive: true },
+          { categories: { some: { id: { in: ["c1"] } } } },
+          { price: { gte: 100 } },
+          { tags: { hasSome: ["red"] } },
+          {
+            OR: [
+              { stock: { gt: 0 }, variants: { none: { isActive: true } } },
+              { variants: { some: { isActive: true, stock: { gt: 0 } } } },
+            ],
+          },
+        ],
+      });
+    });
+
+    it("matches everything without filters", () => {
+      expect(buildProductWhere({})).toEqual({});
+    });
+  });
+
+  describe("getProductFacets", () => {
+    it("counts each facet without its own filter", async () => {
+      prisma.category.findMany.mockResolvedValue([
+        { id: "c1", name: "Kitchen", _count: { products: 3 } },
+        { id: "c2", name: "Toys", _count: { products: 0 } },
+      ]);
+      prisma.product.findMany.mockResolvedValue([
+        { tags: ["red", "cotton"] },
+        { tags: ["red", "red"] },
+      ]);
+      prisma.product.count.mockResolvedValue(1);
+
+      const facets = await getProductFacets({
+        isActive: true,
+        categoryIds: ["c1"],
+        tags: ["red"],
+      });
+
+      // the category counts keep the tag filter but drop the category one
+      const categoryWhere =
+        prisma.category.findMany.mock.calls[0][0].select._count.select.products
+          .where;
+      expect(categoryWhere).toEqual({
+        AND: [{ isActive: true }, { tags: { hasSome: ["red"] } }],
+      });
+      expect(prisma.product.findMany.mock.calls[0][0].where).toEqual({
+        AND: [
+          { isActive: true },
+          { categories: { some: { id: { in: ["c1"] } } } },
+        ],
+      });
+      expect(prisma.product.count).toHaveBeenCalledTimes(PRICE_BUCKETS.length);
+
+      expect(facets.categories).toEqual([
+        { id: "c1", name: "Kitchen", count: 3 },
+      ]);
+      expect(facets.tags).toEqual([
+        { tag: "red", count: 2 },
+        { tag: "cotton", count: 1 },
+      ]);
+      expect(facets.price[0]).toEqual({ min: 0, max: 500, count: 1 });
+    });
+  });
+
+  describe("listProducts", () => {
+    const options = (overrides = {}) => ({
+      filters: { isActive: true },
+      sort: "rating",
+      page: 2,
+      limit: 2,
+      facets: false,
+      ...overrides,
+    });
+
+    it("pages by offset and reports whether more follow", async () => {
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p3" },
+        { id: "p4" },
+        { id: "p5" },
+      ]);
+      prisma.product.count.mockResolvedValue(5);
+
+      const result = await listProducts(options());
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith({
+        where: { AND: [{ isActive: true }] },
+        include: { images: true, categories: true },
+        orderBy: [{ rating: "desc" }, { id: "desc" }],
+        take: 3,
+        skip: 2,
+      });
+      expect(result).toEqual({
+        data: [{ id: "p3" }, { id: "p4" }],
+        pagination: {
+          page: 2,
+          limit: 2,
+          total: 5,
+          totalPages: 3,
+          nextCursor: "p4",
+        },
+      });
+    });
+
+    it("continues after a cursor", async () => {
+      prisma.product.findMany.mockResolvedValue([{ id: "p5" }]);
+      prisma.product.count.mockResolvedValue(5);
+
+      const result = await listProducts(
+        options({ cursor: "p4", sort: "best_selling" })
+      );
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          orderBy: [{ orderItems: { _count: "desc" } }, { id: "desc" }],
+          cursor: { id: "p4" },
+          skip: 1,
+          take: 3,
+        })
+      );
+      expect(result.pagination).toEqual({
+        limit: 2,
+        total: 5,
+        nextCursor: null,
+      });
+      expect(result).not.toHaveProperty("facets");
+    });
+  });
+});
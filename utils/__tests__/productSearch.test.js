@@ -0,0 +1,244 @@
+import {
+  rankProductMatches,
+  highlightProducts,
+  searchCatalog,
+  recordSearchQuery,
+  suggestSearches,
+} from "../productSearch.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    $queryRaw: jest.fn(),
+    product: { findMany: jest.fn(), count: jest.fn() },
+    category: { findMany: jest.fn() },
+    searchQuery: { upsert: jest.fn(), findMany: jest.fn() },
+  },
+}));
+
+const options = (overrides = {}) => ({
+  filters: { isActive: true },
+  sort: "relevance",
+  page: 1,
+  limit: 2,
+  facets: false,
+  ...overrides,
+});
+
+describe("productSearch", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("rankProductMatches", () => {
+    it("ranks on the search document and trigram name matches", async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        { id: "p1", relevance: 0.9 },
+        { id: "p2", relevance: "0.35" },
+      ]);
+
+      const matches = await rankProductMatches("hedphones 100%");
+
+      const [query] = prisma.$queryRaw.mock.calls[0];
+      expect(query.sql).toContain("websearch_to_tsquery('english', ?)");
+      expect(query.sql).toContain('? <% p."name"');
+      expect(query.sql).toContain("ORDER BY relevance DESC");
+      expect(query.values).toContain("hedphones 100%");
+      // LIKE wildcards typed by the customer are matched literally
+      expect(query.values).toContain("%hedphones 100\\%%");
+      expect(query.values).toContain(1000);
+      expect(matches).toEqual([
+        { id: "p1", relevance: 0.9 },
+        { id: "p2", relevance: 0.35 },
+      ]);
+    });
+  });
+
+  describe("highlightProducts", () => {
+    it("skips the query without products", async () => {
+      expect(await highlightProducts("mug", [])).toEqual({});
+      expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    });
+
+    it("returns marked fragments by product id", async () => {
+      prisma.$queryRaw.mockResolvedValue([
+        {
+          id: "p1",
+          name: "Blue <mark>Mug</mark>",
+          description: "A <mark>mug</mark>",
+        },
+      ]);
+
+      const highlights = await highlightProducts("mug", ["p1"]);
+
+      expect(prisma.$queryRaw.mock.calls[0][0].sql).toContain("ts_headline");
+      expect(highlights).toEqual({
+        p1: {
+          name: "Blue <mark>Mug</mark>",
+          description: "A <mark>mug</mark>",
+        },
+      });
+    });
+  });
+
+  describe("searchCatalog", () => {
+    it("keeps the relevance order through the filters and pages", async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([
+          { id: "p3", relevance: 0.9 },
+          { id: "p1", relevance: 0.6 },
+          { id: "p2", relevance: 0.4 },
+          { id: "p4", relevance: 0.1 },
+        ])
+        .mockResolvedValueOnce([
+          { id: "p3", name: "<mark>Headphones</mark>", description: "" },
+        ]);
+      // p1 is filtered out (say, inactive)
+      prisma.product.findMany
+        .mockResolvedValueOnce([{ id: "p2" }, { id: "p3" }, { id: "p4" }])
+        .mockResolvedValueOnce([{ id: "p2" }, { id: "p3" }]);
+
+      const result = await searchCatalog("headphones", options());
+
+      expect(prisma.product.findMany.mock.calls[0][0]).toEqual({
+        where: {
+          AND: [{ id: { in: ["p3", "p1", "p2", "p4"] } }, { isActive: true }],
+        },
+        select: { id: true },
+      });
+      expect(result.data.map((product) => product.id)).toEqual(["p3", "p2"]);
+      expect(result.data[0]).toMatchObject({
+        relevance: 0.9,
+        highlight: { name: "<mark>Headphones</mark>", description: "" },
+      });
+      expect(result.data[1].highlight).toBeNull();
+      expect(result.pagination).toEqual({
+        page: 1,
+        limit: 2,
+        total: 3,
+        totalPages: 2,
+        nextCursor: "p2",
+      });
+    });
+
+    it("continues after a cursor", async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([
+          { id: "p3", relevance: 0.9 },
+          { id: "p2", relevance: 0.4 },
+          { id: "p4", relevance: 0.1 },
+        ])
+        .mockResolvedValueOnce([]);
+      prisma.product.findMany
+        .mockResolvedValueOnce([{ id: "p2" }, { id: "p3" }, { id: "p4" }])
+        .mockResolvedValueOnce([{ id: "p4" }]);
+
+      const result = await searchCatalog(
+        "headphones",
+        options({ cursor: "p2" })
+      );
+
+      expect(prisma.product.findMany.mock.calls[1][0].where).toEqual({
+        id: { in: ["p4"] },
+      });
+      expect(result.pagination).toEqual({
+        limit: 2,
+        total: 3,
+        nextCursor: null,
+      });
+    });
+
+    it("uses the listing order for other sorts", async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([{ id: "p1", relevance: 0.5 }])
+        .mockResolvedValueOnce([]);
+      prisma.product.findMany.mockResolvedValue([{ id: "p1" }]);
+      prisma.product.count.mockResolvedValue(1);
+
+      await searchCatalog("mug", options({ sort: "price_asc" }));
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { AND: [{ id: { in: ["p1"] } }, { isActive: true }] },
+          orderBy: [{ price: "asc" }, { id: "asc" }],
+        })
+      );
+    });
+  });
+
+  describe("recordSearchQuery", () => {
+    it("counts the normalized text", async () => {
+      await recordSearchQuery("  Wireless   Headphones ", 4);
+
+      expect(prisma.searchQuery.upsert).toHaveBeenCalledWith({
+        where: { query: "wireless headphones" },
+        create: { query: "wireless headphones", resultCount: 4 },
+        update: {
+          count: { increment: 1 },
+          resultCount: 4,
+          lastSearchedAt: expect.any(Date),
+        },
+      });
+    });
+
+    it("never fails the search", async () => {
+      const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+      prisma.searchQuery.upsert.mockRejectedValueOnce(new Error("db down"));
+
+      await expect(recordSearchQuery("mug", 1)).resolves.toBeUndefined();
+
+      spy.mockRestore();
+    });
+
+    it("skips overly long texts", async () => {
+      await recordSearchQuery("x".repeat(101), 0);
+
+      expect(prisma.searchQuery.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("suggestSearches", () => {
+    it("returns word-prefix matches and popular searches, deduplicated", async () => {
+      prisma.product.findMany.mockResolvedValue([
+        { id: "p1", name: "Wireless Headphones", image: null },
+      ]);
+      prisma.category.findMany.mockResolvedValue([
+        { id: "c1", name: "Headphones" },
+      ]);
+      prisma.$queryRaw.mockResolvedValue([
+        { tag: "headset", uses: 3 },
+        { tag: "Headset", uses: 1 },
+      ]);
+      prisma.searchQuery.findMany.mockResolvedValue([
+        { query: "headphones" },
+        { query: "headphones wireless" },
+        { query: "headset" },
+      ]);
+
+      const suggestions = await suggestSearches(" Head", { limit: 3 });
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            isActive: true,
+            OR: [
+              { name: { startsWith: "head", mode: "insensitive" } },
+              { name: { contains: " head", mode: "insensitive" } },
+            ],
+          },
+          take: 3,
+        })
+      );
+      expect(prisma.searchQuery.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { query: { startsWith: "head" }, resultCount: { gt: 0 } },
+        })
+      );
+      expect(prisma.$queryRaw.mock.calls[0][0].values).toContain("head%");
+      expect(suggestions).toEqual({
+        queries: ["headphones wireless"],
+        products: [{ id: "p1", name: "Wireless Headphones", image: null }],
+        categories: [{ id: "c1", name: "Headphones" }],
+        tags: ["headset"],
+      });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  lineRefundAmount,
+  buildRefundLines,
+  paymentStatusAfterRefund,
+} from "../refunds.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({ prisma: {} }));
+
+describe("refunds", () => {
+  describe("lineRefundAmount", () => {
+    it("refunds the discounted price plus tax added on top", () => {
+      const item = {
+        quantity: 3,
+        subtotal: "300.00",
+        discount: "30.00",
+        tax: "35.10",
+        taxIncluded: false,
+      };
+      expect(lineRefundAmount(item, 1).toString()).toBe("101.7");
+      expect(lineRefundAmount(item, 3).toString()).toBe("305.1");
+    });
+
+    it("does not add tax already inside the price", () => {
+      const item = {
+        quantity: 2,
+        subtotal: "226.00",
+        discount: "0",
+        tax: "26.00",
+        taxIncluded: true,
+      };
+      expect(lineRefundAmount(item, 1).toString()).toBe("113");
+    });
+  });
+
+  describe("buildRefundLines", () => {
+    const order = {
+      orderItems: [
+        {
+          id: "item-1",
+          productId: "p1",
+          productName: "Mug",
+          quantity: 3,
+          subtotal: "30.00",
+          discount: "0",
+          tax: "0",
+        },
+      ],
+    };
+    const tx = { refundItem: { findMany: jest.fn() } };
+
+    beforeEach(() => {
+      tx.refundItem.findMany.mockReset();
+    });
+
+    it("counts units already covered by open refunds", async () => {
+      tx.refundItem.findMany.mockResolvedValue([
+        { orderItemId: "item-1", quantity: 1 },
+      ]);
+
+      const lines = await buildRefundLines(tx, order, [
+        { orderItemId: "item-1", quantity: 2 },
+      ]);
+
+      expect(tx.refundItem.findMany).toHaveBeenCalledWith({
+        where: {
+          orderItemId: { in: ["item-1"] },
+          refund: { status: { in: ["PENDING", "SUCCEEDED"] } },
+        },
+        select: { orderItemId: true, quantity: true },
+      });
+      expect(lines).toEqual([
+        {
+          orderItemId: "item-1",
+          productId: "p1",
+          quantity: 2,
+          amount: expect.anything(),
+        },
+      ]);
+      expect(lines[0].amount.toString()).toBe("20");
+    });
+
+    it("rejects more units than are left", async () => {
+      tx.refundItem.findMany.mockResolvedValue([
+        { orderItemId: "item-1", quantity: 2 },
+      ]);
+
+      await expect(
+        buildRefundLines(tx, order, [{ orderItemId: "item-1", quantity: 2 }])
+      ).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Only 1 unit(s) of Mug can still be refunded",
+      });
+    });
+
+    it("rejects lines of other orders and duplicates", async () => {
+      tx.refundItem.findMany.mockResolvedValue([]);
+
+      await expect(
+        buildRefundLines(tx, order, [{ orderItemId: "item-9", quantity: 1 }])
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        buildRefundLines(tx, order, [
+          { orderItemId: "item-1", quantity: 1 },
+          { orderItemId: "item-1", quantity: 1 },
+        ])
+      ).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe("paymentStatusAfterRefund", () => {
+    it("is REFUNDED only once the whole amount is back", () => {
+      expect(paymentStatusAfterRefund("100.00", "40.00")).toBe(
+        "PARTIALLY_REFUNDED"
+      );
+      expect(paymentStatusAfterRefund("100.00", "100.00")).toBe("REFUNDED");
+    });
+  });
+});
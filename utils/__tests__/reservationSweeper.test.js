@@ -0,0 +1,122 @@
+import {
+  EXPIRED_ORDER_NOTE,
+  expireUnpaidOrders,
+} from "../reservationSweeper.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    order: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    orderItem: {
+      updateMany: jest.fn(async () => ({ count: 1 })),
+    },
+    product: {
+      update: jest.fn(),
+    },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+    stockReservation: {
+      updateMany: jest.fn(),
+    },
+    $transaction: jest.fn(async (cb) => cb(prisma)),
+  };
+  return { prisma };
+});
+
+const pendingOrder = (overrides = {}) => ({
+  id: "o1",
+  status: "PENDING",
+  total: "100.00",
+  payments: [],
+  orderItems: [
+    { id: "i1", productId: "p1", quantity: 2, status: "PENDING" },
+  ],
+  ...overrides,
+});
+
+describe("reservationSweeper", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it("only looks at unpaid PENDING orders past their deadline", async () => {
+    const now = new Date("2026-10-19T12:00:00Z");
+    prisma.order.findMany.mockResolvedValue([]);
+
+    await expireUnpaidOrders({ now });
+
+    expect(prisma.order.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          status: "PENDING",
+          paymentDueAt: { lt: now },
+          payments: {
+            none: { status: { in: ["PAID", "PARTIALLY_REFUNDED"] } },
+          },
+        },
+      })
+    );
+  });
+
+  it("cancels expired orders, restocks and records a system history entry", async () => {
+    prisma.order.findMany.mockResolvedValue([{ id: "o1" }]);
+    prisma.order.findUnique.mockResolvedValue(pendingOrder());
+    prisma.order.update.mockResolvedValue({ id: "o1", status: "CANCELED" });
+
+    const result = await expireUnpaidOrders();
+
+    expect(result).toEqual({ expired: ["o1"], skipped: [] });
+    expect(prisma.stockReservation.updateMany).toHaveBeenCalledWith({
+      where: { status: "ACTIVE", orderItem: { orderId: "o1" } },
+      data: { status: "EXPIRED", settledAt: expect.any(Date) },
+    });
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: "p1" },
+      data: { stock: { increment: 2 } },
+    });
+    const { data } = prisma.order.update.mock.calls[0][0];
+    expect(data.status).toBe("CANCELED");
+    expect(data.statusHistory.create).toEqual({
+      fromStatus: "PENDING",
+      toStatus: "CANCELED",
+      changedById: null,
+      note: EXPIRED_ORDER_NOTE,
+    });
+  });
+
+  it("skips orders that were paid in the meantime", async () => {
+    prisma.order.findMany.mockResolvedValue([{ id: "o1" }]);
+    prisma.order.findUnique.mockResolvedValue(
+      pendingOrder({
+        total: "100.00",
+        payments: [
+          { amount: "100.00", status: "FAILED" },
+          { amount: "100.00", status: "PAID" },
+        ],
+      })
+    );
+
+    const result = await expireUnpaidOrders();
+
+    expect(result).toEqual({ expired: [], skipped: ["o1"] });
+    expect(prisma.order.update).not.toHaveBeenCalled();
+    expect(prisma.product.update).not.toHaveBeenCalled();
+  });
+
+  it("skips orders whose status changed concurrently", async () => {
+    prisma.order.findMany.mockResolvedValue([{ id: "o1" }, { id: "o2" }]);
+    prisma.order.findUnique
+      .mockResolvedValueOnce(pendingOrder())
+      .mockResolvedValueOnce(pendingOrder({ id: "o2" }));
+    prisma.order.update
+      .mockRejectedValueOnce({ code: "P2025" })
+      .mockResolvedValueOnce({ id: "o2", status: "CANCELED" });
+
+    const result = await expireUnpaidOrders();
+
+    expect(result).toEqual({ expired: ["o2"], skipped: ["o1"] });
+  });
+});
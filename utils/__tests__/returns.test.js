@@ -0,0 +1,158 @@
+import {
+  buildReturnLines,
+  canTransitionReturn,
+  orderDeliveredAt,
+  returnWindowDays,
+  RETURN_WINDOW_DAYS,
+} from "../returns.js";
+
+const DAY = 86400000;
+const deliveredOn = new Date("2026-10-01T10:00:00Z");
+
+const deliveredOrder = (overrides = {}) => ({
+  id: "o1",
+  status: "DELIVERED",
+  statusHistory: [{ toStatus: "DELIVERED", createdAt: deliveredOn }],
+  orderItems: [
+    {
+      id: "item-1",
+      productName: "Mug",
+      quantity: 2,
+      status: "DELIVERED",
+      product: { returnWindowDays: null },
+    },
+    {
+      id: "item-2",
+      productName: "Socks",
+      quantity: 1,
+      status: "DELIVERED",
+      product: { returnWindowDays: 0 },
+    },
+  ],
+  ...overrides,
+});
+
+describe("returns", () => {
+  const tx = { returnItem: { findMany: jest.fn() } };
+
+  beforeEach(() => {
+    tx.returnItem.findMany.mockReset();
+    tx.returnItem.findMany.mockResolvedValue([]);
+  });
+
+  it("follows REQUESTED -> APPROVED -> RECEIVED", () => {
+    expect(canTransitionReturn("REQUESTED", "APPROVED")).toBe(true);
+    expect(canTransitionReturn("APPROVED", "RECEIVED")).toBe(true);
+    expect(canTransitionReturn("REQUESTED", "RECEIVED")).toBe(false);
+    expect(canTransitionReturn("RECEIVED", "REJECTED")).toBe(false);
+  });
+
+  it("uses the product window before the store default", () => {
+    expect(returnWindowDays({ returnWindowDays: 30 })).toBe(30);
+    expect(returnWindowDays({ returnWindowDays: null })).toBe(
+      RETURN_WINDOW_DAYS
+    );
+  });
+
+  it("takes the latest delivery from the status history", () => {
+    expect(
+      orderDeliveredAt({
+        statusHistory: [
+          { toStatus: "SHIPPED", createdAt: new Date("2026-10-05") },
+          { toStatus: "DELIVERED", createdAt: deliveredOn },
+        ],
+      })
+    ).toEqual(deliveredOn);
+    expect(orderDeliveredAt({ statusHistory: [] })).toBeNull();
+  });
+
+  it("accepts delivered lines inside the window", async () => {
+    const lines = await buildReturnLines(
+      tx,
+      deliveredOrder(),
+      [{ orderItemId: "item-1", quantity: 2 }],
+      new Date(deliveredOn.getTime() + 3 * DAY)
+    );
+
+    expect(lines).toEqual([{ orderItemId: "item-1", quantity: 2 }]);
+    expect(tx.returnItem.findMany).toHaveBeenCalledWith({
+      where: {
+        orderItemId: { in: ["item-1"] },
+        returnRequest: {
+          status: { in: ["REQUESTED", "APPROVED", "RECEIVED"] },
+        },
+      },
+      select: { orderItemId: true, quantity: true },
+    });
+  });
+
+  it("rejects orders that are not delivered", async () => {
+    await expect(
+      buildReturnLines(
+        tx,
+        deliveredOrder({ status: "SHIPPED", statusHistory: [] }),
+        [{ orderItemId: "item-1", quantity: 1 }]
+      )
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Only delivered orders can be returned",
+    });
+  });
+
+  it("rejects lines after the window closed", async () => {
+    await expect(
+      buildReturnLines(
+        tx,
+        deliveredOrder(),
+        [{ orderItemId: "item-1", quantity: 1 }],
+        new Date(deliveredOn.getTime() + (RETURN_WINDOW_DAYS + 1) * DAY)
+      )
+    ).rejects.toMatchObject({
+      message: "The return window for Mug has closed",
+    });
+  });
+
+  it("rejects products that are not returnable", async () => {
+    await expect(
+      buildReturnLines(
+        tx,
+        deliveredOrder(),
+        [{ orderItemId: "item-2", quantity: 1 }],
+        new Date(deliveredOn.getTime() + DAY)
+      )
+    ).rejects.toMatchObject({
+      message: "The return window for Socks has closed",
+    });
+  });
+
+  it("counts units already asked for by open requests", async () => {
+    tx.returnItem.findMany.mockResolvedValue([
+      { orderItemId: "item-1", quantity: 1 },
+    ]);
+
+    await expect(
+      buildReturnLines(
+        tx,
+        deliveredOrder(),
+        [{ orderItemId: "item-1", quantity: 2 }],
+        new Date(deliveredOn.getTime() + DAY)
+      )
+    ).rejects.toMatchObject({
+      message: "Only 1 unit(s) of Mug can still be returned",
+    });
+  });
+
+  it("rejects lines that were not delivered", async () => {
+    const order = deliveredOrder();
+    order.orderItems[0].status = "REFUNDED";
+
+    await expect(
+      buildReturnLines(
+        tx,
+        order,
+        [{ orderItemId: "item-1", quantity: 1 }],
+        new Date(deliveredOn.getTime() + DAY)
+      )
+    ).rejects.toMatchObject({ message: "Mug was not delivered" });
+  });
+});
@@ -0,0 +1,103 @@
+import { Prisma } from "@prisma/client";
+import {
+  DEFAULT_SHIPPING_FEE,
+  resolveShippingZone,
+  chargeableWeightKg,
+  computeShippingFee,
+} from "../shipping.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    shippingZone: {
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+const zones = [
+  {
+    id: "valley",
+    countries: ["Nepal"],
+    cities: ["Kathmandu", "Lalitpur", "Bhaktapur"],
+  },
+  { id: "nepal", countries: ["Nepal"], cities: [] },
+  { id: "intl", countries: [], cities: [] },
+];
+
+describe("shipping", () => {
+  describe("resolveShippingZone", () => {
+    it("matches the valley zone by city", () => {
+      const zone = resolveShippingZone(zones, {
+        country: "Nepal",
+        city: " bhaktapur",
+      });
+      expect(zone.id).toBe("valley");
+    });
+
+    it("falls back to the country zone outside the listed cities", () => {
+      const zone = resolveShippingZone(zones, {
+        country: "Nepal",
+        city: "Pokhara",
+      });
+      expect(zone.id).toBe("nepal");
+    });
+
+    it("uses the catch-all zone for other countries", () => {
+      const zone = resolveShippingZone(zones, { country: "India" });
+      expect(zone.id).toBe("intl");
+    });
+
+    it("returns null when no zone covers the address", () => {
+      expect(resolveShippingZone(zones.slice(0, 2), { country: "India" })).toBe(
+        null
+      );
+    });
+  });
+
+  describe("chargeableWeightKg", () => {
+    it("uses volumetric weight for bulky parcels", () => {
+      expect(
+        chargeableWeightKg({
+          weightGrams: 500,
+          lengthCm: 50,
+          widthCm: 40,
+          heightCm: 30,
+        })
+      ).toBe(12);
+    });
+
+    it("treats products without shipping data as weightless", () => {
+      expect(chargeableWeightKg({})).toBe(0);
+    });
+  });
+
+  describe("computeShippingFee", () => {
+    const zone = { baseFee: "100", perKgFee: "25", freeShippingThreshold: "3000" };
+    const lines = [{ product: { weightGrams: 700 }, quantity: 2 }];
+
+    it("charges the base fee plus every started kg", () => {
+      const { fee, weightKg } = computeShippingFee(zone, {
+        lines,
+        subtotal: new Prisma.Decimal(1000),
+      });
+      expect(weightKg).toBeCloseTo(1.4);
+      expect(fee.toString()).toBe("150");
+    });
+
+    it("is free at the threshold", () => {
+      const { fee } = computeShippingFee(zone, {
+        lines,
+        subtotal: new Prisma.Decimal(3000),
+      });
+      expect(fee.toString()).toBe("0");
+    });
+
+    it("uses the default fee without a zone", () => {
+      const { fee } = computeShippingFee(null, {
+        lines,
+        subtotal: new Prisma.Decimal(1000),
+      });
+      expect(fee).toEqual(DEFAULT_SHIPPING_FEE);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import {
+  sendLowStockAlerts,
+  sendBackInStockNotifications,
+} from "../stockAlertSweeper.js";
+import { prisma } from "../../lib/prismaClient.js";
+import {
+  sendLowStockAlertEmail,
+  sendBackInStockEmail,
+} from "../emailService.js";
+
+jest.mock("../../lib/prismaClient.js", () => {
+  const prisma = {
+    product: { findMany: jest.fn(), updateMany: jest.fn() },
+    productVariant: { updateMany: jest.fn() },
+    user: { findMany: jest.fn() },
+    stockSubscription: { findMany: jest.fn(), updateMany: jest.fn() },
+  };
+  return { prisma };
+});
+
+jest.mock("../emailService.js", () => ({
+  sendLowStockAlertEmail: jest.fn(async () => true),
+  sendBackInStockEmail: jest.fn(async () => true),
+}));
+
+const now = new Date("2026-10-19T12:00:00Z");
+
+describe("stockAlertSweeper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findMany.mockResolvedValue([
+      { email: "admin@example.com" },
+      { email: "ops@example.com" },
+    ]);
+  });
+
+  describe("sendLowStockAlerts", () => {
+    it("alerts admins once per crossing and clears restocked items", async () => {
+      prisma.product.findMany.mockResolvedValue([
+        // dropped to the threshold: alert
+        {
+          id: "p1",
+          name: "Mug",
+          stock: 2,
+          lowStockThreshold: 2,
+          lowStockAlertedAt: null,
+          variants: [],
+        },
+        // still low, already alerted: nothing
+        {
+          id: "p2",
+          name: "Bowl",
+          stock: 0,
+          lowStockThreshold: 3,
+          lowStockAlertedAt: new Date("2026-10-18T00:00:00Z"),
+          variants: [],
+        },
+        // variants are checked against the product threshold
+        {
+          id: "p3",
+          name: "T-shirt",
+          stock: 0,
+          lowStockThreshold: 5,
+          lowStockAlertedAt: null,
+          variants: [
+            { id: "v1", name: "Large", stock: 1, lowStockAlertedAt: null },
+            {
+              id: "v2",
+              name: "Small",
+              stock: 9,
+              lowStockAlertedAt: new Date("2026-10-18T00:00:00Z"),
+            },
+          ],
+        },
+      ]);
+
+      const result = await sendLowStockAlerts({ now });
+
+      expect(prisma.product.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { isActive: true, lowStockThreshold: { not: null } },
+        })
+      );
+      expect(sendLowStockAlertEmail).toHaveBeenCalledWith(
+        ["admin@example.com", "ops@example.com"],
+        [
+          { productName: "Mug", variantName: null, stock: 2, threshold: 2 },
+          {
+            productName: "T-shirt",
+            variantName: "Large",
+            stock: 1,
+            threshold: 5,
+          },
+        ]
+      );
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ["p1"] } },
+        data: { lowStockAlertedAt: now },
+      });
+      expect(prisma.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ["v1"] } },
+        data: { lowStockAlertedAt: now },
+      });
+      // back above the threshold: armed again for the next drop
+      expect(prisma.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ["v2"] } },
+        data: { lowStockAlertedAt: null },
+      });
+      expect(result).toEqual({ alerted: 2, cleared: 1 });
+    });
+
+    it("leaves items unmarked when the email fails", async () => {
+      prisma.product.findMany.mockResolvedValue([
+        {
+          id: "p1",
+          name: "Mug",
+          stock: 0,
+          lowStockThreshold: 2,
+          lowStockAlertedAt: null,
+          variants: [],
+        },
+      ]);
+      sendLowStockAlertEmail.mockResolvedValueOnce(false);
+
+      const result = await sendLowStockAlerts({ now });
+
+      expect(prisma.product.updateMany).not.toHaveBeenCalled();
+      expect(result).toEqual({ alerted: 0, cleared: 0 });
+    });
+  });
+
+  describe("sendBackInStockNotifications", () => {
+    it("emails pending subscribers of restocked items and marks them notified", async () => {
+      prisma.stockSubscription.findMany.mockResolvedValue([
+        {
+          id: "s1",
+          user: { email: "a@example.com" },
+          product: { id: "p1", name: "Mug" },
+          variant: null,
+        },
+        {
+          id: "s2",
+          user: { email: "b@example.com" },
+          product: { id: "p3", name: "T-shirt" },
+          variant: { name: "Large" },
+        },
+      ]);
+      sendBackInStockEmail
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+
+      const result = await sendBackInStockNotifications({ now, limit: 10 });
+
+      expect(prisma.stockSubscription.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            notifiedAt: null,
+            product: { isActive: true },
+            OR: [
+              { variantId: null, product: { stock: { gt: 0 } } },
+              { variant: { isActive: true, stock: { gt: 0 } } },
+            ],
+          },
+          take: 10,
+        })
+      );
+      expect(sendBackInStockEmail).toHaveBeenCalledWith("b@example.com", {
+        productId: "p3",
+        productName: "T-shirt",
+        variantName: "Large",
+      });
+      // the failed one stays pending for the next sweep
+      expect(prisma.stockSubscription.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ["s1"] } },
+        data: { notifiedAt: now },
+      });
+      expect(result).toEqual({ notified: ["s1"], failed: ["s2"] });
+    });
+  });
+});
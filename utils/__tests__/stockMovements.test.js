@@ -0,0 +1,159 @@
+import { moveStock, restockLine, restockOrderItem } from "../stockMovements.js";
+
+describe("stockMovements", () => {
+  const tx = {
+    orderItem: { updateMany: jest.fn(async () => ({ count: 1 })) },
+    product: { update: jest.fn(), updateMany: jest.fn() },
+    productVariant: { update: jest.fn(), updateMany: jest.fn() },
+    stockMovement: {
+      create: jest.fn(async ({ data }) => ({ id: "sm-1", ...data })),
+    },
+  };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("moveStock", () => {
+    it("adds stock to the product and records the movement", async () => {
+      const movement = await moveStock(tx, {
+        productId: "p1",
+        quantity: 5,
+        type: "RESTOCK",
+        reason: "Supplier delivery",
+        actorId: "admin-1",
+      });
+
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 5 } },
+      });
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: {
+          productId: "p1",
+          variantId: null,
+          quantity: 5,
+          type: "RESTOCK",
+          reason: "Supplier delivery",
+          referenceType: null,
+          referenceId: null,
+          actorId: "admin-1",
+        },
+      });
+      expect(movement.id).toBe("sm-1");
+    });
+
+    it("takes stock out of a variant only while enough is left", async () => {
+      tx.productVariant.updateMany.mockResolvedValue({ count: 1 });
+
+      await moveStock(tx, {
+        productId: "p1",
+        variantId: "v1",
+        quantity: -2,
+        type: "SALE",
+        referenceType: "ORDER",
+        referenceId: "o1",
+      });
+
+      expect(tx.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: "v1", stock: { gte: 2 } },
+        data: { stock: { decrement: 2 } },
+      });
+      expect(tx.product.updateMany).not.toHaveBeenCalled();
+      expect(tx.stockMovement.create.mock.calls[0][0].data).toMatchObject({
+        variantId: "v1",
+        quantity: -2,
+        referenceId: "o1",
+      });
+    });
+
+    it("records nothing when a decrease would go below zero", async () => {
+      tx.product.updateMany.mockResolvedValue({ count: 0 });
+
+      const movement = await moveStock(tx, {
+        productId: "p1",
+        quantity: -3,
+        type: "ADJUSTMENT",
+      });
+
+      expect(movement).toBeNull();
+      expect(tx.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    it("rejects a zero or fractional quantity and unknown types", async () => {
+      await expect(
+        moveStock(tx, { productId: "p1", quantity: 0, type: "RESTOCK" })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        moveStock(tx, { productId: "p1", quantity: 1.5, type: "RESTOCK" })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      await expect(
+        moveStock(tx, { productId: "p1", quantity: 1, type: "THEFT" })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+  });
+
+  it("restocks an order line on the shelf it came from", async () => {
+    await restockLine(tx, { productId: "p1", variantId: "v1" }, 2, {
+      type: "CANCELLATION",
+      referenceType: "ORDER",
+      referenceId: "o1",
+    });
+
+    expect(tx.productVariant.update).toHaveBeenCalledWith({
+      where: { id: "v1" },
+      data: { stock: { increment: 2 } },
+    });
+    expect(tx.stockMovement.create.mock.calls[0][0].data).toMatchObject({
+      productId: "p1",
+      variantId: "v1",
+      quantity: 2,
+      type: "CANCELLATION",
+    });
+  });
+
+  describe("restockOrderItem", () => {
+    const line = { id: "i1", productId: "p1", quantity: 3 };
+    const movement = { type: "RETURN", referenceType: "REFUND" };
+
+    it("restocks at most the units not restocked yet", async () => {
+      const units = await restockOrderItem(
+        tx,
+        { ...line, restockedQuantity: 2 },
+        3,
+        movement
+      );
+
+      expect(units).toBe(1);
+      expect(tx.orderItem.updateMany).toHaveBeenCalledWith({
+        where: { id: "i1", restockedQuantity: 2 },
+        data: { restockedQuantity: { increment: 1 } },
+      });
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: "p1" },
+        data: { stock: { increment: 1 } },
+      });
+    });
+
+    it("does nothing once every unit is back", async () => {
+      const units = await restockOrderItem(
+        tx,
+        { ...line, restockedQuantity: 3 },
+        1,
+        movement
+      );
+
+      expect(units).toBe(0);
+      expect(tx.orderItem.updateMany).not.toHaveBeenCalled();
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+
+    it("rejects a line restocked since it was read", async () => {
+      tx.orderItem.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(
+        restockOrderItem(tx, line, 1, movement)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import {
+  PAYMENT_WINDOW_MINUTES,
+  paymentDeadline,
+  settleReservations,
+} from "../stockReservations.js";
+
+describe("stockReservations", () => {
+  describe("paymentDeadline", () => {
+    it("gives online payments the payment window", () => {
+      const now = new Date("2026-10-19T10:00:00Z");
+      expect(paymentDeadline("ESEWA", now)).toEqual(
+        new Date(now.getTime() + PAYMENT_WINDOW_MINUTES * 60 * 1000)
+      );
+    });
+
+    it("has no deadline for cash on delivery", () => {
+      expect(paymentDeadline("cod")).toBeNull();
+    });
+  });
+
+  describe("settleReservations", () => {
+    const tx = { stockReservation: { updateMany: jest.fn() } };
+
+    beforeEach(() => jest.clearAllMocks());
+
+    it("settles the active reservations of a whole order", async () => {
+      await settleReservations(tx, { orderId: "o1" }, "CONSUMED");
+
+      expect(tx.stockReservation.updateMany).toHaveBeenCalledWith({
+        where: { status: "ACTIVE", orderItem: { orderId: "o1" } },
+        data: { status: "CONSUMED", settledAt: expect.any(Date) },
+      });
+    });
+
+    it("settles a single line", async () => {
+      await settleReservations(tx, { orderItemId: "i1" }, "RELEASED");
+
+      expect(tx.stockReservation.updateMany).toHaveBeenCalledWith({
+        where: { status: "ACTIVE", orderItemId: "i1" },
+        data: { status: "RELEASED", settledAt: expect.any(Date) },
+      });
+    });
+  });
+});
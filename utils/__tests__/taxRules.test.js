@@ -0,0 +1,106 @@
+import {
+  DEFAULT_TAX_RATE,
+  loadTaxRules,
+  resolveTaxRule,
+  computeLineTax,
+} from "../taxRules.js";
+import { prisma } from "../../lib/prismaClient.js";
+
+jest.mock("../../lib/prismaClient.js", () => ({
+  prisma: {
+    taxRule: {
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+const rules = [
+  { id: "nepal", country: "Nepal", rate: "0.13" },
+  { id: "ktm", country: "Nepal", city: "Kathmandu", rate: "0.14" },
+  { id: "books", categoryId: "c-books", rate: "0", isExempt: true },
+  { id: "any", rate: "0.10" },
+];
+
+describe("taxRules", () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe("loadTaxRules", () => {
+    it("loads only active rules", async () => {
+      prisma.taxRule.findMany.mockResolvedValue([{ id: "t1" }]);
+
+      const loaded = await loadTaxRules();
+
+      expect(prisma.taxRule.findMany).toHaveBeenCalledWith({
+        where: { isActive: true },
+      });
+      expect(loaded).toEqual([{ id: "t1" }]);
+    });
+  });
+
+  describe("resolveTaxRule", () => {
+    it("prefers a city rule over a country rule", () => {
+      const rule = resolveTaxRule(rules, {
+        country: "nepal",
+        city: " kathmandu ",
+      });
+      expect(rule.id).toBe("ktm");
+    });
+
+    it("prefers a category rule over destination rules", () => {
+      const rule = resolveTaxRule(rules, {
+        categoryIds: ["c-books"],
+        country: "Nepal",
+        city: "Kathmandu",
+      });
+      expect(rule.id).toBe("books");
+    });
+
+    it("falls back to a catch-all rule", () => {
+      const rule = resolveTaxRule(rules, { country: "India" });
+      expect(rule.id).toBe("any");
+    });
+
+    it("breaks ties by priority", () => {
+      const rule = resolveTaxRule(
+        [
+          { id: "low", country: "Nepal", rate: "0.1", priority: 0 },
+          { id: "high", country: "Nepal", rate: "0.2", priority: 5 },
+        ],
+        { country: "Nepal" }
+      );
+      expect(rule.id).toBe("high");
+    });
+
+    it("returns null when nothing matches", () => {
+      expect(resolveTaxRule([rules[0]], { country: "India" })).toBeNull();
+    });
+  });
+
+  describe("computeLineTax", () => {
+    it("uses the default rate without a rule", () => {
+      const { tax, included } = computeLineTax(null, "100");
+      expect(tax.toString()).toBe(String(100 * DEFAULT_TAX_RATE));
+      expect(included).toBe(false);
+    });
+
+    it("adds exclusive tax on top", () => {
+      const { tax, included } = computeLineTax({ rate: "0.13" }, "200");
+      expect(tax.toString()).toBe("26");
+      expect(included).toBe(false);
+    });
+
+    it("carves inclusive tax out of the price", () => {
+      const { tax, included } = computeLineTax(
+        { rate: "0.13", priceIncludesTax: true },
+        "113"
+      );
+      expect(tax.toString()).toBe("13");
+      expect(included).toBe(true);
+    });
+
+    it("charges nothing for exempt rules", () => {
+      const { tax } = computeLineTax({ rate: "0.13", isExempt: true }, "100");
+      expect(tax.toString()).toBe("0");
+    });
+  });
+});
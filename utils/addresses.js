@@ -0,0 +1,68 @@
+// utils/addresses.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "./AppError.js";
+
+// Fields every postal address needs, saved or per order
+export const ADDRESS_FIELDS = [
+  "fullName",
+  "phone",
+  "address",
+  "city",
+  "postalCode",
+  "country",
+];
+
+/**
+ * Throw 400 on the first missing address field
+ * @param {object} data
+ * @param {string} [message] - prefix of the error message
+ */
+export const validateAddress = (data, message = "Missing field") => {
+  for (const field of ADDRESS_FIELDS) {
+    if (!data?.[field]) throw new AppError(`${message}: ${field}`, 400);
+  }
+};
+
+/**
+ * Only the address fields of a payload or record
+ */
+export const pickAddress = (data) =>
+  Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, data[field]]));
+
+/**
+ * Address an order ships to: the inline shippingAddress, or a copy of
+ * the user's saved address named by addressId. The copy is a snapshot,
+ * so later edits to the address book do not change placed orders.
+ *
+ * @returns {Promise<object|undefined>}
+ */
+export const resolveOrderAddress = async (
+  userId,
+  { shippingAddress, addressId } = {},
+  db = prisma
+) => {
+  if (addressId == null) return shippingAddress;
+  if (shippingAddress) {
+    throw new AppError("Send either addressId or shippingAddress", 400);
+  }
+
+  const saved = await db.userAddress.findFirst({
+    where: { id: String(addressId), userId },
+  });
+  if (!saved) throw new AppError("Saved address not found", 404);
+
+  return pickAddress(saved);
+};
+
+/**
+ * The user's default shipping address from the address book, if any,
+ * as plain address fields
+ *
+ * @returns {Promise<object|undefined>}
+ */
+export const findDefaultShippingAddress = async (userId, db = prisma) => {
+  const saved = await db.userAddress.findFirst({
+    where: { userId, isDefaultShipping: true },
+  });
+  return saved ? pickAddress(saved) : undefined;
+};
@@ -0,0 +1,157 @@
+// utils/categories.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "./AppError.js";
+
+// siblings: lowest sortOrder first, then by name
+const bySortOrder = (a, b) =>
+  a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+/**
+ * URL-safe name: "Gaming & Headsets" -> "gaming-headsets"
+ */
+export const slugify = (text) =>
+  String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * The slug, or the slug with the first free "-2", "-3", ... suffix
+ */
+export const uniqueCategorySlug = async (slug, db = prisma) => {
+  const taken = await db.category.findMany({
+    where: { slug: { startsWith: slug } },
+    select: { slug: true },
+  });
+  const used = new Set(taken.map((category) => category.slug));
+
+  let candidate = slug;
+  for (let n = 2; used.has(candidate); n++) {
+    candidate = `${slug}-${n}`;
+  }
+  return candidate;
+};
+
+/**
+ * Ids from a request body: an array, or (multipart) a JSON array or
+ * comma-separated string. Duplicates are dropped.
+ *
+ * @param {*} value
+ * @param {string} field - for the error message
+ * @returns {string[]}
+ */
+export const parseIdList = (value, field) => {
+  let ids = value;
+  if (typeof ids === "string") {
+    try {
+      ids = JSON.parse(ids);
+    } catch {
+      ids = ids
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+    }
+  }
+  if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string" || !id)) {
+    throw new AppError(`${field} must be an array of ids`, 400);
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * Category ids from a request body, each checked to exist (404 otherwise)
+ *
+ * @returns {Promise<string[]>} the distinct ids; empty clears a product's
+ *   categories
+ */
+export const resolveCategoryIds = async (value, db = prisma) => {
+  const ids = parseIdList(value, "categoryIds");
+  if (ids.length === 0) return ids;
+
+  const found = await db.category.findMany({
+    where: { id: { in: ids } },
+    select: { id: true },
+  });
+  const known = new Set(found.map((category) => category.id));
+  const missing = ids.filter((id) => !known.has(id));
+  if (missing.length > 0) {
+    throw new AppError(`Category not found: ${missing.join(", ")}`, 404);
+  }
+  return ids;
+};
+
+/**
+ * Nest a flat category list: each category gets its sorted children.
+ * Categories whose parent is not in the list become roots.
+ *
+ * @param {object[]} categories - with id, parentId, name, sortOrder
+ * @returns {object[]} the roots
+ */
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [category.id, { ...category, children: [] }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const sort = (list) => {
+    list.sort(bySortOrder);
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+  return sort(roots);
+};
+
+/**
+ * Ids of every category below the given one, at any depth
+ *
+ * @param {object[]} categories - flat list with id and parentId
+ * @param {string} id
+ * @returns {string[]}
+ */
+export const collectDescendantIds = (categories, id) => {
+  const childrenOf = new Map();
+  for (const category of categories) {
+    if (!category.parentId) continue;
+    if (!childrenOf.has(category.parentId)) {
+      childrenOf.set(category.parentId, []);
+    }
+    childrenOf.get(category.parentId).push(category.id);
+  }
+
+  const ids = [];
+  const queue = [...(childrenOf.get(id) || [])];
+  while (queue.length > 0) {
+    const next = queue.shift();
+    // a cycle in bad data must not loop forever
+    if (ids.includes(next) || next === id) continue;
+    ids.push(next);
+    queue.push(...(childrenOf.get(next) || []));
+  }
+  return ids;
+};
+
+/**
+ * The chain of parents from the top-level category down to (and
+ * including) the given one, for breadcrumbs
+ *
+ * @param {object[]} categories - flat list with id and parentId
+ * @param {string} id
+ * @returns {object[]}
+ */
+export const categoryPath = (categories, id) => {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+  const path = [];
+
+  for (let node = byId.get(id); node; node = byId.get(node.parentId)) {
+    if (path.includes(node)) break;
+    path.unshift(node);
+  }
+  return path;
+};
@@ -0,0 +1,176 @@
+// utils/coupons.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+import { AppError } from "./AppError.js";
+
+export const COUPON_TYPES = ["PERCENTAGE", "FIXED_AMOUNT", "FREE_SHIPPING"];
+
+export const normalizeCouponCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+/**
+ * Look up a coupon by code and check it can be used by this user right now.
+ * Subtotal and scope checks happen in applyCouponToLines, once prices
+ * are known.
+ */
+export const findApplicableCoupon = async (code, userId, db = prisma) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) throw new AppError("Coupon code is required", 400);
+
+  const coupon = await db.coupon.findUnique({
+    where: { code: normalized },
+    include: {
+      products: { select: { id: true } },
+      categories: { select: { id: true } },
+    },
+  });
+
+  if (!coupon || !coupon.isActive) {
+    throw new AppError("Coupon not found", 404);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new AppError("Coupon is not active yet", 400);
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new AppError("Coupon has expired", 400);
+  }
+
+  if (coupon.usageLimit != null && coupon.timesUsed >= coupon.usageLimit) {
+    throw new AppError("Coupon usage limit reached", 400);
+  }
+
+  if (coupon.usageLimitPerUser != null && userId) {
+    const used = await db.couponRedemption.count({
+      where: { couponId: coupon.id, userId },
+    });
+    if (used >= coupon.usageLimitPerUser) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+  }
+
+  return coupon;
+};
+
+/**
+ * Whether a line is in the coupon's product/category scope.
+ * A coupon with no products and no categories applies to everything.
+ */
+const isLineEligible = (coupon, line) => {
+  const productIds = (coupon.products || []).map((p) => p.id);
+  const categoryIds = (coupon.categories || []).map((c) => c.id);
+  if (productIds.length === 0 && categoryIds.length === 0) return true;
+
+  return (
+    productIds.includes(line.productId) ||
+    (line.categoryIds || []).some((id) => categoryIds.includes(id))
+  );
+};
+
+/**
+ * Work out the coupon discount and spread it over the eligible lines,
+ * proportionally to their subtotal. The last eligible line takes the
+ * rounding remainder so the line discounts add up exactly.
+ *
+ * @param {object} coupon - coupon from findApplicableCoupon
+ * @param {Array} lines - [{ productId, categoryIds, subtotal }]
+ * @param {{ subtotal: Prisma.Decimal, shippingFee: Prisma.Decimal }} totals
+ * @returns {{ lineDiscounts: Prisma.Decimal[], freeShipping: boolean }}
+ */
+export const applyCouponToLines = (
+  coupon,
+  lines,
+  { subtotal, shippingFee }
+) => {
+  const zero = new Prisma.Decimal(0);
+  const lineDiscounts = lines.map(() => zero);
+
+  if (coupon.minSubtotal != null && subtotal.lt(coupon.minSubtotal)) {
+    throw new AppError(
+      `Coupon requires a minimum subtotal of ${coupon.minSubtotal}`,
+      400
+    );
+  }
+
+  const eligible = lines
+    .map((line, idx) => ({ line, idx }))
+    .filter(({ line }) => isLineEligible(coupon, line));
+
+  if (eligible.length === 0) {
+    throw new AppError("Coupon does not apply to any item in this order", 400);
+  }
+
+  if (coupon.type === "FREE_SHIPPING") {
+    const freeShipping = new Prisma.Decimal(shippingFee).gt(0);
+    return { lineDiscounts, freeShipping };
+  }
+
+  const eligibleSubtotal = eligible.reduce(
+    (acc, { line }) => acc.add(line.subtotal),
+    zero
+  );
+
+  let discount =
+    coupon.type === "PERCENTAGE"
+      ? eligibleSubtotal.mul(coupon.value).div(100)
+      : new Prisma.Decimal(coupon.value);
+
+  if (coupon.maxDiscount != null) {
+    discount = Prisma.Decimal.min(discount, coupon.maxDiscount);
+  }
+  discount = Prisma.Decimal.min(discount, eligibleSubtotal).toDecimalPlaces(
+    2,
+    Prisma.Decimal.ROUND_DOWN
+  );
+
+  let allocated = zero;
+  eligible.forEach(({ line, idx }, position) => {
+    const share =
+      position === eligible.length - 1
+        ? discount.sub(allocated)
+        : discount
+            .mul(line.subtotal)
+            .div(eligibleSubtotal)
+            .toDecimalPlaces(2, Prisma.Decimal.ROUND_DOWN);
+    lineDiscounts[idx] = share;
+    allocated = allocated.add(share);
+  });
+
+  return { lineDiscounts, freeShipping: false };
+};
+
+/**
+ * Count a redemption against the coupon's limits and record it.
+ * Must run inside the order transaction: the coupon row update locks
+ * concurrent checkouts of the same coupon until this one commits.
+ */
+export const redeemCoupon = async (
+  tx,
+  coupon,
+  { userId, orderId, discount }
+) => {
+  const updated = await tx.coupon.update({
+    where: { id: coupon.id },
+    data: { timesUsed: { increment: 1 } },
+  });
+
+  if (updated.usageLimit != null && updated.timesUsed > updated.usageLimit) {
+    throw new AppError("Coupon usage limit reached", 400);
+  }
+
+  if (updated.usageLimitPerUser != null) {
+    const used = await tx.couponRedemption.count({
+      where: { couponId: coupon.id, userId },
+    });
+    if (used >= updated.usageLimitPerUser) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+  }
+
+  return tx.couponRedemption.create({
+    data: { couponId: coupon.id, userId, orderId, discount },
+  });
+};
@@ -7,6 +7,14 @@ const emailSendingEnabled = () =>
     process.env.SMTP_HOST && process.env.SMTP_USER && process.env.SMTP_PASS
   );
 
+// Customer-entered text going into HTML bodies
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
 const createTransporter = () =>
   nodemailer.createTransport({
     host: process.env.SMTP_HOST,
@@ -90,3 +98,146 @@ export const sendPasswordResetConfirmation = async (email) => {
     return false;
   }
 };
+
+/**
+ * Tell a customer that staff changed the shipping address of their order
+ * @param {string} email
+ * @param {{ orderId: string, address: object|null, reason: string }} change
+ *   address - new address fields, or null when it was removed
+ */
+export const sendShippingAddressChangedEmail = async (
+  email,
+  { orderId, address, reason }
+) => {
+  try {
+    const summary = address
+      ? [
+          address.fullName,
+          address.address,
+          address.city,
+          address.postalCode,
+          address.country,
+        ]
+          .filter(Boolean)
+          .join(", ")
+      : "removed";
+
+    console.log("\n=== SHIPPING ADDRESS CHANGED ===");
+    console.log(`To: ${email}`);
+    console.log(`Order: ${orderId}`);
+    console.log(`Address: ${summary}\n`);
+
+    if (!emailSendingEnabled()) return true;
+
+    const transporter = createTransporter();
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: email,
+      subject: `Shipping address updated for order ${orderId}`,
+      text: `The shipping address of your order ${orderId} was changed by our team. New address: ${summary}. Reason: ${reason}`,
+      html: `
+        <div style="font-family: Arial, sans-serif;">
+          <h2>Shipping Address Updated</h2>
+          <p>Our team changed the shipping address of order ${orderId}.</p>
+          <p><strong>New address:</strong> ${escapeHtml(summary)}</p>
+          <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+          <p>If this looks wrong, contact support.</p>
+        </div>
+      `,
+    });
+
+    return true;
+  } catch (error) {
+    console.error("Error sending address change email:", error);
+    return false;
+  }
+};
+
+/**
+ * Tell admins which products (or variants) dropped to their low-stock
+ * threshold
+ * @param {string[]} emails
+ * @param {{ productName: string, variantName?: string|null, stock: number, threshold: number }[]} items
+ */
+export const sendLowStockAlertEmail = async (emails, items) => {
+  try {
+    const lines = items.map(
+      ({ productName, variantName, stock, threshold }) =>
+        `${productName}${variantName ? ` (${variantName})` : ""}: ${stock} left (threshold ${threshold})`
+    );
+
+    console.log("\n=== LOW STOCK ALERT ===");
+    console.log(`To: ${emails.join(", ")}`);
+    lines.forEach((line) => console.log(line));
+    console.log("");
+
+    if (!emailSendingEnabled()) return true;
+
+    const transporter = createTransporter();
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: emails,
+      subject: `Low stock: ${items.length} item(s) need restocking`,
+      text: `These items are at or below their low-stock threshold:\n${lines.join("\n")}`,
+      html: `
+        <div style="font-family: Arial, sans-serif;">
+          <h2>Low Stock Alert</h2>
+          <p>These items are at or below their low-stock threshold:</p>
+          <ul>
+            ${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}
+          </ul>
+        </div>
+      `,
+    });
+
+    return true;
+  } catch (error) {
+    console.error("Error sending low stock alert:", error);
+    return false;
+  }
+};
+
+/**
+ * Tell a customer that a product they asked about is back in stock
+ * @param {string} email
+ * @param {{ productId: string, productName: string, variantName?: string|null }} product
+ */
+export const sendBackInStockEmail = async (
+  email,
+  { productId, productName, variantName }
+) => {
+  try {
+    const name = variantName ? `${productName} (${variantName})` : productName;
+    const url = `${process.env.FRONTEND_ORIGIN || "http://localhost:3000"}/products/${productId}`;
+
+    console.log("\n=== BACK IN STOCK ===");
+    console.log(`To: ${email}`);
+    console.log(`Product: ${name}\n`);
+
+    if (!emailSendingEnabled()) return true;
+
+    const transporter = createTransporter();
+
+    await transporter.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: email,
+      subject: `Back in stock: ${name}`,
+      text: `Good news! ${name} is back in stock: ${url}`,
+      html: `
+        <div style="font-family: Arial, sans-serif;">
+          <h2>Back in Stock</h2>
+          <p><strong>${escapeHtml(name)}</strong> is available again.</p>
+          <p><a href="${escapeHtml(url)}">View product</a></p>
+          <p>Stock is limited, so order soon.</p>
+        </div>
+      `,
+    });
+
+    return true;
+  } catch (error) {
+    console.error("Error sending back in stock email:", error);
+    return false;
+  }
+};
@@ -0,0 +1,375 @@
+// utils/invoices.js
+import PDFDocument from "pdfkit";
+import { Prisma } from "@prisma/client";
+import { isActiveOrderItem } from "./orderStatus.js";
+
+const INVOICE_SEQUENCE = "invoice";
+const CREDIT_NOTE_SEQUENCE = "credit_note";
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || "INV";
+const CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_PREFIX || "CN";
+const CURRENCY = process.env.INVOICE_CURRENCY || "NPR";
+
+const SELLER = {
+  name: process.env.STORE_NAME || "Hamro Pasal",
+  address: process.env.STORE_ADDRESS || "",
+  taxId: process.env.STORE_TAX_ID || "",
+};
+
+export const formatInvoiceNumber = (number) =>
+  `${INVOICE_PREFIX}-${String(number).padStart(6, "0")}`;
+
+export const formatCreditNoteNumber = (number) =>
+  `${CREDIT_NOTE_PREFIX}-${String(number).padStart(6, "0")}`;
+
+// Order data an invoice snapshot is taken from
+const INVOICE_ORDER_INCLUDE = {
+  orderItems: true,
+  shippingAddress: true,
+  user: { select: { firstName: true, lastName: true, email: true } },
+};
+
+/**
+ * Next number of a gapless sequence. The counter row update locks
+ * concurrent issuers until the transaction commits, and a rollback takes
+ * the number back with it.
+ */
+const nextNumber = async (tx, sequence) => {
+  const counter = await tx.invoiceCounter.upsert({
+    where: { id: sequence },
+    create: { id: sequence, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+  return counter.lastNumber;
+};
+
+/**
+ * Issue the order's invoice, once, with a snapshot of what it says so the
+ * document never changes afterwards. Numbers have no gaps (see nextNumber).
+ * Must run inside the transaction that marks the payment PAID.
+ */
+export const issueInvoice = async (tx, orderId) => {
+  const existing = await tx.invoice.findUnique({ where: { orderId } });
+  if (existing) return existing;
+
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: INVOICE_ORDER_INCLUDE,
+  });
+
+  return tx.invoice.create({
+    data: {
+      orderId,
+      number: await nextNumber(tx, INVOICE_SEQUENCE),
+      snapshot: invoiceSnapshot(order),
+    },
+  });
+};
+
+/**
+ * Issue the credit note for a SUCCEEDED refund when its order has an
+ * invoice, once per refund. Must run inside the transaction that marks the
+ * refund SUCCEEDED.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} refund - with items (each with its orderItem)
+ * @param {string} orderId
+ * @returns the credit note, or null when the order was never invoiced
+ */
+export const issueCreditNote = async (tx, refund, orderId) => {
+  const invoice = await tx.invoice.findUnique({ where: { orderId } });
+  if (!invoice) return null;
+
+  const existing = await tx.creditNote.findUnique({
+    where: { refundId: refund.id },
+  });
+  if (existing) return existing;
+
+  const lines = (refund.items || []).map((item) => ({
+    name: lineName(item.orderItem),
+    quantity: item.quantity,
+    unitPrice: "",
+    discount: "",
+    tax: "",
+    amount: money(item.amount),
+  }));
+
+  return tx.creditNote.create({
+    data: {
+      number: await nextNumber(tx, CREDIT_NOTE_SEQUENCE),
+      invoiceId: invoice.id,
+      refundId: refund.id,
+      amount: refund.amount,
+      snapshot: {
+        invoiceNumber: formatInvoiceNumber(invoice.number),
+        reason: refund.reason || null,
+        lines: lines.length
+          ? lines
+          : [
+              {
+                name: "Refund",
+                quantity: 1,
+                unitPrice: "",
+                discount: "",
+                tax: "",
+                amount: money(refund.amount),
+              },
+            ],
+        totals: [["Total credited", money(refund.amount)]],
+      },
+    },
+  });
+};
+
+const money = (value) =>
+  `${CURRENCY} ${new Prisma.Decimal(value ?? 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const lineName = (item) =>
+  item?.variantName
+    ? `${item.productName} (${item.variantName})`
+    : item?.productName || "Item";
+
+/**
+ * What an invoice shows for an order (with orderItems, shippingAddress and
+ * user): active lines and totals from the order's price snapshot, never
+ * from current product prices. Frozen on the invoice when it is issued.
+ */
+export const invoiceSnapshot = (order) => {
+  const lines = (order.orderItems || [])
+    .filter(isActiveOrderItem)
+    .map((item) => {
+      const subtotal = new Prisma.Decimal(item.subtotal);
+      const discount = new Prisma.Decimal(item.discount ?? 0);
+      const tax = new Prisma.Decimal(item.tax ?? 0);
+      return {
+        name: lineName(item),
+        quantity: item.quantity,
+        unitPrice: money(item.unitPrice),
+        discount: money(discount),
+        tax: item.taxIncluded ? `${money(tax)} incl.` : money(tax),
+        amount: money(subtotal.sub(discount).add(item.taxIncluded ? 0 : tax)),
+      };
+    });
+
+  const address = order.shippingAddress;
+  return {
+    orderId: order.id,
+    orderDate: formatDate(order.createdAt),
+    seller: SELLER,
+    customer: {
+      name:
+        address?.fullName ||
+        [order.user?.firstName, order.user?.lastName].filter(Boolean).join(" "),
+      email: order.user?.email || "",
+      phone: address?.phone || "",
+      address: address
+        ? [address.address, address.city, address.postalCode, address.country]
+            .filter(Boolean)
+            .join(", ")
+        : "",
+    },
+    lines,
+    totals: [
+      ["Subtotal", money(order.subtotal)],
+      ["Discount", `- ${money(order.discount)}`],
+      ["Tax", money(order.tax)],
+      ["Shipping", money(order.shippingFee)],
+      ["Total", money(order.total)],
+    ],
+  };
+};
+
+/**
+ * Plain invoice view of an order (with invoice), shared by the HTML and PDF
+ * renderers. Rendered from the invoice's snapshot; invoices issued before
+ * snapshots existed fall back to the order (with orderItems,
+ * shippingAddress and user).
+ */
+export const buildInvoiceView = (order) => ({
+  title: "Invoice",
+  number: formatInvoiceNumber(order.invoice.number),
+  issuedAt: formatDate(order.invoice.issuedAt),
+  ...(order.invoice.snapshot || invoiceSnapshot(order)),
+});
+
+/**
+ * Credit note view, shared by the HTML and PDF renderers. Seller, customer
+ * and order come from the invoice it corrects.
+ *
+ * @param {object} creditNote - with its snapshot
+ * @param {object} order - as for buildInvoiceView
+ */
+export const buildCreditNoteView = (creditNote, order) => {
+  const invoice = buildInvoiceView(order);
+  return {
+    title: "Credit note",
+    number: formatCreditNoteNumber(creditNote.number),
+    issuedAt: formatDate(creditNote.issuedAt),
+    orderId: invoice.orderId,
+    orderDate: invoice.orderDate,
+    seller: invoice.seller,
+    customer: invoice.customer,
+    reference: `Credit note for invoice ${creditNote.snapshot.invoiceNumber}`,
+    reason: creditNote.snapshot.reason,
+    lines: creditNote.snapshot.lines,
+    totals: creditNote.snapshot.totals,
+  };
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Standalone HTML invoice or credit note (printable)
+ */
+export const renderInvoiceHtml = (view) => {
+  const e = escapeHtml;
+  const rows = view.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${e(line.name)}</td>
+          <td class="num">${e(line.quantity)}</td>
+          <td class="num">${e(line.unitPrice)}</td>
+          <td class="num">${e(line.discount)}</td>
+          <td class="num">${e(line.tax)}</td>
+          <td class="num">${e(line.amount)}</td>
+        </tr>`
+    )
+    .join("");
+  const totals = view.totals
+    .map(
+      ([label, value]) => `
+        <tr><th colspan="5">${e(label)}</th><td class="num">${e(value)}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${e(view.title)} ${e(view.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; margin: 40px; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    tfoot th { text-align: right; }
+  </style>
+</head>
+<body>
+  <h1>${e(view.title)} ${e(view.number)}</h1>
+  <p>
+    <strong>${e(view.seller.name)}</strong><br>
+    ${e(view.seller.address)}${view.seller.taxId ? `<br>PAN/VAT: ${e(view.seller.taxId)}` : ""}
+  </p>
+  <p>
+    ${e(view.title)} date: ${e(view.issuedAt)}<br>
+    Order: ${e(view.orderId)} (${e(view.orderDate)})${view.reference ? `<br>${e(view.reference)}` : ""}${view.reason ? `<br>Reason: ${e(view.reason)}` : ""}
+  </p>
+  <p>
+    <strong>Bill to</strong><br>
+    ${e(view.customer.name)}<br>
+    ${e(view.customer.address)}<br>
+    ${e(view.customer.phone)} ${e(view.customer.email)}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th><th class="num">Qty</th><th class="num">Unit price</th>
+        <th class="num">Discount</th><th class="num">Tax</th><th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>${totals}
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * PDF invoice or credit note
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (view) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(20).text(`${view.title} ${view.number}`);
+    doc.moveDown(0.5).fontSize(10);
+    doc.font("Helvetica-Bold").text(view.seller.name);
+    doc.font("Helvetica");
+    if (view.seller.address) doc.text(view.seller.address);
+    if (view.seller.taxId) doc.text(`PAN/VAT: ${view.seller.taxId}`);
+
+    doc.moveDown();
+    doc.text(`${view.title} date: ${view.issuedAt}`);
+    doc.text(`Order: ${view.orderId} (${view.orderDate})`);
+    if (view.reference) doc.text(view.reference);
+    if (view.reason) doc.text(`Reason: ${view.reason}`);
+
+    doc.moveDown();
+    doc.font("Helvetica-Bold").text("Bill to");
+    doc.font("Helvetica").text(view.customer.name);
+    if (view.customer.address) doc.text(view.customer.address);
+    doc.text([view.customer.phone, view.customer.email].filter(Boolean).join("  "));
+
+    // item table: name, qty, unit price, discount, tax, amount
+    const columns = [
+      { x: 50, width: 170 },
+      { x: 220, width: 30, align: "right" },
+      { x: 255, width: 75, align: "right" },
+      { x: 335, width: 65, align: "right" },
+      { x: 405, width: 70, align: "right" },
+      { x: 480, width: 70, align: "right" },
+    ];
+    const row = (cells, { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+      let bottom = y;
+      cells.forEach((cell, idx) => {
+        const { x, width, align = "left" } = columns[idx];
+        doc.text(String(cell), x, y, { width, align });
+        bottom = Math.max(bottom, doc.y);
+      });
+      doc.x = 50;
+      doc.y = bottom + 4;
+    };
+
+    doc.moveDown();
+    row(["Item", "Qty", "Unit price", "Discount", "Tax", "Amount"], {
+      bold: true,
+    });
+    for (const line of view.lines) {
+      row([
+        line.name,
+        line.quantity,
+        line.unitPrice,
+        line.discount,
+        line.tax,
+        line.amount,
+      ]);
+    }
+
+    doc.moveDown();
+    for (const [label, value] of view.totals) {
+      row(["", "", "", "", label, value], {
+        bold: label.startsWith("Total"),
+      });
+    }
+
+    doc.end();
+  });
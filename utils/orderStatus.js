@@ -0,0 +1,208 @@
+// utils/orderStatus.js
+import { AppError } from "./AppError.js";
+import { settleReservations } from "./stockReservations.js";
+import { restockOrderItem } from "./stockMovements.js";
+
+/**
+ * Allowed order status transitions.
+ * DELIVERED and CANCELED are final.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ["PROCESSING", "CANCELED"],
+  PROCESSING: ["SHIPPED", "CANCELED"],
+  SHIPPED: ["DELIVERED"],
+  DELIVERED: [],
+  CANCELED: [],
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+export const canTransitionOrder = (from, to) =>
+  (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Forward path an order takes when it is not canceled
+const ORDER_FLOW = ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED"];
+
+/**
+ * Allowed order item (line) status transitions.
+ * CANCELLED is for lines that never left the warehouse,
+ * REFUNDED for lines that were shipped or delivered.
+ */
+export const ORDER_ITEM_STATUS_TRANSITIONS = {
+  PENDING: ["PACKED", "SHIPPED", "CANCELLED"],
+  PACKED: ["SHIPPED", "CANCELLED"],
+  SHIPPED: ["DELIVERED", "REFUNDED"],
+  DELIVERED: ["REFUNDED"],
+  CANCELLED: [],
+  REFUNDED: [],
+};
+
+export const ORDER_ITEM_STATUSES = Object.keys(ORDER_ITEM_STATUS_TRANSITIONS);
+
+// Lines in these states no longer count towards totals or stock
+export const INACTIVE_ITEM_STATUSES = ["CANCELLED", "REFUNDED"];
+
+export const isActiveOrderItem = (item) =>
+  !INACTIVE_ITEM_STATUSES.includes(item.status);
+
+export const canTransitionOrderItem = (from, to) =>
+  (ORDER_ITEM_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Item statuses an order-level status change carries down to its lines
+const ITEM_STATUS_FOR_ORDER = {
+  SHIPPED: { from: ["PENDING", "PACKED"], to: "SHIPPED" },
+  DELIVERED: { from: ["PENDING", "PACKED", "SHIPPED"], to: "DELIVERED" },
+  CANCELED: { from: ["PENDING", "PACKED"], to: "CANCELLED" },
+};
+
+/**
+ * Order status implied by its lines, or null when the lines don't
+ * call for a change (e.g. everything still PENDING)
+ */
+export const deriveOrderStatus = (orderItems = []) => {
+  const active = orderItems.filter(isActiveOrderItem);
+
+  if (active.length === 0) {
+    // Fully refunded orders keep their fulfillment status
+    return orderItems.length > 0 &&
+      orderItems.every((i) => i.status === "CANCELLED")
+      ? "CANCELED"
+      : null;
+  }
+  if (active.every((i) => i.status === "DELIVERED")) return "DELIVERED";
+  if (active.some((i) => ["SHIPPED", "DELIVERED"].includes(i.status))) {
+    return "SHIPPED";
+  }
+  if (active.some((i) => i.status === "PACKED")) return "PROCESSING";
+  return null;
+};
+
+/**
+ * Put the stock of every active line of a canceled order back on its
+ * product or variant, recorded as CANCELLATION movements
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - with orderItems
+ * @param {string|null} [actorId] - null when canceled by the system
+ */
+export const restockOrderItems = async (tx, order, actorId = null) => {
+  for (const item of (order.orderItems || []).filter(isActiveOrderItem)) {
+    await restockOrderItem(tx, item, item.quantity, {
+      type: "CANCELLATION",
+      referenceType: "ORDER",
+      referenceId: order.id,
+      actorId,
+    });
+  }
+};
+
+/**
+ * Move an order to a new status and record it in the status history.
+ * Canceling restores stock; leaving PENDING settles the stock reservations.
+ * Must run inside a transaction.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - current order, with orderItems when canceling
+ * @param {string} toStatus - target OrderStatus
+ * @param {{ changedById?: string, note?: string, cascadeItems?: boolean }} [meta]
+ *   cascadeItems - also move the lines along (SHIPPED, DELIVERED, CANCELED)
+ */
+export const transitionOrderStatus = async (
+  tx,
+  order,
+  toStatus,
+  { changedById = null, note = null, cascadeItems = false } = {}
+) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new AppError("Invalid order status", 400);
+  }
+
+  if (!canTransitionOrder(order.status, toStatus)) {
+    throw new AppError(
+      `Cannot change order status from ${order.status} to ${toStatus}`,
+      400
+    );
+  }
+
+  if (toStatus === "CANCELED") {
+    await restockOrderItems(tx, order, changedById);
+  }
+
+  if (order.status === "PENDING") {
+    await settleReservations(
+      tx,
+      { orderId: order.id },
+      toStatus === "CANCELED" ? "RELEASED" : "CONSUMED"
+    );
+  }
+
+  const itemCascade = ITEM_STATUS_FOR_ORDER[toStatus];
+
+  try {
+    // Matching on the current status guards against two concurrent updates
+    return await tx.order.update({
+      where: { id: order.id, status: order.status },
+      data: {
+        status: toStatus,
+        statusHistory: {
+          create: {
+            fromStatus: order.status,
+            toStatus,
+            changedById,
+            note,
+          },
+        },
+        ...((cascadeItems || toStatus === "CANCELED") &&
+          itemCascade && {
+            orderItems: {
+              updateMany: {
+                where: { status: { in: itemCascade.from } },
+                data: { status: itemCascade.to },
+              },
+            },
+          }),
+      },
+      include: {
+        orderItems: true,
+        payments: true,
+        shippingAddress: true,
+      },
+    });
+  } catch (error) {
+    if (error.code === "P2025") {
+      throw new AppError(
+        "Order status changed while updating. Please try again.",
+        409
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move the order forward to the status its lines imply, stepping through
+ * each intermediate status so the history stays complete. Never moves an
+ * order backwards. Must run inside a transaction.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - order with its up-to-date orderItems
+ */
+export const syncOrderStatusFromItems = async (tx, order, meta = {}) => {
+  const target = deriveOrderStatus(order.orderItems);
+  if (!target || target === order.status) return order;
+
+  if (target === "CANCELED") {
+    if (!canTransitionOrder(order.status, target)) return order;
+    return transitionOrderStatus(tx, order, target, meta);
+  }
+
+  const from = ORDER_FLOW.indexOf(order.status);
+  const to = ORDER_FLOW.indexOf(target);
+  if (from === -1 || to <= from) return order;
+
+  let current = order;
+  for (const status of ORDER_FLOW.slice(from + 1, to + 1)) {
+    current = await transitionOrderStatus(tx, current, status, meta);
+  }
+  return current;
+};
@@ -0,0 +1,26 @@
+// utils/payments/cod.js
+
+// Cash on delivery: nothing to redirect to; an admin marks the payment
+// PAID when the courier hands the cash over
+export default {
+  name: "COD",
+
+  async initiate() {
+    return {
+      reference: null,
+      action: {
+        type: "none",
+        message: "Pay in cash when your order is delivered",
+      },
+    };
+  },
+
+  async verify() {
+    return { status: "PENDING", transactionId: null, raw: null };
+  },
+
+  // cash is handed back by hand; the refund is only recorded
+  async refund() {
+    return { refundId: null, manual: true, raw: null };
+  },
+};
@@ -0,0 +1,155 @@
+// utils/payments/esewa.js
+import crypto from "crypto";
+import { Prisma } from "@prisma/client";
+import { AppError } from "../AppError.js";
+
+// No sandbox defaults: a deploy with a missing variable must not sign
+// against eSewa's public UAT key and accept test payments as real
+const config = () => {
+  const settings = {
+    productCode: process.env.ESEWA_PRODUCT_CODE,
+    secretKey: process.env.ESEWA_SECRET_KEY,
+    formUrl: process.env.ESEWA_FORM_URL,
+    statusUrl: process.env.ESEWA_STATUS_URL,
+  };
+  if (Object.values(settings).some((value) => !value)) {
+    throw new AppError("eSewa is not configured", 500);
+  }
+  return settings;
+};
+
+// eSewa transaction status -> our PaymentStatus
+const STATUS_MAP = {
+  COMPLETE: "PAID",
+  PENDING: "PENDING",
+  AMBIENT: "PENDING",
+  FULL_REFUND: "REFUNDED",
+  PARTIAL_REFUND: "PARTIALLY_REFUNDED",
+  CANCELED: "FAILED",
+  NOT_FOUND: "FAILED",
+};
+
+const toAmount = (value) => new Prisma.Decimal(value).toFixed(2);
+
+/**
+ * base64 HMAC-SHA256 over "name=value,name=value" for the signed fields
+ */
+export const signEsewaFields = (fields, signedFieldNames, secretKey) => {
+  const message = signedFieldNames
+    .split(",")
+    .map((name) => `${name}=${fields[name]}`)
+    .join(",");
+  return crypto
+    .createHmac("sha256", secretKey)
+    .update(message)
+    .digest("base64");
+};
+
+/**
+ * Decode and check the signature of the `data` query param eSewa appends
+ * to the success URL
+ */
+const decodeCallback = (data, secretKey) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(data), "base64").toString("utf8"));
+  } catch {
+    throw new AppError("Invalid eSewa callback data", 400);
+  }
+
+  const expected = signEsewaFields(
+    payload,
+    payload.signed_field_names || "",
+    secretKey
+  );
+  const given = String(payload.signature || "");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))
+  ) {
+    throw new AppError("Invalid eSewa signature", 400);
+  }
+  return payload;
+};
+
+export default {
+  name: "ESEWA",
+
+  /**
+   * eSewa ePay v2: the browser POSTs a signed form to eSewa
+   */
+  async initiate({ amount, returnUrl, failureUrl }) {
+    const { productCode, secretKey, formUrl } = config();
+    const reference = crypto.randomUUID();
+
+    const fields = {
+      amount: toAmount(amount),
+      tax_amount: "0",
+      product_service_charge: "0",
+      product_delivery_charge: "0",
+      total_amount: toAmount(amount),
+      transaction_uuid: reference,
+      product_code: productCode,
+      success_url: returnUrl,
+      failure_url: failureUrl || returnUrl,
+      signed_field_names: "total_amount,transaction_uuid,product_code",
+    };
+    fields.signature = signEsewaFields(
+      fields,
+      fields.signed_field_names,
+      secretKey
+    );
+
+    return {
+      reference,
+      action: { type: "form", method: "POST", url: formUrl, fields },
+    };
+  },
+
+  /**
+   * Confirm with eSewa's status API; the callback data (if any) is only
+   * trusted after its signature checks out
+   */
+  async verify({ payment, params = {} }) {
+    const { productCode, secretKey, statusUrl } = config();
+
+    if (params.data) {
+      const callback = decodeCallback(params.data, secretKey);
+      if (callback.transaction_uuid !== payment.providerReference) {
+        throw new AppError("eSewa callback does not match this payment", 400);
+      }
+    }
+
+    const query = new URLSearchParams({
+      product_code: productCode,
+      total_amount: toAmount(payment.amount),
+      transaction_uuid: payment.providerReference,
+    });
+    const response = await fetch(`${statusUrl}?${query}`);
+    if (!response.ok) {
+      throw new AppError("Could not reach eSewa to verify payment", 502);
+    }
+    const raw = await response.json();
+
+    if (
+      raw.total_amount != null &&
+      !new Prisma.Decimal(raw.total_amount).eq(payment.amount)
+    ) {
+      throw new AppError("eSewa amount does not match this payment", 400);
+    }
+
+    const status = STATUS_MAP[raw.status] || "PENDING";
+    return {
+      status,
+      transactionId: raw.ref_id || null,
+      raw,
+      failureReason: status === "FAILED" ? `eSewa status ${raw.status}` : null,
+    };
+  },
+
+  // eSewa has no refund API for merchants; refunds are issued from the
+  // merchant portal and only recorded here
+  async refund() {
+    return { refundId: null, manual: true, raw: null };
+  },
+};
@@ -0,0 +1,60 @@
+// utils/payments/fake.js
+import crypto from "crypto";
+import { Prisma } from "@prisma/client";
+import { AppError } from "../AppError.js";
+
+// Local stand-in for a real gateway, used by tests and local development.
+// The "customer" completes payment by calling the verify endpoint with
+// { reference, status: "COMPLETE" | "FAILED" }.
+export default {
+  name: "FAKE",
+
+  async initiate({ amount, returnUrl }) {
+    const reference = `fake_${crypto.randomUUID()}`;
+    const query = new URLSearchParams({
+      reference,
+      amount: new Prisma.Decimal(amount).toFixed(2),
+    });
+    return {
+      reference,
+      action: {
+        type: "redirect",
+        url: `${returnUrl}${returnUrl.includes("?") ? "&" : "?"}${query}`,
+      },
+    };
+  },
+
+  async verify({ payment, params = {} }) {
+    if (params.reference !== payment.providerReference) {
+      throw new AppError("Fake callback does not match this payment", 400);
+    }
+    if (
+      params.amount != null &&
+      !new Prisma.Decimal(params.amount).eq(payment.amount)
+    ) {
+      throw new AppError("Fake amount does not match this payment", 400);
+    }
+
+    const status =
+      params.status === "COMPLETE"
+        ? "PAID"
+        : params.status === "FAILED"
+          ? "FAILED"
+          : "PENDING";
+
+    return {
+      status,
+      transactionId: status === "PAID" ? `fake_txn_${payment.id}` : null,
+      raw: { ...params },
+      failureReason:
+        status === "FAILED" ? params.reason || "Declined by fake gateway" : null,
+    };
+  },
+
+  async refund({ payment, amount }) {
+    return {
+      refundId: `fake_refund_${crypto.randomUUID()}`,
+      raw: { transactionId: payment.transactionId, amount: String(amount) },
+    };
+  },
+};
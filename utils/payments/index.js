@@ -0,0 +1,214 @@
+// utils/payments/index.js
+import { Prisma } from "@prisma/client";
+import { AppError } from "../AppError.js";
+import { settleReservations } from "../stockReservations.js";
+import { issueInvoice, issueCreditNote } from "../invoices.js";
+import { canTransitionOrder, transitionOrderStatus } from "../orderStatus.js";
+import esewa from "./esewa.js";
+import khalti from "./khalti.js";
+import cod from "./cod.js";
+import fake from "./fake.js";
+
+/**
+ * Provider adapters share one interface:
+ *
+ *   initiate({ order, amount, returnUrl, failureUrl })
+ *     -> { reference, action: { type: "form" | "redirect" | "none", ... } }
+ *   verify({ payment, params })
+ *     -> { status: "PAID" | "PENDING" | "FAILED" | "REFUNDED", transactionId,
+ *          raw, failureReason? }
+ *   refund({ payment, amount })
+ *     -> { refundId, raw } or { manual: true } when the money has to be
+ *        returned outside the gateway
+ *
+ * `reference` is the provider's id for the attempt (eSewa transaction_uuid,
+ * Khalti pidx) and is what verify looks the payment up by.
+ */
+const adapters = { ESEWA: esewa, KHALTI: khalti, COD: cod };
+
+// The fake gateway never settles real money, so it is opt-in outside tests
+const fakeEnabled = () =>
+  process.env.NODE_ENV === "test" ||
+  process.env.PAYMENT_FAKE_PROVIDER === "true";
+
+export const PAYMENT_PROVIDERS = Object.keys(adapters);
+
+// Money was captured and not (fully) returned
+export const CAPTURED_PAYMENT_STATUSES = ["PAID", "PARTIALLY_REFUNDED"];
+
+/**
+ * Whether a payment's provider has an adapter (older payments may carry
+ * free-text provider names)
+ */
+export const hasPaymentProvider = (name) => {
+  const key = String(name || "").toUpperCase();
+  return key in adapters || (key === "FAKE" && fakeEnabled());
+};
+
+/**
+ * Adapter for a provider name (case-insensitive)
+ */
+export const getPaymentProvider = (name) => {
+  const key = String(name || "").toUpperCase();
+  if (key === "FAKE" && fakeEnabled()) return fake;
+
+  const adapter = adapters[key];
+  if (!adapter) {
+    throw new AppError(
+      `Unsupported payment provider. Use one of: ${PAYMENT_PROVIDERS.join(", ")}`,
+      400
+    );
+  }
+  return adapter;
+};
+
+/**
+ * The captured attempt that covers the order total, if any. An order has
+ * many payment attempts; failed ones stay as history.
+ */
+export const findSettlingPayment = (payments = [], total) =>
+  payments.find(
+    (payment) =>
+      CAPTURED_PAYMENT_STATUSES.includes(payment.status) &&
+      new Prisma.Decimal(payment.amount).gte(total)
+  ) || null;
+
+/**
+ * Whether an order (with payments) is paid
+ */
+export const isOrderPaid = (order) =>
+  !!findSettlingPayment(order.payments, order.total);
+
+/**
+ * Close an order's PENDING attempts before a new one starts, so at most
+ * one attempt is open at a time
+ */
+export const supersedePendingPayments = (tx, orderId) =>
+  tx.payment.updateMany({
+    where: { orderId, status: "PENDING" },
+    data: {
+      status: "FAILED",
+      failureReason: "Superseded by a new payment attempt",
+    },
+  });
+
+/**
+ * Side effects of a payment reaching PAID: once the attempt covers the
+ * order total, the order keeps its reserved stock and gets its invoice
+ * number. A late confirmation for an order that was canceled meanwhile
+ * (e.g. expired by the reservation sweeper, its stock released) settles
+ * nothing; the captured payment is flagged for refund instead.
+ * Run inside the same transaction.
+ */
+export const onPaymentPaid = async (tx, payment) => {
+  const order = await tx.order.findUnique({
+    where: { id: payment.orderId },
+    select: { total: true, status: true },
+  });
+  if (!order) return;
+
+  if (order.status === "CANCELED") {
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: { refundRequired: true },
+    });
+    return;
+  }
+  if (new Prisma.Decimal(payment.amount).lt(order.total)) return;
+
+  await settleReservations(tx, { orderId: payment.orderId }, "CONSUMED");
+  await issueInvoice(tx, payment.orderId);
+};
+
+/**
+ * Allowed payment status transitions. A FAILED attempt can still be
+ * confirmed later (late provider callback).
+ */
+export const PAYMENT_STATUS_TRANSITIONS = {
+  PENDING: ["PAID", "FAILED"],
+  FAILED: ["PAID"],
+  PAID: ["PARTIALLY_REFUNDED", "REFUNDED"],
+  PARTIALLY_REFUNDED: ["REFUNDED"],
+  REFUNDED: [],
+};
+
+export const canTransitionPayment = (from, to) =>
+  (PAYMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a payment to a provider-confirmed status and apply what follows
+ * for the order: PAID consumes the stock reservations and issues the
+ * invoice, REFUNDED records the part not refunded through us yet as a
+ * SUCCEEDED refund (with its credit note) and cancels an order that has
+ * not shipped yet.
+ * Must run inside a transaction.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} payment - payment as last read
+ * @param {"PAID"|"FAILED"|"REFUNDED"} status
+ * @param {object} [data] - extra payment fields (transactionId, ...)
+ * @param {{ note?: string }} [meta]
+ * @returns the updated payment, or null when the transition is not
+ *   allowed or the payment changed since it was read
+ */
+export const applyPaymentStatus = async (
+  tx,
+  payment,
+  status,
+  data = {},
+  { note = null } = {}
+) => {
+  if (!canTransitionPayment(payment.status, status)) return null;
+
+  const refundedAmount = payment.refundedAmount ?? 0;
+
+  // matching on the status read guards against a concurrent update, and on
+  // the refunded amount against a refund being issued meanwhile
+  const { count } = await tx.payment.updateMany({
+    where: {
+      id: payment.id,
+      status: payment.status,
+      ...(status === "REFUNDED" && { refundedAmount }),
+    },
+    data: {
+      ...data,
+      status,
+      ...(status === "REFUNDED" && {
+        refundedAmount: payment.amount,
+        refundRequired: false,
+      }),
+    },
+  });
+  if (!count) return null;
+
+  if (status === "PAID") await onPaymentPaid(tx, payment);
+
+  if (status === "REFUNDED") {
+    // refunded at the provider: keep refundedAmount the sum of refunds
+    const remaining = new Prisma.Decimal(payment.amount).sub(refundedAmount);
+    if (remaining.gt(0)) {
+      const refund = await tx.refund.create({
+        data: {
+          paymentId: payment.id,
+          amount: remaining,
+          reason: note || "Refunded by the payment provider",
+          status: "SUCCEEDED",
+          processedAt: new Date(),
+        },
+      });
+      await issueCreditNote(tx, refund, payment.orderId);
+    }
+
+    const order = await tx.order.findUnique({
+      where: { id: payment.orderId },
+      include: { orderItems: true },
+    });
+    if (order && canTransitionOrder(order.status, "CANCELED")) {
+      await transitionOrderStatus(tx, order, "CANCELED", {
+        note: note || "Payment refunded",
+      });
+    }
+  }
+
+  return tx.payment.findUnique({ where: { id: payment.id } });
+};
@@ -0,0 +1,144 @@
+// utils/payments/khalti.js
+import { Prisma } from "@prisma/client";
+import { AppError } from "../AppError.js";
+
+const config = () => {
+  const settings = {
+    secretKey: process.env.KHALTI_SECRET_KEY,
+    baseUrl: process.env.KHALTI_BASE_URL,
+    refundUrl: process.env.KHALTI_REFUND_URL,
+  };
+  if (Object.values(settings).some((value) => !value)) {
+    throw new AppError("Khalti is not configured", 500);
+  }
+  return {
+    ...settings,
+    websiteUrl: process.env.FRONTEND_ORIGIN || "http://localhost:3000",
+  };
+};
+
+// Khalti lookup status -> our PaymentStatus
+const STATUS_MAP = {
+  Completed: "PAID",
+  Pending: "PENDING",
+  Initiated: "PENDING",
+  Refunded: "REFUNDED",
+  "Partially Refunded": "PARTIALLY_REFUNDED",
+  Expired: "FAILED",
+  "User canceled": "FAILED",
+};
+
+// Khalti works in paisa
+const toPaisa = (amount) =>
+  new Prisma.Decimal(amount).mul(100).toDecimalPlaces(0).toNumber();
+
+const request = async (path, body, action) => {
+  const { secretKey, baseUrl } = config();
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Key ${secretKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  const raw = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new AppError(
+      raw.detail || `Khalti ${action} failed`,
+      response.status >= 500 ? 502 : 400
+    );
+  }
+  return raw;
+};
+
+export default {
+  name: "KHALTI",
+
+  /**
+   * Khalti ePayment: server-side initiate, then redirect to payment_url
+   */
+  async initiate({ order, amount, returnUrl }) {
+    const raw = await request(
+      "/epayment/initiate/",
+      {
+        return_url: returnUrl,
+        website_url: config().websiteUrl,
+        amount: toPaisa(amount),
+        purchase_order_id: order.id,
+        purchase_order_name: `Order ${order.id}`,
+        ...(order.user && {
+          customer_info: {
+            name: [order.user.firstName, order.user.lastName]
+              .filter(Boolean)
+              .join(" "),
+            email: order.user.email,
+            phone: order.user.phone || undefined,
+          },
+        }),
+      },
+      "initiate"
+    );
+
+    return {
+      reference: raw.pidx,
+      action: { type: "redirect", url: raw.payment_url },
+    };
+  },
+
+  /**
+   * Look the payment up by our stored pidx; the callback query is only
+   * used to make sure it is about this payment
+   */
+  async verify({ payment, params = {} }) {
+    if (params.pidx && params.pidx !== payment.providerReference) {
+      throw new AppError("Khalti callback does not match this payment", 400);
+    }
+
+    const raw = await request(
+      "/epayment/lookup/",
+      { pidx: payment.providerReference },
+      "lookup"
+    );
+
+    if (
+      raw.total_amount != null &&
+      raw.total_amount !== toPaisa(payment.amount)
+    ) {
+      throw new AppError("Khalti amount does not match this payment", 400);
+    }
+
+    const status = STATUS_MAP[raw.status] || "PENDING";
+    return {
+      status,
+      transactionId: raw.transaction_id || null,
+      raw,
+      failureReason: status === "FAILED" ? `Khalti status ${raw.status}` : null,
+    };
+  },
+
+  /**
+   * Full refund, or partial when amount is given
+   */
+  async refund({ payment, amount }) {
+    const { secretKey, refundUrl } = config();
+
+    const response = await fetch(
+      `${refundUrl}/${payment.transactionId}/refund/`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Key ${secretKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(amount != null ? { amount: toPaisa(amount) } : {}),
+      }
+    );
+    const raw = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new AppError(raw.detail || "Khalti refund failed", 502);
+    }
+    return { refundId: raw.refund_id || raw.idx || null, raw };
+  },
+};
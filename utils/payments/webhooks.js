@@ -0,0 +1,97 @@
+// utils/payments/webhooks.js
+import crypto from "crypto";
+import { AppError } from "../AppError.js";
+
+// Signed timestamps older (or newer) than this are rejected as replays
+export const WEBHOOK_TOLERANCE_SECONDS = Number(
+  process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS ?? 300
+);
+
+// Event type -> payment status it confirms
+export const WEBHOOK_EVENT_STATUS = {
+  "payment.succeeded": "PAID",
+  "payment.failed": "FAILED",
+  "payment.refunded": "REFUNDED",
+};
+
+/**
+ * Shared secret for a provider's webhooks: PAYMENT_WEBHOOK_SECRET_<PROVIDER>,
+ * falling back to PAYMENT_WEBHOOK_SECRET
+ */
+export const webhookSecret = (provider) =>
+  process.env[`PAYMENT_WEBHOOK_SECRET_${provider}`] ||
+  process.env.PAYMENT_WEBHOOK_SECRET ||
+  null;
+
+/**
+ * hex HMAC-SHA256 over "<timestamp>.<raw body>"
+ */
+export const signWebhookPayload = (secret, timestamp, rawBody) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+
+/**
+ * Throws 401 unless the signature matches the raw body and the timestamp
+ * (unix seconds) is within the tolerance window
+ */
+export const verifyWebhookSignature = ({
+  secret,
+  signature,
+  timestamp,
+  rawBody,
+  now = new Date(),
+}) => {
+  if (!signature || !timestamp || rawBody == null) {
+    throw new AppError("Missing webhook signature", 401);
+  }
+
+  const sentAt = Number(timestamp);
+  if (
+    !Number.isInteger(sentAt) ||
+    Math.abs(now.getTime() / 1000 - sentAt) > WEBHOOK_TOLERANCE_SECONDS
+  ) {
+    throw new AppError("Webhook timestamp outside tolerance", 401);
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody));
+  const given = Buffer.from(String(signature));
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    throw new AppError("Invalid webhook signature", 401);
+  }
+};
+
+/**
+ * Normalize a verified webhook body:
+ * { id, type, data: { reference?, orderId?, transactionId?, amount? } }
+ */
+export const parseWebhookEvent = (body) => {
+  if (!body || typeof body !== "object") {
+    throw new AppError("Invalid webhook payload", 400);
+  }
+
+  const { id, type, data = {} } = body;
+  if (!id || typeof id !== "string") {
+    throw new AppError("Webhook event id is required", 400);
+  }
+  if (!type || typeof type !== "string") {
+    throw new AppError("Webhook event type is required", 400);
+  }
+  if (!data.reference && !data.orderId) {
+    throw new AppError("Webhook event must reference a payment", 400);
+  }
+
+  return {
+    eventId: id,
+    type,
+    status: WEBHOOK_EVENT_STATUS[type] || null,
+    reference: data.reference || null,
+    orderId: data.orderId || null,
+    transactionId: data.transactionId || null,
+    amount: data.amount ?? null,
+  };
+};
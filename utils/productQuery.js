@@ -0,0 +1,272 @@
+// utils/productQuery.js
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "./AppError.js";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_TAG_FACETS = 50;
+
+// Storefront price filter buckets (upper bound exclusive, null = open)
+export const PRICE_BUCKETS = [
+  { min: 0, max: 500 },
+  { min: 500, max: 1000 },
+  { min: 1000, max: 2500 },
+  { min: 2500, max: 5000 },
+  { min: 5000, max: 10000 },
+  { min: 10000, max: null },
+];
+
+// id breaks ties so page and cursor order is stable
+export const PRODUCT_SORTS = {
+  newest: [{ createdAt: "desc" }, { id: "desc" }],
+  price_asc: [{ price: "asc" }, { id: "asc" }],
+  price_desc: [{ price: "desc" }, { id: "desc" }],
+  rating: [{ rating: "desc" }, { id: "desc" }],
+  // by number of order lines
+  best_selling: [{ orderItems: { _count: "desc" } }, { id: "desc" }],
+};
+
+// a product with active variants is sold only through them
+const IN_STOCK = {
+  OR: [
+    { stock: { gt: 0 }, variants: { none: { isActive: true } } },
+    { variants: { some: { isActive: true, stock: { gt: 0 } } } },
+  ],
+};
+
+export const PRODUCT_LIST_INCLUDE = { images: true, categories: true };
+
+// ?tags=a,b and ?tags=a&tags=b both work
+const toList = (value) =>
+  [value ?? []]
+    .flat()
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toBoolean = (value, name) => {
+  if (value == null || value === "") return undefined;
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  throw new AppError(`${name} must be true or false`, 400);
+};
+
+const toNumber = (value, name, { min = 0, max = Infinity } = {}) => {
+  if (value == null || value === "") return undefined;
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < min || num > max) {
+    const range = max < Infinity ? `from ${min} to ${max}` : `>= ${min}`;
+    throw new AppError(`${name} must be a number ${range}`, 400);
+  }
+  return num;
+};
+
+/**
+ * Validate listing query params into filters, sort and pagination.
+ * Inactive products are listed only for admins (?active=false|all).
+ * Callers with their own orderings (search relevance) pass them in sorts.
+ *
+ * query: page, limit, cursor, category (ids), minPrice, maxPrice,
+ *   minRating, inStock, tags, featured, active, sort, facets
+ *   facets - opt-in (facets=true): the counts scan every matching product
+ */
+export const parseProductQuery = (
+  query = {},
+  {
+    isAdmin = false,
+    sorts = Object.keys(PRODUCT_SORTS),
+    defaultSort = "newest",
+  } = {}
+) => {
+  const minPrice = toNumber(query.minPrice, "minPrice");
+  const maxPrice = toNumber(query.maxPrice, "maxPrice");
+  if (minPrice != null && maxPrice != null && minPrice > maxPrice) {
+    throw new AppError("minPrice cannot be more than maxPrice", 400);
+  }
+
+  const sort = query.sort || defaultSort;
+  if (!sorts.includes(sort)) {
+    throw new AppError(`sort must be one of: ${sorts.join(", ")}`, 400);
+  }
+
+  let isActive = true;
+  if (isAdmin && query.active != null && query.active !== "") {
+    isActive =
+      query.active === "all" ? undefined : toBoolean(query.active, "active");
+  }
+
+  const page = toNumber(query.page, "page", { min: 1 }) ?? 1;
+  const limit = toNumber(query.limit, "limit", { min: 1, max: MAX_LIMIT });
+
+  return {
+    filters: {
+      categoryIds: toList(query.category),
+      minPrice,
+      maxPrice,
+      minRating: toNumber(query.minRating, "minRating", { max: 5 }),
+      inStock: toBoolean(query.inStock, "inStock"),
+      tags: toList(query.tags),
+      featured: toBoolean(query.featured, "featured"),
+      isActive,
+    },
+    sort,
+    page: Math.floor(page),
+    limit: Math.floor(limit ?? DEFAULT_LIMIT),
+    cursor: query.cursor ? String(query.cursor) : undefined,
+    facets: toBoolean(query.facets, "facets") ?? false,
+  };
+};
+
+/**
+ * Prisma where for the listing filters, on top of a caller's base
+ * condition (a category page, a search)
+ */
+export const buildProductWhere = (filters = {}, base) => {
+  const {
+    categoryIds = [],
+    minPrice,
+    maxPrice,
+    minRating,
+    inStock,
+    tags = [],
+    featured,
+    isActive,
+  } = filters;
+
+  const conditions = [
+    base,
+    isActive != null && { isActive },
+    featured != null && { isFeatured: featured },
+    categoryIds.length > 0 && {
+      categories: { some: { id: { in: categoryIds } } },
+    },
+    (minPrice != null || maxPrice != null) && {
+      price: {
+        ...(minPrice != null && { gte: minPrice }),
+        ...(maxPrice != null && { lte: maxPrice }),
+      },
+    },
+    minRating != null && { rating: { gte: minRating } },
+    tags.length > 0 && { tags: { hasSome: tags } },
+    inStock === true && IN_STOCK,
+    inStock === false && { NOT: IN_STOCK },
+  ].filter(Boolean);
+
+  return conditions.length > 0 ? { AND: conditions } : {};
+};
+
+/**
+ * Counts for the filter sidebar. Each facet ignores its own filter, so the
+ * sidebar still offers the other categories, tags and price ranges.
+ */
+export const getProductFacets = async (filters, base, db = prisma) => {
+  const without = (overrides) =>
+    buildProductWhere({ ...filters, ...overrides }, base);
+
+  const [categories, tagRows, priceCounts] = await Promise.all([
+    db.category.findMany({
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+        _count: {
+          select: { products: { where: without({ categoryIds: [] }) } },
+        },
+      },
+      orderBy: { name: "asc" },
+    }),
+    db.product.findMany({
+      where: without({ tags: [] }),
+      select: { tags: true },
+    }),
+    Promise.all(
+      PRICE_BUCKETS.map(({ min, max }) =>
+        db.product.count({
+          where: {
+            AND: [
+              without({ minPrice: undefined, maxPrice: undefined }),
+              { price: { gte: min, ...(max != null && { lt: max }) } },
+            ],
+          },
+        })
+      )
+    ),
+  ]);
+
+  const tagCounts = new Map();
+  for (const { tags } of tagRows) {
+    for (const tag of new Set(tags)) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  return {
+    categories: categories
+      .map(({ _count, ...category }) => ({
+        ...category,
+        count: _count.products,
+      }))
+      .filter(({ count }) => count > 0),
+    tags: [...tagCounts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+      .slice(0, MAX_TAG_FACETS),
+    price: PRICE_BUCKETS.map((bucket, i) => ({
+      ...bucket,
+      count: priceCounts[i],
+    })),
+  };
+};
+
+/**
+ * One page of products for parsed listing options (see parseProductQuery).
+ * With a cursor (a product id from the previous page's nextCursor) the page
+ * starts after that product; otherwise page/limit offsets are used.
+ *
+ * @param {object} options - from parseProductQuery
+ * @param {object} [base] - extra where condition, e.g. a search
+ * @returns {Promise<{ data: object[], pagination: object, facets?: object }>}
+ */
+export const listProducts = async (options, base, db = prisma) => {
+  const { filters, sort, page, limit, cursor } = options;
+  const where = buildProductWhere(filters, base);
+
+  const [rows, total, facets] = await Promise.all([
+    db.product.findMany({
+      where,
+      include: PRODUCT_LIST_INCLUDE,
+      orderBy: PRODUCT_SORTS[sort],
+      // one extra row tells whether another page follows
+      take: limit + 1,
+      ...(cursor
+        ? { cursor: { id: cursor }, skip: 1 }
+        : { skip: (page - 1) * limit }),
+    }),
+    db.product.count({ where }),
+    options.facets ? getProductFacets(filters, base, db) : undefined,
+  ]);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore ? data[data.length - 1].id : null;
+
+  return {
+    data,
+    pagination: paginationFor(options, total, nextCursor),
+    ...(facets && { facets }),
+  };
+};
+
+/**
+ * Pagination block of a listing response; cursor pages have no page numbers
+ */
+export const paginationFor = ({ page, limit, cursor }, total, nextCursor) =>
+  cursor
+    ? { limit, total, nextCursor }
+    : {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        nextCursor,
+      };
@@ -0,0 +1,249 @@
+// utils/productSearch.js
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prismaClient.js";
+import {
+  PRODUCT_LIST_INCLUDE,
+  buildProductWhere,
+  getProductFacets,
+  listProducts,
+  paginationFor,
+} from "./productQuery.js";
+
+// Matches considered per search; results past this are not reachable
+export const MAX_SEARCH_MATCHES = 1000;
+
+// Typo matches on the name count for less than real word matches
+const TYPO_WEIGHT = 0.5;
+
+const NAME_HEADLINE = "HighlightAll=true, StartSel=<mark>, StopSel=</mark>";
+const DESCRIPTION_HEADLINE =
+  'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=8, FragmentDelimiter=" … "';
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+/**
+ * Products matching the search text, best first. A product matches on the
+ * weighted search document (name > tags > description, with English
+ * stemming), on a trigram match of a word in its name (so "hedphones" finds
+ * headphones) or on a category name.
+ *
+ * @param {string} q - search text; quotes, OR and -word work as on the web
+ * @returns {Promise<{ id: string, relevance: number }[]>}
+ */
+export const rankProductMatches = async (
+  q,
+  { limit = MAX_SEARCH_MATCHES, db = prisma } = {}
+) => {
+  const rows = await db.$queryRaw(Prisma.sql`
+    WITH search AS (SELECT websearch_to_tsquery('english', ${q}) AS query)
+    SELECT p."id",
+      ts_rank_cd(p."searchVector", search.query)
+        + word_similarity(${q}, p."name") * ${TYPO_WEIGHT} AS relevance
+    FROM "products" p, search
+    WHERE p."searchVector" @@ search.query
+      OR ${q} <% p."name"
+      OR EXISTS (
+        SELECT 1 FROM "_CategoryToProduct" cp
+        JOIN "Category" c ON c."id" = cp."A"
+        WHERE cp."B" = p."id" AND c."name" ILIKE ${`%${escapeLike(q)}%`}
+      )
+    ORDER BY relevance DESC, p."id"
+    LIMIT ${limit}
+  `);
+
+  return rows.map(({ id, relevance }) => ({
+    id,
+    relevance: Number(relevance),
+  }));
+};
+
+/**
+ * Name and description fragments with the matched words wrapped in <mark>,
+ * by product id. Typo matches are not highlighted.
+ */
+export const highlightProducts = async (q, ids, db = prisma) => {
+  if (ids.length === 0) return {};
+
+  const rows = await db.$queryRaw(Prisma.sql`
+    WITH search AS (SELECT websearch_to_tsquery('english', ${q}) AS query)
+    SELECT p."id",
+      ts_headline('english', p."name", search.query, ${NAME_HEADLINE}) AS name,
+      ts_headline('english', p."description", search.query, ${DESCRIPTION_HEADLINE}) AS description
+    FROM "products" p, search
+    WHERE p."id" IN (${Prisma.join(ids)})
+  `);
+
+  return Object.fromEntries(
+    rows.map(({ id, name, description }) => [id, { name, description }])
+  );
+};
+
+/**
+ * One page of search results for parsed listing options (see
+ * parseProductQuery). The listing filters and facets apply to the matches;
+ * sort "relevance" keeps the search order, any other sort is the listing's.
+ * Each product comes with its relevance and highlight.
+ */
+export const searchCatalog = async (q, options, db = prisma) => {
+  const matches = await rankProductMatches(q, { db });
+  const base = { id: { in: matches.map((match) => match.id) } };
+
+  const result =
+    options.sort === "relevance"
+      ? await listByRelevance(matches, options, base, db)
+      : await listProducts(options, base, db);
+
+  const relevance = new Map(matches.map((m) => [m.id, m.relevance]));
+  const highlights = await highlightProducts(
+    q,
+    result.data.map((product) => product.id),
+    db
+  );
+
+  return {
+    ...result,
+    data: result.data.map((product) => ({
+      ...product,
+      relevance: relevance.get(product.id),
+      highlight: highlights[product.id] || null,
+    })),
+  };
+};
+
+const listByRelevance = async (matches, options, base, db) => {
+  const { filters, page, limit, cursor } = options;
+
+  const [filtered, facets] = await Promise.all([
+    db.product.findMany({
+      where: buildProductWhere(filters, base),
+      select: { id: true },
+    }),
+    options.facets ? getProductFacets(filters, base, db) : undefined,
+  ]);
+
+  const kept = new Set(filtered.map((product) => product.id));
+  const ordered = matches.map((m) => m.id).filter((id) => kept.has(id));
+
+  const start = cursor ? ordered.indexOf(cursor) + 1 : (page - 1) * limit;
+  const pageIds = ordered.slice(start, start + limit);
+  const hasMore = start + limit < ordered.length;
+
+  const rows = await db.product.findMany({
+    where: { id: { in: pageIds } },
+    include: PRODUCT_LIST_INCLUDE,
+  });
+  const byId = new Map(rows.map((row) => [row.id, row]));
+
+  return {
+    data: pageIds.map((id) => byId.get(id)).filter(Boolean),
+    pagination: paginationFor(
+      options,
+      ordered.length,
+      hasMore ? pageIds[pageIds.length - 1] : null
+    ),
+    ...(facets && { facets }),
+  };
+};
+
+// Longer texts are not kept as suggestions
+const MAX_RECORDED_QUERY_LENGTH = 100;
+
+const normalizeQuery = (q) => q.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Count a storefront search for the autocomplete's popular queries. A
+ * failure is logged and never fails the search itself.
+ *
+ * @param {string} q - the search text
+ * @param {number} resultCount - matches found
+ */
+export const recordSearchQuery = async (q, resultCount, db = prisma) => {
+  const query = normalizeQuery(q);
+  if (!query || query.length > MAX_RECORDED_QUERY_LENGTH) return;
+
+  try {
+    await db.searchQuery.upsert({
+      where: { query },
+      create: { query, resultCount },
+      update: {
+        count: { increment: 1 },
+        resultCount,
+        lastSearchedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error("Error recording search query:", error);
+  }
+};
+
+/**
+ * Autocomplete for the search box: products, categories and tags with a
+ * word starting with the text, plus popular past searches (that found
+ * something) starting with it. Each list holds at most limit entries;
+ * a popular query that repeats a product, category or tag name is dropped.
+ *
+ * @returns {Promise<{ queries: string[], products: object[], categories: object[], tags: string[] }>}
+ */
+export const suggestSearches = async (q, { limit = 5, db = prisma } = {}) => {
+  const text = normalizeQuery(q);
+  const wordStart = (field) => ({
+    OR: [
+      { [field]: { startsWith: text, mode: "insensitive" } },
+      { [field]: { contains: ` ${text}`, mode: "insensitive" } },
+    ],
+  });
+
+  const [products, categories, tagRows, popular] = await Promise.all([
+    db.product.findMany({
+      where: { isActive: true, ...wordStart("name") },
+      select: { id: true, name: true, image: true },
+      orderBy: [{ rating: "desc" }, { name: "asc" }],
+      take: limit,
+    }),
+    db.category.findMany({
+      where: wordStart("name"),
+      select: { id: true, name: true },
+      orderBy: { name: "asc" },
+      take: limit,
+    }),
+    db.$queryRaw(Prisma.sql`
+      SELECT tag, COUNT(*)::int AS uses
+      FROM "products", unnest("tags") AS tag
+      WHERE "isActive" AND tag ILIKE ${`${escapeLike(text)}%`}
+      GROUP BY tag
+      ORDER BY uses DESC, tag
+      LIMIT ${limit * 2}
+    `),
+    db.searchQuery.findMany({
+      where: { query: { startsWith: text }, resultCount: { gt: 0 } },
+      select: { query: true },
+      orderBy: [{ count: "desc" }, { lastSearchedAt: "desc" }],
+      take: limit * 2,
+    }),
+  ]);
+
+  // tags differing only in case are one suggestion
+  const seen = new Set();
+  const tags = [];
+  for (const { tag } of tagRows) {
+    if (seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+
+  const names = new Set([
+    ...products.map((product) => product.name.toLowerCase()),
+    ...categories.map((category) => category.name.toLowerCase()),
+    ...seen,
+  ]);
+
+  return {
+    queries: popular
+      .map(({ query }) => query)
+      .filter((query) => !names.has(query))
+      .slice(0, limit),
+    products,
+    categories,
+    tags: tags.slice(0, limit),
+  };
+};
@@ -0,0 +1,276 @@
+// utils/refunds.js
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prismaClient.js";
+import { AppError } from "./AppError.js";
+import {
+  getPaymentProvider,
+  hasPaymentProvider,
+  CAPTURED_PAYMENT_STATUSES,
+} from "./payments/index.js";
+import { restockOrderItem } from "./stockMovements.js";
+import { issueCreditNote } from "./invoices.js";
+
+// Refunds that count against the captured amount
+const OPEN_REFUND_STATUSES = ["PENDING", "SUCCEEDED"];
+
+/**
+ * What the customer paid for `quantity` units of an order line:
+ * its share of subtotal minus discount, plus tax that was added on top
+ */
+export const lineRefundAmount = (item, quantity) => {
+  const charged = new Prisma.Decimal(item.subtotal)
+    .sub(item.discount ?? 0)
+    .add(item.taxIncluded ? 0 : item.tax ?? 0);
+  return charged.mul(quantity).div(item.quantity).toDecimalPlaces(2);
+};
+
+/**
+ * Validate requested refund lines against the order and what earlier
+ * refunds already covered.
+ *
+ * @param {object} tx - Prisma client or transaction client
+ * @param {object} order - order with orderItems
+ * @param {{ orderItemId: string, quantity: number }[]} items
+ * @returns {Promise<{ orderItemId, productId, quantity, amount }[]>}
+ */
+export const buildRefundLines = async (tx, order, items) => {
+  const ids = items.map((i) => i.orderItemId);
+  if (new Set(ids).size !== ids.length) {
+    throw new AppError("Each order item can only be listed once", 400);
+  }
+
+  const previous = await tx.refundItem.findMany({
+    where: {
+      orderItemId: { in: ids },
+      refund: { status: { in: OPEN_REFUND_STATUSES } },
+    },
+    select: { orderItemId: true, quantity: true },
+  });
+  const alreadyRefunded = {};
+  for (const { orderItemId, quantity } of previous) {
+    alreadyRefunded[orderItemId] = (alreadyRefunded[orderItemId] || 0) + quantity;
+  }
+
+  return items.map(({ orderItemId, quantity }) => {
+    const item = order.orderItems.find((i) => i.id === orderItemId);
+    if (!item) {
+      throw new AppError(`Order item ${orderItemId} not found in order`, 400);
+    }
+
+    const left = item.quantity - (alreadyRefunded[orderItemId] || 0);
+    if (quantity > left) {
+      throw new AppError(
+        `Only ${left} unit(s) of ${item.productName} can still be refunded`,
+        400
+      );
+    }
+
+    return {
+      orderItemId,
+      productId: item.productId,
+      quantity,
+      amount: lineRefundAmount(item, quantity),
+    };
+  });
+};
+
+/**
+ * Payment status once `refunded` of `amount` has been returned
+ */
+export const paymentStatusAfterRefund = (amount, refunded) =>
+  new Prisma.Decimal(refunded).gte(amount) ? "REFUNDED" : "PARTIALLY_REFUNDED";
+
+/**
+ * Set a payment's status from the sum of its SUCCEEDED refunds
+ * @returns the updated payment
+ */
+const settleRefundedPayment = async (tx, payment) => {
+  const { _sum } = await tx.refund.aggregate({
+    where: { paymentId: payment.id, status: "SUCCEEDED" },
+    _sum: { amount: true },
+  });
+  const status = paymentStatusAfterRefund(payment.amount, _sum.amount ?? 0);
+  return tx.payment.update({
+    where: { id: payment.id },
+    data: {
+      status,
+      // a canceled order's payment is settled once all of it is back
+      ...(payment.refundRequired &&
+        status === "REFUNDED" && { refundRequired: false }),
+    },
+  });
+};
+
+/**
+ * Refund (part of) a captured payment. Without amount or items the whole
+ * remaining amount is refunded; with items the amount defaults to what
+ * was paid for those units. The amount is reserved on the payment before
+ * the provider is called, so concurrent refunds cannot overshoot it, and
+ * given back if the provider refuses. Once the provider has paid out, the
+ * refund is SUCCEEDED even if restocking or the credit note fails; the
+ * error thrown then carries it as `error.refund`.
+ *
+ * @param {object} params
+ * @param {object} params.payment - payment as last read
+ * @param {Prisma.Decimal} [params.amount]
+ * @param {string} [params.reason]
+ * @param {{ orderItemId: string, quantity: number }[]} [params.items]
+ * @param {boolean} [params.restock] - put the refunded units back in stock
+ * @param {string} [params.createdById]
+ * @returns {Promise<{ refund: object, payment: object }>}
+ */
+export const issueRefund = async ({
+  payment,
+  amount: requestedAmount = null,
+  reason = null,
+  items = null,
+  restock = false,
+  createdById = null,
+  db = prisma,
+}) => {
+  if (!CAPTURED_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new AppError("Only paid payments can be refunded", 400);
+  }
+
+  const refund = await db.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: payment.orderId },
+      include: { orderItems: true },
+    });
+    const lines = items ? await buildRefundLines(tx, order, items) : [];
+
+    const refunded = new Prisma.Decimal(payment.refundedAmount ?? 0);
+    const remaining = new Prisma.Decimal(payment.amount).sub(refunded);
+    const amount =
+      requestedAmount ??
+      (lines.length
+        ? lines.reduce((sum, l) => sum.add(l.amount), new Prisma.Decimal(0))
+        : remaining);
+
+    if (amount.lte(0)) throw new AppError("Nothing left to refund", 400);
+    if (amount.gt(remaining)) {
+      throw new AppError(
+        `Refund exceeds the refundable amount of ${remaining.toFixed(2)}`,
+        400
+      );
+    }
+
+    // reserve against the amount we read; a concurrent refund wins the race
+    const { count } = await tx.payment.updateMany({
+      where: { id: payment.id, refundedAmount: refunded },
+      data: { refundedAmount: { increment: amount } },
+    });
+    if (!count) {
+      throw new AppError(
+        "Payment changed while refunding. Please try again.",
+        409
+      );
+    }
+
+    return tx.refund.create({
+      data: {
+        paymentId: payment.id,
+        amount,
+        reason,
+        restock,
+        createdById,
+        items: {
+          create: lines.map(({ orderItemId, quantity, amount }) => ({
+            orderItemId,
+            quantity,
+            amount,
+          })),
+        },
+      },
+      include: { items: { include: { orderItem: true } } },
+    });
+  });
+
+  let outcome;
+  try {
+    // payments from before the adapters carry free-text providers
+    outcome = hasPaymentProvider(payment.provider)
+      ? await getPaymentProvider(payment.provider).refund({
+          payment,
+          amount: refund.amount,
+        })
+      : { refundId: null, manual: true };
+  } catch (error) {
+    // give the reserved amount back
+    await db.$transaction(async (tx) => {
+      await tx.refund.update({
+        where: { id: refund.id },
+        data: {
+          status: "FAILED",
+          failureReason: error.message,
+          processedAt: new Date(),
+        },
+      });
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: { refundedAmount: { decrement: refund.amount } },
+      });
+    });
+    throw error;
+  }
+
+  const succeed = (tx, data = {}) =>
+    tx.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: "SUCCEEDED",
+        providerReference: outcome.refundId || null,
+        processedAt: new Date(),
+        ...data,
+      },
+      include: { items: true },
+    });
+
+  try {
+    return await db.$transaction(async (tx) => {
+      const succeeded = await succeed(tx);
+
+      if (refund.restock) {
+        // read the lines again: they may have been restocked while the
+        // provider was called
+        const lines = await tx.orderItem.findMany({
+          where: { id: { in: refund.items.map((item) => item.orderItemId) } },
+        });
+        for (const item of refund.items) {
+          const line = lines.find((l) => l.id === item.orderItemId);
+          await restockOrderItem(tx, line, item.quantity, {
+            type: "RETURN",
+            reason: refund.reason,
+            referenceType: "REFUND",
+            referenceId: refund.id,
+            actorId: refund.createdById,
+          });
+        }
+      }
+
+      // the issued invoice stays as it was; the refund gets its own document
+      await issueCreditNote(tx, refund, payment.orderId);
+
+      const updatedPayment = await settleRefundedPayment(tx, payment);
+      return { refund: succeeded, payment: updatedPayment };
+    });
+  } catch (error) {
+    // the provider already returned the money: record it without the
+    // restock and credit note rather than leave the refund PENDING
+    const settled = await db.$transaction(async (tx) => ({
+      refund: await succeed(tx, {
+        restock: false,
+        failureReason: `Refunded, but not restocked or credited: ${error.message}`,
+      }),
+      payment: await settleRefundedPayment(tx, payment),
+    }));
+
+    const settlementError = new AppError(
+      `Refund was paid out but could not be completed: ${error.message}`,
+      500
+    );
+    // callers must not treat this refund as not having happened
+    settlementError.refund = settled.refund;
+    throw settlementError;
+  }
+};
@@ -0,0 +1,98 @@
+// utils/reservationSweeper.js
+import { prisma } from "../lib/prismaClient.js";
+import { transitionOrderStatus } from "./orderStatus.js";
+import { settleReservations } from "./stockReservations.js";
+import {
+  CAPTURED_PAYMENT_STATUSES,
+  isOrderPaid,
+} from "./payments/index.js";
+
+export const EXPIRED_ORDER_NOTE = "Payment deadline passed";
+
+/**
+ * Cancel PENDING orders whose payment deadline passed without a PAID
+ * payment. Each order is canceled in its own transaction: stock goes back,
+ * reservations are marked EXPIRED and the status history records the
+ * system cancellation. Orders that changed meanwhile (paid, processed)
+ * are skipped.
+ *
+ * @returns {Promise<{ expired: string[], skipped: string[] }>} order ids
+ */
+export const expireUnpaidOrders = async ({
+  now = new Date(),
+  limit = 100,
+  db = prisma,
+} = {}) => {
+  const candidates = await db.order.findMany({
+    where: {
+      status: "PENDING",
+      paymentDueAt: { lt: now },
+      payments: { none: { status: { in: CAPTURED_PAYMENT_STATUSES } } },
+    },
+    select: { id: true },
+    orderBy: { paymentDueAt: "asc" },
+    take: limit,
+  });
+
+  const expired = [];
+  const skipped = [];
+
+  for (const { id } of candidates) {
+    try {
+      const canceled = await db.$transaction(async (tx) => {
+        const order = await tx.order.findUnique({
+          where: { id },
+          include: { orderItems: true, payments: true },
+        });
+        if (!order || order.status !== "PENDING" || isOrderPaid(order)) {
+          return false;
+        }
+
+        await settleReservations(tx, { orderId: id }, "EXPIRED");
+        await transitionOrderStatus(tx, order, "CANCELED", {
+          note: EXPIRED_ORDER_NOTE,
+        });
+        return true;
+      });
+
+      (canceled ? expired : skipped).push(id);
+    } catch (error) {
+      // a concurrent update won the race; the next sweep will look again
+      if (error.statusCode !== 409) throw error;
+      skipped.push(id);
+    }
+  }
+
+  return { expired, skipped };
+};
+
+/**
+ * Run expireUnpaidOrders on an interval inside the API process.
+ * The timer does not keep the process alive; call the returned
+ * function to stop it.
+ */
+export const startReservationSweeper = ({
+  intervalMs = 60 * 1000,
+  logger = console,
+} = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+    try {
+      const { expired } = await expireUnpaidOrders();
+      if (expired.length > 0) {
+        logger.log(`Expired ${expired.length} unpaid order(s)`);
+      }
+    } catch (error) {
+      logger.error("Reservation sweep failed:", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref?.();
+  return () => clearInterval(timer);
+};
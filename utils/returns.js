@@ -0,0 +1,109 @@
+// utils/returns.js
+import { AppError } from "./AppError.js";
+
+// Days after delivery a line can be returned, unless its product overrides it
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS ?? 14);
+
+/**
+ * Allowed return request status transitions.
+ * RECEIVED and REJECTED are final.
+ */
+export const RETURN_STATUS_TRANSITIONS = {
+  REQUESTED: ["APPROVED", "REJECTED"],
+  APPROVED: ["RECEIVED", "REJECTED"],
+  REJECTED: [],
+  RECEIVED: [],
+};
+
+export const RETURN_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS);
+
+export const canTransitionReturn = (from, to) =>
+  (RETURN_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Requests that still hold on to the units they ask for
+const OPEN_RETURN_STATUSES = ["REQUESTED", "APPROVED", "RECEIVED"];
+
+/**
+ * Return window of a product in days (0 = not returnable)
+ */
+export const returnWindowDays = (product) =>
+  product?.returnWindowDays ?? RETURN_WINDOW_DAYS;
+
+/**
+ * When the order was delivered, from its status history (latest entry
+ * into DELIVERED), or null if it never was
+ */
+export const orderDeliveredAt = (order) => {
+  const entries = (order.statusHistory || []).filter(
+    (h) => h.toStatus === "DELIVERED"
+  );
+  if (!entries.length) return null;
+  return new Date(
+    Math.max(...entries.map((h) => new Date(h.createdAt).getTime()))
+  );
+};
+
+/**
+ * Validate requested return lines: each must be a delivered line of the
+ * order, still inside its product's return window, and not already
+ * asked for by another open request.
+ *
+ * @param {object} tx - Prisma client or transaction client
+ * @param {object} order - order with statusHistory and
+ *   orderItems (each with product.returnWindowDays)
+ * @param {{ orderItemId: string, quantity: number }[]} items
+ * @param {Date} [now]
+ */
+export const buildReturnLines = async (tx, order, items, now = new Date()) => {
+  const deliveredAt = orderDeliveredAt(order);
+  if (order.status !== "DELIVERED" || !deliveredAt) {
+    throw new AppError("Only delivered orders can be returned", 400);
+  }
+
+  const ids = items.map((i) => i.orderItemId);
+  if (new Set(ids).size !== ids.length) {
+    throw new AppError("Each order item can only be listed once", 400);
+  }
+
+  const previous = await tx.returnItem.findMany({
+    where: {
+      orderItemId: { in: ids },
+      returnRequest: { status: { in: OPEN_RETURN_STATUSES } },
+    },
+    select: { orderItemId: true, quantity: true },
+  });
+  const alreadyRequested = {};
+  for (const { orderItemId, quantity } of previous) {
+    alreadyRequested[orderItemId] =
+      (alreadyRequested[orderItemId] || 0) + quantity;
+  }
+
+  return items.map(({ orderItemId, quantity }) => {
+    const item = order.orderItems.find((i) => i.id === orderItemId);
+    if (!item) {
+      throw new AppError(`Order item ${orderItemId} not found in order`, 400);
+    }
+    if (item.status !== "DELIVERED") {
+      throw new AppError(`${item.productName} was not delivered`, 400);
+    }
+
+    const days = returnWindowDays(item.product);
+    const closesAt = new Date(deliveredAt.getTime() + days * 86400000);
+    if (days <= 0 || now > closesAt) {
+      throw new AppError(
+        `The return window for ${item.productName} has closed`,
+        400
+      );
+    }
+
+    const left = item.quantity - (alreadyRequested[orderItemId] || 0);
+    if (quantity > left) {
+      throw new AppError(
+        `Only ${left} unit(s) of ${item.productName} can still be returned`,
+        400
+      );
+    }
+
+    return { orderItemId, quantity };
+  });
+};
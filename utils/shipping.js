@@ -0,0 +1,97 @@
+// utils/shipping.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+
+// Used when no shipping zone matches the address (or no address is given yet)
+export const DEFAULT_SHIPPING_FEE = new Prisma.Decimal(
+  process.env.DEFAULT_SHIPPING_FEE ?? 0
+);
+
+// Courier volumetric divisor: L x W x H (cm) / 5000 = kg
+const VOLUMETRIC_DIVISOR = 5000;
+
+const normalize = (value) =>
+  value == null ? null : String(value).trim().toLowerCase();
+
+/**
+ * Active shipping zones, loaded once per order calculation
+ */
+export const loadShippingZones = async (db = prisma) =>
+  (await db.shippingZone.findMany({ where: { isActive: true } })) || [];
+
+// City list beats country list beats catch-all; priority breaks ties
+const specificity = (zone) =>
+  (zone.cities?.length ? 2 : 0) + (zone.countries?.length ? 1 : 0);
+
+/**
+ * Most specific zone covering the address.
+ * An empty countries / cities list matches anything.
+ *
+ * @param {Array} zones - from loadShippingZones
+ * @param {{ country?: string, city?: string }} address
+ * @returns {object|null}
+ */
+export const resolveShippingZone = (zones, { country, city } = {}) => {
+  const destCountry = normalize(country);
+  const destCity = normalize(city);
+
+  const matches = zones.filter(
+    (zone) =>
+      (!zone.countries?.length ||
+        zone.countries.map(normalize).includes(destCountry)) &&
+      (!zone.cities?.length || zone.cities.map(normalize).includes(destCity))
+  );
+
+  matches.sort(
+    (a, b) =>
+      specificity(b) - specificity(a) || (b.priority ?? 0) - (a.priority ?? 0)
+  );
+
+  return matches[0] || null;
+};
+
+/**
+ * Chargeable weight of one unit in kg: the larger of the actual and the
+ * volumetric weight. Products without weight or dimensions weigh nothing.
+ */
+export const chargeableWeightKg = (product = {}) => {
+  const actual = (product.weightGrams ?? 0) / 1000;
+  const { lengthCm, widthCm, heightCm } = product;
+  const volumetric =
+    lengthCm && widthCm && heightCm
+      ? (lengthCm * widthCm * heightCm) / VOLUMETRIC_DIVISOR
+      : 0;
+  return Math.max(actual, volumetric);
+};
+
+/**
+ * Shipping fee for a set of lines in a zone:
+ * baseFee + perKgFee for every started kg, waived once the order value
+ * reaches the zone's freeShippingThreshold.
+ *
+ * @param {object|null} zone - from resolveShippingZone
+ * @param {{ lines: Array, subtotal: Prisma.Decimal }} order
+ *   lines - [{ product, quantity }]
+ * @returns {{ fee: Prisma.Decimal, weightKg: number }}
+ */
+export const computeShippingFee = (zone, { lines = [], subtotal }) => {
+  const weightKg = lines.reduce(
+    (acc, line) => acc + chargeableWeightKg(line.product) * line.quantity,
+    0
+  );
+
+  if (!zone) return { fee: DEFAULT_SHIPPING_FEE, weightKg };
+
+  if (
+    zone.freeShippingThreshold != null &&
+    new Prisma.Decimal(subtotal).gte(zone.freeShippingThreshold)
+  ) {
+    return { fee: new Prisma.Decimal(0), weightKg };
+  }
+
+  const fee = new Prisma.Decimal(zone.baseFee ?? 0)
+    .add(new Prisma.Decimal(zone.perKgFee ?? 0).mul(Math.ceil(weightKg)))
+    .toDecimalPlaces(2);
+
+  return { fee, weightKg };
+};
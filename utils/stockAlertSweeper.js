@@ -0,0 +1,189 @@
+// utils/stockAlertSweeper.js
+import { prisma } from "../lib/prismaClient.js";
+import {
+  sendLowStockAlertEmail,
+  sendBackInStockEmail,
+} from "./emailService.js";
+
+/**
+ * Email admins about products whose stock dropped to their
+ * lowStockThreshold. A product with active variants is checked per variant,
+ * against the product's threshold. Each product (or variant) is alerted once
+ * per crossing: lowStockAlertedAt is set when the alert goes out and cleared
+ * once stock is back above the threshold. When the email fails nothing is
+ * marked, so the next sweep tries again.
+ *
+ * @returns {Promise<{ alerted: number, cleared: number }>}
+ */
+export const sendLowStockAlerts = async ({
+  now = new Date(),
+  db = prisma,
+} = {}) => {
+  const products = await db.product.findMany({
+    where: { isActive: true, lowStockThreshold: { not: null } },
+    select: {
+      id: true,
+      name: true,
+      stock: true,
+      lowStockThreshold: true,
+      lowStockAlertedAt: true,
+      variants: {
+        where: { isActive: true },
+        select: { id: true, name: true, stock: true, lowStockAlertedAt: true },
+      },
+    },
+  });
+
+  const low = { products: [], variants: [] };
+  const restocked = { products: [], variants: [] };
+  const items = [];
+
+  for (const product of products) {
+    const threshold = product.lowStockThreshold;
+    const holders =
+      product.variants.length > 0
+        ? product.variants.map((variant) => ({ kind: "variants", ...variant }))
+        : [{ kind: "products", ...product, name: null }];
+
+    for (const holder of holders) {
+      if (holder.stock <= threshold && !holder.lowStockAlertedAt) {
+        low[holder.kind].push(holder.id);
+        items.push({
+          productName: product.name,
+          variantName: holder.name,
+          stock: holder.stock,
+          threshold,
+        });
+      } else if (holder.stock > threshold && holder.lowStockAlertedAt) {
+        restocked[holder.kind].push(holder.id);
+      }
+    }
+  }
+
+  await markAlerted(db, restocked, null);
+
+  if (items.length === 0) {
+    return { alerted: 0, cleared: countOf(restocked) };
+  }
+
+  const admins = await db.user.findMany({
+    where: { isAdmin: true },
+    select: { email: true },
+  });
+  if (admins.length === 0) {
+    return { alerted: 0, cleared: countOf(restocked) };
+  }
+
+  const sent = await sendLowStockAlertEmail(
+    admins.map((admin) => admin.email),
+    items
+  );
+  if (!sent) return { alerted: 0, cleared: countOf(restocked) };
+
+  await markAlerted(db, low, now);
+  return { alerted: items.length, cleared: countOf(restocked) };
+};
+
+const countOf = ({ products, variants }) => products.length + variants.length;
+
+const markAlerted = async (db, { products, variants }, lowStockAlertedAt) => {
+  if (products.length > 0) {
+    await db.product.updateMany({
+      where: { id: { in: products } },
+      data: { lowStockAlertedAt },
+    });
+  }
+  if (variants.length > 0) {
+    await db.productVariant.updateMany({
+      where: { id: { in: variants } },
+      data: { lowStockAlertedAt },
+    });
+  }
+};
+
+/**
+ * Email customers whose "notify me" product (or variant) has stock again.
+ * Each subscription is emailed once and then marked notified; failed emails
+ * stay pending for the next sweep.
+ *
+ * @returns {Promise<{ notified: string[], failed: string[] }>} subscription ids
+ */
+export const sendBackInStockNotifications = async ({
+  now = new Date(),
+  limit = 100,
+  db = prisma,
+} = {}) => {
+  const subscriptions = await db.stockSubscription.findMany({
+    where: {
+      notifiedAt: null,
+      product: { isActive: true },
+      OR: [
+        { variantId: null, product: { stock: { gt: 0 } } },
+        { variant: { isActive: true, stock: { gt: 0 } } },
+      ],
+    },
+    include: {
+      user: { select: { email: true } },
+      product: { select: { id: true, name: true } },
+      variant: { select: { name: true } },
+    },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+
+  const notified = [];
+  const failed = [];
+
+  for (const subscription of subscriptions) {
+    const sent = await sendBackInStockEmail(subscription.user.email, {
+      productId: subscription.product.id,
+      productName: subscription.product.name,
+      variantName: subscription.variant?.name ?? null,
+    });
+    (sent ? notified : failed).push(subscription.id);
+  }
+
+  if (notified.length > 0) {
+    await db.stockSubscription.updateMany({
+      where: { id: { in: notified } },
+      data: { notifiedAt: now },
+    });
+  }
+
+  return { notified, failed };
+};
+
+/**
+ * Run sendLowStockAlerts and sendBackInStockNotifications on an interval
+ * inside the API process. The timer does not keep the process alive; call
+ * the returned function to stop it.
+ */
+export const startStockAlertSweeper = ({
+  intervalMs = 5 * 60 * 1000,
+  logger = console,
+} = {}) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+    try {
+      const { alerted } = await sendLowStockAlerts();
+      if (alerted > 0) {
+        logger.log(`Sent low stock alert for ${alerted} item(s)`);
+      }
+      const { notified } = await sendBackInStockNotifications();
+      if (notified.length > 0) {
+        logger.log(`Sent ${notified.length} back in stock email(s)`);
+      }
+    } catch (error) {
+      logger.error("Stock alert sweep failed:", error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref?.();
+  return () => clearInterval(timer);
+};
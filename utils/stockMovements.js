@@ -0,0 +1,130 @@
+// utils/stockMovements.js
+import { AppError } from "./AppError.js";
+
+export const STOCK_MOVEMENT_TYPES = [
+  "SALE",
+  "CANCELLATION",
+  "RETURN",
+  "ADJUSTMENT",
+  "RESTOCK",
+];
+
+// Types an admin may record by hand; the others come from orders and returns
+export const MANUAL_STOCK_MOVEMENT_TYPES = ["ADJUSTMENT", "RESTOCK"];
+
+/**
+ * Change the stock of a product, or of one of its variants, and append the
+ * movement to the ledger. Every stock change goes through here, so the
+ * current stock always equals the sum of the movements. A decrease only
+ * applies while enough stock is left. Must run inside a transaction.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} movement
+ * @param {string} movement.productId
+ * @param {string} [movement.variantId] - the variant holds the stock
+ * @param {number} movement.quantity - signed: negative takes stock out
+ * @param {string} movement.type - one of STOCK_MOVEMENT_TYPES
+ * @param {string} [movement.reason]
+ * @param {string} [movement.referenceType] - ORDER | REFUND | RETURN
+ * @param {string} [movement.referenceId]
+ * @param {string} [movement.actorId] - null when moved by the system
+ * @returns {Promise<object|null>} the movement, or null when a decrease
+ *   would take the stock below zero (nothing is changed then)
+ */
+export const moveStock = async (
+  tx,
+  {
+    productId,
+    variantId = null,
+    quantity,
+    type,
+    reason = null,
+    referenceType = null,
+    referenceId = null,
+    actorId = null,
+  }
+) => {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new AppError(
+      "Stock movement quantity must be a non-zero integer",
+      400
+    );
+  }
+  if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+    throw new AppError("Invalid stock movement type", 400);
+  }
+
+  const holder = variantId ? tx.productVariant : tx.product;
+  const id = variantId || productId;
+
+  if (quantity < 0) {
+    const { count } = await holder.updateMany({
+      where: { id, stock: { gte: -quantity } },
+      data: { stock: { decrement: -quantity } },
+    });
+    if (count === 0) return null;
+  } else {
+    await holder.update({
+      where: { id },
+      data: { stock: { increment: quantity } },
+    });
+  }
+
+  return tx.stockMovement.create({
+    data: {
+      productId,
+      variantId,
+      quantity,
+      type,
+      reason,
+      referenceType,
+      referenceId,
+      actorId,
+    },
+  });
+};
+
+/**
+ * Put units of an order line back on the shelf they came from: its variant,
+ * or the product for lines sold without one.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {{ productId: string, variantId?: string|null }} line
+ * @param {number} quantity
+ * @param {object} movement - type, reason, reference and actor, see moveStock
+ */
+export const restockLine = (tx, { productId, variantId }, quantity, movement) =>
+  moveStock(tx, { ...movement, productId, variantId, quantity });
+
+/**
+ * Restock up to `quantity` units of a sold order line, capped at the units
+ * not restocked yet, and count them on the line (restockedQuantity). A refund
+ * that restocked part of a line and a later cancellation of that line
+ * therefore never put the same units back twice.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {{ id: string, quantity: number, restockedQuantity?: number }} item - order line as read in this transaction
+ * @param {number} quantity
+ * @param {object} movement - see restockLine
+ * @returns {Promise<number>} units restocked
+ */
+export const restockOrderItem = async (tx, item, quantity, movement) => {
+  const restocked = item.restockedQuantity ?? 0;
+  const units = Math.min(quantity, item.quantity - restocked);
+  if (units <= 0) return 0;
+
+  // only if nobody restocked the line since it was read
+  const { count } = await tx.orderItem.updateMany({
+    where: { id: item.id, restockedQuantity: restocked },
+    data: { restockedQuantity: { increment: units } },
+  });
+  if (count === 0) {
+    throw new AppError(
+      "Order item was updated concurrently, please retry",
+      409
+    );
+  }
+
+  await restockLine(tx, item, units, movement);
+  return units;
+};
@@ -0,0 +1,35 @@
+// utils/stockReservations.js
+
+// How long a PENDING order may stay unpaid before its stock is released
+export const PAYMENT_WINDOW_MINUTES = Number(
+  process.env.ORDER_PAYMENT_WINDOW_MINUTES ?? 30
+);
+
+// Paid at the door, so there is no online payment to wait for
+const PAY_ON_DELIVERY_METHODS = ["COD", "CASH_ON_DELIVERY"];
+
+/**
+ * Payment deadline for a new order, or null for pay-on-delivery orders
+ */
+export const paymentDeadline = (paymentMethod, now = new Date()) => {
+  if (PAY_ON_DELIVERY_METHODS.includes(String(paymentMethod).toUpperCase())) {
+    return null;
+  }
+  return new Date(now.getTime() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+};
+
+/**
+ * Close the still-ACTIVE reservations of an order (or of one line).
+ *
+ * @param {object} tx - Prisma client or transaction client
+ * @param {{ orderId?: string, orderItemId?: string }} target
+ * @param {"CONSUMED"|"RELEASED"|"EXPIRED"} status
+ */
+export const settleReservations = (tx, { orderId, orderItemId }, status) =>
+  tx.stockReservation.updateMany({
+    where: {
+      status: "ACTIVE",
+      ...(orderItemId ? { orderItemId } : { orderItem: { orderId } }),
+    },
+    data: { status, settledAt: new Date() },
+  });
@@ -0,0 +1,71 @@
+// utils/taxRules.js
+import { prisma } from "../lib/prismaClient.js";
+import { Prisma } from "@prisma/client";
+
+// Used when no configured tax rule matches a line
+export const DEFAULT_TAX_RATE = Number(process.env.DEFAULT_TAX_RATE ?? 0.15);
+
+const normalize = (value) =>
+  value == null ? null : String(value).trim().toLowerCase();
+
+/**
+ * Active tax rules, loaded once per order calculation
+ */
+export const loadTaxRules = async (db = prisma) =>
+  (await db.taxRule.findMany({ where: { isActive: true } })) || [];
+
+// Category beats city beats country; priority breaks ties
+const specificity = (rule) =>
+  (rule.categoryId ? 4 : 0) + (rule.city ? 2 : 0) + (rule.country ? 1 : 0);
+
+/**
+ * Most specific rule matching a line's categories and the destination.
+ * A rule field left null matches anything.
+ *
+ * @param {Array} rules - from loadTaxRules
+ * @param {{ categoryIds?: string[], country?: string, city?: string }} target
+ * @returns {object|null}
+ */
+export const resolveTaxRule = (rules, { categoryIds = [], country, city }) => {
+  const destCountry = normalize(country);
+  const destCity = normalize(city);
+
+  const matches = rules.filter(
+    (rule) =>
+      (!rule.country || normalize(rule.country) === destCountry) &&
+      (!rule.city || normalize(rule.city) === destCity) &&
+      (!rule.categoryId || categoryIds.includes(rule.categoryId))
+  );
+
+  matches.sort(
+    (a, b) =>
+      specificity(b) - specificity(a) || (b.priority ?? 0) - (a.priority ?? 0)
+  );
+
+  return matches[0] || null;
+};
+
+/**
+ * Tax for one line's taxable amount (after discount).
+ * For tax-inclusive rules the tax is carved out of the amount rather than
+ * added on top; `included` tells the caller not to add it to the total.
+ *
+ * @returns {{ tax: Prisma.Decimal, included: boolean, rate: Prisma.Decimal }}
+ */
+export const computeLineTax = (rule, taxableAmount) => {
+  const amount = new Prisma.Decimal(taxableAmount);
+
+  if (!rule) {
+    const rate = new Prisma.Decimal(DEFAULT_TAX_RATE);
+    return { tax: amount.mul(rate).toDecimalPlaces(2), included: false, rate };
+  }
+
+  const rate = new Prisma.Decimal(rule.isExempt ? 0 : rule.rate);
+  const included = !!rule.priceIncludesTax;
+
+  const tax = included
+    ? amount.sub(amount.div(rate.add(1)))
+    : amount.mul(rate);
+
+  return { tax: tax.toDecimalPlaces(2), included, rate };
+};